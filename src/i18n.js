@@ -0,0 +1,1500 @@
+'use strict';
+
+// ─── Locales ──────────────────────────────────────────────────────────────────
+export const DEFAULT_LOCALE    = 'fr';
+export const SUPPORTED_LOCALES = ['fr', 'en'];
+export const LOCALE_NAMES      = { fr: 'Français', en: 'English' };
+
+// Discord locales mapped onto ours — every English variant uses the `en` catalog
+const DISCORD_LOCALES = { fr: ['fr'], en: ['en-US', 'en-GB'] };
+
+// ─── Messages ─────────────────────────────────────────────────────────────────
+// Flat keys, `{name}` placeholders. A key with `.one` / `.other` variants is
+// pluralised on `count`.
+const fr = {
+  // Buttons
+  'button.voice':    '🔊 Vocal',
+  'button.text':     '💬 Discussion',
+  'button.info':     '📢 Infos',
+  'button.waitlist': "⏳ Liste d'attente",
+  'button.join':     '✅ Rejoindre',
+  'button.attend':   '✅ Je participe',
+  'button.leave':    '🚪 Se retirer',
+  'button.withdraw': '❌ Je ne viens plus',
+  'button.leaveQueue': '🚪 Quitter la file',
+  'button.close':    '🔒 Fermer',
+  'button.confirm':  '✅ Confirmer',
+  'button.cancel':   '↩️ Annuler',
+  'button.requestJoin': '📨 Demander à rejoindre',
+  'button.accept':      '✅ Accepter',
+  'button.deny':        '🚫 Refuser',
+
+  // Session containers
+  'label.default':        'Session LFG',
+  'session.full':         '**COMPLET**',
+  'session.waitlistCount': '⏳ **Attente :** {count}',
+  'session.organizer':    '👑 **Organisateur :** {mention}',
+  'session.players':      '👥 **Joueurs :** {slots}',
+  'session.gametag':      '🎯 **Gametag :** `{gametag}`',
+  'session.start':        '📅 **Début :** <t:{ts}:F> (<t:{ts}:R>)',
+  'session.roles':        '🎭 **Rôles :**',
+  'session.participants': '👥 **Participants :** {mentions}',
+  'session.twitch':       '🟣 **Live Twitch :** [{channel}]({url})',
+  'session.footerPlanned': '📅 Salons créés {minutes} min avant le début',
+  'session.footerLive':   '⏱️ Salon supprimé après 5 min si vide',
+  'cross.title':          '📡 **Session LFG — Annonce externe**',
+  'cross.closedTitle':    '🔒 **Session LFG terminée — Annonce externe**',
+  'cross.hostedOn':       '🌐 Session hébergée sur **{guild}**',
+
+  // Presence
+  'presence.searching':      '🔍 Recherche de groupe',
+  'presence.sessions.one':   '{count} session active',
+  'presence.sessions.other': '{count} sessions actives',
+  'presence.players.one':    '{count} joueur en session',
+  'presence.players.other':  '{count} joueurs en session',
+
+  // Shared
+  'common.nobody': 'Aucun',
+  'label.planned': 'Session LFG planifiée',
+
+  // Waitlist
+  'waitlist.promotedPlanned': "🎉 Une place s'est libérée : vous êtes inscrit à la session **#{id}** (**{game}**) — début <t:{ts}:F>.",
+  'waitlist.promoted':        "🎉 Une place s'est libérée : vous avez rejoint la session **#{id}** (**{game}**) sur **{guild}**.",
+  'waitlist.voiceLink':       '> 🔊 Vocal : {url}',
+  'waitlist.assignedRole':    '> 🎭 Rôle attribué : **{role}**',
+
+  // Session channels
+  'label.plannedOpened':    'Session planifiée — salons ouverts',
+  'channel.discussionName': 'discussion',
+  'channel.welcome':        '👋 Bienvenue dans le salon de discussion de la session **#{id}** !\n> Organisateur : {mention}',
+  'channel.infoNotice':     "📢 Salon d'information pour la session **#{id}** — utilisez les boutons ci-dessus.",
+  'channels.defaultChoice': 'Salon par défaut (*)',
+
+  // Reminders
+  'reminder.notice': '⏰ **Rappel :** la session **#{id}** (**{game}**) commence <t:{ts}:R> !',
+  'reminder.voice':  '> 🔊 Rejoignez le vocal : {channel}',
+
+  // Errors
+  'error.sessionNotFound':  '❌ Session **#{id}** introuvable.',
+  'cooldown.reached.one':   '❌ Limite de **{count} session** par {minutes} minute(s) atteinte.',
+  'cooldown.reached.other': '❌ Limite de **{count} sessions** par {minutes} minute(s) atteinte.',
+
+  // /lfg
+  'label.new':           'Nouvelle session LFG',
+  'label.queue':         'Session LFG formée par la file',
+  'label.template':      'Nouvelle session LFG (modèle)',
+  'label.recurring':     'Session LFG récurrente',
+  'lfg.noDescription':   'Pas de description',
+  'lfg.unknownGame':     "❌ Jeu **{game}** inconnu sur ce serveur.\n💡 Choisissez un jeu proposé, ou demandez à un administrateur de l'ajouter avec `/games add`.",
+  'lfg.missingGametag':  "❌ Aucun gametag fourni pour **{game}** sur **{platform}**.\n💡 Renseignez l'option `gametag` ou enregistrez-le avec `/profile set`.",
+  'lfg.invalidRoles':    '❌ Composition de rôles invalide.\n✅ Format attendu : `1 tank, 1 healer, 3 dps` ({max} rôles et 10 joueurs maximum)',
+  'lfg.unknownRole':     '❌ Le rôle **{role}** ne fait pas partie de la composition ({roles}).',
+  'lfg.invalidStart':    '❌ Date de début invalide.\n✅ Formats acceptés : `21:30`, `25/12 21:30`, `25/12/2026 21:30`, `+2h`, `+90m`',
+  'lfg.startOutOfRange': '❌ La date de début doit être dans le futur et à moins de {days} jours.',
+  'lfg.invalidTwitch':   '❌ Pseudo Twitch invalide.\n✅ Format attendu : `nuggan85` (lettres, chiffres, underscores, 1-25 caractères)',
+  'lfg.gameNotAllowed':  "❌ Ce serveur n'accepte pas **{game}**.\n📋 Jeux autorisés : {games}",
+  'lfg.yourRole':        '> 🎭 {roles} — votre rôle : **{role}**',
+  'lfg.planned':         '✅ Session **#{id}** planifiée pour <t:{ts}:F> !\n> 📅 Les salons seront créés {minutes} min avant le début.',
+  'lfg.created':         '✅ Session **#{id}** créée !\n> 💬 {text} · 📢 {info}',
+  'lfg.error':           '❌ Erreur lors de la création de la session.',
+
+  // /duplicate_lfg
+  'label.duplicated':  '🔁 Session dupliquée',
+  'duplicate.created': '✅ Session **#{id}** créée *(dupliquée depuis #{source})* !\n> 💬 {text} · 📢 {info}',
+  'duplicate.error':   '❌ Erreur lors de la duplication de la session.',
+
+  // /modify_lfg
+  'label.modified':    'Session LFG modifiée',
+  'modify.nothing':    '❌ Fournissez au moins un champ à modifier.',
+  'modify.rolesFixed': '❌ Le nombre de joueurs de cette session est fixé par sa composition de rôles.',
+  'modify.done':       '✅ Session **#{id}** modifiée.',
+  'modify.error':      '❌ Erreur modification session.',
+
+  // /close_lfg, /transfer_lfg
+  'close.notAllowed':          "❌ Seuls l'organisateur et les membres pouvant modérer les sessions peuvent fermer cette session.",
+  'close.confirm':             '⚠️ Fermer la session **#{id}** ? Ses salons seront supprimés et plus personne ne pourra la rejoindre.',
+  'close.cancelled':           '↩️ Fermeture de la session **#{id}** annulée.',
+  'close.done':                '🔒 Session **#{id}** fermée.',
+  'close.error':               '❌ Erreur lors de la fermeture de la session.',
+  'transfer.notParticipant':   "❌ {tag} n'est pas inscrit à cette session.",
+  'transfer.alreadyOrganizer': "❌ {tag} est déjà l'organisateur de cette session.",
+  'transfer.done':             "✅ **{tag}** est maintenant l'organisateur de la session **#{id}**.",
+  'transfer.notice':           "👑 {mention} est maintenant l'organisateur de la session **#{id}**.",
+  'transfer.organizerLeft':    "👑 L'organisateur a quitté le serveur : {mention} reprend la session **#{id}**.",
+  'transfer.error':            '❌ Erreur lors du transfert de la session.',
+
+  // Private sessions, /invite_lfg
+  'visibility.approval':       "🔐 **Sur approbation** — l'organisateur valide chaque demande",
+  'visibility.invite':         '✉️ **Sur invitation**',
+  'visibility.inviteOnly':     "❌ Cette session est sur invitation : demandez à l'organisateur de vous ajouter.",
+  'approval.full':             '❌ Cette session est complète.',
+  'approval.noWaitlist':       "❌ Les sessions privées n'ont pas de liste d'attente.",
+  'approval.alreadyRequested': '⏳ Votre demande est déjà en attente de réponse.',
+  'approval.request':          '📨 {organizer} — {mention} demande à rejoindre la session **#{id}**{role}.',
+  'approval.requested':        "📨 Demande envoyée pour la session **#{id}**. La réponse de l'organisateur vous sera envoyée en message privé.",
+  'approval.notAllowed':       "❌ Seuls l'organisateur et les membres pouvant modérer les sessions peuvent répondre aux demandes.",
+  'approval.noRequest':        '❌ Cette demande a déjà été traitée.',
+  'approval.accepted':         '✅ Demande de {mention} acceptée par {by} (session **#{id}**).',
+  'approval.denied':           '🚫 Demande de {mention} refusée par {by} (session **#{id}**).',
+  'approval.withdrawn':        '↩️ {mention} a retiré sa demande (session **#{id}**).',
+  'approval.cancelled':        '↩️ Votre demande pour la session **#{id}** est annulée.',
+  'approval.acceptedDm':       '✅ Demande acceptée : vous participez à la session **#{id}** (**{game}**) sur **{guild}** !',
+  'approval.deniedDm':         "🚫 Votre demande pour la session **#{id}** (**{game}**) sur **{guild}** n'a pas été acceptée.",
+  'approval.error':            '❌ Erreur lors du traitement de la demande.',
+  'invite.publicSession':      '❌ Cette session est publique : tout le monde peut déjà la rejoindre.',
+  'invite.already':            '❌ {tag} participe déjà à cette session.',
+  'invite.banned':             '❌ {tag} est banni de cette session : levez le bannissement avec `/unban_member` pour l\'inviter.',
+  'invite.done':               '✅ **{tag}** ajouté à la session **#{id}**.',
+  'invite.dm':                 '✉️ **{by}** vous a ajouté à la session **#{id}** (**{game}**) sur **{guild}** !',
+  'invite.error':              "❌ Erreur lors de l'ajout du membre.",
+
+  // Shared
+  'common.page':          'Page {page}/{total}',
+  'error.memberNotFound': '❌ Membre introuvable sur ce serveur.',
+
+  // /list_members
+  'members.title':        '👥 **Membres de la session**',
+  'members.noneInVoice':  '_Aucun membre dans le salon vocal_',
+  'members.noGametag':    '_gametag non renseigné_',
+  'members.noneJoined':   '_Aucun inscrit_',
+  'members.participants': '🎯 **Participants :**',
+  'members.inVoice':      '🔊 **Dans le vocal :**',
+  'members.summary':      '📋 **Inscrits :** {joined}/{players}  ·  🔊 **En vocal :** {voice}',
+  'members.private':      '🔒 La session **#{id}** est privée : seuls ses participants et les modérateurs voient ses membres.',
+  'members.error':        '❌ Erreur affichage membres.',
+
+  // /kick_member, /ban_member, /unban_member
+  'kick.done':          '✅ **{tag}** retiré de la session **#{id}**.',
+  'kick.error':         '❌ Erreur retrait membre.',
+  'kick.organizer':     "❌ Vous ne pouvez pas vous retirer de votre propre session : utilisez `/transfer_lfg` ou `/close_lfg`.",
+  'kick.notParticipant': "❌ Ce membre n'est pas inscrit à la session **#{id}**.",
+  'kick.dm':            '👋 Vous avez été retiré de la session **#{id}** ({game}) sur **{guild}** par {by}.',
+  'ban.reason':         'Banni de la session LFG {id}',
+  'ban.done':           '✅ **{tag}** banni de la session **#{id}**.',
+  'ban.error':          '❌ Erreur bannissement membre.',
+  'ban.doneOrganizer':  '✅ **{tag}** banni de la session **#{id}** et de toutes vos prochaines sessions.',
+  'ban.doneServer':     '🔨 **{tag}** a aussi été banni du serveur.',
+  'ban.self':           '❌ Vous ne pouvez pas vous bannir vous-même.',
+  'ban.organizer':      "❌ L'organisateur ne peut pas être banni de sa propre session.",
+  'ban.serverPermission': '❌ Bannir du serveur nécessite la permission « Bannir des membres ».',
+  'ban.serverHierarchy': '❌ Vous ne pouvez pas bannir du serveur {tag} : son rôle le plus haut est égal ou supérieur au vôtre.',
+  'ban.blocked':        '⛔ Vous ne pouvez pas rejoindre cette session.',
+  'unban.done':         '✅ **{tag}** peut de nouveau rejoindre la session **#{id}**.',
+  'unban.notBanned':    "❌ **{tag}** n'est pas banni de la session **#{id}**.",
+  'unban.error':        '❌ Erreur levée du bannissement.',
+
+  // /stats
+  'stats.title':              '📊 **Statistiques LFG**',
+  'stats.titleGame':          '📊 **Statistiques LFG — {game}**',
+  'stats.sessionCount.one':   '{count} session',
+  'stats.sessionCount.other': '{count} sessions',
+  'stats.noData':             '_Aucune donnée._',
+  'stats.sessions':           '🗂️ **Sessions créées :** {created}  ·  ✅ **Terminées :** {ended}',
+  'stats.players':            '👥 **Inscriptions :** {joined}  ·  🚪 **Départs :** {left}',
+  'stats.averages':           '📈 **Remplissage moyen :** {fill}  ·  ⏱️ **Durée moyenne :** {duration}',
+  'stats.active':             '🟢 **Sessions actives :** {count}',
+  'stats.activePlayers':      '🎮 **Joueurs en session :** {count}',
+  'stats.topGames':           '🏆 **Top jeux :**',
+  'stats.topPlatforms':       '🕹️ **Top plateformes :**',
+  'stats.cooldown':           '⏱️ **Cooldown :** {count} session(s) par {minutes} min',
+  'stats.error':              '❌ Erreur affichage stats.',
+
+  // Shared
+  'error.unknownGame': '❌ Jeu **{game}** inconnu sur ce serveur.',
+  'nav.previous':      '◀ Retour',
+  'nav.next':          'Suivant ▶',
+
+  // /history
+  'history.title':             '📜 **Historique des sessions**',
+  'history.since':             'depuis <t:{ts}:d>',
+  'history.until':             "jusqu'au <t:{ts}:d>",
+  'history.filters':           '🔎 **Filtres :** {filters}',
+  'history.empty':             "_Aucune session dans l'historique._",
+  'history.total.one':         '{count} session archivée',
+  'history.total.other':       '{count} sessions archivées',
+  'history.invalidDate':       '❌ Date invalide.\n✅ Format attendu : `JJ/MM/AAAA` (ex : `25/12/2026`)',
+  'history.invalidRange':      '❌ La date de début doit précéder la date de fin.',
+  'history.error':             '❌ Erreur affichage historique.',
+  'endReason.empty_voice':     '🔇 Vocal vide',
+  'endReason.expired':         '⌛ Expirée (24h)',
+  'endReason.manual':          '🛑 Fermée manuellement',
+  'endReason.channel_missing': '⚠️ Salons introuvables',
+  'endReason.organizer_left':  '🚪 Organisateur parti',
+  'endReason.open_failed':     '⚠️ Ouverture impossible',
+
+  // Announcement channels
+  'channels.allGames':      '**tous les jeux** *(salon par défaut)*',
+  'channels.set':           '✅ Salon {channel} défini pour {target}.',
+  'channels.setError':      '❌ Erreur définition salon.',
+  'channels.noDefault':     '❌ Aucun salon configuré pour **le défaut**.',
+  'channels.noneForGame':   '❌ Aucun salon configuré pour **{game}**.',
+  'channels.theDefault':    '**le salon par défaut**',
+  'channels.removed':       '✅ Configuration supprimée pour {target}.',
+  'channels.removeError':   '❌ Erreur suppression salon.',
+  'channels.title':         '📡 **Salons LFG — Configuration cross-serveur**',
+  'channels.empty':         '_Aucun salon configuré._\n\n• `/set_lfg_channel #salon` — salon par défaut\n• `/set_lfg_channel #salon jeu:Valorant` — salon par jeu',
+  'channels.missing':       '`{id}` *(introuvable)*',
+  'channels.default':       '🌐 **Salon par défaut** *(tous les jeux non configurés)*\n> {channel}',
+  'channels.defaultUnset':  '🌐 **Salon par défaut** — _non configuré_\n> Les jeux sans salon spécifique ne seront pas annoncés.',
+  'channels.perGame.one':   '🎮 **Salons par jeu** *({count} configuré)*',
+  'channels.perGame.other': '🎮 **Salons par jeu** *({count} configurés)*',
+  'channels.perGameNone':   '🎮 **Salons par jeu** — _aucun salon spécifique_\n> Toutes les annonces utilisent le salon par défaut.',
+  'channels.summary.one':   '📋 **Récapitulatif :** {count} salon configuré ({games} par jeu + {defaults} par défaut)',
+  'channels.summary.other': '📋 **Récapitulatif :** {count} salons configurés ({games} par jeu + {defaults} par défaut)',
+  'channels.listError':     '❌ Erreur affichage configuration.',
+
+  // Shared
+
+  // /set_cooldown
+  'cooldown.title':             '⏱️ **Cooldown LFG configuré**',
+  'cooldown.applied':           '✅ Nouveau cooldown appliqué :',
+  'cooldown.maxSessions.one':   '• **{count}** session maximum par utilisateur',
+  'cooldown.maxSessions.other': '• **{count}** sessions maximum par utilisateur',
+  'cooldown.window.one':        '• Fenêtre de **{count}** minute',
+  'cooldown.window.other':      '• Fenêtre de **{count}** minutes',
+  'cooldown.error':             '❌ Erreur configuration cooldown.',
+
+  // /config
+  'config.title':            '⚙️ **Configuration LFG**',
+  'config.gameToAdd':        '❌ Spécifiez un jeu à ajouter.',
+  'config.gameToRemove':     '❌ Spécifiez un jeu à retirer.',
+  'config.alreadyFiltered':  '⚠️ **{game}** est déjà dans le filtre.',
+  'config.notFiltered':      "⚠️ **{game}** n'est pas dans le filtre.",
+  'config.added':            '✅ **{game}** ajouté.',
+  'config.removed':          '✅ **{game}** retiré.',
+  'config.reset':            '✅ Filtre réinitialisé — tous les jeux acceptés.',
+  'config.modeAll':          '🌐 **Mode :** Tous les jeux acceptés *(aucun filtre)*',
+  'config.modeFilter.one':   '🔒 **Mode :** Filtre actif — **{count}** jeu autorisé',
+  'config.modeFilter.other': '🔒 **Mode :** Filtre actif — **{count}** jeux autorisés',
+  'config.allowedGames':     '📋 **Jeux autorisés :**',
+  'config.noFilter':         '_Aucun filtre. Toutes les sessions sont acceptées._',
+  'config.hint':             '💡 `/config action:Ajouter jeu:X` · `/config action:Retirer jeu:X` · `/config action:Réinitialiser`',
+  'config.error':            '❌ Erreur configuration.',
+
+  // /games
+  'games.title':          '🕹️ **Jeux personnalisés**',
+  'games.invalidName':    '❌ Nom de jeu invalide (2 à 50 caractères).',
+  'games.invalidImage':   "❌ URL d'image invalide.\n✅ Format attendu : `https://…`",
+  'games.tooManyAliases': '❌ {max} alias maximum, 30 caractères chacun.',
+  'games.limit':          '❌ Limite de **{max}** jeux personnalisés atteinte.',
+  'games.nameConflict':   '❌ Ce nom ou un alias est déjà utilisé par **{game}**.',
+  'games.aliasConflict':  '❌ Un alias est déjà utilisé par **{game}**.',
+  'games.renameConflict': '❌ Ce nom est déjà utilisé par **{game}**.',
+  'games.notCustom':      "❌ **{game}** n'est pas un jeu personnalisé de ce serveur.",
+  'games.nothingToEdit':  '❌ Renseignez une image ou des alias.',
+  'games.sameName':       '⚠️ Le nouveau nom est identique.',
+  'games.added':          '✅ **{game}** ajouté au catalogue.',
+  'games.edited':         '✅ **{game}** modifié.',
+  'games.renamed':        '✅ **{game}** renommé en **{name}**.',
+  'games.removed':        '✅ **{game}** retiré du catalogue.',
+  'games.error':          '❌ Erreur catalogue de jeux.',
+  'games.aliases':        'alias : {aliases}',
+  'games.more.one':       '_… et {count} autre_',
+  'games.more.other':     '_… et {count} autres_',
+  'games.catalog.one':    '📋 **Catalogue :** {builtIn} jeux intégrés + **{count}** jeu personnalisé',
+  'games.catalog.other':  '📋 **Catalogue :** {builtIn} jeux intégrés + **{count}** jeux personnalisés',
+  'games.empty':          '_Aucun jeu personnalisé. Ajoutez-en avec `/games add`._',
+  'games.hint':           '💡 `/games add nom:X` · `/games edit jeu:X` · `/games rename jeu:X nouveau_nom:Y` · `/games remove jeu:X`',
+
+  // /profile
+  'launcher.riot':            'Riot ID',
+  'launcher.battlenet':       'BattleTag',
+  'launcher.psn':             'PSN',
+  'launcher.xbox':            'Gamertag Xbox',
+  'launcher.steam':           'Steam',
+  'launcher.epic':            'Epic Games',
+  'profile.title':            '🪪 **Profil de {name}**',
+  'profile.none':             "ℹ️ **{name}** n'a pas encore de profil.",
+  'profile.setHint':          '💡 Utilisez `/profile set` pour enregistrer vos gametags.',
+  'profile.nothingToClear':   "ℹ️ Vous n'avez pas de profil à effacer.",
+  'profile.cleared':          '✅ Profil effacé.',
+  'profile.fieldCleared':     '✅ Champ effacé.',
+  'profile.invalidGametag':   '❌ {launcher} invalide.\n✅ Format attendu : `{example}`',
+  'profile.tooManyGames':     '❌ 10 jeux maximum, 50 caractères chacun.',
+  'profile.tooManyLanguages': '❌ 5 langues maximum, 20 caractères chacune.',
+  'profile.invalidTimeZone':  '❌ Fuseau horaire inconnu.\n✅ Format attendu : `Europe/Paris`, `America/Montreal`, `UTC`',
+  'profile.nothingToSet':     '❌ Renseignez au moins un champ (gametag, jeux, langues ou fuseau).',
+  'profile.updated':          '✅ Profil mis à jour.',
+  'profile.error':            '❌ Erreur enregistrement du profil.',
+  'profile.gametags':         '🎯 **Gametags :**',
+  'profile.gametagLine':      '**{launcher} :** `{gametag}`',
+  'profile.noGametags':       '_Aucun gametag enregistré_',
+  'profile.games':            '🎮 **Jeux préférés :** {games}',
+  'profile.languages':        '🗣️ **Langues :** {languages}',
+  'profile.timeZone':         '🕒 **Fuseau horaire :** {timeZone}',
+  'profile.footer':           'Le gametag de /lfg est pré-rempli depuis ce profil',
+
+  // Shared
+  'error.rateLimit':      '❌ Limite de débit atteinte. Attendez un moment.',
+  'error.unknownCommand': '❌ Commande inconnue.',
+  'error.unknownButton':  '❌ Bouton inconnu.',
+  'error.sessionExpired': '❌ Session **#{id}** introuvable. Elle a peut-être expiré.',
+  'error.voiceNotFound':  '❌ Salon vocal introuvable.',
+  'error.textNotFound':   '❌ Salon discussion introuvable.',
+  'error.infoNotFound':   "❌ Salon d'information introuvable.",
+
+  // Session buttons
+  'join.pickRole':          '❌ Choisissez un rôle avec les boutons de la session.',
+  'join.sameRole':          '❌ Vous occupez déjà le rôle **{role}**.',
+  'join.roleFull':          '❌ Le rôle **{role}** est complet.',
+  'join.roleSwitched':      '🔄 Vous jouez maintenant **{role}** dans la session **#{id}**.',
+  'join.already':           '❌ Vous avez déjà rejoint cette session.',
+  'join.full':              '❌ Cette session est complète. Utilisez le bouton **{button}** pour prendre la prochaine place.',
+  'join.asRole':            ' en tant que **{role}**',
+  'join.plannedDone':       '✅ Inscription confirmée{role} pour la session **#{id}** — début <t:{ts}:F>. Un rappel vous sera envoyé.',
+  'join.done':              '✅ Session **#{id}** rejointe{role} ! Rejoignez : {channel}',
+  'join.error':             '❌ Erreur lors de la tentative de rejoindre la session.',
+  'waitlist.alreadyQueued': "⏳ Vous êtes déjà en position **{position}** sur la liste d'attente.",
+  'waitlist.slotFree':      '✅ Une place est libre : utilisez le bouton **{button}**.',
+  'waitlist.queued':        "⏳ Vous êtes en position **{position}** sur la liste d'attente de la session **#{id}**. Vous serez prévenu dès qu'une place se libère.",
+  'waitlist.error':         "❌ Erreur lors de l'inscription sur la liste d'attente.",
+  'waitlist.left':          "✅ Vous avez quitté la liste d'attente de la session **#{id}**.",
+  'leave.notJoined':        "❌ Vous n'êtes pas inscrit à cette session.",
+  'leave.organizer':        "❌ L'organisateur ne peut pas se retirer : transférez la session avec `/transfer_lfg` ou fermez-la avec `/close_lfg`.",
+  'leave.done':             '✅ Vous vous êtes retiré de la session **#{id}**.',
+  'leave.error':            '❌ Erreur lors du retrait de la session.',
+  'history.notOwner':       '❌ Cet historique ne vous appartient pas.',
+  'history.pageError':      '❌ Erreur pagination.',
+  'cross.expired':          '❌ Session introuvable ou expirée.',
+  'cross.voice':            'Rejoignez le vocal',
+  'cross.text':             'Salon discussion',
+  'cross.info':             "Salon d'information",
+  'cross.channel':          'Salon',
+  'cross.notMember':        '❌ Cette session est hébergée sur **{guild}** : rejoignez ce serveur pour y participer.',
+
+  // /set_language
+  'language.set':        '✅ Langue du serveur : **{language}**.',
+  'language.followUser': '> Les réponses privées suivent la langue Discord de chaque membre quand elle est prise en charge.',
+  'language.guildOnly':  '> Toutes les réponses utilisent la langue du serveur.',
+  'language.error':      '❌ Erreur configuration de la langue.',
+
+  // /federation
+  'federation.title':        '🌐 **Fédération**',
+  'federation.on':           '✅ activé',
+  'federation.off':          '❌ désactivé',
+  'federation.send':         '📤 Envoi des sessions : {status}',
+  'federation.receive':      '📥 Réception des sessions : {status}',
+  'federation.allowlist':    "✅ Liste d'autorisation : {guilds}",
+  'federation.denylist':     '⛔ Liste de blocage : {guilds}',
+  'federation.criteria':     '📏 Critères des partenaires : {criteria}',
+  'federation.allowAll':     '_tous les serveurs_',
+  'federation.none':         '_aucun_',
+  'federation.minMembers':   '{count} membres minimum',
+  'federation.language':     'langue {language}',
+  'federation.partners':     '📨 Les sessions de ce serveur sont envoyées à {count} serveur(s) : {guilds}',
+  'federation.noPartners':   "📨 Aucun serveur partenaire ne reçoit les sessions de ce serveur.",
+  'federation.updated':      '✅ Fédération mise à jour.',
+  'federation.allowed':      "✅ **{guild}** ajouté à la liste d'autorisation.",
+  'federation.denied':       '⛔ **{guild}** ajouté à la liste de blocage.',
+  'federation.unlisted':     '🗑️ **{guild}** retiré des listes.',
+  'federation.invalidGuild': '❌ Identifiant de serveur invalide.',
+  'federation.self':         '❌ Impossible de lister ce serveur lui-même.',
+  'federation.error':        '❌ Erreur configuration de la fédération.',
+
+  // /reputation
+  'reputation.title':          '⭐ **Réputation de {name}**',
+  'reputation.score':          '🏅 Score : **{score}**',
+  'reputation.details':        '👍 {commend} félicitation(s) · 👎 {report} signalement(s) · 🚫 {noShow} absence(s)',
+  'reputation.minimum':        '🔒 Réputation minimale pour rejoindre les sessions de ce serveur : **{minimum}**',
+  'reputation.noMinimum':      '🔓 Aucune réputation minimale sur ce serveur.',
+  'reputation.minimumSet':     '✅ Réputation minimale pour rejoindre les sessions : **{minimum}**.',
+  'reputation.minimumCleared': '✅ Réputation minimale retirée.',
+  'reputation.tooLow':         '❌ Votre réputation (**{score}**) est inférieure au minimum exigé sur ce serveur (**{minimum}**).',
+  'reputation.error':          '❌ Erreur configuration de la réputation.',
+
+  // Post-session feedback (DM)
+  'feedback.prompt':             '🏁 La session **#{id}** ({game}) sur **{guild}** est terminée. Vous pouvez féliciter ou signaler vos coéquipiers (facultatif).',
+  'feedback.commendPlaceholder': '👍 Féliciter…',
+  'feedback.reportPlaceholder':  '👎 Signaler…',
+  'feedback.commended':          '✅ {count} joueur(s) félicité(s). Merci !',
+  'feedback.reported':           '✅ {count} joueur(s) signalé(s).',
+  'feedback.notParticipant':     "❌ Vous n'avez pas participé à cette session.",
+  'feedback.expired':            '❌ Le délai pour donner votre avis sur cette session est dépassé.',
+
+  // Audit log
+  'audit.create':         'Session créée',
+  'audit.duplicate':      'Session dupliquée',
+  'audit.modify':         'Session modifiée',
+  'audit.join':           'Arrivée',
+  'audit.leave':          'Départ',
+  'audit.kick':           'Membre retiré',
+  'audit.ban':            'Membre banni',
+  'audit.unban':          'Bannissement levé',
+  'audit.delete':         'Session supprimée',
+  'audit.config':         'Configuration modifiée',
+  'audit.system':         '_automatique_',
+  'audit.title':          "📜 **Journal d'audit LFG**",
+  'audit.empty':          '_Aucun événement enregistré._',
+  'audit.channel':        '📡 Salon du journal : {channel}',
+  'audit.noChannel':      '📡 Aucun salon de journal : `/set_log_channel #salon`',
+  'audit.channelSet':     "✅ Le journal d'audit LFG sera publié dans {channel}.",
+  'audit.channelRemoved': "✅ Salon du journal d'audit désactivé. Les événements restent consultables avec `/audit`.",
+  'audit.error':          "❌ Erreur journal d'audit.",
+
+  'permission.denied':    "❌ Capacité **{capability}** requise. Voir `/permissions view`.",
+  'capability.create':    'Créer des sessions',
+  'capability.moderate':  'Modérer toutes les sessions',
+  'capability.config':    'Gérer la configuration',
+  'capability.crosspost': 'Publier sur les autres serveurs',
+  'permissions.title':    '🔐 **Permissions LFG**',
+  'permissions.default.create':    '_Par défaut : tout le monde_',
+  'permissions.default.moderate':  "_Par défaut : permission **Gérer les salons** (l'organisateur modère toujours sa session)_",
+  'permissions.default.config':    '_Par défaut : permission **Gérer le serveur** (**Gérer les salons** pour les salons LFG)_',
+  'permissions.default.crosspost': '_Par défaut : tout le monde_',
+  'permissions.hint':     '-# Les rôles associés remplacent la permission par défaut. Les administrateurs ont toujours toutes les capacités.',
+  'permissions.added':    '✅ {role} peut désormais : **{capability}**.',
+  'permissions.removed':  '✅ {role} ne peut plus : **{capability}**.',
+  'permissions.already':  'ℹ️ {role} a déjà la capacité **{capability}**.',
+  'permissions.notMapped': "ℹ️ {role} n'est pas associé à la capacité **{capability}**.",
+  'permissions.resetOne': '✅ **{capability}** revient à la permission par défaut.',
+  'permissions.reset':    '✅ Toutes les capacités reviennent aux permissions par défaut.',
+  'permissions.error':    '❌ Erreur de configuration des permissions.',
+  'permissions.manageGuild': '❌ Associer des rôles aux capacités nécessite la permission **Gérer le serveur**.',
+
+  'subscribe.done':        "🔔 Abonné : {subscription}. Vous recevrez un message privé à chaque nouvelle session correspondante.",
+  'subscribe.already':     'ℹ️ Vous êtes déjà abonné : {subscription}.',
+  'subscribe.limit':       '❌ Limite de {max} abonnements atteinte sur ce serveur. Retirez-en avec `/unsubscribe`.',
+  'subscribe.removed':     '🔕 Abonnement retiré : {subscription}.',
+  'subscribe.removedAll':  '🔕 {count} abonnement(s) retiré(s).',
+  'subscribe.notFound':    '❌ Abonnement introuvable.',
+  'subscribe.allChoice':   'Tous mes abonnements sur ce serveur',
+  'subscribe.error':       '❌ Erreur abonnements.',
+  'subscribe.noticeTitle': '🔔 **Nouvelle session {game}**',
+  'subscribe.noticeStart': '🕒 Début : <t:{ts}:F> (<t:{ts}:R>)',
+  'subscribe.noticeLink':  "Voir l'annonce",
+  'notifications.title':         '🔔 **Notifications de sessions**',
+  'notifications.subscriptions': '**Abonnements ({count})**',
+  'notifications.none':          '_Aucun abonnement. Utilisez `/subscribe`._',
+  'notifications.quiet':         '🌙 Heures calmes : {start} → {end} ({timeZone})',
+  'notifications.noQuiet':       '🌙 Heures calmes : _aucune_',
+  'notifications.limit':         '📬 Limite : {sent}/{count} notifications sur 24 h',
+  'notifications.quietSet':      '✅ Aucune notification entre {start} et {end}.',
+  'notifications.quietRemoved':  '✅ Heures calmes désactivées.',
+  'notifications.quietBoth':     '❌ Indiquez le début et la fin des heures calmes, ou aucun des deux pour les désactiver.',
+  'notifications.invalidTime':   '❌ Heure invalide. Utilisez le format `23:00` ou `23h`.',
+  'notifications.limitSet':      '✅ Au plus {count} notifications par 24 heures.',
+  'gameRole.set':            '✅ {role} sera mentionné à chaque nouvelle session **{game}**.',
+  'gameRole.removed':        '✅ Plus aucun rôle mentionné pour **{game}**.',
+  'gameRole.notSet':         'ℹ️ Aucun rôle associé à **{game}**.',
+  'gameRole.invalidRole':    '❌ Ce rôle ne peut pas être associé à un jeu.',
+  'gameRole.notMentionable': "⚠️ Ce rôle n'est pas mentionnable et le bot n'a pas la permission **Mentionner @everyone** : la mention ne notifiera personne.",
+  'gameRole.listTitle':      '🔔 **Rôles mentionnés par jeu**',
+  'gameRole.empty':          '_Aucun rôle associé. Utilisez `/game_role set`._',
+  'gameRole.error':          '❌ Erreur rôles de jeu.',
+
+  // Session templates
+  'template.title':         '📋 **Modèles de session**',
+  'template.personalTitle': '👤 **Vos modèles**',
+  'template.sharedTitle':   '👥 **Modèles du serveur**',
+  'template.empty':         '_Aucun modèle._',
+  'template.players':       '👥 {count} joueurs',
+  'template.personal':      'personnel',
+  'template.shared':        'partagé avec le serveur',
+  'template.saved':         '✅ Modèle **{name}** enregistré ({scope}). Lancez-le avec `/template launch`.',
+  'template.updated':       '✅ Modèle **{name}** mis à jour ({scope}).',
+  'template.deleted':       '🗑️ Modèle **{name}** supprimé.',
+  'template.notFound':      '❌ Modèle **{name}** introuvable.',
+  'template.limit':         '❌ Limite de {max} modèles atteinte. Supprimez-en avec `/template delete`.',
+  'template.noneChoice':    'Aucun modèle — créez-en avec /template save',
+  'template.error':         '❌ Erreur modèles de session.',
+
+  // Recurring sessions
+  'recurring.title':           '🔁 **Sessions récurrentes**',
+  'recurring.empty':           '_Aucune session récurrente. Utilisez `/recurring create`._',
+  'recurring.daily':           'tous les jours à {time}',
+  'recurring.weekly':          'chaque {days} à {time}',
+  'recurring.interval':        'tous les {count} jours à {time}',
+  'recurring.next':            'prochaine : <t:{ts}:F>',
+  'recurring.pausedTag':       '⏸️ suspendue',
+  'recurring.created':         '🔁 Session récurrente **#{id}** (**{game}**) programmée {recurrence} ({timeZone}). Première session : <t:{ts}:F> — annoncée {hours} h avant dans ce salon.',
+  'recurring.paused':          '⏸️ Session récurrente **#{id}** suspendue.',
+  'recurring.resumed':         '▶️ Session récurrente **#{id}** reprise. Prochaine session : <t:{ts}:F>.',
+  'recurring.skipped':         '⏭️ Occurrence du <t:{skipped}:F> sautée. Prochaine session : <t:{ts}:F>.',
+  'recurring.deleted':         '🗑️ Session récurrente **#{id}** supprimée.',
+  'recurring.alreadyPaused':   'ℹ️ La session récurrente **#{id}** est déjà suspendue.',
+  'recurring.notPaused':       "ℹ️ La session récurrente **#{id}** n'est pas suspendue.",
+  'recurring.notFound':        '❌ Session récurrente **#{id}** introuvable.',
+  'recurring.invalidTime':     '❌ Heure invalide. Exemples : `21:00`, `21h30`.',
+  'recurring.invalidWeekdays': '❌ Jours invalides. Exemple : `mardi, jeudi`.',
+  'recurring.missingInterval': '❌ Indiquez le nombre de jours entre deux sessions (option `intervalle`).',
+  'recurring.limit':           '❌ Limite de {max} sessions récurrentes atteinte sur ce serveur.',
+  'recurring.error':           '❌ Erreur sessions récurrentes.',
+
+  // Calendar export
+  'calendar.guildName':      'Sessions LFG — {guild}',
+  'calendar.userName':       'Sessions LFG de {user}',
+  'calendar.eventTitle':     '🎮 {game} — session LFG #{id}',
+  'calendar.eventGame':      'Jeu : {game} ({platform}, {activity})',
+  'calendar.eventOrganizer': 'Organisateur : {organizer}',
+  'calendar.eventPlayers':   'Joueurs : {slots}',
+  'calendar.done':           "📅 **{name}** : {count} session(s). Importez le fichier dans votre application d'agenda (Google Agenda, Outlook, Calendrier…).",
+  'calendar.emptyUser':      "ℹ️ Aucune session à venir pour **{user}**.",
+  'calendar.emptyGuild':     'ℹ️ Aucune session à venir sur ce serveur.',
+  'calendar.error':          "❌ Erreur lors de l'export du calendrier.",
+
+  // Guild configuration backup
+  'guildConfig.exported':       "💾 Configuration LFG de **{guild}**. Gardez ce fichier pour la restaurer avec `/guild_config import`.",
+  'guildConfig.exportError':    "❌ Erreur lors de l'export de la configuration.",
+  'guildConfig.tooLarge':       '❌ Fichier trop volumineux (maximum {size} Ko).',
+  'guildConfig.unreadable':     "❌ Impossible de lire le fichier : ce n'est pas un JSON valide.",
+  'guildConfig.invalid':        '❌ Configuration invalide, rien n\'a été modifié. Champs en cause : {fields}',
+  'guildConfig.unchanged':      'ℹ️ Ce fichier ne change rien à la configuration actuelle.',
+  'guildConfig.preview':        "📋 **Import de configuration sur {guild}** (exportée depuis {source}). Changements :",
+  'guildConfig.missing':        '⚠️ **Absents de ce serveur, ignorés :**',
+  'guildConfig.permissionsSkipped': '⚠️ Section **Permissions** ignorée : la modifier nécessite la permission **Gérer le serveur**.',
+  'guildConfig.missingChannel': '• {section} ({key}) : salon `{id}`',
+  'guildConfig.missingRole':    '• {section} ({key}) : rôle `{id}`',
+  'guildConfig.applied':        '✅ Configuration importée ({count} section(s)).',
+  'guildConfig.cancelled':      '↩️ Import annulé, rien n\'a été modifié.',
+  'guildConfig.expired':        '❌ Cet aperçu a expiré, relancez `/guild_config import`.',
+  'guildConfig.notOwner':       "❌ Seul l'auteur de l'import peut le confirmer.",
+  'guildConfig.notAllowed':     "❌ Vous n'avez plus la permission de modifier la configuration.",
+  'guildConfig.importError':    "❌ Erreur lors de l'import, aucune modification n'a été appliquée.",
+  'guildConfig.none':           'aucun',
+  'guildConfig.allGames':       'tous les jeux',
+  'guildConfig.guildOnly':      'langue des membres ignorée',
+  'guildConfig.cooldown':       '{count} session(s) par {minutes} min',
+  'guildConfig.federation':     'envoi {send}, réception {receive}, {allow} autorisé(s), {deny} bloqué(s), {members} membres min., langue : {language}',
+  'guildConfig.section.language':      'Langue',
+  'guildConfig.section.cooldown':      'Cooldown',
+  'guildConfig.section.games':         'Jeux personnalisés',
+  'guildConfig.section.gameFilter':    'Jeux acceptés',
+  'guildConfig.section.channels':      "Salons d'annonce",
+  'guildConfig.section.auditChannel':  "Salon d'audit",
+  'guildConfig.section.gameRoles':     'Rôles par jeu',
+  'guildConfig.section.permissions':   'Permissions',
+  'guildConfig.section.federation':    'Fédération',
+  'guildConfig.section.minReputation': 'Réputation minimale',
+
+  // Matchmaking queue
+  'queue.title':         "⏳ **File d'attente — {game}**",
+  'queue.groupSize':     'Groupes de {count}',
+  'queue.waiting':       '👥 **{count}** en attente',
+  'queue.rank':          'niveau {rank}',
+  'queue.footer':        'Une session se crée dès que le groupe est complet',
+  'queue.description':   "Groupe formé automatiquement par la file d'attente.",
+  'queue.joined':        "⏳ Vous êtes dans la file **{game}** ({count} en attente, groupes de {players}). Vous serez prévenu en message privé dès qu'un groupe se forme — sortie automatique <t:{ts}:R>.",
+  'queue.matchedNow':    '🎯 Groupe trouvé ! La session vient d\'être créée, consultez vos messages privés.',
+  'queue.matched':       "🎯 Groupe trouvé : vous avez rejoint la session **#{id}** (**{game}**) sur **{guild}**, organisée par **{organizer}**.",
+  'queue.expired':       "⌛ Aucun groupe formé à temps : vous avez quitté la file **{game}** sur **{guild}**. Relancez `/queue join` pour réessayer.",
+  'queue.status':        '⏳ File **{game}** · {platform} · {activity} : position **{position}** sur {count} ({players} joueurs requis), sortie automatique <t:{ts}:R>.',
+  'queue.left':          '🚪 Vous avez quitté la file **{game}**.',
+  'queue.already':       "❌ Vous êtes déjà dans une file d'attente sur ce serveur. Quittez-la avec `/queue leave`.",
+  'queue.notQueued':     "ℹ️ Vous n'êtes dans aucune file d'attente sur ce serveur.",
+  'queue.noComposition': "❌ **{game}** n'a pas de composition de rôles standard pour {players} joueurs : entrez dans la file sans rôle.",
+  'queue.error':         "❌ Erreur file d'attente.",
+};
+
+const en = {
+  // Buttons
+  'button.voice':    '🔊 Voice',
+  'button.text':     '💬 Chat',
+  'button.info':     '📢 Info',
+  'button.waitlist': '⏳ Waitlist',
+  'button.join':     '✅ Join',
+  'button.attend':   "✅ I'm in",
+  'button.leave':    '🚪 Leave',
+  'button.withdraw': "❌ I can't make it",
+  'button.leaveQueue': '🚪 Leave queue',
+  'button.close':    '🔒 Close',
+  'button.confirm':  '✅ Confirm',
+  'button.cancel':   '↩️ Cancel',
+  'button.requestJoin': '📨 Request to join',
+  'button.accept':      '✅ Accept',
+  'button.deny':        '🚫 Deny',
+
+  // Session containers
+  'label.default':        'LFG session',
+  'session.full':         '**FULL**',
+  'session.waitlistCount': '⏳ **Waitlist:** {count}',
+  'session.organizer':    '👑 **Organizer:** {mention}',
+  'session.players':      '👥 **Players:** {slots}',
+  'session.gametag':      '🎯 **Gametag:** `{gametag}`',
+  'session.start':        '📅 **Start:** <t:{ts}:F> (<t:{ts}:R>)',
+  'session.roles':        '🎭 **Roles:**',
+  'session.participants': '👥 **Participants:** {mentions}',
+  'session.twitch':       '🟣 **Twitch live:** [{channel}]({url})',
+  'session.footerPlanned': '📅 Channels open {minutes} min before the start',
+  'session.footerLive':   '⏱️ Channels deleted after 5 min when empty',
+  'cross.title':          '📡 **LFG session — External announcement**',
+  'cross.closedTitle':    '🔒 **LFG session ended — External announcement**',
+  'cross.hostedOn':       '🌐 Session hosted on **{guild}**',
+
+  // Presence
+  'presence.searching':      '🔍 Looking for group',
+  'presence.sessions.one':   '{count} active session',
+  'presence.sessions.other': '{count} active sessions',
+  'presence.players.one':    '{count} player in session',
+  'presence.players.other':  '{count} players in session',
+
+  // Shared
+  'common.nobody': 'Nobody',
+  'label.planned': 'Planned LFG session',
+
+  // Waitlist
+  'waitlist.promotedPlanned': '🎉 A spot opened up: you are signed up for session **#{id}** (**{game}**) — starts <t:{ts}:F>.',
+  'waitlist.promoted':        '🎉 A spot opened up: you joined session **#{id}** (**{game}**) on **{guild}**.',
+  'waitlist.voiceLink':       '> 🔊 Voice: {url}',
+  'waitlist.assignedRole':    '> 🎭 Assigned role: **{role}**',
+
+  // Session channels
+  'label.plannedOpened':    'Planned session — channels open',
+  'channel.discussionName': 'chat',
+  'channel.welcome':        '👋 Welcome to the chat channel of session **#{id}**!\n> Organizer: {mention}',
+  'channel.infoNotice':     '📢 Information channel for session **#{id}** — use the buttons above.',
+  'channels.defaultChoice': 'Default channel (*)',
+
+  // Reminders
+  'reminder.notice': '⏰ **Reminder:** session **#{id}** (**{game}**) starts <t:{ts}:R>!',
+  'reminder.voice':  '> 🔊 Join the voice channel: {channel}',
+
+  // Errors
+  'error.sessionNotFound':  '❌ Session **#{id}** not found.',
+  'cooldown.reached.one':   '❌ Limit of **{count} session** per {minutes} minute(s) reached.',
+  'cooldown.reached.other': '❌ Limit of **{count} sessions** per {minutes} minute(s) reached.',
+
+  // /lfg
+  'label.new':           'New LFG session',
+  'label.queue':         'LFG session formed from the queue',
+  'label.template':      'New LFG session (template)',
+  'label.recurring':     'Recurring LFG session',
+  'lfg.noDescription':   'No description',
+  'lfg.unknownGame':     '❌ Unknown game **{game}** on this server.\n💡 Pick a suggested game, or ask an administrator to add it with `/games add`.',
+  'lfg.missingGametag':  '❌ No gametag provided for **{game}** on **{platform}**.\n💡 Fill in the `gametag` option or save it with `/profile set`.',
+  'lfg.invalidRoles':    '❌ Invalid role composition.\n✅ Expected format: `1 tank, 1 healer, 3 dps` ({max} roles and 10 players at most)',
+  'lfg.unknownRole':     '❌ The role **{role}** is not part of the composition ({roles}).',
+  'lfg.invalidStart':    '❌ Invalid start time.\n✅ Accepted formats: `21:30`, `25/12 21:30`, `25/12/2026 21:30`, `+2h`, `+90m`',
+  'lfg.startOutOfRange': '❌ The start time must be in the future and less than {days} days away.',
+  'lfg.invalidTwitch':   '❌ Invalid Twitch username.\n✅ Expected format: `nuggan85` (letters, digits, underscores, 1-25 characters)',
+  'lfg.gameNotAllowed':  '❌ This server does not accept **{game}**.\n📋 Allowed games: {games}',
+  'lfg.yourRole':        '> 🎭 {roles} — your role: **{role}**',
+  'lfg.planned':         '✅ Session **#{id}** planned for <t:{ts}:F>!\n> 📅 Channels will be created {minutes} min before the start.',
+  'lfg.created':         '✅ Session **#{id}** created!\n> 💬 {text} · 📢 {info}',
+  'lfg.error':           '❌ Error while creating the session.',
+
+  // /duplicate_lfg
+  'label.duplicated':  '🔁 Duplicated session',
+  'duplicate.created': '✅ Session **#{id}** created *(duplicated from #{source})*!\n> 💬 {text} · 📢 {info}',
+  'duplicate.error':   '❌ Error while duplicating the session.',
+
+  // /modify_lfg
+  'label.modified':    'LFG session updated',
+  'modify.nothing':    '❌ Provide at least one field to change.',
+  'modify.rolesFixed': "❌ This session's player count is set by its role composition.",
+  'modify.done':       '✅ Session **#{id}** updated.',
+  'modify.error':      '❌ Error while updating the session.',
+
+  // /close_lfg, /transfer_lfg
+  'close.notAllowed':          '❌ Only the organizer and members who can moderate sessions can close this session.',
+  'close.confirm':             '⚠️ Close session **#{id}**? Its channels will be deleted and nobody will be able to join it anymore.',
+  'close.cancelled':           '↩️ Closing session **#{id}** cancelled.',
+  'close.done':                '🔒 Session **#{id}** closed.',
+  'close.error':               '❌ Error while closing the session.',
+  'transfer.notParticipant':   '❌ {tag} is not signed up for this session.',
+  'transfer.alreadyOrganizer': '❌ {tag} is already the organizer of this session.',
+  'transfer.done':             '✅ **{tag}** is now the organizer of session **#{id}**.',
+  'transfer.notice':           '👑 {mention} is now the organizer of session **#{id}**.',
+  'transfer.organizerLeft':    '👑 The organizer left the server: {mention} takes over session **#{id}**.',
+  'transfer.error':            '❌ Error while transferring the session.',
+
+  // Private sessions, /invite_lfg
+  'visibility.approval':       '🔐 **Approval required** — the organizer reviews every request',
+  'visibility.invite':         '✉️ **Invite only**',
+  'visibility.inviteOnly':     '❌ This session is invite-only: ask the organizer to add you.',
+  'approval.full':             '❌ This session is full.',
+  'approval.noWaitlist':       '❌ Private sessions have no waitlist.',
+  'approval.alreadyRequested': '⏳ Your request is already awaiting an answer.',
+  'approval.request':          '📨 {organizer} — {mention} asks to join session **#{id}**{role}.',
+  'approval.requested':        "📨 Request sent for session **#{id}**. You'll get the organizer's answer by direct message.",
+  'approval.notAllowed':       '❌ Only the organizer and members who can moderate sessions can answer requests.',
+  'approval.noRequest':        '❌ This request has already been handled.',
+  'approval.accepted':         "✅ {mention}'s request accepted by {by} (session **#{id}**).",
+  'approval.denied':           "🚫 {mention}'s request denied by {by} (session **#{id}**).",
+  'approval.withdrawn':        '↩️ {mention} withdrew their request (session **#{id}**).',
+  'approval.cancelled':        '↩️ Your request for session **#{id}** is cancelled.',
+  'approval.acceptedDm':       "✅ Request accepted: you're in session **#{id}** (**{game}**) on **{guild}**!",
+  'approval.deniedDm':         '🚫 Your request for session **#{id}** (**{game}**) on **{guild}** was not accepted.',
+  'approval.error':            '❌ Error while handling the request.',
+  'invite.publicSession':      '❌ This session is public: anyone can already join it.',
+  'invite.already':            '❌ {tag} is already in this session.',
+  'invite.banned':             '❌ {tag} is banned from this session: lift the ban with `/unban_member` to invite them.',
+  'invite.done':               '✅ **{tag}** added to session **#{id}**.',
+  'invite.dm':                 '✉️ **{by}** added you to session **#{id}** (**{game}**) on **{guild}**!',
+  'invite.error':              '❌ Error while adding the member.',
+
+  // Shared
+  'common.page':          'Page {page}/{total}',
+  'error.memberNotFound': '❌ Member not found on this server.',
+
+  // /list_members
+  'members.title':        '👥 **Session members**',
+  'members.noneInVoice':  '_Nobody in the voice channel_',
+  'members.noGametag':    '_no gametag set_',
+  'members.noneJoined':   '_Nobody signed up_',
+  'members.participants': '🎯 **Participants:**',
+  'members.inVoice':      '🔊 **In voice:**',
+  'members.summary':      '📋 **Signed up:** {joined}/{players}  ·  🔊 **In voice:** {voice}',
+  'members.private':      '🔒 Session **#{id}** is private: only its participants and moderators can see its members.',
+  'members.error':        '❌ Error while listing members.',
+
+  // /kick_member, /ban_member, /unban_member
+  'kick.done':          '✅ **{tag}** removed from session **#{id}**.',
+  'kick.error':         '❌ Error while removing the member.',
+  'kick.organizer':     '❌ You cannot remove yourself from your own session: use `/transfer_lfg` or `/close_lfg`.',
+  'kick.notParticipant': '❌ This member is not registered in session **#{id}**.',
+  'kick.dm':            '👋 You were removed from session **#{id}** ({game}) on **{guild}** by {by}.',
+  'ban.reason':         'Banned from LFG session {id}',
+  'ban.done':           '✅ **{tag}** banned from session **#{id}**.',
+  'ban.error':          '❌ Error while banning the member.',
+  'ban.doneOrganizer':  '✅ **{tag}** banned from session **#{id}** and from all your future sessions.',
+  'ban.doneServer':     '🔨 **{tag}** was also banned from the server.',
+  'ban.self':           '❌ You cannot ban yourself.',
+  'ban.organizer':      '❌ The organizer cannot be banned from their own session.',
+  'ban.serverPermission': '❌ Banning from the server requires the "Ban Members" permission.',
+  'ban.serverHierarchy': '❌ You cannot ban {tag} from the server: their highest role is equal to or above yours.',
+  'ban.blocked':        '⛔ You cannot join this session.',
+  'unban.done':         '✅ **{tag}** can join session **#{id}** again.',
+  'unban.notBanned':    '❌ **{tag}** is not banned from session **#{id}**.',
+  'unban.error':        '❌ Error while lifting the ban.',
+
+  // /stats
+  'stats.title':              '📊 **LFG statistics**',
+  'stats.titleGame':          '📊 **LFG statistics — {game}**',
+  'stats.sessionCount.one':   '{count} session',
+  'stats.sessionCount.other': '{count} sessions',
+  'stats.noData':             '_No data._',
+  'stats.sessions':           '🗂️ **Sessions created:** {created}  ·  ✅ **Ended:** {ended}',
+  'stats.players':            '👥 **Sign-ups:** {joined}  ·  🚪 **Departures:** {left}',
+  'stats.averages':           '📈 **Average fill rate:** {fill}  ·  ⏱️ **Average duration:** {duration}',
+  'stats.active':             '🟢 **Active sessions:** {count}',
+  'stats.activePlayers':      '🎮 **Players in session:** {count}',
+  'stats.topGames':           '🏆 **Top games:**',
+  'stats.topPlatforms':       '🕹️ **Top platforms:**',
+  'stats.cooldown':           '⏱️ **Cooldown:** {count} session(s) per {minutes} min',
+  'stats.error':              '❌ Error while showing statistics.',
+
+  // Shared
+  'error.unknownGame': '❌ Unknown game **{game}** on this server.',
+  'nav.previous':      '◀ Back',
+  'nav.next':          'Next ▶',
+
+  // /history
+  'history.title':             '📜 **Session history**',
+  'history.since':             'since <t:{ts}:d>',
+  'history.until':             'until <t:{ts}:d>',
+  'history.filters':           '🔎 **Filters:** {filters}',
+  'history.empty':             '_No sessions in the history._',
+  'history.total.one':         '{count} archived session',
+  'history.total.other':       '{count} archived sessions',
+  'history.invalidDate':       '❌ Invalid date.\n✅ Expected format: `DD/MM/YYYY` (e.g. `25/12/2026`)',
+  'history.invalidRange':      '❌ The start date must come before the end date.',
+  'history.error':             '❌ Error while showing the history.',
+  'endReason.empty_voice':     '🔇 Empty voice channel',
+  'endReason.expired':         '⌛ Expired (24h)',
+  'endReason.manual':          '🛑 Closed manually',
+  'endReason.channel_missing': '⚠️ Channels missing',
+  'endReason.organizer_left':  '🚪 Organizer left',
+  'endReason.open_failed':     '⚠️ Could not be opened',
+
+  // Announcement channels
+  'channels.allGames':      '**all games** *(default channel)*',
+  'channels.set':           '✅ Channel {channel} set for {target}.',
+  'channels.setError':      '❌ Error while setting the channel.',
+  'channels.noDefault':     '❌ No default channel configured.',
+  'channels.noneForGame':   '❌ No channel configured for **{game}**.',
+  'channels.theDefault':    '**the default channel**',
+  'channels.removed':       '✅ Configuration removed for {target}.',
+  'channels.removeError':   '❌ Error while removing the channel.',
+  'channels.title':         '📡 **LFG channels — Cross-server configuration**',
+  'channels.empty':         '_No channel configured._\n\n• `/set_lfg_channel #channel` — default channel\n• `/set_lfg_channel #channel game:Valorant` — per-game channel',
+  'channels.missing':       '`{id}` *(not found)*',
+  'channels.default':       '🌐 **Default channel** *(every game without its own channel)*\n> {channel}',
+  'channels.defaultUnset':  '🌐 **Default channel** — _not configured_\n> Games without their own channel will not be announced.',
+  'channels.perGame.one':   '🎮 **Per-game channels** *({count} configured)*',
+  'channels.perGame.other': '🎮 **Per-game channels** *({count} configured)*',
+  'channels.perGameNone':   '🎮 **Per-game channels** — _none_\n> Every announcement uses the default channel.',
+  'channels.summary.one':   '📋 **Summary:** {count} channel configured ({games} per game + {defaults} default)',
+  'channels.summary.other': '📋 **Summary:** {count} channels configured ({games} per game + {defaults} default)',
+  'channels.listError':     '❌ Error while showing the configuration.',
+
+  // Shared
+
+  // /set_cooldown
+  'cooldown.title':             '⏱️ **LFG cooldown configured**',
+  'cooldown.applied':           '✅ New cooldown applied:',
+  'cooldown.maxSessions.one':   '• **{count}** session at most per user',
+  'cooldown.maxSessions.other': '• **{count}** sessions at most per user',
+  'cooldown.window.one':        '• Window of **{count}** minute',
+  'cooldown.window.other':      '• Window of **{count}** minutes',
+  'cooldown.error':             '❌ Error while configuring the cooldown.',
+
+  // /config
+  'config.title':            '⚙️ **LFG configuration**',
+  'config.gameToAdd':        '❌ Specify a game to add.',
+  'config.gameToRemove':     '❌ Specify a game to remove.',
+  'config.alreadyFiltered':  '⚠️ **{game}** is already in the filter.',
+  'config.notFiltered':      '⚠️ **{game}** is not in the filter.',
+  'config.added':            '✅ **{game}** added.',
+  'config.removed':          '✅ **{game}** removed.',
+  'config.reset':            '✅ Filter reset — every game is accepted.',
+  'config.modeAll':          '🌐 **Mode:** Every game accepted *(no filter)*',
+  'config.modeFilter.one':   '🔒 **Mode:** Filter on — **{count}** allowed game',
+  'config.modeFilter.other': '🔒 **Mode:** Filter on — **{count}** allowed games',
+  'config.allowedGames':     '📋 **Allowed games:**',
+  'config.noFilter':         '_No filter. Every session is accepted._',
+  'config.hint':             '💡 `/config action:Add game:X` · `/config action:Remove game:X` · `/config action:Reset`',
+  'config.error':            '❌ Configuration error.',
+
+  // /games
+  'games.title':          '🕹️ **Custom games**',
+  'games.invalidName':    '❌ Invalid game name (2 to 50 characters).',
+  'games.invalidImage':   '❌ Invalid image URL.\n✅ Expected format: `https://…`',
+  'games.tooManyAliases': '❌ {max} aliases at most, 30 characters each.',
+  'games.limit':          '❌ Limit of **{max}** custom games reached.',
+  'games.nameConflict':   '❌ This name or an alias is already used by **{game}**.',
+  'games.aliasConflict':  '❌ An alias is already used by **{game}**.',
+  'games.renameConflict': '❌ This name is already used by **{game}**.',
+  'games.notCustom':      '❌ **{game}** is not a custom game of this server.',
+  'games.nothingToEdit':  '❌ Provide an image or aliases.',
+  'games.sameName':       '⚠️ The new name is the same.',
+  'games.added':          '✅ **{game}** added to the catalog.',
+  'games.edited':         '✅ **{game}** updated.',
+  'games.renamed':        '✅ **{game}** renamed to **{name}**.',
+  'games.removed':        '✅ **{game}** removed from the catalog.',
+  'games.error':          '❌ Game catalog error.',
+  'games.aliases':        'aliases: {aliases}',
+  'games.more.one':       '_… and {count} more_',
+  'games.more.other':     '_… and {count} more_',
+  'games.catalog.one':    '📋 **Catalog:** {builtIn} built-in games + **{count}** custom game',
+  'games.catalog.other':  '📋 **Catalog:** {builtIn} built-in games + **{count}** custom games',
+  'games.empty':          '_No custom games. Add some with `/games add`._',
+  'games.hint':           '💡 `/games add name:X` · `/games edit game:X` · `/games rename game:X new_name:Y` · `/games remove game:X`',
+
+  // /profile
+  'launcher.riot':            'Riot ID',
+  'launcher.battlenet':       'BattleTag',
+  'launcher.psn':             'PSN',
+  'launcher.xbox':            'Xbox Gamertag',
+  'launcher.steam':           'Steam',
+  'launcher.epic':            'Epic Games',
+  'profile.title':            "🪪 **{name}'s profile**",
+  'profile.none':             'ℹ️ **{name}** has no profile yet.',
+  'profile.setHint':          '💡 Use `/profile set` to save your gametags.',
+  'profile.nothingToClear':   'ℹ️ You have no profile to clear.',
+  'profile.cleared':          '✅ Profile cleared.',
+  'profile.fieldCleared':     '✅ Field cleared.',
+  'profile.invalidGametag':   '❌ Invalid {launcher}.\n✅ Expected format: `{example}`',
+  'profile.tooManyGames':     '❌ 10 games at most, 50 characters each.',
+  'profile.tooManyLanguages': '❌ 5 languages at most, 20 characters each.',
+  'profile.invalidTimeZone':  '❌ Unknown time zone.\n✅ Expected format: `Europe/Paris`, `America/Montreal`, `UTC`',
+  'profile.nothingToSet':     '❌ Fill in at least one field (gametag, games, languages or time zone).',
+  'profile.updated':          '✅ Profile updated.',
+  'profile.error':            '❌ Error while saving the profile.',
+  'profile.gametags':         '🎯 **Gametags:**',
+  'profile.gametagLine':      '**{launcher}:** `{gametag}`',
+  'profile.noGametags':       '_No gametag saved_',
+  'profile.games':            '🎮 **Favourite games:** {games}',
+  'profile.languages':        '🗣️ **Languages:** {languages}',
+  'profile.timeZone':         '🕒 **Time zone:** {timeZone}',
+  'profile.footer':           'The /lfg gametag is pre-filled from this profile',
+
+  // Shared
+  'error.rateLimit':      '❌ Rate limit reached. Please wait a moment.',
+  'error.unknownCommand': '❌ Unknown command.',
+  'error.unknownButton':  '❌ Unknown button.',
+  'error.sessionExpired': '❌ Session **#{id}** not found. It may have expired.',
+  'error.voiceNotFound':  '❌ Voice channel not found.',
+  'error.textNotFound':   '❌ Chat channel not found.',
+  'error.infoNotFound':   '❌ Information channel not found.',
+
+  // Session buttons
+  'join.pickRole':          "❌ Pick a role with the session's buttons.",
+  'join.sameRole':          '❌ You already hold the **{role}** role.',
+  'join.roleFull':          '❌ The **{role}** role is full.',
+  'join.roleSwitched':      '🔄 You now play **{role}** in session **#{id}**.',
+  'join.already':           '❌ You already joined this session.',
+  'join.full':              '❌ This session is full. Use the **{button}** button to take the next spot.',
+  'join.asRole':            ' as **{role}**',
+  'join.plannedDone':       '✅ Signed up{role} for session **#{id}** — starts <t:{ts}:F>. You will get a reminder.',
+  'join.done':              '✅ Joined session **#{id}**{role}! Join: {channel}',
+  'join.error':             '❌ Error while joining the session.',
+  'waitlist.alreadyQueued': '⏳ You are already number **{position}** on the waitlist.',
+  'waitlist.slotFree':      '✅ A spot is free: use the **{button}** button.',
+  'waitlist.queued':        '⏳ You are number **{position}** on the waitlist of session **#{id}**. You will be notified as soon as a spot opens up.',
+  'waitlist.error':         '❌ Error while joining the waitlist.',
+  'waitlist.left':          '✅ You left the waitlist of session **#{id}**.',
+  'leave.notJoined':        '❌ You are not signed up for this session.',
+  'leave.organizer':        '❌ The organizer cannot leave: hand the session over with `/transfer_lfg` or close it with `/close_lfg`.',
+  'leave.done':             '✅ You left session **#{id}**.',
+  'leave.error':            '❌ Error while leaving the session.',
+  'history.notOwner':       '❌ This history is not yours.',
+  'history.pageError':      '❌ Pagination error.',
+  'cross.expired':          '❌ Session not found or expired.',
+  'cross.voice':            'Join the voice channel',
+  'cross.text':             'Chat channel',
+  'cross.info':             'Information channel',
+  'cross.channel':          'Channel',
+  'cross.notMember':        '❌ This session is hosted on **{guild}**: join that server to take part.',
+
+  // /set_language
+  'language.set':        '✅ Server language: **{language}**.',
+  'language.followUser': "> Private replies follow each member's Discord language when it is supported.",
+  'language.guildOnly':  '> Every reply uses the server language.',
+  'language.error':      '❌ Error while setting the language.',
+
+  // /federation
+  'federation.title':        '🌐 **Federation**',
+  'federation.on':           '✅ enabled',
+  'federation.off':          '❌ disabled',
+  'federation.send':         '📤 Sending sessions: {status}',
+  'federation.receive':      '📥 Receiving sessions: {status}',
+  'federation.allowlist':    '✅ Allowlist: {guilds}',
+  'federation.denylist':     '⛔ Denylist: {guilds}',
+  'federation.criteria':     '📏 Partner requirements: {criteria}',
+  'federation.allowAll':     '_every server_',
+  'federation.none':         '_none_',
+  'federation.minMembers':   'at least {count} members',
+  'federation.language':     'language {language}',
+  'federation.partners':     "📨 This server's sessions are sent to {count} server(s): {guilds}",
+  'federation.noPartners':   "📨 No partner server receives this server's sessions.",
+  'federation.updated':      '✅ Federation updated.',
+  'federation.allowed':      '✅ **{guild}** added to the allowlist.',
+  'federation.denied':       '⛔ **{guild}** added to the denylist.',
+  'federation.unlisted':     '🗑️ **{guild}** removed from the lists.',
+  'federation.invalidGuild': '❌ Invalid server ID.',
+  'federation.self':         '❌ This server cannot list itself.',
+  'federation.error':        '❌ Error while configuring federation.',
+
+  // /reputation
+  'reputation.title':          "⭐ **{name}'s reputation**",
+  'reputation.score':          '🏅 Score: **{score}**',
+  'reputation.details':        '👍 {commend} commendation(s) · 👎 {report} report(s) · 🚫 {noShow} no-show(s)',
+  'reputation.minimum':        "🔒 Minimum reputation to join this server's sessions: **{minimum}**",
+  'reputation.noMinimum':      '🔓 No minimum reputation on this server.',
+  'reputation.minimumSet':     '✅ Minimum reputation to join sessions: **{minimum}**.',
+  'reputation.minimumCleared': '✅ Minimum reputation removed.',
+  'reputation.tooLow':         '❌ Your reputation (**{score}**) is below the minimum required on this server (**{minimum}**).',
+  'reputation.error':          '❌ Error while configuring reputation.',
+
+  // Post-session feedback (DM)
+  'feedback.prompt':             '🏁 Session **#{id}** ({game}) on **{guild}** has ended. You can commend or report your teammates (optional).',
+  'feedback.commendPlaceholder': '👍 Commend…',
+  'feedback.reportPlaceholder':  '👎 Report…',
+  'feedback.commended':          '✅ {count} player(s) commended. Thanks!',
+  'feedback.reported':           '✅ {count} player(s) reported.',
+  'feedback.notParticipant':     '❌ You did not take part in this session.',
+  'feedback.expired':            '❌ The time to give feedback on this session has passed.',
+
+  // Audit log
+  'audit.create':         'Session created',
+  'audit.duplicate':      'Session duplicated',
+  'audit.modify':         'Session modified',
+  'audit.join':           'Joined',
+  'audit.leave':          'Left',
+  'audit.kick':           'Member removed',
+  'audit.ban':            'Member banned',
+  'audit.unban':          'Ban lifted',
+  'audit.delete':         'Session deleted',
+  'audit.config':         'Configuration changed',
+  'audit.system':         '_automatic_',
+  'audit.title':          '📜 **LFG audit log**',
+  'audit.empty':          '_No events recorded._',
+  'audit.channel':        '📡 Log channel: {channel}',
+  'audit.noChannel':      '📡 No log channel: `/set_log_channel #channel`',
+  'audit.channelSet':     '✅ The LFG audit log will be posted in {channel}.',
+  'audit.channelRemoved': '✅ Audit log channel disabled. Events can still be viewed with `/audit`.',
+  'audit.error':          '❌ Audit log error.',
+
+  'permission.denied':    '❌ **{capability}** capability required. See `/permissions view`.',
+  'capability.create':    'Create sessions',
+  'capability.moderate':  'Moderate any session',
+  'capability.config':    'Manage configuration',
+  'capability.crosspost': 'Post on other servers',
+  'permissions.title':    '🔐 **LFG permissions**',
+  'permissions.default.create':    '_Default: everyone_',
+  'permissions.default.moderate':  '_Default: **Manage Channels** permission (organizers always moderate their own session)_',
+  'permissions.default.config':    '_Default: **Manage Server** permission (**Manage Channels** for LFG channels)_',
+  'permissions.default.crosspost': '_Default: everyone_',
+  'permissions.hint':     '-# Mapped roles replace the default permission. Administrators always have every capability.',
+  'permissions.added':    '✅ {role} can now: **{capability}**.',
+  'permissions.removed':  '✅ {role} can no longer: **{capability}**.',
+  'permissions.already':  'ℹ️ {role} already has the **{capability}** capability.',
+  'permissions.notMapped': 'ℹ️ {role} is not mapped to the **{capability}** capability.',
+  'permissions.resetOne': '✅ **{capability}** is back to its default permission.',
+  'permissions.reset':    '✅ Every capability is back to its default permission.',
+  'permissions.error':    '❌ Permissions configuration error.',
+  'permissions.manageGuild': '❌ Mapping roles to capabilities requires the **Manage Server** permission.',
+
+  'subscribe.done':        "🔔 Subscribed: {subscription}. You'll get a DM for every new matching session.",
+  'subscribe.already':     'ℹ️ You are already subscribed: {subscription}.',
+  'subscribe.limit':       '❌ Limit of {max} subscriptions reached on this server. Remove some with `/unsubscribe`.',
+  'subscribe.removed':     '🔕 Subscription removed: {subscription}.',
+  'subscribe.removedAll':  '🔕 {count} subscription(s) removed.',
+  'subscribe.notFound':    '❌ Subscription not found.',
+  'subscribe.allChoice':   'All my subscriptions on this server',
+  'subscribe.error':       '❌ Subscription error.',
+  'subscribe.noticeTitle': '🔔 **New {game} session**',
+  'subscribe.noticeStart': '🕒 Starts: <t:{ts}:F> (<t:{ts}:R>)',
+  'subscribe.noticeLink':  'View announcement',
+  'notifications.title':         '🔔 **Session notifications**',
+  'notifications.subscriptions': '**Subscriptions ({count})**',
+  'notifications.none':          '_No subscriptions. Use `/subscribe`._',
+  'notifications.quiet':         '🌙 Quiet hours: {start} → {end} ({timeZone})',
+  'notifications.noQuiet':       '🌙 Quiet hours: _none_',
+  'notifications.limit':         '📬 Cap: {sent}/{count} notifications per 24 h',
+  'notifications.quietSet':      '✅ No notifications between {start} and {end}.',
+  'notifications.quietRemoved':  '✅ Quiet hours disabled.',
+  'notifications.quietBoth':     '❌ Give both the start and end of quiet hours, or neither to disable them.',
+  'notifications.invalidTime':   '❌ Invalid time. Use the `23:00` or `23h` format.',
+  'notifications.limitSet':      '✅ At most {count} notifications per 24 hours.',
+  'gameRole.set':            '✅ {role} will be mentioned for every new **{game}** session.',
+  'gameRole.removed':        '✅ No role is mentioned for **{game}** anymore.',
+  'gameRole.notSet':         'ℹ️ No role is mapped to **{game}**.',
+  'gameRole.invalidRole':    '❌ This role cannot be mapped to a game.',
+  'gameRole.notMentionable': "⚠️ This role isn't mentionable and the bot lacks the **Mention @everyone** permission: the mention won't notify anyone.",
+  'gameRole.listTitle':      '🔔 **Roles mentioned per game**',
+  'gameRole.empty':          '_No roles mapped. Use `/game_role set`._',
+  'gameRole.error':          '❌ Game role error.',
+
+  // Session templates
+  'template.title':         '📋 **Session templates**',
+  'template.personalTitle': '👤 **Your templates**',
+  'template.sharedTitle':   '👥 **Server templates**',
+  'template.empty':         '_No templates._',
+  'template.players':       '👥 {count} players',
+  'template.personal':      'personal',
+  'template.shared':        'shared with the server',
+  'template.saved':         '✅ Template **{name}** saved ({scope}). Launch it with `/template launch`.',
+  'template.updated':       '✅ Template **{name}** updated ({scope}).',
+  'template.deleted':       '🗑️ Template **{name}** deleted.',
+  'template.notFound':      '❌ Template **{name}** not found.',
+  'template.limit':         '❌ Limit of {max} templates reached. Delete some with `/template delete`.',
+  'template.noneChoice':    'No templates — create one with /template save',
+  'template.error':         '❌ Session template error.',
+
+  // Recurring sessions
+  'recurring.title':           '🔁 **Recurring sessions**',
+  'recurring.empty':           '_No recurring sessions. Use `/recurring create`._',
+  'recurring.daily':           'every day at {time}',
+  'recurring.weekly':          'every {days} at {time}',
+  'recurring.interval':        'every {count} days at {time}',
+  'recurring.next':            'next: <t:{ts}:F>',
+  'recurring.pausedTag':       '⏸️ paused',
+  'recurring.created':         '🔁 Recurring session **#{id}** (**{game}**) scheduled {recurrence} ({timeZone}). First session: <t:{ts}:F> — announced {hours} h ahead in this channel.',
+  'recurring.paused':          '⏸️ Recurring session **#{id}** paused.',
+  'recurring.resumed':         '▶️ Recurring session **#{id}** resumed. Next session: <t:{ts}:F>.',
+  'recurring.skipped':         '⏭️ Occurrence of <t:{skipped}:F> skipped. Next session: <t:{ts}:F>.',
+  'recurring.deleted':         '🗑️ Recurring session **#{id}** deleted.',
+  'recurring.alreadyPaused':   'ℹ️ Recurring session **#{id}** is already paused.',
+  'recurring.notPaused':       'ℹ️ Recurring session **#{id}** is not paused.',
+  'recurring.notFound':        '❌ Recurring session **#{id}** not found.',
+  'recurring.invalidTime':     '❌ Invalid time. Examples: `21:00`, `21h30`.',
+  'recurring.invalidWeekdays': '❌ Invalid days. Example: `tuesday, thursday`.',
+  'recurring.missingInterval': '❌ Give the number of days between two sessions (`interval` option).',
+  'recurring.limit':           '❌ Limit of {max} recurring sessions reached on this server.',
+  'recurring.error':           '❌ Recurring session error.',
+
+  // Calendar export
+  'calendar.guildName':      'LFG sessions — {guild}',
+  'calendar.userName':       "{user}'s LFG sessions",
+  'calendar.eventTitle':     '🎮 {game} — LFG session #{id}',
+  'calendar.eventGame':      'Game: {game} ({platform}, {activity})',
+  'calendar.eventOrganizer': 'Organizer: {organizer}',
+  'calendar.eventPlayers':   'Players: {slots}',
+  'calendar.done':           '📅 **{name}**: {count} session(s). Import the file into your calendar app (Google Calendar, Outlook, Calendar…).',
+  'calendar.emptyUser':      'ℹ️ No upcoming sessions for **{user}**.',
+  'calendar.emptyGuild':     'ℹ️ No upcoming sessions on this server.',
+  'calendar.error':          '❌ Error while exporting the calendar.',
+
+  // Guild configuration backup
+  'guildConfig.exported':       '💾 LFG configuration of **{guild}**. Keep this file to restore it with `/guild_config import`.',
+  'guildConfig.exportError':    '❌ Error while exporting the configuration.',
+  'guildConfig.tooLarge':       '❌ File too large (maximum {size} KB).',
+  'guildConfig.unreadable':     '❌ Unable to read the file: it is not valid JSON.',
+  'guildConfig.invalid':        '❌ Invalid configuration, nothing was changed. Offending fields: {fields}',
+  'guildConfig.unchanged':      'ℹ️ This file does not change the current configuration.',
+  'guildConfig.preview':        '📋 **Configuration import on {guild}** (exported from {source}). Changes:',
+  'guildConfig.missing':        '⚠️ **Missing from this server, skipped:**',
+  'guildConfig.permissionsSkipped': '⚠️ **Permissions** section skipped: changing it requires the **Manage Server** permission.',
+  'guildConfig.missingChannel': '• {section} ({key}): channel `{id}`',
+  'guildConfig.missingRole':    '• {section} ({key}): role `{id}`',
+  'guildConfig.applied':        '✅ Configuration imported ({count} section(s)).',
+  'guildConfig.cancelled':      '↩️ Import cancelled, nothing was changed.',
+  'guildConfig.expired':        '❌ This preview has expired, run `/guild_config import` again.',
+  'guildConfig.notOwner':       '❌ Only the member who started the import can confirm it.',
+  'guildConfig.notAllowed':     '❌ You are no longer allowed to change the configuration.',
+  'guildConfig.importError':    '❌ Error during the import, no change was applied.',
+  'guildConfig.none':           'none',
+  'guildConfig.allGames':       'all games',
+  'guildConfig.guildOnly':      'member language ignored',
+  'guildConfig.cooldown':       '{count} session(s) per {minutes} min',
+  'guildConfig.federation':     'send {send}, receive {receive}, {allow} allowed, {deny} blocked, {members} members min., language: {language}',
+  'guildConfig.section.language':      'Language',
+  'guildConfig.section.cooldown':      'Cooldown',
+  'guildConfig.section.games':         'Custom games',
+  'guildConfig.section.gameFilter':    'Accepted games',
+  'guildConfig.section.channels':      'Announcement channels',
+  'guildConfig.section.auditChannel':  'Audit channel',
+  'guildConfig.section.gameRoles':     'Game roles',
+  'guildConfig.section.permissions':   'Permissions',
+  'guildConfig.section.federation':    'Federation',
+  'guildConfig.section.minReputation': 'Minimum reputation',
+
+  // Matchmaking queue
+  'queue.title':         '⏳ **Queue — {game}**',
+  'queue.groupSize':     'Groups of {count}',
+  'queue.waiting':       '👥 **{count}** waiting',
+  'queue.rank':          'rank {rank}',
+  'queue.footer':        'A session is created as soon as the group is full',
+  'queue.description':   'Group formed automatically by the matchmaking queue.',
+  'queue.joined':        "⏳ You're in the **{game}** queue ({count} waiting, groups of {players}). You'll get a DM as soon as a group forms — automatic exit <t:{ts}:R>.",
+  'queue.matchedNow':    '🎯 Group found! The session was just created, check your DMs.',
+  'queue.matched':       '🎯 Group found: you joined session **#{id}** (**{game}**) on **{guild}**, organized by **{organizer}**.',
+  'queue.expired':       '⌛ No group formed in time: you left the **{game}** queue on **{guild}**. Run `/queue join` again to retry.',
+  'queue.status':        '⏳ **{game}** queue · {platform} · {activity}: position **{position}** of {count} ({players} players needed), automatic exit <t:{ts}:R>.',
+  'queue.left':          '🚪 You left the **{game}** queue.',
+  'queue.already':       "❌ You're already in a queue on this server. Leave it with `/queue leave`.",
+  'queue.notQueued':     "ℹ️ You're not in any queue on this server.",
+  'queue.noComposition': "❌ **{game}** has no standard role composition for {players} players: join the queue without a role.",
+  'queue.error':         '❌ Queue error.',
+};
+
+export const messages = { fr, en };
+
+const pluralRules = Object.fromEntries(SUPPORTED_LOCALES.map(l => [l, new Intl.PluralRules(l)]));
+
+function lookup(locale, key, count) {
+  const catalog = messages[locale] ?? messages[DEFAULT_LOCALE];
+  if (typeof count === 'number') {
+    const plural = catalog[`${key}.${pluralRules[locale]?.select(count) ?? 'other'}`] ?? catalog[`${key}.other`];
+    if (plural !== undefined) return plural;
+  }
+  return catalog[key];
+}
+
+/**
+ * Translate `key` into `locale`, filling `{name}` placeholders from `vars`.
+ * Falls back on the French catalog, then on the key itself.
+ */
+export function t(locale, key, vars = {}) {
+  const template = lookup(locale, key, vars.count) ?? lookup(DEFAULT_LOCALE, key, vars.count) ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+// ─── Slash command localizations ──────────────────────────────────────────────
+// The French definitions live with the commands; these are the other locales,
+// keyed by path (`command.subcommand.option`). `[name, description]`, where a
+// null name keeps the French one. `*.option` applies to every command.
+const commandStrings = {
+  en: {
+    '*.session_id': [null, 'Session ID'],
+
+    'lfg':             [null, 'Create an LFG session'],
+    'lfg.jeux':        ['game', 'Game'],
+    'lfg.plateforme':  ['platform', 'Platform'],
+    'lfg.joueurs':     ['players', 'Number of players'],
+    'lfg.activite':    ['activity', 'Activity'],
+    'lfg.gametag':     [null, 'Gametag (optional when set in /profile)'],
+    'lfg.description': [null, 'Description (optional)'],
+    'lfg.twitch':      [null, 'Twitch username (optional, e.g. nuggan85)'],
+    'lfg.debut':       ['start', 'Planned start (optional, e.g. 21:30, 25/12 21:30, +2h)'],
+    'lfg.roles':       [null, 'Role composition (optional, e.g. 1 tank, 1 healer, 3 dps)'],
+    'lfg.mon_role':    ['my_role', 'Your role in the composition (optional)'],
+    'lfg.visibilite':  ['visibility', 'Who can join (default: public)'],
+
+    'duplicate_lfg': [null, 'Recreate a session identical to an existing one'],
+
+    'modify_lfg':             [null, 'Edit an LFG session'],
+    'modify_lfg.joueurs':     ['players', 'Number of players'],
+    'modify_lfg.description': [null, 'Description'],
+
+    'close_lfg': [null, 'Close an LFG session and delete its channels'],
+
+    'invite_lfg':        [null, 'Add a member to a private session'],
+    'invite_lfg.membre': ['member', 'Member to add'],
+
+    'transfer_lfg':        [null, 'Hand an LFG session over to another participant'],
+    'transfer_lfg.membre': ['member', 'Participant who becomes the organizer'],
+
+    'list_members':      [null, 'List the members of an LFG session'],
+    'list_members.page': [null, 'Page'],
+
+    'kick_member':        [null, 'Remove a member from an LFG session'],
+    'kick_member.member': [null, 'Participant to remove'],
+
+    'ban_member':        [null, 'Ban a member from an LFG session'],
+    'ban_member.member': [null, 'Member to ban'],
+    'ban_member.portee':  ['scope', 'Ban from this session only or from all your sessions (session by default)'],
+    'ban_member.serveur': ['server', 'Also ban from the server ("Ban Members" permission required)'],
+
+    'unban_member':        [null, "Lift a member's ban for an LFG session"],
+    'unban_member.member': [null, 'Member to unban'],
+
+    'stats':     [null, "Show this server's LFG statistics"],
+    'stats.jeu': ['game', 'Details for one game (optional)'],
+
+    'history':          [null, "Show this server's LFG session history"],
+    'history.jeu':      ['game', 'Filter by game'],
+    'history.membre':   ['member', 'Filter by organizer or participant'],
+    'history.depuis':   ['since', 'Ended since (DD/MM/YYYY)'],
+    'history.jusqu_au': ['until', 'Ended until (DD/MM/YYYY, inclusive)'],
+
+    'set_lfg_channel':         [null, 'Set the channel for LFG announcements (per game or default)'],
+    'set_lfg_channel.channel': [null, 'Announcement channel'],
+    'set_lfg_channel.jeu':     ['game', 'Specific game (optional — leave empty for the default channel)'],
+
+    'remove_lfg_channel':       [null, 'Remove a configured LFG channel (per game or default)'],
+    'remove_lfg_channel.cible': ['target', 'Entry to remove'],
+
+    'list_lfg_channels': [null, 'Show the full LFG channel configuration per game'],
+
+    'set_log_channel':       [null, 'Set the LFG audit log channel'],
+    'set_log_channel.salon': ['channel', 'Log channel (leave empty to disable)'],
+
+    'audit':         [null, "View the server's LFG audit log"],
+    'audit.action':  [null, 'Event type'],
+    'audit.membre':  ['member', 'Acting or targeted member'],
+    'audit.session': [null, 'Session ID'],
+
+    'set_cooldown':              [null, 'Configure the per-user LFG session creation cooldown'],
+    'set_cooldown.max_sessions': [null, 'Maximum number of sessions per time window'],
+    'set_cooldown.fenetre':      ['window', 'Time window in minutes'],
+
+    'config':        [null, 'Configure the games accepted on this server'],
+    'config.action': [null, 'Action to perform'],
+    'config.jeu':    ['game', 'Game to add to or remove from the filter'],
+
+    'games':                    [null, "Manage this server's custom games"],
+    'games.add':                [null, "Add a game to the server's catalog"],
+    'games.add.nom':            ['name', 'Game name'],
+    'games.add.image':          [null, 'Image URL (optional, https://…)'],
+    'games.add.alias':          [null, 'Comma-separated aliases (optional, e.g. mc)'],
+    'games.edit':               [null, "Edit a custom game's image or aliases"],
+    'games.edit.jeu':           ['game', 'Custom game'],
+    'games.edit.image':         [null, 'Image URL (“none” to remove it)'],
+    'games.edit.alias':         [null, 'Comma-separated aliases (“none” to remove them)'],
+    'games.rename':             [null, 'Rename a custom game'],
+    'games.rename.jeu':         ['game', 'Custom game'],
+    'games.rename.nouveau_nom': ['new_name', 'New name'],
+    'games.remove':             [null, 'Remove a custom game from the catalog'],
+    'games.remove.jeu':         ['game', 'Custom game'],
+    'games.list':               [null, "Show the server's custom games"],
+
+    'profile':               [null, 'Manage your player profile (gametags, games, languages, time zone)'],
+    'profile.set':           [null, 'Fill in or update your profile'],
+    'profile.set.riot':      [null, 'Riot ID (e.g. Pseudo#EUW)'],
+    'profile.set.battlenet': [null, 'BattleTag (e.g. Pseudo#1234)'],
+    'profile.set.psn':       [null, 'PSN (e.g. Pseudo_85)'],
+    'profile.set.xbox':      [null, 'Xbox Gamertag (e.g. Pseudo#1234)'],
+    'profile.set.steam':     [null, 'Steam (e.g. Pseudo)'],
+    'profile.set.epic':      [null, 'Epic Games (e.g. Pseudo)'],
+    'profile.set.jeux':      ['games', 'Favourite games, comma-separated'],
+    'profile.set.langues':   ['languages', 'Spoken languages, comma-separated (e.g. FR, EN)'],
+    'profile.set.fuseau':    ['timezone', 'Time zone (e.g. Europe/Paris, America/Montreal)'],
+    'profile.view':          [null, "Show your profile or a member's"],
+    'profile.view.membre':   ['member', 'Member (optional)'],
+    'profile.clear':         [null, 'Clear all or part of your profile'],
+    'profile.clear.champ':   ['field', 'Field to clear (the whole profile by default)'],
+
+    'set_language':               [null, "Choose the bot's language on this server"],
+    'set_language.langue':        ['language', 'Language of messages posted on the server'],
+    'set_language.langue_membre': ['member_language', "Reply to each member in their Discord language when supported (default: yes)"],
+
+    'reputation':                [null, 'Player reputation (commendations, reports, no-shows)'],
+    'reputation.view':           [null, "Show your reputation or a member's"],
+    'reputation.view.membre':    ['member', 'Member (optional)'],
+    'reputation.minimum':        [null, "Require a minimum reputation to join the server's sessions"],
+    'reputation.minimum.valeur': ['value', 'Minimum reputation (leave empty to remove the minimum)'],
+
+    'federation':                   [null, 'Manage session exchange with other servers'],
+    'federation.set':               [null, 'Enable sending or receiving and set partner requirements'],
+    'federation.set.envoi':         ['send', "Publish this server's sessions on partner servers"],
+    'federation.set.reception':     ['receive', 'Receive sessions from partner servers'],
+    'federation.set.membres_min':   ['min_members', 'Minimum member count of partner servers (0 = none)'],
+    'federation.set.langue':        ['language', 'Language required of partner servers'],
+    'federation.allow':             [null, 'Add a server to the allowlist'],
+    'federation.allow.serveur':     ['server', 'Partner server (name or ID)'],
+    'federation.deny':              [null, 'Add a server to the denylist'],
+    'federation.deny.serveur':      ['server', 'Partner server (name or ID)'],
+    'federation.unlist':            [null, 'Remove a server from the allowlist and denylist'],
+    'federation.unlist.serveur':    ['server', 'Listed server'],
+
+    'subscribe':            [null, "Subscribe to a game's new sessions (DM for every session)"],
+    'subscribe.jeu':        ['game', 'Game'],
+    'subscribe.plateforme': ['platform', 'Platform (all if empty)'],
+    'subscribe.activite':   ['activity', 'Activity (all if empty)'],
+    'unsubscribe':            [null, "Unsubscribe from a game's sessions"],
+    'unsubscribe.abonnement': ['subscription', 'Subscription to remove'],
+    'notifications':             [null, 'Manage your subscriptions and session notifications'],
+    'notifications.view':        [null, 'Show your subscriptions, quiet hours and daily cap'],
+    'notifications.quiet':       [null, 'Receive no notifications during a time range'],
+    'notifications.quiet.debut': ['start', 'Start (e.g. 23:00, leave empty to disable)'],
+    'notifications.quiet.fin':   ['end', 'End (e.g. 08:00)'],
+    'notifications.limit':        [null, 'Maximum number of notifications per 24 hours'],
+    'notifications.limit.valeur': ['value', 'Notifications per 24 hours'],
+    'guild_config':                [null, "Back up or restore the server's LFG configuration"],
+    'guild_config.export':         [null, 'Export the whole server configuration to a JSON file'],
+    'guild_config.import':         [null, 'Import an exported configuration (changes are previewed before applying)'],
+    'guild_config.import.fichier': ['file', 'JSON file produced by /guild_config export'],
+    'calendar':        [null, 'Export upcoming sessions to a calendar file (.ics)'],
+    'calendar.portee': ['scope', 'Sessions to export (default: yours)'],
+    'calendar.membre': ['member', "Export another member's sessions"],
+    'recurring':                    [null, 'Recurring sessions: a session created automatically for every occurrence'],
+    'recurring.create':             [null, 'Schedule a recurring session in this channel'],
+    'recurring.create.jeu':         ['game', 'Game'],
+    'recurring.create.plateforme':  ['platform', 'Platform'],
+    'recurring.create.joueurs':     ['players', 'Number of players'],
+    'recurring.create.activite':    ['activity', 'Activity'],
+    'recurring.create.frequence':   ['frequency', 'Frequency'],
+    'recurring.create.heure':       ['time', 'Start time (e.g. 21:00)'],
+    'recurring.create.jours':       ['days', 'Days of the week (e.g. tuesday, thursday)'],
+    'recurring.create.intervalle':  ['interval', 'Number of days between two sessions'],
+    'recurring.create.fuseau':      ['timezone', "Time zone (your profile's if empty)"],
+    'recurring.create.gametag':     [null, 'Gametag (optional if set in /profile)'],
+    'recurring.create.description': [null, 'Description (optional)'],
+    'recurring.create.twitch':      [null, 'Twitch username (optional, e.g. nuggan85)'],
+    'recurring.create.visibilite':  ['visibility', 'Who can join (default: public)'],
+    'recurring.list':               [null, 'Show recurring sessions'],
+    'recurring.pause':              [null, 'Pause a recurring session'],
+    'recurring.pause.planning':     ['schedule', 'Recurring session'],
+    'recurring.resume':             [null, 'Resume a paused recurring session'],
+    'recurring.resume.planning':    ['schedule', 'Recurring session'],
+    'recurring.skip':               [null, 'Skip the next occurrence'],
+    'recurring.skip.planning':      ['schedule', 'Recurring session'],
+    'recurring.delete':             [null, 'Delete a recurring session'],
+    'recurring.delete.planning':    ['schedule', 'Recurring session'],
+    'template':                      [null, 'Session templates: save /lfg options and launch them in one command'],
+    'template.save':                 [null, 'Save a session template'],
+    'template.save.nom':             ['name', 'Template name'],
+    'template.save.jeu':             ['game', 'Game'],
+    'template.save.plateforme':      ['platform', 'Platform'],
+    'template.save.joueurs':         ['players', 'Number of players'],
+    'template.save.activite':        ['activity', 'Activity'],
+    'template.save.description':     [null, 'Description (optional)'],
+    'template.save.twitch':          [null, 'Twitch username (optional, e.g. nuggan85)'],
+    'template.save.partage':         ['shared', 'Template shared with the whole server'],
+    'template.save_session':         [null, "Save an existing session's options as a template"],
+    'template.save_session.nom':     ['name', 'Template name'],
+    'template.save_session.session_id': [null, 'Session ID'],
+    'template.save_session.partage': ['shared', 'Template shared with the whole server'],
+    'template.launch':               [null, 'Create a session from a template'],
+    'template.launch.nom':           ['name', 'Template'],
+    'template.launch.gametag':       [null, 'Gametag (optional if set in /profile)'],
+    'template.launch.debut':         ['start', 'Scheduled start (optional, e.g. 21:30, 25/12 21:30, +2h)'],
+    'template.list':                 [null, "Show your templates and the server's"],
+    'template.delete':               [null, 'Delete a template'],
+    'template.delete.nom':           ['name', 'Template'],
+    'queue':                 [null, 'Matchmaking queue: a session forms as soon as enough players are waiting'],
+    'queue.join':            [null, "Join a game's queue"],
+    'queue.join.jeu':        ['game', 'Game'],
+    'queue.join.plateforme': ['platform', 'Platform'],
+    'queue.join.activite':   ['activity', 'Activity'],
+    'queue.join.joueurs':    ['players', 'Group size'],
+    'queue.join.role':       [null, "Your role in the game's composition"],
+    'queue.join.rang':       ['rank', 'Your level, from 1 to 10 (groups of similar level)'],
+    'queue.join.gametag':    [null, 'Your gametag (profile used if empty)'],
+    'queue.join.duree':      ['timeout', 'Maximum minutes of waiting (30 by default)'],
+    'queue.leave':           [null, 'Leave the queue'],
+    'queue.status':          [null, 'See your position in the queue'],
+    'game_role':            [null, 'Map a game to a role mentioned in session announcements'],
+    'game_role.set':        [null, 'Mention a role for every new session of the game'],
+    'game_role.set.jeu':    ['game', 'Game'],
+    'game_role.set.role':   [null, 'Role to mention'],
+    'game_role.remove':     [null, 'Stop mentioning a role for this game'],
+    'game_role.remove.jeu': ['game', 'Game'],
+    'game_role.list':       [null, 'Show the roles mapped to games'],
+
+    'permissions':                 [null, 'Map Discord roles to bot capabilities'],
+    'permissions.add':             [null, 'Grant a capability to a role'],
+    'permissions.add.capacite':    ['capability', 'Bot capability'],
+    'permissions.add.role':        [null, 'Discord role'],
+    'permissions.remove':          [null, 'Take a capability away from a role'],
+    'permissions.remove.capacite': ['capability', 'Bot capability'],
+    'permissions.remove.role':     [null, 'Discord role'],
+    'permissions.view':            [null, 'Show the roles mapped to each capability'],
+    'permissions.reset':           [null, 'Go back to the default Discord permissions'],
+    'permissions.reset.capacite':  ['capability', 'Capability to reset (all if empty)'],
+  },
+};
+
+// Choice labels per option path, keyed by choice value
+const activityChoiceStrings = {
+  en: {
+    'Normale': 'Casual', 'Classé': 'Ranked', 'Compétitif': 'Competitive', 'Tournoi': 'Tournament',
+    'Scrim': 'Scrim', 'Entraînement': 'Practice', 'Fun': 'Fun', 'Découverte': 'Discovery',
+    'Arcade': 'Arcade', 'Coopération': 'Co-op', 'Speedrun': 'Speedrun',
+    'PvE': 'PvE', 'PvP': 'PvP', 'Raids': 'Raids', 'Dungeons': 'Dungeons',
+  },
+};
+
+const capabilityChoiceStrings = {
+  create: 'Create sessions', moderate: 'Moderate any session', config: 'Manage configuration', crosspost: 'Post on other servers',
+};
+
+const choiceStrings = {
+  en: {
+    'lfg.activite': activityChoiceStrings.en,
+    'subscribe.activite': activityChoiceStrings.en,
+    'queue.join.activite': activityChoiceStrings.en,
+    'template.save.activite': activityChoiceStrings.en,
+    'recurring.create.activite': activityChoiceStrings.en,
+    'calendar.portee': { user: 'My sessions', guild: 'Server sessions' },
+    'recurring.create.frequence': { daily: 'Every day', weekly: 'Some days of the week', interval: 'Every N days' },
+    'recurring.create.visibilite': { public: 'Public', approval: 'Approval required', invite: 'Invite only' },
+    'lfg.visibilite': { public: 'Public', approval: 'Approval required', invite: 'Invite only' },
+    'federation.set.langue': { any: 'Any' },
+    'ban_member.portee': { session: 'This session', organizer: 'All my sessions' },
+    'permissions.add.capacite':    capabilityChoiceStrings,
+    'permissions.remove.capacite': capabilityChoiceStrings,
+    'permissions.reset.capacite':  capabilityChoiceStrings,
+    'audit.action': {
+      create: 'Creation', duplicate: 'Duplication', modify: 'Modification', join: 'Join', leave: 'Leave',
+      kick: 'Removal', ban: 'Ban', unban: 'Unban', delete: 'Deletion', config: 'Configuration',
+    },
+    'config.action': {
+      add: 'Add a game to the filter', remove: 'Remove a game from the filter',
+      view: 'Show the configuration',  reset: 'Reset (accept everything)',
+    },
+    'profile.clear.champ': {
+      xbox: 'Xbox Gamertag', jeux: 'Favourite games', langues: 'Languages', fuseau: 'Time zone',
+    },
+  },
+};
+
+function localizeOptions(options, parentPath) {
+  for (const option of options ?? []) {
+    const path = parentPath ? `${parentPath}.${option.name}` : option.name;
+    for (const [locale, discordLocales] of Object.entries(DISCORD_LOCALES)) {
+      if (locale === DEFAULT_LOCALE) continue;
+      const [name, description] = commandStrings[locale]?.[path] ?? commandStrings[locale]?.[`*.${option.name}`] ?? [];
+      for (const discordLocale of discordLocales) {
+        if (name)        (option.name_localizations        ??= {})[discordLocale] = name;
+        if (description) (option.description_localizations ??= {})[discordLocale] = description;
+        for (const choice of option.choices ?? []) {
+          const label = choiceStrings[locale]?.[path]?.[choice.value];
+          if (label) (choice.name_localizations ??= {})[discordLocale] = label;
+        }
+      }
+    }
+    localizeOptions(option.options, path);
+  }
+}
+
+// Returns a copy of the command definitions with Discord name/description localizations
+export function localizeCommands(commands) {
+  const localized = structuredClone(commands);
+  localizeOptions(localized, '');
+  return localized;
+}
+
+// Activities are stored under their French name; other locales only change the display
+export function activityLabel(locale, activity) {
+  return activityChoiceStrings[locale]?.[activity] ?? activity;
+}
+
+// Discord locale (`en-US`, `fr`, …) → supported locale, or null
+export function normalizeLocale(discordLocale) {
+  if (!discordLocale) return null;
+  const base = discordLocale.split('-')[0].toLowerCase();
+  return SUPPORTED_LOCALES.includes(base) ? base : null;
+}
@@ -8,6 +8,7 @@ import {
   GatewayIntentBits,
   ChannelType,
   PermissionFlagsBits,
+  OverwriteType,
   Events,
   ActivityType,
   ButtonBuilder,
@@ -21,10 +22,14 @@ import {
   MediaGalleryBuilder,
   MediaGalleryItemBuilder,
   SeparatorBuilder,
+  StringSelectMenuBuilder,
+  AttachmentBuilder,
 } from 'discord.js';
 import Database from 'better-sqlite3';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { t, activityLabel, normalizeLocale, localizeCommands, DEFAULT_LOCALE, SUPPORTED_LOCALES, LOCALE_NAMES } from './i18n.js';
+import { createRepository } from './repository.js';
 
 // ─── ESM __dirname ───────────────────────────────────────────────────────────
 const __filename = fileURLToPath(import.meta.url);
@@ -43,11 +48,13 @@ const client = new Client({
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMessages,
     GatewayIntentBits.GuildVoiceStates,
+    GatewayIntentBits.GuildMembers,
   ],
 });
 
 // ─── Database ─────────────────────────────────────────────────────────────────
-const db = new Database(path.join(__dirname, 'lfgData.db'), {
+const DB_PATH = path.join(__dirname, 'lfgData.db');
+const db = new Database(DB_PATH, {
   verbose: process.env.NODE_ENV === 'development' ? console.log : null,
   fileMustExist: false,
   timeout: 5000,
@@ -61,77 +68,480 @@ db.pragma('temp_store = MEMORY');
 db.pragma('foreign_keys = ON');
 db.pragma('busy_timeout = 5000');
 
-db.exec(`
-  CREATE TABLE IF NOT EXISTS lfgSessions (
-    id TEXT PRIMARY KEY,
-    userId TEXT,
-    user TEXT,
-    game TEXT,
-    platform TEXT,
-    activity TEXT,
-    gametag TEXT,
-    description TEXT,
-    date TEXT,
-    players INTEGER,
-    categoryId TEXT,
-    voiceChannelId TEXT,
-    textChannelId TEXT,
-    infoTextChannelId TEXT,
-    infoMessageId TEXT,
-    commandChannelId TEXT,
-    commandChannelMessageId TEXT,
-    guildId TEXT
-  );
-
-  CREATE TABLE IF NOT EXISTS lfgJoinedUsers (
-    sessionId TEXT,
-    userId TEXT,
-    PRIMARY KEY (sessionId, userId),
-    FOREIGN KEY (sessionId) REFERENCES lfgSessions(id) ON DELETE CASCADE
-  );
-
-  CREATE TABLE IF NOT EXISTS lfgStats (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    totalSessions INTEGER DEFAULT 0,
-    totalPlayers INTEGER DEFAULT 0
-  );
+// ─── Schema migrations ────────────────────────────────────────────────────────
+// Applied in order at startup; PRAGMA user_version holds the last version applied. A published migration is
+// never edited: schema changes go in a new one appended to the list.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'schéma initial',
+    up() {
+      db.exec(`
+      CREATE TABLE IF NOT EXISTS lfgSessions (
+        id TEXT PRIMARY KEY,
+        userId TEXT,
+        user TEXT,
+        game TEXT,
+        platform TEXT,
+        activity TEXT,
+        gametag TEXT,
+        description TEXT,
+        date TEXT,
+        players INTEGER,
+        categoryId TEXT,
+        voiceChannelId TEXT,
+        textChannelId TEXT,
+        infoTextChannelId TEXT,
+        infoMessageId TEXT,
+        commandChannelId TEXT,
+        commandChannelMessageId TEXT,
+        guildId TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS lfgJoinedUsers (
+        sessionId TEXT,
+        userId TEXT,
+        PRIMARY KEY (sessionId, userId),
+        FOREIGN KEY (sessionId) REFERENCES lfgSessions(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS lfgGuildStats (
+        guildId TEXT,
+        game TEXT,
+        platform TEXT,
+        sessionsCreated INTEGER NOT NULL DEFAULT 0,
+        sessionsEnded INTEGER NOT NULL DEFAULT 0,
+        playersJoined INTEGER NOT NULL DEFAULT 0,
+        playersLeft INTEGER NOT NULL DEFAULT 0,
+        filledSlots INTEGER NOT NULL DEFAULT 0,
+        offeredSlots INTEGER NOT NULL DEFAULT 0,
+        totalDurationSeconds INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (guildId, game, platform)
+      );
+
+      CREATE TABLE IF NOT EXISTS webhookChannels (
+        guildId TEXT,
+        game TEXT NOT NULL DEFAULT '*',
+        channelId TEXT,
+        PRIMARY KEY (guildId, game)
+      );
+
+      CREATE TABLE IF NOT EXISTS guildGameFilters (
+        guildId TEXT PRIMARY KEY,
+        games TEXT NOT NULL DEFAULT '[]'
+      );
+
+      CREATE TABLE IF NOT EXISTS guildCooldowns (
+        guildId TEXT PRIMARY KEY,
+        maxSessions INTEGER NOT NULL DEFAULT 3,
+        windowSeconds INTEGER NOT NULL DEFAULT 3600
+      );
+
+      CREATE TABLE IF NOT EXISTS lfgArchive (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sessionId TEXT,
+        guildId TEXT,
+        userId TEXT,
+        user TEXT,
+        game TEXT,
+        platform TEXT,
+        activity TEXT,
+        players INTEGER,
+        participants TEXT NOT NULL DEFAULT '[]',
+        createdAt TEXT,
+        endedAt TEXT,
+        durationSeconds INTEGER,
+        endReason TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_lfgArchive_guild ON lfgArchive (guildId, endedAt);
+
+      CREATE TABLE IF NOT EXISTS lfgWaitlist (
+        sessionId TEXT,
+        userId TEXT,
+        queuedAt TEXT NOT NULL,
+        PRIMARY KEY (sessionId, userId)
+      );
+
+      CREATE TABLE IF NOT EXISTS lfgSessionBans (
+        sessionId TEXT,
+        userId TEXT,
+        bannedBy TEXT NOT NULL,
+        bannedAt TEXT NOT NULL,
+        PRIMARY KEY (sessionId, userId)
+      );
+
+      CREATE TABLE IF NOT EXISTS organizerBans (
+        guildId TEXT,
+        organizerId TEXT,
+        userId TEXT,
+        bannedAt TEXT NOT NULL,
+        PRIMARY KEY (guildId, organizerId, userId)
+      );
+
+      CREATE TABLE IF NOT EXISTS lfgJoinRequests (
+        sessionId TEXT,
+        userId TEXT,
+        role TEXT,
+        channelId TEXT,
+        messageId TEXT,
+        requestedAt TEXT NOT NULL,
+        PRIMARY KEY (sessionId, userId)
+      );
+
+      CREATE TABLE IF NOT EXISTS lfgCrossPosts (
+        sessionId TEXT,
+        guildId TEXT,
+        channelId TEXT,
+        messageId TEXT,
+        PRIMARY KEY (sessionId, guildId)
+      );
+
+      CREATE TABLE IF NOT EXISTS lfgReminders (
+        sessionId TEXT,
+        minutesBefore INTEGER,
+        remindAt TEXT NOT NULL,
+        PRIMARY KEY (sessionId, minutesBefore)
+      );
+
+      CREATE TABLE IF NOT EXISTS guildGames (
+        guildId TEXT,
+        name TEXT,
+        imageUrl TEXT,
+        aliases TEXT NOT NULL DEFAULT '[]',
+        createdAt TEXT,
+        PRIMARY KEY (guildId, name)
+      );
+
+      CREATE TABLE IF NOT EXISTS guildLanguages (
+        guildId TEXT PRIMARY KEY,
+        language TEXT NOT NULL DEFAULT 'fr',
+        followUserLocale INTEGER NOT NULL DEFAULT 1
+      );
+
+      CREATE TABLE IF NOT EXISTS guildFederation (
+        guildId TEXT PRIMARY KEY,
+        sendEnabled INTEGER NOT NULL DEFAULT 0,
+        receiveEnabled INTEGER NOT NULL DEFAULT 0,
+        allowlist TEXT NOT NULL DEFAULT '[]',
+        denylist TEXT NOT NULL DEFAULT '[]',
+        minMembers INTEGER NOT NULL DEFAULT 0,
+        language TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS lfgVoiceAttendance (
+        sessionId TEXT,
+        userId TEXT,
+        PRIMARY KEY (sessionId, userId)
+      );
+
+      CREATE TABLE IF NOT EXISTS reputationEvents (
+        archiveId INTEGER NOT NULL,
+        sessionId TEXT NOT NULL,
+        guildId TEXT NOT NULL,
+        userId TEXT NOT NULL,
+        fromUserId TEXT NOT NULL DEFAULT '',
+        kind TEXT NOT NULL,
+        createdAt TEXT NOT NULL,
+        PRIMARY KEY (archiveId, userId, fromUserId)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_reputationEvents_user ON reputationEvents (userId);
+
+      CREATE TABLE IF NOT EXISTS guildReputation (
+        guildId TEXT PRIMARY KEY,
+        minReputation INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS auditLog (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guildId TEXT NOT NULL,
+        action TEXT NOT NULL,
+        actorId TEXT,
+        targetId TEXT,
+        sessionId TEXT,
+        details TEXT NOT NULL DEFAULT '{}',
+        createdAt TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_auditLog_guild ON auditLog (guildId, createdAt);
+
+      CREATE TABLE IF NOT EXISTS guildAuditChannels (
+        guildId TEXT PRIMARY KEY,
+        channelId TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS lfgQueue (
+        guildId TEXT NOT NULL,
+        userId TEXT NOT NULL,
+        game TEXT NOT NULL,
+        platform TEXT NOT NULL,
+        activity TEXT NOT NULL,
+        players INTEGER NOT NULL,
+        role TEXT,
+        rank INTEGER,
+        gametag TEXT NOT NULL,
+        channelId TEXT NOT NULL,
+        queuedAt TEXT NOT NULL,
+        expiresAt TEXT NOT NULL,
+        PRIMARY KEY (guildId, userId)
+      );
+
+      CREATE TABLE IF NOT EXISTS lfgQueueMessages (
+        bucket TEXT PRIMARY KEY,
+        channelId TEXT NOT NULL,
+        messageId TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS recurringSessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guildId TEXT NOT NULL,
+        channelId TEXT NOT NULL,
+        userId TEXT NOT NULL,
+        game TEXT NOT NULL,
+        platform TEXT NOT NULL,
+        players INTEGER NOT NULL,
+        activity TEXT NOT NULL,
+        gametag TEXT NOT NULL,
+        description TEXT,
+        twitchUrl TEXT,
+        visibility TEXT NOT NULL DEFAULT 'public',
+        frequency TEXT NOT NULL,
+        weekdays TEXT,
+        intervalDays INTEGER,
+        timeOfDay INTEGER NOT NULL,
+        timeZone TEXT NOT NULL,
+        anchorDate TEXT NOT NULL,
+        nextRunAt TEXT NOT NULL,
+        paused INTEGER NOT NULL DEFAULT 0,
+        createdAt TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS sessionTemplates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guildId TEXT NOT NULL,
+        userId TEXT NOT NULL DEFAULT '',
+        name TEXT NOT NULL,
+        game TEXT NOT NULL,
+        platform TEXT NOT NULL,
+        players INTEGER NOT NULL,
+        activity TEXT NOT NULL,
+        description TEXT,
+        twitch TEXT,
+        createdBy TEXT NOT NULL,
+        createdAt TEXT NOT NULL,
+        UNIQUE (guildId, userId, name)
+      );
+
+      CREATE TABLE IF NOT EXISTS gameSubscriptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId TEXT NOT NULL,
+        guildId TEXT NOT NULL,
+        game TEXT NOT NULL,
+        platform TEXT NOT NULL DEFAULT '',
+        activity TEXT NOT NULL DEFAULT '',
+        createdAt TEXT NOT NULL,
+        UNIQUE (userId, guildId, game, platform, activity)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_gameSubscriptions_game ON gameSubscriptions (guildId, game);
+
+      CREATE TABLE IF NOT EXISTS notificationSettings (
+        userId TEXT PRIMARY KEY,
+        quietStart INTEGER,
+        quietEnd INTEGER,
+        dailyCap INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS subscriptionNotifications (
+        userId TEXT NOT NULL,
+        sessionId TEXT NOT NULL,
+        sentAt TEXT NOT NULL,
+        PRIMARY KEY (userId, sessionId)
+      );
+
+      CREATE TABLE IF NOT EXISTS guildGameRoles (
+        guildId TEXT NOT NULL,
+        game TEXT NOT NULL,
+        roleId TEXT NOT NULL,
+        PRIMARY KEY (guildId, game)
+      );
+
+      CREATE TABLE IF NOT EXISTS guildPermissions (
+        guildId TEXT NOT NULL,
+        capability TEXT NOT NULL,
+        roleId TEXT NOT NULL,
+        PRIMARY KEY (guildId, capability, roleId)
+      );
+
+      CREATE TABLE IF NOT EXISTS playerProfiles (
+        userId TEXT PRIMARY KEY,
+        gametags TEXT NOT NULL DEFAULT '{}',
+        games TEXT NOT NULL DEFAULT '[]',
+        languages TEXT NOT NULL DEFAULT '[]',
+        timeZone TEXT,
+        updatedAt TEXT
+      );
+      `);
+
+      // Databases created before versioning may already have some of these columns
+      const legacyColumns = [
+        ['lfgSessions',    'status',     "TEXT NOT NULL DEFAULT 'open'"],
+        ['lfgSessions',    'startTime',  'TEXT'],
+        ['lfgSessions',    'roles',      'TEXT'],
+        ['lfgSessions',    'visibility', "TEXT NOT NULL DEFAULT 'public'"],
+        ['lfgJoinedUsers', 'role',       'TEXT'],
+      ];
+      for (const [table, column, definition] of legacyColumns) {
+        const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+        if (!columns.some(c => c.name === column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    },
+  },
+  {
+    version: 2,
+    description: 'lien Twitch des sessions',
+    up() {
+      db.exec('ALTER TABLE lfgSessions ADD COLUMN twitchUrl TEXT');
+    },
+  },
+];
 
-  CREATE TABLE IF NOT EXISTS webhookChannels (
-    guildId TEXT,
-    game TEXT NOT NULL DEFAULT '*',
-    channelId TEXT,
-    PRIMARY KEY (guildId, game)
-  );
+function migrateDatabase() {
+  const current = db.pragma('user_version', { simple: true });
+  const latest  = MIGRATIONS.at(-1).version;
+  if (current > latest) {
+    throw new Error(`⚠️ La base de données est en version ${current}, plus récente que ce bot (version ${latest}). Mettez le bot à jour.`);
+  }
+  const pending = MIGRATIONS.filter(m => m.version > current);
+  if (!pending.length) return;
+
+  // Copy an existing database before touching it; a brand-new file has nothing to lose
+  if (db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table'").get()) {
+    const backupPath = `${DB_PATH}.v${current}-${Date.now()}.bak`;
+    db.exec(`VACUUM INTO '${backupPath.replaceAll("'", "''")}'`);
+    console.log(`💾 Base sauvegardée avant migration : ${backupPath}`);
+  }
 
-  CREATE TABLE IF NOT EXISTS guildGameFilters (
-    guildId TEXT PRIMARY KEY,
-    games TEXT NOT NULL DEFAULT '[]'
-  );
+  // All or nothing: a failing migration leaves the database at its previous version
+  db.transaction(() => {
+    for (const migration of pending) {
+      migration.up();
+      db.pragma(`user_version = ${migration.version}`);
+      console.log(`🗄️ Migration ${migration.version} appliquée : ${migration.description}`);
+    }
+  })();
+}
 
-  CREATE TABLE IF NOT EXISTS guildCooldowns (
-    guildId TEXT PRIMARY KEY,
-    maxSessions INTEGER NOT NULL DEFAULT 3,
-    windowSeconds INTEGER NOT NULL DEFAULT 3600
-  );
-`);
+migrateDatabase();
+const repo = createRepository(db);
 
 // ─── In-memory caches ─────────────────────────────────────────────────────────
-const lfgSessions           = new Map();
-const lfgJoinedUsers        = new Map();
+const lfgSessions           = new Map(); // key: sessionId → { value: session }, every open or planned session
+const lfgJoinedUsers        = new Map(); // key: sessionId → { value: userId[] }
 const webhookChannels       = new Map(); // key: "guildId:game"
 const guildGameFilters      = new Map();
 const guildCooldowns        = new Map(); // key: guildId
 const userSessionTimestamps = new Map(); // key: "guildId:userId" → number[]
-const lfgStats              = { totalSessions: 0, totalPlayers: 0 };
+const scheduledReminders    = new Map(); // key: "sessionId:minutesBefore" → { sessionId, minutesBefore, remindAt }
+const recurringSessions     = new Map(); // key: schedule id → recurringSessions row, nextRunAt as a timestamp
+const lfgWaitlists          = new Map(); // key: sessionId → userId[] in queue order
+const lfgParticipantRoles   = new Map(); // key: sessionId → { [userId]: roleName }
+const lfgJoinRequests       = new Map(); // key: sessionId → { [userId]: { role, channelId, messageId } }
+const lfgQueue              = new Map(); // key: queue bucket → entries in queue order (see queueBucket)
+const lfgQueueMessages      = new Map(); // key: queue bucket → { channelId, messageId } of its live display
+const lfgSessionBans        = new Map(); // key: sessionId → userId[]
+const organizerBans         = new Map(); // key: "guildId:organizerId" → userId[] kept out of all their sessions
+const lfgVoiceAttendance    = new Map(); // key: sessionId → userId[] seen in the session's voice channel
+const lfgCrossPosts         = new Map(); // key: sessionId → [{ guildId, channelId, messageId }]
+const announcementWebhooks  = new Map(); // key: channelId → Webhook used for cross-server posts
+const playerProfiles        = new Map(); // key: userId
+const guildCustomGames      = new Map(); // key: guildId → [{ name, imageUrl, aliases }]
+const guildLanguages        = new Map(); // key: guildId → { language, followUserLocale }
+const guildFederation       = new Map(); // key: guildId → { sendEnabled, receiveEnabled, allowlist, denylist, minMembers, language }
+const guildReputation       = new Map(); // key: guildId → minimum reputation to join, or null
+const auditChannels         = new Map(); // key: guildId → log channel ID, or null
+const guildPermissions      = new Map(); // key: guildId → { [capability]: roleId[] }
+const guildGameRoles        = new Map(); // key: guildId → { [game]: roleId } pinged on new sessions
+const pendingConfigImports  = new Map(); // key: import token → { guildId, userId, config } awaiting confirmation
+const plannedOpenFailures   = new Map(); // key: sessionId → failed attempts at opening a planned session's channels
 const rateLimiter           = {};
 
 const SESSION_EXPIRY = 24 * 60 * 60 * 1000;
-const CACHE_TTL      = 60 * 60 * 1000;
 const WEBHOOK_TTL    = 30 * 60 * 1000;
 const FILTER_TTL     = 60 * 60 * 1000;
 const COOLDOWN_TTL   = 60 * 60 * 1000;
+const PROFILE_TTL    = 60 * 60 * 1000;
+const GAMES_TTL      = 60 * 60 * 1000;
+const LANGUAGE_TTL   = 60 * 60 * 1000;
+const FEDERATION_TTL = 60 * 60 * 1000;
+const REPUTATION_TTL = 60 * 60 * 1000;
+const AUDIT_TTL      = 60 * 60 * 1000;
+const PERMISSIONS_TTL = 60 * 60 * 1000;
+const GAME_ROLES_TTL  = 60 * 60 * 1000;
+const CONFIG_IMPORT_TTL = 10 * 60 * 1000;
 const ITEMS_PER_PAGE = 10;
 
+// ─── Session archive ──────────────────────────────────────────────────────────
+const END_REASONS = ['empty_voice', 'expired', 'manual', 'channel_missing', 'organizer_left', 'open_failed']; // labels: `endReason.<reason>` in i18n.js
+
+// ─── Reputation ───────────────────────────────────────────────────────────────
+const REPUTATION_WEIGHTS   = { commend: 1, report: -2, no_show: -3 }; // points per event in a user's score
+const FEEDBACK_WINDOW      = 7 * 24 * 60 * 60 * 1000;                // commends/reports accepted up to 7 days after the end
+const NO_SHOW_MIN_DURATION = 10 * 60;                                // seconds a session must last before absentees count as no-shows
+
+// ─── Audit log ────────────────────────────────────────────────────────────────
+const AUDIT_ACTIONS = { // labels: `audit.<action>` in i18n.js
+  create: '🆕', duplicate: '📑', modify: '✏️', join: '➕', leave: '➖',
+  kick: '👢', ban: '⛔', unban: '♻️', delete: '🗑️', config: '⚙️',
+};
+const AUDIT_PAGE_SIZE = 15; // latest entries shown by /audit
+
+// ─── Matchmaking queue ────────────────────────────────────────────────────────
+const QUEUE_TIMEOUT     = 30;  // default minutes in the queue before leaving it automatically
+const QUEUE_TIMEOUT_MAX = 180;
+const QUEUE_RANK_SPREAD = 2;   // largest rank gap allowed inside a matched group (ranks go from 1 to 10)
+
+// ─── Session templates ────────────────────────────────────────────────────────
+const MAX_TEMPLATES = 25; // per user and guild, and shared per guild (autocomplete lists at most 25)
+
+// ─── Subscriptions ────────────────────────────────────────────────────────────
+const MAX_SUBSCRIPTIONS          = 25;                  // per user and guild (autocomplete lists at most 25)
+const DEFAULT_NOTIFICATION_CAP   = 10;                  // subscription DMs per user and rolling 24 h
+const NOTIFICATION_CAP_WINDOW    = 24 * 60 * 60 * 1000;
+
+// ─── Guild configuration backup ───────────────────────────────────────────────
+const GUILD_CONFIG_FORMAT   = 'exolfg-guild-config';
+const GUILD_CONFIG_VERSION  = 1;
+const GUILD_CONFIG_MAX_SIZE = 256 * 1024; // bytes accepted by /guild_config import
+const GUILD_CONFIG_SECTIONS = [ // labels: `guildConfig.section.<name>` in i18n.js
+  'language', 'cooldown', 'games', 'gameFilter', 'channels', 'auditChannel', 'gameRoles', 'permissions', 'federation', 'minReputation',
+];
+
+// ─── Permissions ──────────────────────────────────────────────────────────────
+const CAPABILITIES = { // default Discord permission per capability (null = everyone); labels: `capability.<name>` in i18n.js
+  create:    null,
+  moderate:  PermissionFlagsBits.ManageChannels,
+  config:    PermissionFlagsBits.ManageGuild,
+  crosspost: null,
+};
+
+// ─── Scheduled sessions ───────────────────────────────────────────────────────
+const SCHEDULE_TIMEZONE  = process.env.LFG_TIMEZONE ?? 'Europe/Paris';
+const SCHEDULE_OPEN_LEAD = 15 * 60 * 1000;           // channels are created 15 min before start
+const SCHEDULE_MAX_AHEAD = 30 * 24 * 60 * 60 * 1000; // sessions can be planned up to 30 days ahead
+const SCHEDULE_REMINDERS = [60, 10];                 // reminder pings, in minutes before start
+const SCHEDULE_RETRIES   = 3;                        // failed openings before a planned session is dropped
+const SCHEDULE_STALE     = 2 * 60 * 60 * 1000;       // a session still planned this long after its start is expired
+const RECURRING_LEAD     = 2 * 60 * 60 * 1000;       // recurring occurrences are announced 2 h before start
+const CALENDAR_DURATION  = 2 * 60 * 60 * 1000;       // length given to sessions in .ics exports (sessions have no end time)
+const MAX_RECURRING      = 10;                       // schedules per organizer and guild
+const WEEKDAYS = { // accepted day names → Date#getDay()
+  dimanche: 0, dim: 0, sunday: 0, sun: 0,  lundi: 1, lun: 1, monday: 1, mon: 1,  mardi: 2, mar: 2, tuesday: 2, tue: 2,
+  mercredi: 3, mer: 3, wednesday: 3, wed: 3,  jeudi: 4, jeu: 4, thursday: 4, thu: 4,  vendredi: 5, ven: 5, friday: 5, fri: 5,
+  samedi: 6, sam: 6, saturday: 6, sat: 6,
+};
+
 // ─── Game list ────────────────────────────────────────────────────────────────
 const gameChoices = [
   { name: 'League of Legends',        value: 'League of Legends' },
@@ -170,8 +580,7 @@ function setWithTTL(map, key, value, ttl) {
 function getGuildGameFilter(guildId) {
   const cached = guildGameFilters.get(guildId);
   if (cached) return cached.value;
-  const row   = db.prepare('SELECT games FROM guildGameFilters WHERE guildId = ?').get(guildId);
-  const games = row ? JSON.parse(row.games) : [];
+  const games = repo.getGameFilter(guildId);
   setWithTTL(guildGameFilters, guildId, games, FILTER_TTL);
   return games;
 }
@@ -181,21 +590,29 @@ function isGameAllowedForGuild(guildId, game) {
   return filter.length === 0 || filter.includes(game);
 }
 
+// Twitch username (with or without @) → channel URL, or null when the name is not valid
+function parseTwitchUrl(input) {
+  const clean = input.trim().replace(/^@/, '');
+  return /^[a-zA-Z0-9_]{1,25}$/.test(clean) ? `https://twitch.tv/${clean}` : null;
+}
+
+// The game's own announcement channel, else the guild's default one
 function getWebhookChannelId(guildId, game) {
-  const specific = webhookChannels.get(`${guildId}:${game}`);
-  if (specific) return specific.value;
-  const fallback = webhookChannels.get(`${guildId}:*`);
-  return fallback?.value ?? null;
+  return getCachedWebhookChannel(guildId, game) ?? getCachedWebhookChannel(guildId, '*');
+}
+
+// Caches misses too, so guilds without a channel for the game don't query on every session
+function getCachedWebhookChannel(guildId, game) {
+  const key    = `${guildId}:${game}`;
+  const cached = webhookChannels.get(key);
+  if (cached) return cached.value;
+  const channelId = repo.getWebhookChannel(guildId, game);
+  setWithTTL(webhookChannels, key, channelId, WEBHOOK_TTL);
+  return channelId;
 }
 
 function getWebhookEntriesForGuild(guildId) {
-  const entries = [];
-  for (const [key, data] of webhookChannels) {
-    if (key.startsWith(`${guildId}:`)) {
-      entries.push({ game: key.slice(guildId.length + 1), channelId: data.value });
-    }
-  }
-  return entries;
+  return repo.getWebhookChannels(guildId);
 }
 
 // ─── Cooldown helpers ─────────────────────────────────────────────────────────
@@ -203,8 +620,7 @@ function getWebhookEntriesForGuild(guildId) {
 function getGuildCooldownConfig(guildId) {
   const cached = guildCooldowns.get(guildId);
   if (cached) return cached.value;
-  const row    = db.prepare('SELECT maxSessions, windowSeconds FROM guildCooldowns WHERE guildId = ?').get(guildId);
-  const config = row ?? { maxSessions: 3, windowSeconds: 3600 };
+  const config = repo.getCooldown(guildId) ?? { maxSessions: 3, windowSeconds: 3600 };
   setWithTTL(guildCooldowns, guildId, config, COOLDOWN_TTL);
   return config;
 }
@@ -222,6 +638,179 @@ function checkUserSessionCooldown(guildId, userId) {
   return true;
 }
 
+// ─── Language helpers ─────────────────────────────────────────────────────────
+
+function getGuildLanguageConfig(guildId) {
+  const cached = guildLanguages.get(guildId);
+  if (cached) return cached.value;
+  const config = repo.getLanguage(guildId) ?? { language: DEFAULT_LOCALE, followUserLocale: true };
+  setWithTTL(guildLanguages, guildId, config, LANGUAGE_TTL);
+  return config;
+}
+
+// Language of everything posted publicly on a guild (session messages, channels, reminders, DMs)
+function getGuildLocale(guildId) {
+  return guildId ? getGuildLanguageConfig(guildId).language : DEFAULT_LOCALE;
+}
+
+// Language of a reply only the user sees: their Discord locale when the guild allows it
+function getInteractionLocale(interaction) {
+  const userLocale = normalizeLocale(interaction.locale);
+  if (!interaction.guildId) return userLocale ?? DEFAULT_LOCALE;
+  const { language, followUserLocale } = getGuildLanguageConfig(interaction.guildId);
+  return (followUserLocale && userLocale) || language;
+}
+
+// ─── Federation helpers ───────────────────────────────────────────────────────
+
+// Cross-server exchange is opt-in: a guild without a row neither sends nor receives
+function getGuildFederationConfig(guildId) {
+  const cached = guildFederation.get(guildId);
+  if (cached) return cached.value;
+  const row    = repo.getFederation(guildId);
+  const config = {
+    sendEnabled:    !!row?.sendEnabled,
+    receiveEnabled: !!row?.receiveEnabled,
+    allowlist:      row?.allowlist ?? [],
+    denylist:       row?.denylist ?? [],
+    minMembers:     row?.minMembers ?? 0,
+    language:       row?.language ?? null,
+  };
+  setWithTTL(guildFederation, guildId, config, FEDERATION_TTL);
+  return config;
+}
+
+function saveGuildFederationConfig(guildId, config) {
+  repo.setFederation(guildId, config);
+  setWithTTL(guildFederation, guildId, config, FEDERATION_TTL);
+}
+
+// Whether a guild's lists and requirements let it exchange sessions with `partner`
+function acceptsFederationPartner(config, partner) {
+  if (config.denylist.includes(partner.id)) return false;
+  if (config.allowlist.length && !config.allowlist.includes(partner.id)) return false;
+  if ((partner.memberCount ?? 0) < config.minMembers) return false;
+  if (config.language && getGuildLocale(partner.id) !== config.language) return false;
+  return true;
+}
+
+// Sessions of `source` reach `target` only if both opted in and each accepts the other
+function isFederationPartner(source, target) {
+  const from = getGuildFederationConfig(source.id);
+  const to   = getGuildFederationConfig(target.id);
+  return from.sendEnabled && to.receiveEnabled && acceptsFederationPartner(from, target) && acceptsFederationPartner(to, source);
+}
+
+function formatGuildName(guildId) {
+  const g = client.guilds.cache.get(guildId);
+  return g ? `${g.name} (${guildId})` : guildId;
+}
+
+// Guilds with an LFG channel that would receive this guild's sessions
+function getFederationPartners(guild) {
+  return repo.getWebhookGuildIds()
+    .filter(id => id !== guild.id)
+    .map(id => client.guilds.cache.get(id))
+    .filter(g => g && isFederationPartner(guild, g));
+}
+
+// ─── Statistics ───────────────────────────────────────────────────────────────
+
+// Counter deltas per event, in column order of the statistics upsert
+const STAT_EVENT_DELTAS = {
+  created: () => [1, 0, 1, 0, 0, 0, 0], // the organizer counts as the first player
+  joined:  () => [0, 0, 1, 0, 0, 0, 0],
+  left:    () => [0, 0, 0, 1, 0, 0, 0],
+  ended:   ({ players }, { participants, durationSeconds }) => [0, 1, 0, 0, Math.min(participants, players), players, durationSeconds],
+};
+
+function recordStatEvent(session, event, details = {}) {
+  repo.recordStat(session.guildId, session.game, session.platform, STAT_EVENT_DELTAS[event](session, details));
+}
+
+// ─── Date helpers ─────────────────────────────────────────────────────────────
+
+function getZonedParts(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(timestamp);
+  const get = type => Number(parts.find(p => p.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+function getTimeZoneOffset(timestamp, timeZone) {
+  const p = getZonedParts(timestamp, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Wall-clock time in `timeZone` → UTC timestamp (second pass handles DST boundaries)
+function zonedTimeToTimestamp({ year, month, day, hour, minute }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const first     = wallClock - getTimeZoneOffset(wallClock, timeZone);
+  return wallClock - getTimeZoneOffset(first, timeZone);
+}
+
+function toUnix(date) {
+  return Math.floor(new Date(date).getTime() / 1000);
+}
+
+/**
+ * Parse a user-supplied start time. Accepted formats:
+ * `21:30`, `21h30`, `25/12 21:30`, `25/12/2026 21:30`, `+2h`, `+90m`, `<t:1767225600>`.
+ * Returns a timestamp (ms) or null when the input is not understood.
+ */
+function parseStartTime(input, timeZone = SCHEDULE_TIMEZONE) {
+  const raw = input.trim().toLowerCase();
+  const now = Date.now();
+
+  const discordTs = raw.match(/^<t:(\d{9,11})(?::[a-z])?>$/i) ?? raw.match(/^(\d{9,11})$/);
+  if (discordTs) return Number(discordTs[1]) * 1000;
+
+  const relative = raw.match(/^\+(\d{1,4})\s*(m|min|h)$/);
+  if (relative) return now + Number(relative[1]) * (relative[2] === 'h' ? 3_600_000 : 60_000);
+
+  const absolute = raw.match(/^(?:(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?\s+)?(\d{1,2})[:h](\d{2})$/);
+  if (!absolute) return null;
+
+  const [, d, m, y, h, min] = absolute;
+  const hour = Number(h), minute = Number(min);
+  if (hour > 23 || minute > 59) return null;
+
+  const today = getZonedParts(now, timeZone);
+  if (!d) {
+    let ts = zonedTimeToTimestamp({ ...today, hour, minute }, timeZone);
+    if (ts <= now) ts = zonedTimeToTimestamp({ ...getZonedParts(now + 86_400_000, timeZone), hour, minute }, timeZone);
+    return ts;
+  }
+
+  const day = Number(d), month = Number(m);
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  let year = y ? Number(y) : today.year;
+  let ts   = zonedTimeToTimestamp({ year, month, day, hour, minute }, timeZone);
+  if (!y && ts <= now) ts = zonedTimeToTimestamp({ year: ++year, month, day, hour, minute }, timeZone);
+  // Reject dates that overflowed into the next month (e.g. 31/02)
+  if (getZonedParts(ts, timeZone).day !== day) return null;
+  return ts;
+}
+
+// `JJ/MM/AAAA` → timestamp of midnight that day in `timeZone` (the following midnight with `endOfDay`), or null
+function parseDay(input, { endOfDay = false, timeZone = SCHEDULE_TIMEZONE } = {}) {
+  const match = input.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (!match) return null;
+  const [day, month, year] = match.slice(1).map(Number);
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const ts = zonedTimeToTimestamp({ year, month, day, hour: 0, minute: 0 }, timeZone);
+  if (getZonedParts(ts, timeZone).day !== day) return null;
+  return endOfDay ? zonedTimeToTimestamp({ year, month, day: day + 1, hour: 0, minute: 0 }, timeZone) : ts;
+}
+
+function formatDuration(seconds) {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')}`;
+}
+
 async function safeDeleteChannel(channel) {
   if (!channel?.deletable) return;
   try {
@@ -249,1269 +838,5075 @@ const gameImages = {
   'Mobile Legends: Bang Bang': 'https://i.imgur.com/mm0hV5B.jpeg',
 };
 
-function getGameImageUrl(game) {
-  const url = gameImages[game];
+function getGameImageUrl(game, guildId = null) {
+  const custom = guildId ? getGuildCustomGames(guildId).find(g => g.name === game) : null;
+  const url    = custom?.imageUrl ?? gameImages[game];
   return url && url.trim() !== '' ? url.trim() : null;
 }
 
-// ─── Emoji helpers ────────────────────────────────────────────────────────────
+// ─── Game catalog ─────────────────────────────────────────────────────────────
+const MAX_CUSTOM_GAMES = 100;
+const MAX_GAME_ALIASES = 5;
 
-function getPlatformEmoji(platform) {
-  const map = {
-    'PC': '🖥️', 'PlayStation 5': '🎮', 'PlayStation 4': '🎮',
-    'Xbox Series X|S': '🟩', 'Xbox One': '🟩', 'Nintendo Switch': '🔴',
-    'Mobile': '📱', 'iOS': '📱', 'Android': '📱',
-    'Crossplay': '🌐', 'VR': '🥽', 'Mac': '🍎', 'Linux': '🐧',
-  };
-  return map[platform] ?? '🕹️';
+function getGuildCustomGames(guildId) {
+  const cached = guildCustomGames.get(guildId);
+  if (cached) return cached.value;
+  const games = repo.getCustomGames(guildId);
+  setWithTTL(guildCustomGames, guildId, games, GAMES_TTL);
+  return games;
 }
 
-function getActivityEmoji(activity) {
-  const map = {
-    'Normale': '🎲', 'Classé': '🏆', 'Compétitif': '⚔️', 'Tournoi': '🏅',
-    'Scrim': '🎯', 'Entraînement': '📚', 'Fun': '😄', 'Découverte': '🔭',
-    'Arcade': '🕹️', 'Coopération': '🤝', 'Speedrun': '⚡',
-    'PvE': '🐉', 'PvP': '⚔️', 'Raids': '🗡️', 'Dungeons': '🏰',
-  };
-  return map[activity] ?? '🎮';
+// Built-in titles followed by the guild's own games, as `{ name, label, aliases, custom }`
+function getGameCatalog(guildId) {
+  const builtIn = gameChoices.map(c => ({ name: c.value, label: c.name, aliases: [], custom: false }));
+  const custom  = guildId ? getGuildCustomGames(guildId).map(g => ({ name: g.name, label: g.name, aliases: g.aliases, custom: true })) : [];
+  return [...builtIn, ...custom];
 }
 
-// ─── Container builders ───────────────────────────────────────────────────────
-
-function buildGameImageGallery(game) {
-  const url = getGameImageUrl(game);
-  if (!url) return null;
-  return new MediaGalleryBuilder().addItems(new MediaGalleryItemBuilder().setURL(url));
+// Map user input (name, display label or alias, any case) to the catalog name
+function resolveGame(guildId, input) {
+  if (!input) return null;
+  const wanted = input.trim().toLowerCase();
+  const entry  = getGameCatalog(guildId).find(g => [g.name, g.label, ...g.aliases].some(n => n.toLowerCase() === wanted));
+  return entry?.name ?? null;
 }
 
-function buildNavButtons(sessionId) {
-  return new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId(`vocal_${sessionId}`).setLabel('🔊 Vocal').setStyle(ButtonStyle.Secondary),
-    new ButtonBuilder().setCustomId(`texte_${sessionId}`).setLabel('💬 Discussion').setStyle(ButtonStyle.Secondary),
-    new ButtonBuilder().setCustomId(`info_${sessionId}`).setLabel('📢 Infos').setStyle(ButtonStyle.Secondary),
-  );
+function searchGameCatalog(guildId, input, { onlyCustom = false, allowedOnly = false } = {}) {
+  const query = input.trim().toLowerCase();
+  return getGameCatalog(guildId)
+    .filter(g => !onlyCustom || g.custom)
+    .filter(g => !allowedOnly || isGameAllowedForGuild(guildId, g.name))
+    .filter(g => !query || [g.name, g.label, ...g.aliases].some(n => n.toLowerCase().includes(query)))
+    .slice(0, 25)
+    .map(g => ({ name: `${g.custom ? '⭐ ' : ''}${g.label}`.slice(0, 100), value: g.name }));
 }
 
-function buildJoinLeaveButtons(sessionId, isFull) {
-  const row = new ActionRowBuilder();
-  if (!isFull) {
-    row.addComponents(
-      new ButtonBuilder().setCustomId(`join_${sessionId}`).setLabel('✅ Rejoindre').setStyle(ButtonStyle.Success),
-    );
-  }
-  row.addComponents(
-    new ButtonBuilder().setCustomId(`leave_${sessionId}`).setLabel('🚪 Se retirer').setStyle(ButtonStyle.Danger),
-  );
-  return row;
+function parseGameAliases(input) {
+  if (!input) return [];
+  const aliases = [...new Set(input.split(/[,;]/).map(a => a.trim().replace(/\s+/g, ' ')).filter(Boolean))];
+  if (aliases.length > MAX_GAME_ALIASES || aliases.some(a => a.length > 30)) return null;
+  return aliases;
 }
 
-function buildSessionContainer({
-  sessionId, label, guildName, organizerMention,
-  game, platform, activity, joinedCount, maxPlayers,
-  gametag, description, twitchUrl = null, participantsMention,
-  includeJoinLeaveButtons = true, includeNavButtons = true, isModified = false,
-}) {
-  const isFull      = joinedCount >= maxPlayers;
-  const statusEmoji = isModified ? '🔄' : '🟢';
-  const slotDisplay = isFull ? `~~${joinedCount}/${maxPlayers}~~ **COMPLET**` : `${joinedCount}/${maxPlayers}`;
-  const gameGallery = buildGameImageGallery(game);
-
-  const container = new ContainerBuilder()
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`${statusEmoji} **${label}**`))
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`\`🆔 Session #${sessionId}\``))
-    .addSeparatorComponents(new SeparatorBuilder());
+// Returns the conflicting catalog name when `names` overlap another game (ignoring `except`)
+function findGameNameConflict(guildId, names, except = null) {
+  const wanted = names.map(n => n.toLowerCase());
+  const entry  = getGameCatalog(guildId)
+    .filter(g => g.name !== except)
+    .find(g => [g.name, g.label, ...g.aliases].some(n => wanted.includes(n.toLowerCase())));
+  return entry?.name ?? null;
+}
 
-  if (gameGallery) container.addMediaGalleryComponents(gameGallery);
+// ─── Role slots ───────────────────────────────────────────────────────────────
+const MAX_ROLES = 5; // one action row of role buttons
+
+const roleDefinitions = [
+  { name: 'Tank',       emoji: '🛡️', aliases: ['tanks'] },
+  { name: 'Healer',     emoji: '💚', aliases: ['heal', 'heals', 'healers', 'soigneur', 'soigneurs', 'soin', 'soins'] },
+  { name: 'DPS',        emoji: '⚔️', aliases: ['damage', 'dégâts', 'degats', 'dd'] },
+  { name: 'Support',    emoji: '🤝', aliases: ['supports', 'supp', 'soutien'] },
+  { name: 'IGL',        emoji: '🧠', aliases: ['leader', 'shotcaller', 'capitaine'] },
+  { name: 'Entry',      emoji: '🚪', aliases: ['entry fragger', 'fragger'] },
+  { name: 'AWPer',      emoji: '🎯', aliases: ['awp', 'sniper'] },
+  { name: 'Lurker',     emoji: '🐍', aliases: ['lurk'] },
+  { name: 'Anchor',     emoji: '⚓', aliases: ['ancre'] },
+  { name: 'Flex',       emoji: '🔄', aliases: ['fill', 'polyvalent'] },
+  { name: 'Duelliste',  emoji: '🔥', aliases: ['duelist', 'duelists', 'duellistes'] },
+  { name: 'Initiateur', emoji: '⚡', aliases: ['initiator', 'initiators', 'initiateurs'] },
+  { name: 'Contrôleur', emoji: '🌫️', aliases: ['controller', 'controllers', 'controleur', 'contrôleurs', 'smokes'] },
+  { name: 'Sentinelle', emoji: '🛰️', aliases: ['sentinel', 'sentinels', 'sentinelles'] },
+  { name: 'Top',        emoji: '⛰️', aliases: ['toplane'] },
+  { name: 'Jungle',     emoji: '🌿', aliases: ['jungler', 'jgl'] },
+  { name: 'Mid',        emoji: '✨', aliases: ['midlane', 'middle'] },
+  { name: 'ADC',        emoji: '🏹', aliases: ['bot', 'marksman', 'adcarry'] },
+  { name: 'Carry',      emoji: '💰', aliases: ['safelane', 'hard carry'] },
+  { name: 'Offlane',    emoji: '🪓', aliases: ['offlaner'] },
+];
 
-  container
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`👑 **Organisateur :** ${organizerMention}`))
-    .addSeparatorComponents(new SeparatorBuilder())
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`🎮 **${game}**  ·  ${getPlatformEmoji(platform)} ${platform}`))
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`${getActivityEmoji(activity)} **${activity}**  ·  👥 **Joueurs :** ${slotDisplay}`))
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`🎯 **Gametag :** \`${gametag}\``))
-    .addSeparatorComponents(new SeparatorBuilder())
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`> 📝 ${description}`))
-    .setAccentColor(0x1E90FF);
+const roleLookup = new Map(roleDefinitions.flatMap(r => [r.name, ...r.aliases].map(a => [a.toLowerCase(), r])));
+
+// Suggested compositions per game, offered by the `roles` autocomplete of /lfg
+const rolePresets = {
+  'World of Warcraft':  ['1 Tank, 1 Healer, 3 DPS', '2 Tank, 4 Healer, 4 DPS'],
+  'Overwatch 2':        ['1 Tank, 2 DPS, 2 Support'],
+  'Valorant':           ['1 Duelliste, 1 Initiateur, 1 Contrôleur, 1 Sentinelle, 1 Flex', '1 IGL, 4 Flex'],
+  'League of Legends':  ['1 Top, 1 Jungle, 1 Mid, 1 ADC, 1 Support'],
+  'Dota 2':             ['1 Carry, 1 Mid, 1 Offlane, 2 Support'],
+  'Counter-Strike 2':   ['1 IGL, 1 AWPer, 1 Entry, 1 Support, 1 Lurker'],
+  'Rainbow Six: Siege': ['1 IGL, 1 Entry, 1 Support, 1 Anchor, 1 Flex'],
+  'Albion Online':      ['1 Tank, 1 Healer, 3 DPS'],
+  'Smite':              ['1 Jungle, 1 Mid, 1 Carry, 1 Support, 1 Flex'],
+};
 
-  if (participantsMention !== undefined) {
-    container
-      .addSeparatorComponents(new SeparatorBuilder())
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`👥 **Participants :** ${participantsMention}`));
+/**
+ * Parse a role composition such as `1 tank, 1 healer, 3 dps` (or `tank x1, dps:3`).
+ * Known roles and their aliases are normalised; unknown names are kept as typed.
+ * Returns `[{ name, emoji, count }]`, or null when the input is invalid.
+ */
+function parseRoleComposition(input) {
+  const parts = input.split(/[,;+]/).map(p => p.trim()).filter(Boolean);
+  const roles = [];
+  for (const part of parts) {
+    const leading  = part.match(/^(\d{1,2})\s*[x×]?\s+(.+)$/i) ?? part.match(/^(\d{1,2})[x×](.+)$/i);
+    const trailing = part.match(/^(.+?)\s*[x×:]\s*(\d{1,2})$/i);
+    const [count, rawName] = leading ? [Number(leading[1]), leading[2]] : trailing ? [Number(trailing[2]), trailing[1]] : [1, part];
+    const cleanName = rawName.trim().replace(/\s+/g, ' ');
+    if (!count || !cleanName || cleanName.length > 20) return null;
+
+    const known    = roleLookup.get(cleanName.toLowerCase());
+    const name     = known?.name ?? cleanName.charAt(0).toUpperCase() + cleanName.slice(1);
+    const existing = roles.find(r => r.name === name);
+    if (existing) existing.count += count;
+    else roles.push({ name, emoji: known?.emoji ?? '🎭', count });
   }
+  const total = roles.reduce((acc, r) => acc + r.count, 0);
+  if (!roles.length || roles.length > MAX_ROLES || total > 10) return null;
+  return roles;
+}
 
-  if (twitchUrl) {
-    container
-      .addSeparatorComponents(new SeparatorBuilder())
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(
-        `🟣 **Live Twitch :** [${twitchUrl.replace('https://twitch.tv/', '')}](${twitchUrl})`
-      ));
-  }
+// Without an explicit choice the organizer takes the role with the most slots (usually DPS)
+function defaultOrganizerRole(roles) {
+  return roles.reduce((best, r) => (r.count > best.count ? r : best)).name;
+}
 
-  if (includeNavButtons) {
-    container.addSeparatorComponents(new SeparatorBuilder()).addActionRowComponents(buildNavButtons(sessionId));
-  }
+function formatRoleComposition(roles) {
+  return roles.map(r => `${r.count} ${r.name}`).join(', ');
+}
 
-  if (includeJoinLeaveButtons) {
-    container.addActionRowComponents(buildJoinLeaveButtons(sessionId, isFull));
-  }
+function findRole(roles, input) {
+  const wanted = roleLookup.get(input.trim().toLowerCase())?.name ?? input.trim();
+  return roles.find(r => r.name.toLowerCase() === wanted.toLowerCase()) ?? null;
+}
 
-  container
-    .addSeparatorComponents(new SeparatorBuilder())
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(
-      `-# ⏱️ Salon supprimé après 5 min si vide  ·  ${guildName}  ·  /lfg  /stats  /history`
-    ));
+function buildRoleSlots(roles, joinedUsers, participantRoles = {}) {
+  if (!roles?.length) return null;
+  return roles.map(r => ({ ...r, members: joinedUsers.filter(id => participantRoles[id] === r.name) }));
+}
 
-  return container;
+function getSessionRoleSlots(sessionId) {
+  const session = lfgSessions.get(sessionId)?.value;
+  return buildRoleSlots(session?.roles, lfgJoinedUsers.get(sessionId)?.value ?? [], lfgParticipantRoles.get(sessionId));
 }
 
-function buildCrossServerContainer({
-  sessionId, sourceGuildName, sourceGuildId, voiceChannelId, textChannelId, infoTextChannelId,
-  organizerMention, game, platform, activity, joinedCount, maxPlayers, gametag, description, twitchUrl,
-}) {
-  const gameGallery = buildGameImageGallery(game);
-  const container   = new ContainerBuilder()
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`📡 **Session LFG — Annonce externe**`))
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`\`🆔 Session #${sessionId}\``))
-    .addSeparatorComponents(new SeparatorBuilder());
+function setParticipantRole(sessionId, userId, roleName) {
+  const roles = { ...(lfgParticipantRoles.get(sessionId) ?? {}) };
+  if (roleName) roles[userId] = roleName;
+  else delete roles[userId];
+  lfgParticipantRoles.set(sessionId, roles);
+}
 
-  if (gameGallery) container.addMediaGalleryComponents(gameGallery);
+// ─── Session visibility ───────────────────────────────────────────────────────
+// Session visibility: 'public', 'approval' or 'invite' — labels: `visibility.<mode>` in i18n.js
 
-  container
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`👑 **Organisateur :** ${organizerMention}`))
-    .addSeparatorComponents(new SeparatorBuilder())
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`🎮 **${game}**  ·  ${getPlatformEmoji(platform)} ${platform}`))
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`${getActivityEmoji(activity)} **${activity}**  ·  👥 **Joueurs :** ${joinedCount}/${maxPlayers}`))
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`🎯 **Gametag :** \`${gametag}\``))
-    .addSeparatorComponents(new SeparatorBuilder())
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`> 📝 ${description}`));
+// What participants (or @everyone, on public sessions) may do in each session channel
+const SESSION_CHANNEL_ACCESS = {
+  categoryId:        ['ViewChannel'],
+  textChannelId:     ['ViewChannel', 'SendMessages'],
+  voiceChannelId:    ['ViewChannel', 'Connect'],
+  infoTextChannelId: ['ViewChannel'],
+};
 
-  if (twitchUrl) {
-    container
-      .addSeparatorComponents(new SeparatorBuilder())
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(
-        `🟣 **Live Twitch :** [${twitchUrl.replace('https://twitch.tv/', '')}](${twitchUrl})`
-      ));
+function isPrivateSession(session) {
+  return (session.visibility ?? 'public') !== 'public';
+}
+
+// Public channels are open to @everyone; private ones are hidden and opened to each participant individually.
+// Banned users are denied explicitly so they stay out of public sessions too.
+function buildSessionOverwrites(guild, channelKey, botAllow, visibility = 'public', memberIds = [], bannedIds = []) {
+  const allow  = SESSION_CHANNEL_ACCESS[channelKey].map(p => PermissionFlagsBits[p]);
+  const denied = bannedIds.map(id => ({ id, type: OverwriteType.Member, deny: allow }));
+  if (visibility === 'public') {
+    return [{ id: guild.id, allow }, { id: client.user.id, allow: botAllow }, ...denied];
   }
+  return [
+    { id: guild.id,       deny: [PermissionFlagsBits.ViewChannel] },
+    { id: client.user.id, allow: [PermissionFlagsBits.ViewChannel, ...botAllow] },
+    ...memberIds.map(id => ({ id, type: OverwriteType.Member, allow })),
+    ...denied,
+  ];
+}
 
-  container
-    .addSeparatorComponents(new SeparatorBuilder())
-    .addActionRowComponents(new ActionRowBuilder().addComponents(
-      new ButtonBuilder().setCustomId(`xvocal_${sourceGuildId}_${voiceChannelId}`).setLabel('🔊 Vocal').setStyle(ButtonStyle.Secondary),
-      new ButtonBuilder().setCustomId(`xtexte_${sourceGuildId}_${textChannelId}`).setLabel('💬 Discussion').setStyle(ButtonStyle.Secondary),
-      new ButtonBuilder().setCustomId(`xinfo_${sourceGuildId}_${infoTextChannelId}`).setLabel('📢 Infos').setStyle(ButtonStyle.Secondary),
-    ))
-    .addSeparatorComponents(new SeparatorBuilder())
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# 🌐 Session hébergée sur **${sourceGuildName}**`))
-    .setAccentColor(0x1E90FF);
+// Grants or revokes a member's access to the channels of a private session. No-op on public sessions.
+async function setSessionAccess(session, guild, userId, granted) {
+  if (!isPrivateSession(session)) return;
+  for (const [channelKey, access] of Object.entries(SESSION_CHANNEL_ACCESS)) {
+    const channel = guild.channels.cache.get(session[channelKey]);
+    if (!channel) continue;
+    try {
+      if (granted) await channel.permissionOverwrites.edit(userId, Object.fromEntries(access.map(p => [p, true])), { type: OverwriteType.Member });
+      else await channel.permissionOverwrites.delete(userId);
+    } catch (err) { console.warn(`⚠️ Permissions ${channel.id} non mises à jour pour ${userId}:`, err.message); }
+  }
+}
 
-  return container;
+function removeJoinRequest(sessionId, userId) {
+  const requests = { ...(lfgJoinRequests.get(sessionId) ?? {}) };
+  const request  = requests[userId];
+  if (!request) return null;
+  delete requests[userId];
+  lfgJoinRequests.set(sessionId, requests);
+  repo.deleteJoinRequest(sessionId, userId);
+  return request;
 }
 
-// ─── Presence ─────────────────────────────────────────────────────────────────
-let _presenceIndex = 0;
+// Adds an accepted or invited member to a private session, on the given role or the first one with a free slot.
+async function addSessionParticipant(sessionId, guild, userId, roleName = null) {
+  const session     = lfgSessions.get(sessionId).value;
+  const roleSlots   = getSessionRoleSlots(sessionId);
+  const role        = roleSlots
+    ? roleSlots.find(r => r.name === roleName && r.members.length < r.count) ?? roleSlots.find(r => r.members.length < r.count)
+    : null;
+
+  addJoinedUser(sessionId, userId, role?.name);
+  recordStatEvent(session, 'joined');
+  await setSessionAccess(session, guild, userId, true);
+  await refreshSessionMessages(sessionId, guild, 'label.new');
+  return role;
+}
 
-function updateRichPresence() {
+// Replaces a join request's accept/deny buttons with the outcome
+async function closeJoinRequestMessage(guild, request, content) {
   try {
-    if (!client.user) return;
-    const totalSessions = lfgSessions.size;
-    const totalPlayers  = Array.from(lfgJoinedUsers.values()).reduce((acc, d) => acc + (d.value?.length ?? 0), 0);
+    const msg = await guild.channels.cache.get(request.channelId)?.messages.fetch(request.messageId);
+    await msg?.edit({ content, components: [], allowedMentions: { parse: [] } });
+  } catch {}
+}
 
-    const activities = [
-      { name: `🔍 Recherche de groupe`, type: ActivityType.Custom, state: `🔍 Recherche de groupe` },
-      { name: `${totalSessions} session${totalSessions !== 1 ? 's' : ''} active${totalSessions !== 1 ? 's' : ''}`, type: ActivityType.Custom },
-      { name: `${totalPlayers} joueur${totalPlayers !== 1 ? 's' : ''} en session`, type: ActivityType.Custom },
-    ];
+// ─── Session bans ─────────────────────────────────────────────────────────────
 
-    const activity = activities[_presenceIndex % activities.length];
-    _presenceIndex++;
+// Users kept out of a session: banned from it directly or from every session of its organizer
+function getSessionBannedIds(sessionId, guildId, organizerId) {
+  return [...new Set([...(lfgSessionBans.get(sessionId) ?? []), ...(organizerBans.get(`${guildId}:${organizerId}`) ?? [])])];
+}
 
-    client.user.setPresence({ activities: [activity], status: 'online' });
-  } catch (err) {
-    console.error('⚠️ Erreur Rich Presence:', err.message);
-  }
+function isBannedFromSession(sessionId, userId) {
+  const session = lfgSessions.get(sessionId)?.value;
+  return !!session && getSessionBannedIds(sessionId, session.guildId, session.userId).includes(userId);
 }
 
-// Rotation de la présence toutes les 30 secondes
-setInterval(updateRichPresence, 30_000);
+function addSessionBan(sessionId, userId, bannedBy) {
+  const banned = lfgSessionBans.get(sessionId) ?? [];
+  if (!banned.includes(userId)) lfgSessionBans.set(sessionId, [...banned, userId]);
+  repo.addSessionBan(sessionId, userId, bannedBy);
+}
 
-// ─── Rate limiter ─────────────────────────────────────────────────────────────
-function checkRateLimit(userId) {
-  const now = Date.now();
-  rateLimiter[userId] = (rateLimiter[userId] ?? []).filter(ts => now - ts < 60_000);
-  if (rateLimiter[userId].length >= 5) return false;
-  rateLimiter[userId].push(now);
-  return true;
+function addOrganizerBan(guildId, organizerId, userId) {
+  const key    = `${guildId}:${organizerId}`;
+  const banned = organizerBans.get(key) ?? [];
+  if (!banned.includes(userId)) organizerBans.set(key, [...banned, userId]);
+  repo.addOrganizerBan(guildId, organizerId, userId);
 }
 
-// ─── Database persistence ─────────────────────────────────────────────────────
-async function saveData() {
-  try {
-    const insertSession  = db.prepare(`INSERT OR REPLACE INTO lfgSessions (id,userId,user,game,platform,activity,gametag,description,date,players,categoryId,voiceChannelId,textChannelId,infoTextChannelId,infoMessageId,commandChannelId,commandChannelMessageId,guildId) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`);
-    const insertUser     = db.prepare('INSERT OR REPLACE INTO lfgJoinedUsers (sessionId, userId) VALUES (?, ?)');
-    const deleteUsers    = db.prepare('DELETE FROM lfgJoinedUsers WHERE sessionId = ?');
-    const updateStats    = db.prepare('INSERT OR REPLACE INTO lfgStats (id, totalSessions, totalPlayers) VALUES (1, ?, ?)');
-    const insertWebhook  = db.prepare('INSERT OR REPLACE INTO webhookChannels (guildId, game, channelId) VALUES (?, ?, ?)');
-    const insertFilter   = db.prepare('INSERT OR REPLACE INTO guildGameFilters (guildId, games) VALUES (?, ?)');
-    const insertCooldown = db.prepare('INSERT OR REPLACE INTO guildCooldowns (guildId, maxSessions, windowSeconds) VALUES (?, ?, ?)');
-
-    db.transaction(() => {
-      for (const [id, data] of lfgSessions) {
-        const { timeoutId, ...s } = data.value;
-        insertSession.run(id, s.userId, s.user, s.game, s.platform, s.activity, s.gametag,
-          s.description, s.date, s.players, s.categoryId, s.voiceChannelId, s.textChannelId,
-          s.infoTextChannelId, s.infoMessageId, s.commandChannelId, s.commandChannelMessageId, s.guildId);
-      }
-      for (const [sessionId, data] of lfgJoinedUsers) {
-        deleteUsers.run(sessionId);
-        for (const userId of data.value ?? []) insertUser.run(sessionId, userId);
-      }
-      updateStats.run(lfgStats.totalSessions, lfgStats.totalPlayers);
-      for (const [key, data] of webhookChannels) {
-        const ci = key.indexOf(':');
-        insertWebhook.run(key.slice(0, ci), key.slice(ci + 1), data.value);
-      }
-      for (const [guildId, data] of guildGameFilters) insertFilter.run(guildId, JSON.stringify(data.value));
-      for (const [guildId, data] of guildCooldowns) insertCooldown.run(guildId, data.value.maxSessions, data.value.windowSeconds);
-    })();
+// Lifts both the session ban and the organizer-wide ban. Returns whether the user was banned at all.
+function removeSessionBans(sessionId, guildId, organizerId, userId) {
+  const key     = `${guildId}:${organizerId}`;
+  const session = lfgSessionBans.get(sessionId) ?? [];
+  const global  = organizerBans.get(key) ?? [];
+  lfgSessionBans.set(sessionId, session.filter(id => id !== userId));
+  organizerBans.set(key, global.filter(id => id !== userId));
+  repo.removeBans(sessionId, guildId, organizerId, userId);
+  return session.includes(userId) || global.includes(userId);
+}
 
-    console.log('✅ Données sauvegardées.');
-  } catch (err) {
-    console.error('⚠️ Erreur sauvegarde:', err.message);
+// Removes a user from a session's participants, waitlist and pending requests, then fills the freed slot
+async function expelFromSession(sessionId, guild, userId, byId) {
+  const session = lfgSessions.get(sessionId).value;
+  const member  = await guild.members.fetch(userId).catch(() => null);
+  if (member && member.voice.channelId === session.voiceChannelId) await member.voice.disconnect().catch(() => {});
+
+  if (lfgJoinedUsers.get(sessionId)?.value.includes(userId)) recordStatEvent(session, 'left');
+  removeJoinedUser(sessionId, userId);
+  removeFromWaitlist(sessionId, userId);
+  const request = removeJoinRequest(sessionId, userId);
+  if (request) {
+    await closeJoinRequestMessage(guild, request, t(getGuildLocale(guild.id), 'approval.denied', { mention: `<@${userId}>`, by: `<@${byId}>`, id: sessionId }));
   }
+  await setSessionAccess(session, guild, userId, false);
+  await promoteFromWaitlist(sessionId, guild);
+  await refreshSessionMessages(sessionId, guild, 'label.new');
 }
 
-// ─── Session timeout ──────────────────────────────────────────────────────────
-function resetTimeout(sessionId, guild) {
-  const sessionData = lfgSessions.get(sessionId);
-  if (!sessionData) return;
-  const session = sessionData.value;
-  if (session.timeoutId) { clearTimeout(session.timeoutId); session.timeoutId = null; }
+// Denies (or restores) a user's access to every channel of a session, whatever its visibility
+async function setSessionBanOverwrites(session, guild, userId, banned) {
+  for (const [channelKey, access] of Object.entries(SESSION_CHANNEL_ACCESS)) {
+    const channel = guild.channels.cache.get(session[channelKey]);
+    if (!channel) continue;
+    try {
+      if (banned) await channel.permissionOverwrites.edit(userId, Object.fromEntries(access.map(p => [p, false])), { type: OverwriteType.Member });
+      else await channel.permissionOverwrites.delete(userId);
+    } catch (err) { console.warn(`⚠️ Permissions ${channel.id} non mises à jour pour ${userId}:`, err.message); }
+  }
+}
 
-  session.timeoutId = setTimeout(async () => {
-    const vc = guild.channels.cache.get(session.voiceChannelId);
-    if (!vc || vc.members.size === 0) {
-      console.log(`🔄 Salon vide pour ${sessionId}. Suppression…`);
-      await deleteLFGSession(sessionId, guild);
-    }
-  }, 5 * 60 * 1000);
+// ─── Reputation ───────────────────────────────────────────────────────────────
 
-  setWithTTL(lfgSessions, sessionId, session, CACHE_TTL);
+function recordVoiceAttendance(sessionId, userId) {
+  const attendees = lfgVoiceAttendance.get(sessionId) ?? [];
+  if (attendees.includes(userId)) return;
+  lfgVoiceAttendance.set(sessionId, [...attendees, userId]);
+  repo.addVoiceAttendance(sessionId, userId);
 }
 
-// ─── Delete a LFG session ─────────────────────────────────────────────────────
-async function deleteLFGSession(sessionId, guild) {
-  const sessionData = lfgSessions.get(sessionId);
-  if (!sessionData) return;
-  const session = sessionData.value;
-  try {
-    if (session.timeoutId) clearTimeout(session.timeoutId);
-    for (const chanId of [session.voiceChannelId, session.textChannelId, session.infoTextChannelId, session.categoryId]) {
-      await safeDeleteChannel(guild.channels.cache.get(chanId));
-    }
-    db.transaction(() => {
-      db.prepare('DELETE FROM lfgSessions    WHERE id        = ?').run(sessionId);
-      db.prepare('DELETE FROM lfgJoinedUsers WHERE sessionId = ?').run(sessionId);
-    })();
-    lfgSessions.delete(sessionId);
-    lfgJoinedUsers.delete(sessionId);
-    await saveData();
-    console.log(`✅ Session ${sessionId} supprimée.`);
-  } catch (err) {
-    console.error(`⚠️ Erreur suppression session ${sessionId}:`, err.message);
-  }
+function getReputation(userId) {
+  const counts = { commend: 0, report: 0, no_show: 0 };
+  for (const row of repo.getReputationCounts(userId)) counts[row.kind] = row.n;
+  const score = Object.entries(REPUTATION_WEIGHTS).reduce((sum, [kind, weight]) => sum + counts[kind] * weight, 0);
+  return { score, ...counts };
 }
 
-// ─── Shared: refresh info + command messages ──────────────────────────────────
-async function refreshSessionMessages(sessionId, guild, label = 'Session LFG') {
-  const sessionData = lfgSessions.get(sessionId);
-  if (!sessionData) return;
-  const session     = sessionData.value;
-  const joinedUsers = lfgJoinedUsers.get(sessionId)?.value ?? [];
-
-  const commonOpts = {
-    sessionId, guildName: guild.name, organizerMention: `<@${session.userId}>`,
-    game: session.game, platform: session.platform, activity: session.activity,
-    joinedCount: joinedUsers.length, maxPlayers: session.players,
-    gametag: session.gametag, description: session.description, twitchUrl: session.twitchUrl ?? null,
-  };
+function getGuildMinReputation(guildId) {
+  const cached = guildReputation.get(guildId);
+  if (cached) return cached.value;
+  const minimum = repo.getMinReputation(guildId);
+  setWithTTL(guildReputation, guildId, minimum, REPUTATION_TTL);
+  return minimum;
+}
 
-  const infoTextChannel = guild.channels.cache.get(session.infoTextChannelId);
-  if (infoTextChannel && session.infoMessageId) {
-    try {
-      const msg = await infoTextChannel.messages.fetch(session.infoMessageId);
-      await msg.edit({
-        flags: MessageFlags.IsComponentsV2,
-        components: [buildSessionContainer({
-          ...commonOpts, label,
-          participantsMention: joinedUsers.length ? joinedUsers.map(id => `<@${id}>`).join(', ') : 'Aucun',
-          includeJoinLeaveButtons: true, includeNavButtons: true,
-        })],
-        allowedMentions: { parse: [] },
-      });
-    } catch (err) { console.warn('⚠️ MAJ message info impossible:', err.message); }
-  }
+// Returns null when the user may join sessions on the guild, else { score, minimum }
+function checkReputationRequirement(guildId, userId) {
+  const minimum = getGuildMinReputation(guildId);
+  if (minimum === null) return null;
+  const { score } = getReputation(userId);
+  return score < minimum ? { score, minimum } : null;
+}
 
-  const commandChannel = guild.channels.cache.get(session.commandChannelId);
-  if (commandChannel && session.commandChannelMessageId) {
+// Participants who never entered the voice channel of a session that actually ran count as no-shows.
+// Returns the participants who did show up.
+function recordNoShows(archiveId, sessionId, session, participants, durationSeconds) {
+  const attendees = lfgVoiceAttendance.get(sessionId) ?? [];
+  if (session.status === 'planned' || durationSeconds < NO_SHOW_MIN_DURATION) return participants.filter(id => attendees.includes(id));
+  repo.addNoShows(archiveId, sessionId, session.guildId, participants.filter(id => !attendees.includes(id)));
+  return participants.filter(id => attendees.includes(id));
+}
+
+// DMs each player who showed up a prompt to commend or report the others. The menus point at the archived
+// session, since its ID may be reused by a later one.
+async function promptSessionFeedback(archiveId, sessionId, session, guild, attendees) {
+  if (attendees.length < 2) return;
+  const locale = getGuildLocale(guild.id);
+  const names  = Object.fromEntries(await Promise.all(attendees.map(async id => {
+    const member = await guild.members.fetch(id).catch(() => null);
+    return [id, member?.displayName ?? id];
+  })));
+
+  for (const userId of attendees) {
+    const others = attendees.filter(id => id !== userId).slice(0, 25);
+    const menu   = (kind, placeholderKey) => new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(`${kind}_${archiveId}_${sessionId}`)
+        .setPlaceholder(t(locale, placeholderKey))
+        .setMinValues(1)
+        .setMaxValues(others.length)
+        .addOptions(others.map(id => ({ label: names[id].slice(0, 100), value: id }))),
+    );
     try {
-      const msg = await commandChannel.messages.fetch(session.commandChannelMessageId);
-      await msg.edit({
-        flags: MessageFlags.IsComponentsV2,
-        components: [buildSessionContainer({
-          ...commonOpts, label,
-          includeJoinLeaveButtons: false, includeNavButtons: true,
-        })],
-        allowedMentions: { parse: [] },
+      const member = await guild.members.fetch(userId);
+      await member.send({
+        content: t(locale, 'feedback.prompt', { id: sessionId, game: session.game, guild: guild.name }),
+        components: [menu('commend', 'feedback.commendPlaceholder'), menu('report', 'feedback.reportPlaceholder')],
       });
-    } catch (err) { console.warn('⚠️ MAJ message commande impossible:', err.message); }
+    } catch {}
   }
 }
 
-// ─── Load data from DB ────────────────────────────────────────────────────────
-async function loadData() {
-  try {
-    const sessions = db.prepare('SELECT * FROM lfgSessions').all();
-    for (const s of sessions) setWithTTL(lfgSessions, s.id, { ...s, timeoutId: null }, CACHE_TTL);
-    console.log(`✅ ${sessions.length} session(s) chargée(s).`);
+async function handleFeedbackSelect(interaction, kind, archiveId, sessionId) {
+  const locale  = getInteractionLocale(interaction);
+  const archive = repo.getArchivedSession(Number(archiveId), sessionId);
+  const participants = archive?.participants ?? [];
+  if (!participants.includes(interaction.user.id)) return interaction.reply({ content: t(locale, 'feedback.notParticipant'), flags: [MessageFlags.Ephemeral] });
+  if (Date.now() - new Date(archive.endedAt).getTime() > FEEDBACK_WINDOW) return interaction.reply({ content: t(locale, 'feedback.expired'), flags: [MessageFlags.Ephemeral] });
 
-    const users = db.prepare('SELECT sessionId, userId FROM lfgJoinedUsers').all();
-    for (const u of users) {
-      const ex = lfgJoinedUsers.get(u.sessionId);
-      if (!ex) setWithTTL(lfgJoinedUsers, u.sessionId, [u.userId], CACHE_TTL);
-      else ex.value.push(u.userId);
-    }
+  const targets = interaction.values.filter(id => id !== interaction.user.id && participants.includes(id));
+  repo.saveVotes(Number(archiveId), sessionId, archive.guildId, interaction.user.id, kind, targets);
+  return interaction.reply({ content: t(locale, kind === 'commend' ? 'feedback.commended' : 'feedback.reported', { count: targets.length }), flags: [MessageFlags.Ephemeral] });
+}
+
+// ─── Audit log ────────────────────────────────────────────────────────────────
+
+function getAuditChannelId(guildId) {
+  const cached = auditChannels.get(guildId);
+  if (cached) return cached.value;
+  const channelId = repo.getAuditChannel(guildId);
+  setWithTTL(auditChannels, guildId, channelId, AUDIT_TTL);
+  return channelId;
+}
+
+function formatAuditEntry(entry, locale) {
+  const details = Object.entries(entry.details)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}: ${key === 'reason' && END_REASONS.includes(value) ? t(locale, `endReason.${value}`) : value}`);
+  return [
+    `${AUDIT_ACTIONS[entry.action]} **${t(locale, `audit.${entry.action}`)}**`
+      + (entry.sessionId ? ` · \`#${entry.sessionId}\`` : '')
+      + ` · ${entry.actorId ? `<@${entry.actorId}>` : t(locale, 'audit.system')}`
+      + (entry.targetId ? ` → <@${entry.targetId}>` : '')
+      + ` · <t:${toUnix(entry.createdAt)}:f>`,
+    ...(details.length ? [`-# ${details.join(' · ')}`] : []),
+  ].join('\n');
+}
 
-    const stats = db.prepare('SELECT totalSessions, totalPlayers FROM lfgStats LIMIT 1').get() ?? { totalSessions: 0, totalPlayers: 0 };
-    Object.assign(lfgStats, stats);
+// Stores an audit entry and mirrors it to the guild's log channel, if one is set. Never throws.
+function logAudit(guild, action, { actorId = null, targetId = null, sessionId = null, details = {} } = {}) {
+  const entry = { action, actorId, targetId, sessionId, details, createdAt: new Date().toISOString() };
+  try {
+    repo.addAuditEntry(guild.id, entry);
+  } catch (err) { console.error("⚠️ Erreur journal d'audit:", err.message); }
 
-    const webhooks = db.prepare('SELECT guildId, game, channelId FROM webhookChannels').all();
-    for (const w of webhooks) setWithTTL(webhookChannels, `${w.guildId}:${w.game}`, w.channelId, WEBHOOK_TTL);
+  const channel = guild.channels.cache.get(getAuditChannelId(guild.id));
+  if (!channel?.isTextBased()) return;
+  channel.send({ content: formatAuditEntry(entry, getGuildLocale(guild.id)), allowedMentions: { parse: [] } })
+    .catch(err => console.warn(`⚠️ Journal d'audit non envoyé dans ${channel.id}:`, err.message));
+}
 
-    const filters = db.prepare('SELECT guildId, games FROM guildGameFilters').all();
-    for (const f of filters) setWithTTL(guildGameFilters, f.guildId, JSON.parse(f.games), FILTER_TTL);
+// ─── Subscriptions ────────────────────────────────────────────────────────────
 
-    const cooldowns = db.prepare('SELECT guildId, maxSessions, windowSeconds FROM guildCooldowns').all();
-    for (const c of cooldowns) setWithTTL(guildCooldowns, c.guildId, { maxSessions: c.maxSessions, windowSeconds: c.windowSeconds }, COOLDOWN_TTL);
-  } catch (err) {
-    console.error('⚠️ Erreur chargement données:', err.message);
+function getGameRoleId(guildId, game) {
+  let cached = guildGameRoles.get(guildId);
+  if (!cached) {
+    const mapping = Object.fromEntries(repo.getGameRoles(guildId).map(r => [r.game, r.roleId]));
+    setWithTTL(guildGameRoles, guildId, mapping, GAME_ROLES_TTL);
+    cached = guildGameRoles.get(guildId);
   }
+  return cached.value[game] ?? null;
 }
 
-// ─── Slash command registration ───────────────────────────────────────────────
-async function registerCommands() {
-  const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
+// Top-level line above an announcement that pings the game's role, if the guild mapped one
+function buildGameRolePing(guildId, game) {
+  const roleId = getGameRoleId(guildId, game);
+  return roleId ? [new TextDisplayBuilder().setContent(`🔔 <@&${roleId}>`)] : [];
+}
 
-  const platformChoices = [
-    { name: 'PC', value: 'PC' }, { name: 'PlayStation 5', value: 'PlayStation 5' },
-    { name: 'PlayStation 4', value: 'PlayStation 4' }, { name: 'Xbox Series X|S', value: 'Xbox Series X|S' },
-    { name: 'Xbox One', value: 'Xbox One' }, { name: 'Nintendo Switch', value: 'Nintendo Switch' },
-    { name: 'Mobile', value: 'Mobile' }, { name: 'iOS', value: 'iOS' }, { name: 'Android', value: 'Android' },
-    { name: 'Crossplay', value: 'Crossplay' }, { name: 'VR', value: 'VR' }, { name: 'Mac', value: 'Mac' }, { name: 'Linux', value: 'Linux' },
-  ];
+function getNotificationSettings(userId) {
+  const row = repo.getNotificationSettings(userId);
+  return { quietStart: row?.quietStart ?? null, quietEnd: row?.quietEnd ?? null, dailyCap: row?.dailyCap ?? DEFAULT_NOTIFICATION_CAP };
+}
 
-  const activityChoices = [
-    { name: 'Normale', value: 'Normale' }, { name: 'Classé', value: 'Classé' }, { name: 'Compétitif', value: 'Compétitif' },
-    { name: 'Tournoi', value: 'Tournoi' }, { name: 'Scrim', value: 'Scrim' }, { name: 'Entraînement', value: 'Entraînement' },
-    { name: 'Fun', value: 'Fun' }, { name: 'Découverte', value: 'Découverte' }, { name: 'Arcade', value: 'Arcade' },
-    { name: 'Coopération', value: 'Coopération' }, { name: 'Speedrun', value: 'Speedrun' },
-    { name: 'PvE', value: 'PvE' }, { name: 'PvP', value: 'PvP' }, { name: 'Raids', value: 'Raids' }, { name: 'Dungeons', value: 'Dungeons' },
-  ];
+// `HH:MM` or `HHhMM` → minutes since midnight, or null
+function parseClockTime(input) {
+  const match = input.trim().toLowerCase().match(/^(\d{1,2})(?:[:h](\d{2})?)?$/);
+  if (!match) return null;
+  const hour = Number(match[1]), minute = Number(match[2] ?? 0);
+  return hour > 23 || minute > 59 ? null : hour * 60 + minute;
+}
 
-  const sessionIdOpt = { name: 'session_id', description: 'ID de la session', type: 3, required: true, autocomplete: true };
+function formatClockTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
 
-  const commands = [
-    {
-      name: 'lfg',
-      description: 'Créer une session LFG',
-      options: [
-        { name: 'jeux',        description: 'Jeu',                                    type: 3, required: true,  choices: gameChoices },
-        { name: 'plateforme',  description: 'Plate-forme',                             type: 3, required: true,  choices: platformChoices },
-        { name: 'joueurs',     description: 'Nombre de joueurs',                       type: 4, required: true,  min_value: 1, max_value: 10 },
-        { name: 'gametag',     description: 'Gametag',                                 type: 3, required: true },
-        { name: 'activite',    description: 'Activité',                                type: 3, required: true,  choices: activityChoices },
-        { name: 'description', description: 'Description (optionnel)',                 type: 3, required: false },
-        { name: 'twitch',      description: 'Pseudo Twitch (optionnel, ex: nuggan85)', type: 3, required: false },
-      ],
-    },
-    {
-      name: 'duplicate_lfg',
-      description: 'Recréer une session identique à une session existante',
-      options: [sessionIdOpt],
-    },
-    {
-      name: 'modify_lfg',
-      description: 'Modifier une session LFG',
-      options: [
-        sessionIdOpt,
-        { name: 'joueurs',     description: 'Nombre de joueurs', type: 4, required: false, min_value: 1, max_value: 10 },
-        { name: 'description', description: 'Description',       type: 3, required: false },
-      ],
-    },
-    {
-      name: 'list_members',
-      description: "Lister les membres d'une session LFG",
-      options: [sessionIdOpt, { name: 'page', description: 'Page', type: 4, required: false, min_value: 1 }],
-    },
-    {
-      name: 'kick_member',
-      description: "Retirer un membre d'une session LFG",
-      options: [sessionIdOpt, { name: 'member', description: 'Membre à retirer', type: 6, required: true }],
-    },
-    {
-      name: 'ban_member',
-      description: "Bannir un membre d'une session LFG",
-      options: [sessionIdOpt, { name: 'member', description: 'Membre à bannir', type: 6, required: true }],
-    },
-    { name: 'stats',   description: 'Afficher les statistiques des sessions LFG' },
-    { name: 'history', description: "Afficher l'historique des sessions LFG" },
-    {
-      name: 'set_lfg_channel',
-      description: 'Définir le salon pour les annonces LFG (par jeu ou par défaut)',
-      options: [
-        { name: 'channel', description: 'Salon pour les annonces', type: 7, required: true, channel_types: [ChannelType.GuildText] },
-        { name: 'jeu', description: 'Jeu spécifique (optionnel — laisser vide pour le salon par défaut)', type: 3, required: false, choices: gameChoices },
-      ],
-    },
-    {
-      name: 'remove_lfg_channel',
-      description: 'Supprimer un salon LFG configuré (par jeu ou par défaut)',
-      options: [
-        { name: 'cible', description: 'Entrée à supprimer', type: 3, required: true, autocomplete: true },
-      ],
-    },
-    { name: 'list_lfg_channels', description: 'Afficher la configuration complète des salons LFG par jeu' },
-    {
-      name: 'set_cooldown',
-      description: 'Configurer le cooldown de création de sessions LFG par utilisateur',
-      options: [
-        { name: 'max_sessions', description: 'Nombre maximum de sessions par fenêtre de temps', type: 4, required: true, min_value: 1, max_value: 20 },
-        { name: 'fenetre',      description: 'Fenêtre de temps en minutes',                     type: 4, required: true, min_value: 1, max_value: 1440 },
-      ],
-    },
-    {
-      name: 'config',
-      description: 'Configurer les jeux acceptés sur ce serveur',
-      options: [
-        {
-          name: 'action', description: 'Action à effectuer', type: 3, required: true,
-          choices: [
-            { name: 'Ajouter un jeu au filtre',      value: 'add' },
-            { name: 'Retirer un jeu du filtre',      value: 'remove' },
-            { name: 'Voir la configuration',         value: 'view' },
-            { name: 'Réinitialiser (tout accepter)', value: 'reset' },
-          ],
-        },
-        { name: 'jeu', description: 'Jeu à ajouter ou retirer du filtre', type: 3, required: false, choices: gameChoices },
-      ],
-    },
-  ];
+// Quiet hours are read in the user's profile time zone and may wrap around midnight (e.g. 23:00 → 08:00)
+function isInQuietHours(settings, timeZone, now = Date.now()) {
+  const { quietStart, quietEnd } = settings;
+  if (quietStart === null || quietEnd === null || quietStart === quietEnd) return false;
+  const { hour, minute } = getZonedParts(now, timeZone);
+  const current = hour * 60 + minute;
+  return quietStart < quietEnd ? current >= quietStart && current < quietEnd : current >= quietStart || current < quietEnd;
+}
 
-  try {
-    await rest.put(
-      Routes.applicationCommands(process.env.CLIENT_ID),
-      { body: commands },
-    );
-    console.log('✅ Commandes enregistrées.');
-  } catch (err) {
-    console.error('⚠️ Erreur enregistrement commandes:', err.message);
+function formatSubscription(sub, locale) {
+  return [`🎮 **${sub.game}**`, sub.platform && `${getPlatformEmoji(sub.platform)} ${sub.platform}`, sub.activity && `${getActivityEmoji(sub.activity)} ${activityLabel(locale, sub.activity)}`]
+    .filter(Boolean).join('  ·  ');
+}
+
+function buildSubscriptionNotice(sessionId, guild, locale) {
+  const session     = lfgSessions.get(sessionId).value;
+  const joinedCount = lfgJoinedUsers.get(sessionId)?.value.length ?? 1;
+  const url         = `https://discord.com/channels/${guild.id}/${session.commandChannelId}/${session.commandChannelMessageId}`;
+  const container   = new ContainerBuilder()
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'subscribe.noticeTitle', { game: session.game })))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`\`🆔 Session #${sessionId}\``))
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'session.organizer', { mention: `<@${session.userId}>` })))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`🎮 **${session.game}**  ·  ${getPlatformEmoji(session.platform)} ${session.platform}`))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(
+      `${getActivityEmoji(session.activity)} **${activityLabel(locale, session.activity)}**  ·  ${t(locale, 'session.players', { slots: `${joinedCount}/${session.players}` })}`
+    ));
+  if (session.startTime) container.addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'subscribe.noticeStart', { ts: toUnix(session.startTime) })));
+
+  return container
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`> 📝 ${session.description}`))
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addActionRowComponents(new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`xjoin_${sessionId}`)
+        .setLabel(t(locale, session.visibility === 'approval' ? 'button.requestJoin' : 'button.join'))
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setURL(url).setLabel(t(locale, 'subscribe.noticeLink')).setStyle(ButtonStyle.Link),
+    ))
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# ${guild.name}  ·  /unsubscribe  /notifications`))
+    .setAccentColor(0x1E90FF);
+}
+
+// DMs every subscriber whose game/platform/activity filter matches a new session, once per session,
+// outside their quiet hours and within their daily cap. Invite-only sessions are never advertised.
+async function notifySubscribers(sessionId, guild) {
+  const session = lfgSessions.get(sessionId)?.value;
+  if (!session || session.visibility === 'invite') return;
+  if ((lfgJoinedUsers.get(sessionId)?.value.length ?? 0) >= session.players) return;
+
+  const userIds = repo.getSubscriberIds(guild.id, session);
+
+  const locale = getGuildLocale(guild.id);
+  const since  = new Date(Date.now() - NOTIFICATION_CAP_WINDOW).toISOString();
+  let sent = 0;
+  for (const userId of userIds) {
+    if (isBannedFromSession(sessionId, userId) || checkReputationRequirement(guild.id, userId)) continue;
+    const settings = getNotificationSettings(userId);
+    if (isInQuietHours(settings, getPlayerProfile(userId)?.timeZone ?? SCHEDULE_TIMEZONE)) continue;
+    if (repo.countNotificationsSince(userId, since) >= settings.dailyCap) continue;
+
+    const member = await guild.members.fetch(userId).catch(() => null);
+    if (!member) continue;
+    try {
+      await member.send({ components: [buildSubscriptionNotice(sessionId, guild, locale)], flags: MessageFlags.IsComponentsV2, allowedMentions: { parse: [] } });
+      repo.addNotification(userId, sessionId);
+      sent++;
+    } catch {}
   }
+  if (sent) console.log(`🔔 ${sent} abonné(s) prévenu(s) pour la session ${sessionId}.`);
 }
 
-// ─────────────────────────────────────────────────────────────────────────────
-// Autocomplete
-// ─────────────────────────────────────────────────────────────────────────────
+// ─── Session templates ────────────────────────────────────────────────────────
+// A template belongs to one member (userId) or is shared with the whole guild (userId = '').
 
-async function handleAutocomplete(interaction) {
-  const { commandName, options, guild } = interaction;
-  const focused = options.getFocused(true);
+function getTemplates(guildId, userId) {
+  return repo.getTemplates(guildId, userId);
+}
 
-  if (!guild) return interaction.respond([]).catch(() => {});
+// Autocomplete passes the template ID; a typed name resolves to the member's own template before a shared one
+function findTemplate(guildId, userId, input) {
+  const templates = getTemplates(guildId, userId);
+  return templates.find(tpl => String(tpl.id) === input)
+    ?? templates.find(tpl => tpl.name.toLowerCase() === input.trim().toLowerCase())
+    ?? null;
+}
 
-  if (focused.name === 'session_id') {
-    const input   = focused.value.toLowerCase();
-    const choices = [];
-    for (const [id, data] of lfgSessions) {
-      if (data.value.guildId !== guild.id) continue;
-      const { game, user } = data.value;
-      const label = `#${id} — ${game} (${user})`;
-      if (!input || id.includes(input) || label.toLowerCase().includes(input)) {
-        choices.push({ name: label.slice(0, 100), value: id });
-      }
-      if (choices.length >= 25) break;
-    }
-    return interaction.respond(choices);
+function formatTemplate(tpl, locale = DEFAULT_LOCALE) {
+  return `**${tpl.name}** — ${tpl.game}  ·  ${getPlatformEmoji(tpl.platform)} ${tpl.platform}  ·  ${getActivityEmoji(tpl.activity)} ${activityLabel(locale, tpl.activity)}  ·  `
+    + t(locale, 'template.players', { count: tpl.players })
+    + (tpl.twitch ? `  ·  🟣 ${tpl.twitch}` : '');
+}
+
+// ─── Player profiles ──────────────────────────────────────────────────────────
+const profileLaunchers = {
+  riot:      { label: 'Riot ID',       emoji: '🔴', pattern: /^[^#]{3,16}#[A-Za-z0-9]{2,5}$/, example: 'Pseudo#EUW' },
+  battlenet: { label: 'BattleTag',     emoji: '🔷', pattern: /^[^#\s]{3,12}#\d{4,6}$/,        example: 'Pseudo#1234' },
+  psn:       { label: 'PSN',           emoji: '🎮', pattern: /^[A-Za-z0-9_-]{3,16}$/,          example: 'Pseudo_85' },
+  xbox:      { label: 'Gamertag Xbox', emoji: '🟩', pattern: /^[A-Za-z0-9 ]{1,15}(#\d{1,4})?$/, example: 'Pseudo#1234' },
+  steam:     { label: 'Steam',         emoji: '💨', pattern: /^.{2,32}$/,                      example: 'Pseudo' },
+  epic:      { label: 'Epic Games',    emoji: '⚫', pattern: /^.{3,32}$/,                      example: 'Pseudo' },
+};
+
+// Games tied to a launcher account, whatever the platform (Riot) or on computers only (the others)
+const gameLaunchers = {
+  'League of Legends': 'riot',      'Valorant': 'riot',        'Teamfight Tactics': 'riot',
+  'Overwatch 2':       'battlenet', 'Hearthstone': 'battlenet', 'StarCraft II': 'battlenet',
+  'World of Warcraft': 'battlenet', 'COD: Warzone': 'battlenet',
+  'Fortnite':          'epic',      'Rocket League': 'epic',
+};
+
+const platformLaunchers = {
+  'PlayStation 5': 'psn', 'PlayStation 4': 'psn', 'Xbox Series X|S': 'xbox', 'Xbox One': 'xbox',
+  'PC': 'steam', 'Mac': 'steam', 'Linux': 'steam',
+};
+
+const COMPUTER_PLATFORMS = ['PC', 'Mac', 'Linux', 'Crossplay'];
+
+function emptyProfile() {
+  return { gametags: {}, games: [], languages: [], timeZone: null };
+}
+
+function getPlayerProfile(userId) {
+  const cached = playerProfiles.get(userId);
+  if (cached) return cached.value;
+  const profile = repo.getProfile(userId);
+  setWithTTL(playerProfiles, userId, profile, PROFILE_TTL);
+  return profile;
+}
+
+function savePlayerProfile(userId, profile) {
+  const isEmpty = !Object.keys(profile.gametags).length && !profile.games.length && !profile.languages.length && !profile.timeZone;
+  if (isEmpty) {
+    repo.deleteProfile(userId);
+    setWithTTL(playerProfiles, userId, null, PROFILE_TTL);
+    return null;
   }
+  repo.saveProfile(userId, profile);
+  setWithTTL(playerProfiles, userId, profile, PROFILE_TTL);
+  return profile;
+}
 
-  if (focused.name === 'cible' && commandName === 'remove_lfg_channel') {
-    const input   = focused.value.toLowerCase();
-    const entries = getWebhookEntriesForGuild(guild.id);
-    const choices = entries
-      .filter(e => {
-        const lbl = e.game === '*' ? 'salon par défaut (*)' : e.game.toLowerCase();
-        return !input || lbl.includes(input);
-      })
-      .slice(0, 25)
-      .map(e => ({ name: e.game === '*' ? 'Salon par défaut (*)' : e.game, value: e.game }));
-    return interaction.respond(choices);
+/**
+ * Pick the gametag matching a game/platform pair: the game's own launcher first,
+ * then the platform account. Crossplay falls back on any computer or console account.
+ * Returns `{ launcher, gametag }`, or null when the profile has nothing relevant.
+ */
+function resolveProfileGametag(profile, game, platform) {
+  if (!profile) return null;
+  const candidates = [];
+  const gameLauncher = gameLaunchers[game];
+  if (gameLauncher === 'riot' || (gameLauncher && COMPUTER_PLATFORMS.includes(platform))) candidates.push(gameLauncher);
+  if (platformLaunchers[platform]) candidates.push(platformLaunchers[platform]);
+  if (platform === 'Crossplay') candidates.push('steam', 'epic', 'psn', 'xbox');
+  const launcher = candidates.find(k => profile.gametags[k]);
+  return launcher ? { launcher, gametag: profile.gametags[launcher] } : null;
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('fr-FR', { timeZone });
+    return true;
+  } catch {
+    return false;
   }
+}
 
-  return interaction.respond([]);
+function parseListOption(input, { max, maxLength }) {
+  const items = [...new Set(input.split(/[,;]/).map(i => i.trim().replace(/\s+/g, ' ')).filter(Boolean))];
+  if (items.length > max || items.some(i => i.length > maxLength)) return null;
+  return items;
 }
 
-// ─────────────────────────────────────────────────────────────────────────────
-// Core session creation helper (shared by /lfg and /duplicate_lfg)
-// ─────────────────────────────────────────────────────────────────────────────
+// ─── Emoji helpers ────────────────────────────────────────────────────────────
+
+function getPlatformEmoji(platform) {
+  const map = {
+    'PC': '🖥️', 'PlayStation 5': '🎮', 'PlayStation 4': '🎮',
+    'Xbox Series X|S': '🟩', 'Xbox One': '🟩', 'Nintendo Switch': '🔴',
+    'Mobile': '📱', 'iOS': '📱', 'Android': '📱',
+    'Crossplay': '🌐', 'VR': '🥽', 'Mac': '🍎', 'Linux': '🐧',
+  };
+  return map[platform] ?? '🕹️';
+}
+
+function getActivityEmoji(activity) {
+  const map = {
+    'Normale': '🎲', 'Classé': '🏆', 'Compétitif': '⚔️', 'Tournoi': '🏅',
+    'Scrim': '🎯', 'Entraînement': '📚', 'Fun': '😄', 'Découverte': '🔭',
+    'Arcade': '🕹️', 'Coopération': '🤝', 'Speedrun': '⚡',
+    'PvE': '🐉', 'PvP': '⚔️', 'Raids': '🗡️', 'Dungeons': '🏰',
+  };
+  return map[activity] ?? '🎮';
+}
 
-async function createLFGSession({ interaction, guild, channel, user, game, platform, players, gametag, activity, description, twitchUrl, sessionLabel }) {
-  const sessionId = Math.floor(1000 + Math.random() * 9000).toString();
+// ─── Container builders ───────────────────────────────────────────────────────
+
+function buildGameImageGallery(game, guildId = null) {
+  const url = getGameImageUrl(game, guildId);
+  if (!url) return null;
+  return new MediaGalleryBuilder().addItems(new MediaGalleryItemBuilder().setURL(url));
+}
+
+function buildNavButtons(sessionId, locale = DEFAULT_LOCALE, includeCloseButton = false) {
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`vocal_${sessionId}`).setLabel(t(locale, 'button.voice')).setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`texte_${sessionId}`).setLabel(t(locale, 'button.text')).setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`info_${sessionId}`).setLabel(t(locale, 'button.info')).setStyle(ButtonStyle.Secondary),
+  );
+  if (includeCloseButton) {
+    row.addComponents(new ButtonBuilder().setCustomId(`close_${sessionId}`).setLabel(t(locale, 'button.close')).setStyle(ButtonStyle.Danger));
+  }
+  return row;
+}
+
+function buildJoinLeaveButtons(sessionId, isFull, isPlanned = false, roleSlots = null, locale = DEFAULT_LOCALE, visibility = 'public') {
+  const rows = [];
+  const row  = new ActionRowBuilder();
+
+  if (visibility === 'invite') {
+    // Invite-only: members are added by the organizer with /invite_lfg
+  } else if (isFull && visibility !== 'public') {
+    // Private sessions have no waitlist: promotions would bypass the organizer's approval
+    row.addComponents(
+      new ButtonBuilder().setCustomId(`join_${sessionId}`).setLabel(t(locale, 'button.requestJoin')).setStyle(ButtonStyle.Success).setDisabled(true),
+    );
+  } else if (isFull) {
+    row.addComponents(
+      new ButtonBuilder().setCustomId(`waitlist_${sessionId}`).setLabel(t(locale, 'button.waitlist')).setStyle(ButtonStyle.Primary),
+    );
+  } else if (roleSlots) {
+    // Role sessions: one join button per role, disabled once that role is filled
+    rows.push(new ActionRowBuilder().addComponents(roleSlots.map((r, index) =>
+      new ButtonBuilder()
+        .setCustomId(`role_${sessionId}_${index}`)
+        .setLabel(`${r.emoji} ${r.name} ${r.members.length}/${r.count}`)
+        .setStyle(ButtonStyle.Success)
+        .setDisabled(r.members.length >= r.count),
+    )));
+  } else {
+    row.addComponents(
+      new ButtonBuilder().setCustomId(`join_${sessionId}`)
+        .setLabel(t(locale, visibility === 'approval' ? 'button.requestJoin' : isPlanned ? 'button.attend' : 'button.join'))
+        .setStyle(ButtonStyle.Success),
+    );
+  }
+
+  row.addComponents(
+    new ButtonBuilder().setCustomId(`leave_${sessionId}`).setLabel(t(locale, isPlanned ? 'button.withdraw' : 'button.leave')).setStyle(ButtonStyle.Danger),
+  );
+  rows.push(row);
+  return rows;
+}
+
+function buildSessionContainer({
+  sessionId, labelKey = 'label.default', locale = DEFAULT_LOCALE, guildId = null, guildName, organizerMention,
+  game, platform, activity, joinedCount, maxPlayers,
+  gametag, description, twitchUrl = null, participantsMention, startTime = null, isPlanned = false, waitlistCount = 0,
+  roleSlots = null, visibility = 'public', includeJoinLeaveButtons = true, includeNavButtons = true, includeCloseButton = false, isModified = false,
+}) {
+  const isFull      = joinedCount >= maxPlayers;
+  const statusEmoji = isPlanned ? '📅' : isModified ? '🔄' : '🟢';
+  const slotDisplay = (isFull ? `~~${joinedCount}/${maxPlayers}~~ ${t(locale, 'session.full')}` : `${joinedCount}/${maxPlayers}`)
+    + (waitlistCount ? `  ·  ${t(locale, 'session.waitlistCount', { count: waitlistCount })}` : '');
+  const gameGallery = buildGameImageGallery(game, guildId);
+
+  const container = new ContainerBuilder()
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`${statusEmoji} **${t(locale, labelKey)}**`))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`\`🆔 Session #${sessionId}\``))
+    .addSeparatorComponents(new SeparatorBuilder());
+
+  if (gameGallery) container.addMediaGalleryComponents(gameGallery);
+
+  container
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'session.organizer', { mention: organizerMention })))
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`🎮 **${game}**  ·  ${getPlatformEmoji(platform)} ${platform}`))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(
+      `${getActivityEmoji(activity)} **${activityLabel(locale, activity)}**  ·  ${t(locale, 'session.players', { slots: slotDisplay })}`
+    ))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'session.gametag', { gametag })));
+
+  if (visibility !== 'public') {
+    container.addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, `visibility.${visibility}`)));
+  }
+
+  if (startTime) {
+    container.addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'session.start', { ts: toUnix(startTime) })));
+  }
+
+  if (roleSlots) {
+    const roleLines = roleSlots.map(r =>
+      `${r.emoji} **${r.name}** ${r.members.length}/${r.count}${r.members.length ? ` — ${r.members.map(id => `<@${id}>`).join(', ')}` : ''}`
+    );
+    container
+      .addSeparatorComponents(new SeparatorBuilder())
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`${t(locale, 'session.roles')}\n${roleLines.join('\n')}`));
+  }
+
+  container
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`> 📝 ${description}`))
+    .setAccentColor(0x1E90FF);
+
+  if (participantsMention !== undefined) {
+    container
+      .addSeparatorComponents(new SeparatorBuilder())
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'session.participants', { mentions: participantsMention })));
+  }
+
+  if (twitchUrl) {
+    container
+      .addSeparatorComponents(new SeparatorBuilder())
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(
+        t(locale, 'session.twitch', { channel: twitchUrl.replace('https://twitch.tv/', ''), url: twitchUrl })
+      ));
+  }
+
+  if (includeNavButtons && !isPlanned) {
+    container.addSeparatorComponents(new SeparatorBuilder()).addActionRowComponents(buildNavButtons(sessionId, locale, includeCloseButton));
+  } else if (includeJoinLeaveButtons) {
+    container.addSeparatorComponents(new SeparatorBuilder());
+  }
+
+  if (includeJoinLeaveButtons) {
+    container.addActionRowComponents(...buildJoinLeaveButtons(sessionId, isFull, isPlanned, roleSlots, locale, visibility));
+  }
+
+  const footerHint = isPlanned
+    ? t(locale, 'session.footerPlanned', { minutes: SCHEDULE_OPEN_LEAD / 60_000 })
+    : t(locale, 'session.footerLive');
+
+  container
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(
+      `-# ${footerHint}  ·  ${guildName}  ·  /lfg  /stats  /history`
+    ));
+
+  return container;
+}
+
+function buildCrossServerContainer({
+  sessionId, sourceGuildName, sourceGuildId, voiceChannelId, textChannelId, infoTextChannelId, locale = DEFAULT_LOCALE,
+  organizerMention, game, platform, activity, joinedCount, maxPlayers, gametag, description, twitchUrl,
+  visibility = 'public', isClosed = false,
+}) {
+  const isFull      = joinedCount >= maxPlayers;
+  const slotDisplay = isFull ? `~~${joinedCount}/${maxPlayers}~~ ${t(locale, 'session.full')}` : `${joinedCount}/${maxPlayers}`;
+  const gameGallery = buildGameImageGallery(game, sourceGuildId);
+  const container   = new ContainerBuilder()
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, isClosed ? 'cross.closedTitle' : 'cross.title')))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`\`🆔 Session #${sessionId}\``))
+    .addSeparatorComponents(new SeparatorBuilder());
+
+  if (gameGallery) container.addMediaGalleryComponents(gameGallery);
+
+  container
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'session.organizer', { mention: organizerMention })))
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`🎮 **${game}**  ·  ${getPlatformEmoji(platform)} ${platform}`))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(
+      `${getActivityEmoji(activity)} **${activityLabel(locale, activity)}**  ·  ${t(locale, 'session.players', { slots: slotDisplay })}`
+    ))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'session.gametag', { gametag })));
+
+  if (visibility !== 'public') {
+    container.addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, `visibility.${visibility}`)));
+  }
+
+  container
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`> 📝 ${description}`));
+
+  if (twitchUrl) {
+    container
+      .addSeparatorComponents(new SeparatorBuilder())
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(
+        t(locale, 'session.twitch', { channel: twitchUrl.replace('https://twitch.tv/', ''), url: twitchUrl })
+      ));
+  }
+
+  // Closed sessions keep their announcement as a record, without buttons
+  if (!isClosed) {
+    container
+      .addSeparatorComponents(new SeparatorBuilder())
+      .addActionRowComponents(new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`xjoin_${sessionId}`)
+          .setLabel(t(locale, visibility === 'approval' ? 'button.requestJoin' : 'button.join'))
+          .setStyle(ButtonStyle.Success)
+          .setDisabled(isFull),
+        new ButtonBuilder().setCustomId(`xvocal_${sourceGuildId}_${voiceChannelId}`).setLabel(t(locale, 'button.voice')).setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder().setCustomId(`xtexte_${sourceGuildId}_${textChannelId}`).setLabel(t(locale, 'button.text')).setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder().setCustomId(`xinfo_${sourceGuildId}_${infoTextChannelId}`).setLabel(t(locale, 'button.info')).setStyle(ButtonStyle.Secondary),
+      ));
+  }
+
+  container
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# ${t(locale, 'cross.hostedOn', { guild: sourceGuildName })}`))
+    .setAccentColor(isClosed ? 0x808080 : 0x1E90FF);
+
+  return container;
+}
+
+// ─── Presence ─────────────────────────────────────────────────────────────────
+let _presenceIndex = 0;
+
+function updateRichPresence() {
+  try {
+    if (!client.user) return;
+    const totalSessions = lfgSessions.size;
+    const totalPlayers  = Array.from(lfgJoinedUsers.values()).reduce((acc, d) => acc + (d.value?.length ?? 0), 0);
+
+    const activities = [
+      { name: t(DEFAULT_LOCALE, 'presence.searching'), type: ActivityType.Custom, state: t(DEFAULT_LOCALE, 'presence.searching') },
+      { name: t(DEFAULT_LOCALE, 'presence.sessions', { count: totalSessions }), type: ActivityType.Custom },
+      { name: t(DEFAULT_LOCALE, 'presence.players', { count: totalPlayers }), type: ActivityType.Custom },
+    ];
+
+    const activity = activities[_presenceIndex % activities.length];
+    _presenceIndex++;
+
+    client.user.setPresence({ activities: [activity], status: 'online' });
+  } catch (err) {
+    console.error('⚠️ Erreur Rich Presence:', err.message);
+  }
+}
+
+// Rotation de la présence toutes les 30 secondes
+setInterval(updateRichPresence, 30_000);
+
+// ─── Rate limiter ─────────────────────────────────────────────────────────────
+function checkRateLimit(userId) {
+  const now = Date.now();
+  rateLimiter[userId] = (rateLimiter[userId] ?? []).filter(ts => now - ts < 60_000);
+  if (rateLimiter[userId].length >= 5) return false;
+  rateLimiter[userId].push(now);
+  return true;
+}
+
+// ─── Session store ────────────────────────────────────────────────────────────
+// Sessions and participants are written row by row through the repository as they change; lfgSessions and
+// lfgJoinedUsers mirror those rows for as long as the session exists, so their entries never expire.
+
+function storeSession(sessionId, session) {
+  repo.saveSession(sessionId, session);
+  lfgSessions.set(sessionId, { value: session });
+}
+
+// Sets the whole participant list at once, when a session is created
+function storeJoinedUsers(sessionId, userIds) {
+  repo.replaceParticipants(sessionId, userIds, lfgParticipantRoles.get(sessionId));
+  lfgJoinedUsers.set(sessionId, { value: userIds });
+}
+
+function addJoinedUser(sessionId, userId, roleName = null) {
+  repo.addParticipant(sessionId, userId, roleName);
+  if (roleName) setParticipantRole(sessionId, userId, roleName);
+  lfgJoinedUsers.set(sessionId, { value: [...(lfgJoinedUsers.get(sessionId)?.value ?? []), userId] });
+}
+
+function removeJoinedUser(sessionId, userId) {
+  repo.removeParticipant(sessionId, userId);
+  setParticipantRole(sessionId, userId, null);
+  const joined = lfgJoinedUsers.get(sessionId);
+  if (joined) lfgJoinedUsers.set(sessionId, { value: joined.value.filter(id => id !== userId) });
+}
+
+// Session IDs are typed by hand in commands: a session from another guild is unknown there, so no capability
+// granted in one guild ever reaches another guild's sessions
+function getGuildSession(sessionId, guildId) {
+  const sessionData = lfgSessions.get(sessionId);
+  return sessionData?.value.guildId === guildId ? sessionData : undefined;
+}
+
+// ─── Session timeout ──────────────────────────────────────────────────────────
+function resetTimeout(sessionId, guild) {
+  const sessionData = lfgSessions.get(sessionId);
+  if (!sessionData) return;
+  const session = sessionData.value;
+  if (session.timeoutId) { clearTimeout(session.timeoutId); session.timeoutId = null; }
+
+  // Scheduled sessions open early: the empty-voice delay only starts counting at the start time
+  const startsIn = session.startTime ? new Date(session.startTime).getTime() - Date.now() : 0;
+
+  session.timeoutId = setTimeout(async () => {
+    const vc = guild.channels.cache.get(session.voiceChannelId);
+    if (!vc || vc.members.size === 0) {
+      console.log(`🔄 Salon vide pour ${sessionId}. Suppression…`);
+      await deleteLFGSession(sessionId, guild, 'empty_voice');
+    }
+  }, Math.max(0, startsIn) + 5 * 60 * 1000);
+}
+
+// ─── Delete a LFG session ─────────────────────────────────────────────────────
+async function deleteLFGSession(sessionId, guild, reason = 'manual', actorId = null) {
+  const sessionData = lfgSessions.get(sessionId);
+  if (!sessionData) return;
+  const session = sessionData.value;
+  try {
+    if (session.timeoutId) clearTimeout(session.timeoutId);
+    await updateCrossServerAnnouncements(sessionId, guild, true);
+    for (const chanId of [session.voiceChannelId, session.textChannelId, session.infoTextChannelId, session.categoryId]) {
+      await safeDeleteChannel(guild.channels.cache.get(chanId));
+    }
+    const participants    = lfgJoinedUsers.get(sessionId)?.value ?? [];
+    const endedAt         = new Date();
+    const startedAt       = new Date(session.startTime ?? session.date);
+    const durationSeconds = session.status === 'planned' ? 0 : Math.max(0, Math.round((endedAt - startedAt) / 1000));
+    const { archiveId, attendees } = repo.transaction(() => {
+      const id = repo.archiveSession(sessionId, session, { participants, endedAt: endedAt.toISOString(), durationSeconds, reason });
+      recordStatEvent(session, 'ended', { participants: participants.length, durationSeconds });
+      repo.deleteSession(sessionId);
+      return { archiveId: id, attendees: recordNoShows(id, sessionId, session, participants, durationSeconds) };
+    });
+    lfgSessions.delete(sessionId);
+    lfgJoinedUsers.delete(sessionId);
+    lfgWaitlists.delete(sessionId);
+    lfgParticipantRoles.delete(sessionId);
+    lfgJoinRequests.delete(sessionId);
+    lfgCrossPosts.delete(sessionId);
+    lfgSessionBans.delete(sessionId);
+    lfgVoiceAttendance.delete(sessionId);
+    plannedOpenFailures.delete(sessionId);
+    for (const minutesBefore of SCHEDULE_REMINDERS) scheduledReminders.delete(`${sessionId}:${minutesBefore}`);
+    console.log(`✅ Session ${sessionId} supprimée (${reason}).`);
+    logAudit(guild, 'delete', { actorId, sessionId, details: { reason, game: session.game, participants: participants.length } });
+    await promptSessionFeedback(archiveId, sessionId, session, guild, attendees);
+  } catch (err) {
+    console.error(`⚠️ Erreur suppression session ${sessionId}:`, err.message);
+  }
+}
+
+// ─── Shared: refresh info + command messages ──────────────────────────────────
+async function refreshSessionMessages(sessionId, guild, labelKey = 'label.default') {
+  const sessionData = lfgSessions.get(sessionId);
+  if (!sessionData) return;
+  const session     = sessionData.value;
+  const joinedUsers = lfgJoinedUsers.get(sessionId)?.value ?? [];
+  const locale      = getGuildLocale(guild.id);
+  const nobody      = t(locale, 'common.nobody');
+
+  const commonOpts = {
+    sessionId, locale, guildId: guild.id, guildName: guild.name, organizerMention: `<@${session.userId}>`,
+    game: session.game, platform: session.platform, activity: session.activity,
+    joinedCount: joinedUsers.length, maxPlayers: session.players,
+    gametag: session.gametag, description: session.description, twitchUrl: session.twitchUrl ?? null,
+    startTime: session.startTime ?? null, waitlistCount: lfgWaitlists.get(sessionId)?.length ?? 0,
+    roleSlots: getSessionRoleSlots(sessionId), visibility: session.visibility ?? 'public',
+  };
+  const isPlanned = session.status === 'planned';
+
+  const infoTextChannel = guild.channels.cache.get(session.infoTextChannelId);
+  if (infoTextChannel && session.infoMessageId) {
+    try {
+      const msg = await infoTextChannel.messages.fetch(session.infoMessageId);
+      await msg.edit({
+        flags: MessageFlags.IsComponentsV2,
+        components: [buildSessionContainer({
+          ...commonOpts, labelKey,
+          participantsMention: joinedUsers.length ? joinedUsers.map(id => `<@${id}>`).join(', ') : nobody,
+          includeJoinLeaveButtons: true, includeNavButtons: true, includeCloseButton: true,
+        })],
+        allowedMentions: { parse: [] },
+      });
+    } catch (err) { console.warn('⚠️ MAJ message info impossible:', err.message); }
+  }
+
+  const commandChannel = guild.channels.cache.get(session.commandChannelId);
+  if (commandChannel && session.commandChannelMessageId) {
+    try {
+      const msg = await commandChannel.messages.fetch(session.commandChannelMessageId);
+      await msg.edit({
+        flags: MessageFlags.IsComponentsV2,
+        components: [...buildGameRolePing(guild.id, session.game), buildSessionContainer({
+          ...commonOpts, labelKey: isPlanned ? 'label.planned' : labelKey, isPlanned,
+          participantsMention: isPlanned ? joinedUsers.map(id => `<@${id}>`).join(', ') || nobody : undefined,
+          // Approval sessions hide their info channel: join requests start from the announcement
+          includeJoinLeaveButtons: isPlanned || session.visibility === 'approval', includeNavButtons: true,
+        })],
+        allowedMentions: { parse: [] },
+      });
+    } catch (err) { console.warn('⚠️ MAJ message commande impossible:', err.message); }
+  }
+
+  // Webhook edits run one after another across guilds: callers answering an interaction don't wait for them
+  updateCrossServerAnnouncements(sessionId, guild).catch(err => console.error('⚠️ Erreur MAJ annonces inter-serveurs:', err.message));
+}
+
+// ─── Cross-server announcements ───────────────────────────────────────────────
+
+// One webhook per announcement channel, reused so the posts it sent can be edited later
+async function getAnnouncementWebhook(channel) {
+  const cached = announcementWebhooks.get(channel.id);
+  if (cached) return cached.value;
+  const existing = (await channel.fetchWebhooks()).find(w => w.owner?.id === client.user.id && w.token);
+  const webhook  = existing ?? await channel.createWebhook({ name: 'LFG Annonce', avatar: client.user.avatarURL() ?? undefined });
+  setWithTTL(announcementWebhooks, channel.id, webhook, WEBHOOK_TTL);
+  return webhook;
+}
+
+function buildSessionCrossContainer(sessionId, guild, locale, isClosed = false) {
+  const session = lfgSessions.get(sessionId).value;
+  return buildCrossServerContainer({
+    sessionId, sourceGuildName: guild.name, sourceGuildId: guild.id, locale,
+    voiceChannelId: session.voiceChannelId, textChannelId: session.textChannelId, infoTextChannelId: session.infoTextChannelId,
+    organizerMention: `<@${session.userId}>`, game: session.game, platform: session.platform, activity: session.activity,
+    joinedCount: lfgJoinedUsers.get(sessionId)?.value.length ?? 0, maxPlayers: session.players,
+    gametag: session.gametag, description: session.description, twitchUrl: session.twitchUrl ?? null,
+    visibility: session.visibility ?? 'public', isClosed,
+  });
+}
+
+// Posts the session in the LFG channel of every other guild that accepts the game. Invite-only sessions are not advertised.
+async function announceCrossServer(sessionId, guild) {
+  const session = lfgSessions.get(sessionId)?.value;
+  if (!session || session.visibility === 'invite') return;
+  const organizer = await guild.members.fetch(session.userId).catch(() => null);
+  if (!hasCapability(organizer, 'crosspost')) return;
+
+  const posts        = [];
+  for (const gId of repo.getWebhookGuildIds()) {
+    if (gId === guild.id) continue;
+    if (!isGameAllowedForGuild(gId, session.game)) continue;
+    const chId = getWebhookChannelId(gId, session.game);
+    if (!chId) continue;
+    try {
+      const tg = client.guilds.cache.get(gId);
+      if (!tg || !isFederationPartner(guild, tg)) continue;
+      const tc = tg.channels.cache.get(chId);
+      if (!tc?.isTextBased()) continue;
+      const wh  = await getAnnouncementWebhook(tc);
+      const msg = await wh.send({
+        components: [buildSessionCrossContainer(sessionId, guild, getGuildLocale(gId))], flags: MessageFlags.IsComponentsV2,
+        username: client.user.username, avatarURL: client.user.avatarURL() ?? undefined, allowedMentions: { parse: ['users'] },
+      });
+      posts.push({ guildId: gId, channelId: tc.id, messageId: msg.id });
+    } catch (err) { console.error(`⚠️ Erreur annonce vers ${gId}:`, err.message); }
+  }
+
+  repo.saveCrossPosts(sessionId, posts);
+  lfgCrossPosts.set(sessionId, posts);
+}
+
+// Edits the session's announcements on other guilds; closed ones lose their buttons.
+async function updateCrossServerAnnouncements(sessionId, guild, isClosed = false) {
+  for (const post of lfgCrossPosts.get(sessionId) ?? []) {
+    const tc = client.guilds.cache.get(post.guildId)?.channels.cache.get(post.channelId);
+    if (!tc) continue;
+    try {
+      const wh = await getAnnouncementWebhook(tc);
+      await wh.editMessage(post.messageId, {
+        components: [buildSessionCrossContainer(sessionId, guild, getGuildLocale(post.guildId), isClosed)],
+        flags: MessageFlags.IsComponentsV2, allowedMentions: { parse: [] },
+      });
+    } catch (err) {
+      console.warn(`⚠️ MAJ annonce ${post.messageId} vers ${post.guildId} impossible:`, err.message);
+      announcementWebhooks.delete(tc.id);
+    }
+  }
+}
+
+// ─── Waitlist ─────────────────────────────────────────────────────────────────
+
+function removeFromWaitlist(sessionId, userId) {
+  const queue = lfgWaitlists.get(sessionId);
+  if (!queue?.includes(userId)) return false;
+  lfgWaitlists.set(sessionId, queue.filter(id => id !== userId));
+  repo.removeFromWaitlist(sessionId, userId);
+  return true;
+}
+
+// Moves queued users into free slots, in order, and lets them know. Returns the promoted user IDs.
+async function promoteFromWaitlist(sessionId, guild) {
+  const session = lfgSessions.get(sessionId)?.value;
+  const queue   = lfgWaitlists.get(sessionId) ?? [];
+  if (!session || !queue.length) return [];
+
+  const joinedUsers = [...(lfgJoinedUsers.get(sessionId)?.value ?? [])];
+  const promoted    = [];
+  while (joinedUsers.length < session.players && queue.length) {
+    const userId = queue.shift();
+    repo.removeFromWaitlist(sessionId, userId);
+    const member = await guild.members.fetch(userId).catch(() => null);
+    // The reputation may have dropped, or the minimum risen, since the user queued
+    if (!member || joinedUsers.includes(userId) || checkReputationRequirement(session.guildId, userId)) continue;
+    // Role sessions: the promoted player takes whichever role has a free slot
+    const freeRole = buildRoleSlots(session.roles, joinedUsers, lfgParticipantRoles.get(sessionId))?.find(r => r.members.length < r.count) ?? null;
+    joinedUsers.push(userId);
+    addJoinedUser(sessionId, userId, freeRole?.name);
+    recordStatEvent(session, 'joined');
+    logAudit(guild, 'join', { targetId: userId, sessionId, details: { role: freeRole?.name, via: 'waitlist' } });
+    promoted.push(member);
+  }
+  lfgWaitlists.set(sessionId, queue);
+  if (!promoted.length) return [];
+
+  const vc         = guild.channels.cache.get(session.voiceChannelId);
+  const locale     = getGuildLocale(guild.id);
+  const baseNotice = session.status === 'planned'
+    ? t(locale, 'waitlist.promotedPlanned', { id: sessionId, game: session.game, ts: toUnix(session.startTime) })
+    : t(locale, 'waitlist.promoted', { id: sessionId, game: session.game, guild: guild.name })
+      + (vc ? `\n${t(locale, 'waitlist.voiceLink', { url: `https://discord.com/channels/${guild.id}/${vc.id}` })}` : '');
+  for (const member of promoted) {
+    const role   = lfgParticipantRoles.get(sessionId)?.[member.id];
+    const notice = role ? `${baseNotice}\n${t(locale, 'waitlist.assignedRole', { role })}` : baseNotice;
+    try { await member.send({ content: notice }); } catch {
+      // DMs closed: fall back to a mention in the session's discussion (or announcement) channel
+      const fallback = guild.channels.cache.get(session.textChannelId) ?? guild.channels.cache.get(session.commandChannelId);
+      try { await fallback?.send({ content: `${member} ${notice}`, allowedMentions: { users: [member.id] } }); } catch {}
+    }
+  }
+  console.log(`✅ ${promoted.length} joueur(s) promu(s) depuis la liste d'attente de ${sessionId}.`);
+  return promoted.map(m => m.id);
+}
+
+// ─── Matchmaking queue ────────────────────────────────────────────────────────
+// Players waiting for the same game, platform, activity and group size share a bucket. Once enough
+// compatible players wait in a bucket, the longest-waiting one becomes the organizer of a new session.
+
+function queueBucket({ guildId, game, platform, activity, players }) {
+  return [guildId, game, platform, activity, players].join('|');
+}
+
+function findQueueEntry(guildId, userId) {
+  for (const [bucket, entries] of lfgQueue) {
+    const entry = entries.find(e => e.guildId === guildId && e.userId === userId);
+    if (entry) return { bucket, entry };
+  }
+  return null;
+}
+
+function removeQueueEntries(bucket, userIds) {
+  lfgQueue.set(bucket, (lfgQueue.get(bucket) ?? []).filter(e => !userIds.includes(e.userId)));
+  if (!lfgQueue.get(bucket).length) lfgQueue.delete(bucket);
+  const [guildId] = bucket.split('|');
+  repo.deleteQueueEntries(guildId, userIds);
+}
+
+// Standard composition of the game with exactly `players` slots, if any: queued roles must fit in it
+function getQueueComposition(game, players) {
+  return (rolePresets[game] ?? []).map(parseRoleComposition).find(roles => roles?.reduce((acc, r) => acc + r.count, 0) === players) ?? null;
+}
+
+function fitsQueueGroup(group, entry, composition) {
+  const ranks = [...group, entry].map(e => e.rank).filter(rank => rank !== null);
+  if (ranks.length && Math.max(...ranks) - Math.min(...ranks) > QUEUE_RANK_SPREAD) return false;
+  // The first player of the group organizes the session: their organizer bans apply
+  if (group.length && organizerBans.get(`${entry.guildId}:${group[0].userId}`)?.includes(entry.userId)) return false;
+  if (!composition || !entry.role) return true;
+  return group.filter(e => e.role === entry.role).length < composition.find(r => r.name === entry.role).count;
+}
+
+// First group of compatible players in queue order, trying each waiting player as the organizer
+function findQueueMatch(entries, players, composition) {
+  for (let start = 0; start <= entries.length - players; start++) {
+    const group = [];
+    for (const entry of entries.slice(start)) {
+      if (!fitsQueueGroup(group, entry, composition)) continue;
+      group.push(entry);
+      if (group.length === players) return group;
+    }
+  }
+  return null;
+}
+
+// Players without a role take the composition's free slots, in queue order
+function assignQueueRoles(group, composition) {
+  if (!composition) return group.map(() => null);
+  const free = composition.flatMap(r => Array(r.count - group.filter(e => e.role === r.name).length).fill(r.name));
+  return group.map(e => e.role ?? free.shift());
+}
+
+function buildQueueContainer(bucket, locale = DEFAULT_LOCALE) {
+  const entries = lfgQueue.get(bucket) ?? [];
+  const { game, platform, activity, players } = entries[0];
+  const lines   = entries.map(e => `• <@${e.userId}>`
+    + (e.role ? `  ·  ${roleLookup.get(e.role.toLowerCase())?.emoji ?? '🎭'} ${e.role}` : '')
+    + (e.rank ? `  ·  ${t(locale, 'queue.rank', { rank: e.rank })}` : ''));
+  const gameGallery = buildGameImageGallery(game, entries[0].guildId);
+
+  const container = new ContainerBuilder()
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'queue.title', { game })))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(
+      `${getPlatformEmoji(platform)} ${platform}  ·  ${getActivityEmoji(activity)} ${activityLabel(locale, activity)}  ·  ${t(locale, 'queue.groupSize', { count: players })}`
+    ))
+    .addSeparatorComponents(new SeparatorBuilder());
+  if (gameGallery) container.addMediaGalleryComponents(gameGallery);
+
+  return container
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`${t(locale, 'queue.waiting', { count: entries.length })}\n${lines.join('\n')}`))
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addActionRowComponents(new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`queueleave_${entries[0].guildId}`).setLabel(t(locale, 'button.leaveQueue')).setStyle(ButtonStyle.Danger),
+    ))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# ${t(locale, 'queue.footer')}  ·  /queue join  /queue leave`))
+    .setAccentColor(0x9B59B6);
+}
+
+// Keeps one live message per bucket, posted where its first player queued; removed once the bucket is empty
+async function updateQueueDisplay(guild, bucket) {
+  const entries = lfgQueue.get(bucket) ?? [];
+  const display = lfgQueueMessages.get(bucket);
+  const message = display ? await guild.channels.cache.get(display.channelId)?.messages.fetch(display.messageId).catch(() => null) : null;
+
+  if (!entries.length) {
+    await message?.delete().catch(() => {});
+    lfgQueueMessages.delete(bucket);
+    repo.deleteQueueMessage(bucket);
+    return;
+  }
+
+  const payload = { components: [buildQueueContainer(bucket, getGuildLocale(guild.id))], flags: MessageFlags.IsComponentsV2, allowedMentions: { parse: [] } };
+  try {
+    if (message) return void await message.edit(payload);
+    const channel = guild.channels.cache.get(entries[0].channelId);
+    if (!channel?.isTextBased()) return;
+    const sent = await channel.send(payload);
+    lfgQueueMessages.set(bucket, { channelId: channel.id, messageId: sent.id });
+    repo.setQueueMessage(bucket, channel.id, sent.id);
+  } catch (err) { console.warn(`⚠️ Affichage de la file ${bucket} impossible:`, err.message); }
+}
+
+// Forms as many sessions as the bucket allows. Matched players leave the queue before any await,
+// so a concurrent /queue join cannot pick them twice; they are put back if the session fails.
+async function processQueueBucket(guild, bucket) {
+  const [, game, platform, activity, size] = bucket.split('|');
+  const players     = Number(size);
+  const composition = getQueueComposition(game, players);
+  let group;
+  while ((group = findQueueMatch(lfgQueue.get(bucket) ?? [], players, composition))) {
+    removeQueueEntries(bucket, group.map(e => e.userId));
+
+    // Players who left the guild meanwhile drop out; the others go back to the queue for another try
+    const members = await Promise.all(group.map(e => guild.members.fetch(e.userId).catch(() => null)));
+    if (members.some(m => !m)) {
+      requeueEntries(bucket, group.filter((_, i) => members[i]));
+      continue;
+    }
+
+    const [organizer, ...others] = group;
+    const roles   = assignQueueRoles(group, composition);
+    const channel = guild.channels.cache.get(organizer.channelId) ?? guild.channels.cache.get(lfgQueueMessages.get(bucket)?.channelId);
+    try {
+      if (!channel?.isTextBased()) throw new Error('salon de la file introuvable');
+      const { sessionId } = await createLFGSession({
+        guild, channel, user: members[0].user, game, platform, players, gametag: organizer.gametag, activity,
+        description: t(getGuildLocale(guild.id), 'queue.description'), twitchUrl: null, labelKey: 'label.queue',
+        roles: composition, organizerRole: roles[0], participants: others.map((e, i) => ({ userId: e.userId, role: roles[i + 1] })),
+      });
+      const session = lfgSessions.get(sessionId).value;
+      logAudit(guild, 'create', { targetId: organizer.userId, sessionId, details: { game, players, via: 'queue' } });
+      for (const [i, entry] of others.entries()) {
+        recordStatEvent(session, 'joined');
+        logAudit(guild, 'join', { targetId: entry.userId, sessionId, details: { role: roles[i + 1], via: 'queue' } });
+      }
+      await notifyQueueMatch(sessionId, guild, members, roles);
+      console.log(`🎯 Session ${sessionId} formée depuis la file ${bucket}.`);
+    } catch (err) {
+      console.error(`⚠️ Erreur formation de session depuis la file ${bucket}:`, err);
+      requeueEntries(bucket, group);
+      break;
+    }
+  }
+  await updateQueueDisplay(guild, bucket);
+}
+
+function requeueEntries(bucket, entries) {
+  repo.saveQueueEntries(entries);
+  lfgQueue.set(bucket, [...(lfgQueue.get(bucket) ?? []), ...entries].sort((a, b) => a.queuedAt.localeCompare(b.queuedAt)));
+}
+
+async function notifyQueueMatch(sessionId, guild, members, roles) {
+  const session = lfgSessions.get(sessionId).value;
+  const locale  = getGuildLocale(guild.id);
+  const notice  = t(locale, 'queue.matched', { id: sessionId, game: session.game, guild: guild.name, organizer: members[0].user.tag })
+    + `\n${t(locale, 'waitlist.voiceLink', { url: `https://discord.com/channels/${guild.id}/${session.voiceChannelId}` })}`;
+  for (const [i, member] of members.entries()) {
+    const content = roles[i] ? `${notice}\n${t(locale, 'waitlist.assignedRole', { role: roles[i] })}` : notice;
+    try { await member.send({ content }); } catch {
+      // DMs closed: fall back to a mention in the session's discussion channel
+      const fallback = guild.channels.cache.get(session.textChannelId);
+      try { await fallback?.send({ content: `${member} ${content}`, allowedMentions: { users: [member.id] } }); } catch {}
+    }
+  }
+}
+
+async function expireQueueEntries() {
+  const now = new Date().toISOString();
+  for (const [bucket, entries] of [...lfgQueue]) {
+    const expired = entries.filter(e => e.expiresAt <= now);
+    if (!expired.length) continue;
+    removeQueueEntries(bucket, expired.map(e => e.userId));
+    const guild = client.guilds.cache.get(expired[0].guildId);
+    if (!guild) continue;
+    for (const entry of expired) {
+      const user = await client.users.fetch(entry.userId).catch(() => null);
+      try { await user?.send({ content: t(getGuildLocale(guild.id), 'queue.expired', { game: entry.game, guild: guild.name }) }); } catch {}
+    }
+    await updateQueueDisplay(guild, bucket);
+  }
+}
+
+// ─── Calendar export ──────────────────────────────────────────────────────────
+// RFC 5545 calendar of sessions: one event per session, starting at its planned start or, failing that, its creation.
+
+function escapeIcsText(value) {
+  return String(value).replace(/[\\;,]/g, c => `\\${c}`).replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are folded at 75 octets, continuation lines start with a space
+function foldIcsLine(line) {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (chunks.length ? 74 : 75)) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  return [...chunks, current].join('\r\n ');
+}
+
+function formatIcsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Deep link to the info channel once the session is open, to its announcement while it is only planned
+function getSessionLink(session) {
+  return session.infoTextChannelId
+    ? `https://discord.com/channels/${session.guildId}/${session.infoTextChannelId}`
+    : `https://discord.com/channels/${session.guildId}/${session.commandChannelId}/${session.commandChannelMessageId}`;
+}
+
+function buildSessionCalendar(sessions, { name, locale = DEFAULT_LOCALE }) {
+  const stamp = formatIcsDate(Date.now());
+  const lines = [
+    'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//EXOLFG//LFG Discord Bot//FR', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+  ];
+  for (const [sessionId, session] of sessions) {
+    const start  = new Date(session.startTime ?? session.date).getTime();
+    const guild  = client.guilds.cache.get(session.guildId);
+    const joined = lfgJoinedUsers.get(sessionId)?.value.length ?? 1;
+    const link   = getSessionLink(session);
+    const details = [
+      t(locale, 'calendar.eventGame', { game: session.game, platform: session.platform, activity: activityLabel(locale, session.activity) }),
+      t(locale, 'calendar.eventOrganizer', { organizer: session.user }),
+      t(locale, 'calendar.eventPlayers', { slots: `${joined}/${session.players}` }),
+      session.description !== t(getGuildLocale(session.guildId), 'lfg.noDescription') && session.description,
+      link,
+    ];
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${sessionId}-${session.guildId}@exolfg`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatIcsDate(start)}`,
+      `DTEND:${formatIcsDate(start + CALENDAR_DURATION)}`,
+      `SUMMARY:${escapeIcsText(t(locale, 'calendar.eventTitle', { game: session.game, id: sessionId }))}`,
+      `DESCRIPTION:${escapeIcsText(details.filter(Boolean).join('\n'))}`,
+      `LOCATION:${escapeIcsText(`Discord — ${guild?.name ?? session.guildId}`)}`,
+      `URL:${link}`,
+      `STATUS:${session.status === 'planned' ? 'TENTATIVE' : 'CONFIRMED'}`,
+      'END:VEVENT',
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// ─── Guild configuration backup ───────────────────────────────────────────────
+// A guild's whole LFG configuration as one JSON document. Importing replaces every section present in the
+// file and leaves the others untouched; channels and roles missing from the target guild are left out.
+
+function exportGuildConfig(guild) {
+  const channels = Object.fromEntries(getWebhookEntriesForGuild(guild.id).map(e => [e.game, e.channelId]));
+  const gameRoles = Object.fromEntries(repo.getGameRoles(guild.id).map(r => [r.game, r.roleId]));
+  return {
+    format: GUILD_CONFIG_FORMAT, version: GUILD_CONFIG_VERSION, exportedAt: new Date().toISOString(),
+    guild: { id: guild.id, name: guild.name },
+    language:      getGuildLanguageConfig(guild.id),
+    cooldown:      getGuildCooldownConfig(guild.id),
+    games:         getGuildCustomGames(guild.id),
+    gameFilter:    getGuildGameFilter(guild.id),
+    channels,
+    auditChannel:  getAuditChannelId(guild.id),
+    gameRoles,
+    permissions:   getGuildPermissions(guild.id),
+    federation:    getGuildFederationConfig(guild.id),
+    minReputation: getGuildMinReputation(guild.id),
+  };
+}
+
+const isSnowflake = value => typeof value === 'string' && /^\d{17,20}$/.test(value);
+const isStringList = (value, check = v => typeof v === 'string') => Array.isArray(value) && value.every(check);
+
+// Returns { config, errors, missing }: `errors` lists the invalid fields, `missing` the channels and roles
+// unknown to `guild` (dropped from `config`).
+function parseGuildConfig(data, guild) {
+  const errors = [], missing = [];
+  if (data?.format !== GUILD_CONFIG_FORMAT) return { errors: ['format'], missing };
+  if (data.version !== GUILD_CONFIG_VERSION) return { errors: ['version'], missing };
+
+  const config = {};
+  const check  = (section, valid) => {
+    if (!(section in data)) return;
+    if (valid(data[section])) config[section] = data[section];
+    else errors.push(section);
+  };
+  check('language', v => SUPPORTED_LOCALES.includes(v?.language) && typeof v.followUserLocale === 'boolean');
+  check('cooldown', v => Number.isInteger(v?.maxSessions) && v.maxSessions >= 1 && v.maxSessions <= 20
+    && Number.isInteger(v.windowSeconds) && v.windowSeconds >= 60 && v.windowSeconds <= 86_400);
+  check('games', v => Array.isArray(v) && v.length <= MAX_CUSTOM_GAMES && v.every(g =>
+    typeof g?.name === 'string' && g.name.length >= 2 && g.name !== '*' && !gameChoices.some(c => c.value.toLowerCase() === g.name.toLowerCase())
+    && (g.imageUrl === null || /^https?:\/\/\S+$/.test(g.imageUrl ?? ''))
+    && isStringList(g.aliases, a => typeof a === 'string' && a.length <= 30) && g.aliases.length <= MAX_GAME_ALIASES)
+    && new Set(v.map(g => g.name.toLowerCase())).size === v.length);
+
+  // Game names must exist once the file's own games are in the catalog
+  const known = new Set([...gameChoices.map(c => c.value), ...(config.games ?? getGuildCustomGames(guild.id)).map(g => g.name)]);
+  check('gameFilter', v => isStringList(v, game => known.has(game)));
+  check('channels', v => v && typeof v === 'object' && !Array.isArray(v) && Object.entries(v).every(([game, id]) => (game === '*' || known.has(game)) && isSnowflake(id)));
+  check('auditChannel', v => v === null || isSnowflake(v));
+  check('gameRoles', v => v && typeof v === 'object' && !Array.isArray(v) && Object.entries(v).every(([game, id]) => known.has(game) && isSnowflake(id)));
+  check('permissions', v => v && typeof v === 'object' && !Array.isArray(v) && Object.entries(v).every(([cap, ids]) => cap in CAPABILITIES && isStringList(ids, isSnowflake)));
+  check('federation', v => typeof v?.sendEnabled === 'boolean' && typeof v.receiveEnabled === 'boolean'
+    && isStringList(v.allowlist, isSnowflake) && isStringList(v.denylist, isSnowflake)
+    && Number.isInteger(v.minMembers) && v.minMembers >= 0 && (v.language === null || SUPPORTED_LOCALES.includes(v.language)));
+  check('minReputation', v => v === null || Number.isInteger(v));
+  if (errors.length) return { errors, missing };
+
+  const hasChannel = id => guild.channels.cache.get(id)?.isTextBased() ?? false;
+  const hasRole    = id => guild.roles.cache.has(id);
+  if (config.channels) {
+    config.channels = Object.fromEntries(Object.entries(config.channels).filter(([game, id]) => hasChannel(id) || !missing.push({ section: 'channels', key: game, id })));
+  }
+  if (config.auditChannel && !hasChannel(config.auditChannel)) {
+    missing.push({ section: 'auditChannel', key: null, id: config.auditChannel });
+    config.auditChannel = null;
+  }
+  if (config.gameRoles) {
+    config.gameRoles = Object.fromEntries(Object.entries(config.gameRoles).filter(([game, id]) => hasRole(id) || !missing.push({ section: 'gameRoles', key: game, id })));
+  }
+  if (config.permissions) {
+    config.permissions = Object.fromEntries(Object.entries(config.permissions)
+      .map(([cap, ids]) => [cap, ids.filter(id => hasRole(id) || !missing.push({ section: 'permissions', key: cap, id }))])
+      .filter(([, ids]) => ids.length));
+  }
+  return { config, errors, missing };
+}
+
+function formatConfigSection(section, value, locale = DEFAULT_LOCALE) {
+  const none = t(locale, 'guildConfig.none');
+  const list = items => items.length ? items.join(', ') : none;
+  switch (section) {
+    case 'language':      return `${LOCALE_NAMES[value.language]}${value.followUserLocale ? '' : ` (${t(locale, 'guildConfig.guildOnly')})`}`;
+    case 'cooldown':      return t(locale, 'guildConfig.cooldown', { count: value.maxSessions, minutes: Math.round(value.windowSeconds / 60) });
+    case 'games':         return list(value.map(g => g.name));
+    case 'gameFilter':    return value.length ? list(value) : t(locale, 'guildConfig.allGames');
+    case 'channels':      return list(Object.entries(value).map(([game, id]) => `${game === '*' ? t(locale, 'channels.defaultChoice') : game} : <#${id}>`));
+    case 'auditChannel':  return value ? `<#${value}>` : none;
+    case 'gameRoles':     return list(Object.entries(value).map(([game, id]) => `${game} : <@&${id}>`));
+    case 'permissions':   return list(Object.entries(value).map(([cap, ids]) => `${t(locale, `capability.${cap}`)} : ${ids.map(id => `<@&${id}>`).join(' ')}`));
+    case 'federation':    return t(locale, 'guildConfig.federation', {
+      send: t(locale, value.sendEnabled ? 'federation.on' : 'federation.off'), receive: t(locale, value.receiveEnabled ? 'federation.on' : 'federation.off'),
+      allow: value.allowlist.length, deny: value.denylist.length, members: value.minMembers, language: value.language ? LOCALE_NAMES[value.language] : none,
+    });
+    case 'minReputation': return value ?? none;
+  }
+}
+
+// One line per section whose value would change
+function diffGuildConfig(guild, config, locale = DEFAULT_LOCALE) {
+  const current = exportGuildConfig(guild);
+  return GUILD_CONFIG_SECTIONS
+    .filter(section => section in config && JSON.stringify(current[section]) !== JSON.stringify(config[section]))
+    .map(section => `• **${t(locale, `guildConfig.section.${section}`)}** : ${formatConfigSection(section, current[section], locale)} → ${formatConfigSection(section, config[section], locale)}`);
+}
+
+function applyGuildConfig(guildId, config) {
+  repo.transaction(() => {
+    if (config.language) repo.setLanguage(guildId, config.language);
+    if (config.cooldown) repo.setCooldown(guildId, config.cooldown);
+    if (config.games) repo.replaceCustomGames(guildId, config.games);
+    if (config.gameFilter) repo.setGameFilter(guildId, config.gameFilter);
+    if (config.channels) repo.replaceWebhookChannels(guildId, config.channels);
+    if ('auditChannel' in config) repo.setAuditChannel(guildId, config.auditChannel);
+    if (config.gameRoles) repo.replaceGameRoles(guildId, config.gameRoles);
+    if (config.permissions) repo.replacePermissions(guildId, config.permissions);
+    if (config.federation) saveGuildFederationConfig(guildId, config.federation);
+    if ('minReputation' in config) repo.setMinReputation(guildId, config.minReputation);
+  });
+
+  for (const cache of [guildLanguages, guildCooldowns, guildCustomGames, guildGameFilters, auditChannels, guildGameRoles, guildPermissions, guildFederation, guildReputation]) {
+    cache.delete(guildId);
+  }
+  for (const key of [...webhookChannels.keys()]) if (key.startsWith(`${guildId}:`)) webhookChannels.delete(key);
+}
+
+// ─── Permissions ──────────────────────────────────────────────────────────────
+
+function getGuildPermissions(guildId) {
+  const cached = guildPermissions.get(guildId);
+  if (cached) return cached.value;
+  const mapping = {};
+  for (const row of repo.getPermissions(guildId))
+    (mapping[row.capability] ??= []).push(row.roleId);
+  setWithTTL(guildPermissions, guildId, mapping, PERMISSIONS_TTL);
+  return mapping;
+}
+
+// Administrators always pass and organizers always moderate their own session. Otherwise roles mapped with
+// /permissions replace the capability's default Discord permission.
+function hasCapability(member, capability, { session = null, defaultPermission = CAPABILITIES[capability] } = {}) {
+  if (!member) return false;
+  if (member.permissions.has(PermissionFlagsBits.Administrator)) return true;
+  if (capability === 'moderate' && session && member.id === session.userId) return true;
+  const roleIds = getGuildPermissions(member.guild.id)[capability] ?? [];
+  if (roleIds.length) return roleIds.some(id => member.roles.cache.has(id));
+  return !defaultPermission || member.permissions.has(defaultPermission);
+}
+
+// The single check used by every command handler: replies with the missing capability and returns false.
+async function requireCapability(interaction, capability, options) {
+  if (hasCapability(interaction.member, capability, options)) return true;
+  const locale = getInteractionLocale(interaction);
+  await interaction.reply({
+    content: t(locale, 'permission.denied', { capability: t(locale, `capability.${capability}`) }),
+    flags: [MessageFlags.Ephemeral],
+  });
+  return false;
+}
+
+// The role mapping is never delegated through a capability: a role granted "config" could otherwise grant itself
+// (or anyone) every capability. Administrators pass this check too.
+function canManagePermissions(member) {
+  return member?.permissions.has(PermissionFlagsBits.ManageGuild) ?? false;
+}
+
+// ─── Organizer controls ───────────────────────────────────────────────────────
+
+// Hands the session to another participant and announces it in the session's discussion (or announcement) channel.
+async function transferSessionOwnership(sessionId, guild, newOwnerId, noticeKey = 'transfer.notice') {
+  const sessionData = lfgSessions.get(sessionId);
+  if (!sessionData) return;
+  const session  = { ...sessionData.value };
+  const newOwner = await guild.members.fetch(newOwnerId).catch(() => null);
+
+  session.userId  = newOwnerId;
+  session.user    = newOwner?.user.tag ?? newOwnerId;
+  // The gametag shown on the session is the organizer's: take the new one from their profile
+  session.gametag = resolveProfileGametag(getPlayerProfile(newOwnerId), session.game, session.platform)?.gametag ?? '—';
+  storeSession(sessionId, session);
+  await refreshSessionMessages(sessionId, guild, 'label.modified');
+
+  const noticeChannel = guild.channels.cache.get(session.textChannelId) ?? guild.channels.cache.get(session.commandChannelId);
+  try {
+    await noticeChannel?.send({
+      content: t(getGuildLocale(guild.id), noticeKey, { mention: `<@${newOwnerId}>`, id: sessionId }),
+      allowedMentions: { users: [newOwnerId] },
+    });
+  } catch {}
+  console.log(`👑 Session ${sessionId} transférée à ${newOwnerId}.`);
+}
+
+// An organizer leaving the guild hands each of their sessions to the longest-registered participant,
+// or closes the session when nobody else is signed up.
+async function handleOrganizerLeft(member) {
+  const owned = [...lfgSessions.entries()].filter(([, d]) => d.value.guildId === member.guild.id && d.value.userId === member.id);
+  for (const [sessionId, data] of owned) {
+    const remaining = (lfgJoinedUsers.get(sessionId)?.value ?? []).filter(id => id !== member.id);
+    if (!remaining.length) {
+      await deleteLFGSession(sessionId, member.guild, 'organizer_left');
+      continue;
+    }
+    removeJoinedUser(sessionId, member.id);
+    recordStatEvent(data.value, 'left');
+    await promoteFromWaitlist(sessionId, member.guild);
+    await transferSessionOwnership(sessionId, member.guild, remaining[0], 'transfer.organizerLeft');
+  }
+  if (owned.length) updateRichPresence();
+}
+
+// ─── Load data from DB ────────────────────────────────────────────────────────
+async function loadData() {
+  try {
+    const sessions = repo.getSessions();
+    for (const s of sessions) lfgSessions.set(s.id, { value: s });
+    console.log(`✅ ${sessions.length} session(s) chargée(s).`);
+
+    for (const p of repo.getParticipants()) {
+      lfgJoinedUsers.set(p.sessionId, { value: [...(lfgJoinedUsers.get(p.sessionId)?.value ?? []), p.userId] });
+      if (p.role) setParticipantRole(p.sessionId, p.userId, p.role);
+    }
+
+    for (const q of repo.getWaitlists()) lfgWaitlists.set(q.sessionId, [...(lfgWaitlists.get(q.sessionId) ?? []), q.userId]);
+
+    for (const r of repo.getJoinRequests()) {
+      lfgJoinRequests.set(r.sessionId, { ...(lfgJoinRequests.get(r.sessionId) ?? {}), [r.userId]: { role: r.role, channelId: r.channelId, messageId: r.messageId } });
+    }
+
+    for (const e of repo.getQueueEntries()) {
+      const bucket = queueBucket(e);
+      lfgQueue.set(bucket, [...(lfgQueue.get(bucket) ?? []), e]);
+    }
+    for (const m of repo.getQueueMessages()) lfgQueueMessages.set(m.bucket, { channelId: m.channelId, messageId: m.messageId });
+
+    for (const a of repo.getVoiceAttendance()) lfgVoiceAttendance.set(a.sessionId, [...(lfgVoiceAttendance.get(a.sessionId) ?? []), a.userId]);
+
+    for (const b of repo.getSessionBans()) lfgSessionBans.set(b.sessionId, [...(lfgSessionBans.get(b.sessionId) ?? []), b.userId]);
+
+    for (const b of repo.getOrganizerBans()) {
+      const key = `${b.guildId}:${b.organizerId}`;
+      organizerBans.set(key, [...(organizerBans.get(key) ?? []), b.userId]);
+    }
+
+    for (const { sessionId, ...post } of repo.getCrossPosts()) lfgCrossPosts.set(sessionId, [...(lfgCrossPosts.get(sessionId) ?? []), post]);
+
+    const reminders = repo.getReminders();
+    for (const r of reminders) scheduledReminders.set(`${r.sessionId}:${r.minutesBefore}`, { ...r, remindAt: new Date(r.remindAt).getTime() });
+    console.log(`✅ ${reminders.length} rappel(s) planifié(s) chargé(s).`);
+
+    const schedules = repo.getRecurringSessions();
+    for (const r of schedules) recurringSessions.set(r.id, { ...r, nextRunAt: new Date(r.nextRunAt).getTime() });
+    console.log(`✅ ${schedules.length} session(s) récurrente(s) chargée(s).`);
+  } catch (err) {
+    console.error('⚠️ Erreur chargement données:', err.message);
+  }
+}
+
+// ─── Slash command registration ───────────────────────────────────────────────
+async function registerCommands() {
+  const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
+
+  const platformChoices = [
+    { name: 'PC', value: 'PC' }, { name: 'PlayStation 5', value: 'PlayStation 5' },
+    { name: 'PlayStation 4', value: 'PlayStation 4' }, { name: 'Xbox Series X|S', value: 'Xbox Series X|S' },
+    { name: 'Xbox One', value: 'Xbox One' }, { name: 'Nintendo Switch', value: 'Nintendo Switch' },
+    { name: 'Mobile', value: 'Mobile' }, { name: 'iOS', value: 'iOS' }, { name: 'Android', value: 'Android' },
+    { name: 'Crossplay', value: 'Crossplay' }, { name: 'VR', value: 'VR' }, { name: 'Mac', value: 'Mac' }, { name: 'Linux', value: 'Linux' },
+  ];
+
+  const activityChoices = [
+    { name: 'Normale', value: 'Normale' }, { name: 'Classé', value: 'Classé' }, { name: 'Compétitif', value: 'Compétitif' },
+    { name: 'Tournoi', value: 'Tournoi' }, { name: 'Scrim', value: 'Scrim' }, { name: 'Entraînement', value: 'Entraînement' },
+    { name: 'Fun', value: 'Fun' }, { name: 'Découverte', value: 'Découverte' }, { name: 'Arcade', value: 'Arcade' },
+    { name: 'Coopération', value: 'Coopération' }, { name: 'Speedrun', value: 'Speedrun' },
+    { name: 'PvE', value: 'PvE' }, { name: 'PvP', value: 'PvP' }, { name: 'Raids', value: 'Raids' }, { name: 'Dungeons', value: 'Dungeons' },
+  ];
+
+  const visibilityChoices = [
+    { name: 'Publique', value: 'public' }, { name: 'Sur approbation', value: 'approval' }, { name: 'Sur invitation', value: 'invite' },
+  ];
+
+  const capabilityChoices = [
+    { name: 'Créer des sessions', value: 'create' },        { name: 'Modérer toutes les sessions', value: 'moderate' },
+    { name: 'Gérer la configuration', value: 'config' },   { name: 'Publier sur les autres serveurs', value: 'crosspost' },
+  ];
+
+  const sessionIdOpt = { name: 'session_id', description: 'ID de la session', type: 3, required: true, autocomplete: true };
+
+  const commands = [
+    {
+      name: 'lfg',
+      description: 'Créer une session LFG',
+      options: [
+        { name: 'jeux',        description: 'Jeu',                                    type: 3, required: true,  autocomplete: true },
+        { name: 'plateforme',  description: 'Plate-forme',                             type: 3, required: true,  choices: platformChoices },
+        { name: 'joueurs',     description: 'Nombre de joueurs',                       type: 4, required: true,  min_value: 1, max_value: 10 },
+        { name: 'activite',    description: 'Activité',                                type: 3, required: true,  choices: activityChoices },
+        { name: 'gametag',     description: 'Gametag (optionnel si renseigné dans /profile)', type: 3, required: false },
+        { name: 'description', description: 'Description (optionnel)',                 type: 3, required: false },
+        { name: 'twitch',      description: 'Pseudo Twitch (optionnel, ex: nuggan85)', type: 3, required: false },
+        { name: 'debut',       description: 'Début planifié (optionnel, ex: 21:30, 25/12 21:30, +2h)', type: 3, required: false },
+        { name: 'roles',       description: 'Composition de rôles (optionnel, ex: 1 tank, 1 healer, 3 dps)', type: 3, required: false, autocomplete: true },
+        { name: 'mon_role',    description: 'Votre rôle dans la composition (optionnel)',            type: 3, required: false, autocomplete: true },
+        { name: 'visibilite',  description: 'Qui peut rejoindre (par défaut : publique)',            type: 3, required: false, choices: visibilityChoices },
+      ],
+    },
+    {
+      name: 'duplicate_lfg',
+      description: 'Recréer une session identique à une session existante',
+      options: [sessionIdOpt],
+    },
+    {
+      name: 'modify_lfg',
+      description: 'Modifier une session LFG',
+      options: [
+        sessionIdOpt,
+        { name: 'joueurs',     description: 'Nombre de joueurs', type: 4, required: false, min_value: 1, max_value: 10 },
+        { name: 'description', description: 'Description',       type: 3, required: false },
+      ],
+    },
+    {
+      name: 'close_lfg',
+      description: 'Fermer une session LFG et supprimer ses salons',
+      options: [sessionIdOpt],
+    },
+    {
+      name: 'invite_lfg',
+      description: 'Ajouter un membre à une session privée',
+      options: [sessionIdOpt, { name: 'membre', description: 'Membre à ajouter', type: 6, required: true }],
+    },
+    {
+      name: 'transfer_lfg',
+      description: 'Confier une session LFG à un autre participant',
+      options: [sessionIdOpt, { name: 'membre', description: "Participant qui devient l'organisateur", type: 6, required: true }],
+    },
+    {
+      name: 'list_members',
+      description: "Lister les membres d'une session LFG",
+      options: [sessionIdOpt, { name: 'page', description: 'Page', type: 4, required: false, min_value: 1 }],
+    },
+    {
+      name: 'kick_member',
+      description: "Retirer un membre d'une session LFG",
+      options: [sessionIdOpt, { name: 'member', description: 'Participant à retirer', type: 3, required: true, autocomplete: true }],
+    },
+    {
+      name: 'ban_member',
+      description: "Bannir un membre d'une session LFG",
+      options: [
+        sessionIdOpt,
+        { name: 'member', description: 'Membre à bannir', type: 6, required: true },
+        {
+          name: 'portee', description: 'Bannir de cette session seulement ou de toutes vos sessions (session par défaut)', type: 3, required: false,
+          choices: [{ name: 'Cette session', value: 'session' }, { name: 'Toutes mes sessions', value: 'organizer' }],
+        },
+        { name: 'serveur', description: 'Bannir aussi du serveur (permission « Bannir des membres » requise)', type: 5, required: false },
+      ],
+    },
+    {
+      name: 'unban_member',
+      description: "Lever le bannissement d'un membre pour une session LFG",
+      options: [sessionIdOpt, { name: 'member', description: 'Membre à débannir', type: 6, required: true }],
+    },
+    {
+      name: 'stats',
+      description: 'Afficher les statistiques LFG de ce serveur',
+      options: [
+        { name: 'jeu', description: 'Détail pour un jeu (optionnel)', type: 3, required: false, autocomplete: true },
+      ],
+    },
+    {
+      name: 'history',
+      description: "Afficher l'historique des sessions LFG de ce serveur",
+      options: [
+        { name: 'jeu',      description: 'Filtrer par jeu',                          type: 3, required: false, autocomplete: true },
+        { name: 'membre',   description: 'Filtrer par organisateur ou participant',  type: 6, required: false },
+        { name: 'depuis',   description: 'Terminées depuis le (JJ/MM/AAAA)',          type: 3, required: false },
+        { name: 'jusqu_au', description: "Terminées jusqu'au (JJ/MM/AAAA, inclus)",   type: 3, required: false },
+      ],
+    },
+    {
+      name: 'set_lfg_channel',
+      description: 'Définir le salon pour les annonces LFG (par jeu ou par défaut)',
+      options: [
+        { name: 'channel', description: 'Salon pour les annonces', type: 7, required: true, channel_types: [ChannelType.GuildText] },
+        { name: 'jeu', description: 'Jeu spécifique (optionnel — laisser vide pour le salon par défaut)', type: 3, required: false, autocomplete: true },
+      ],
+    },
+    {
+      name: 'remove_lfg_channel',
+      description: 'Supprimer un salon LFG configuré (par jeu ou par défaut)',
+      options: [
+        { name: 'cible', description: 'Entrée à supprimer', type: 3, required: true, autocomplete: true },
+      ],
+    },
+    { name: 'list_lfg_channels', description: 'Afficher la configuration complète des salons LFG par jeu' },
+    {
+      name: 'set_log_channel',
+      description: "Définir le salon du journal d'audit LFG",
+      options: [
+        { name: 'salon', description: 'Salon du journal (laisser vide pour le désactiver)', type: 7, required: false, channel_types: [ChannelType.GuildText] },
+      ],
+    },
+    {
+      name: 'audit',
+      description: "Consulter le journal d'audit LFG du serveur",
+      options: [
+        {
+          name: 'action', description: "Type d'événement", type: 3, required: false,
+          choices: [
+            { name: 'Création', value: 'create' },   { name: 'Duplication', value: 'duplicate' }, { name: 'Modification', value: 'modify' },
+            { name: 'Arrivée', value: 'join' },      { name: 'Départ', value: 'leave' },          { name: 'Retrait', value: 'kick' },
+            { name: 'Bannissement', value: 'ban' },  { name: 'Débannissement', value: 'unban' },  { name: 'Suppression', value: 'delete' },
+            { name: 'Configuration', value: 'config' },
+          ],
+        },
+        { name: 'membre',  description: 'Membre auteur ou cible', type: 6, required: false },
+        { name: 'session', description: 'ID de la session',       type: 3, required: false },
+      ],
+    },
+    {
+      name: 'set_cooldown',
+      description: 'Configurer le cooldown de création de sessions LFG par utilisateur',
+      options: [
+        { name: 'max_sessions', description: 'Nombre maximum de sessions par fenêtre de temps', type: 4, required: true, min_value: 1, max_value: 20 },
+        { name: 'fenetre',      description: 'Fenêtre de temps en minutes',                     type: 4, required: true, min_value: 1, max_value: 1440 },
+      ],
+    },
+    {
+      name: 'config',
+      description: 'Configurer les jeux acceptés sur ce serveur',
+      options: [
+        {
+          name: 'action', description: 'Action à effectuer', type: 3, required: true,
+          choices: [
+            { name: 'Ajouter un jeu au filtre',      value: 'add' },
+            { name: 'Retirer un jeu du filtre',      value: 'remove' },
+            { name: 'Voir la configuration',         value: 'view' },
+            { name: 'Réinitialiser (tout accepter)', value: 'reset' },
+          ],
+        },
+        { name: 'jeu', description: 'Jeu à ajouter ou retirer du filtre', type: 3, required: false, autocomplete: true },
+      ],
+    },
+    {
+      name: 'games',
+      description: 'Gérer les jeux personnalisés de ce serveur',
+      options: [
+        {
+          name: 'add', description: 'Ajouter un jeu au catalogue du serveur', type: 1,
+          options: [
+            { name: 'nom',   description: 'Nom du jeu',                                       type: 3, required: true, max_length: 50 },
+            { name: 'image', description: "URL de l'image (optionnel, https://…)",            type: 3, required: false },
+            { name: 'alias', description: 'Alias séparés par des virgules (optionnel, ex: mc)', type: 3, required: false },
+          ],
+        },
+        {
+          name: 'edit', description: "Modifier l'image ou les alias d'un jeu personnalisé", type: 1,
+          options: [
+            { name: 'jeu',   description: 'Jeu personnalisé',                                 type: 3, required: true, autocomplete: true },
+            { name: 'image', description: "URL de l'image (« aucune » pour la retirer)",      type: 3, required: false },
+            { name: 'alias', description: 'Alias séparés par des virgules (« aucun » pour les retirer)', type: 3, required: false },
+          ],
+        },
+        {
+          name: 'rename', description: 'Renommer un jeu personnalisé', type: 1,
+          options: [
+            { name: 'jeu',         description: 'Jeu personnalisé', type: 3, required: true, autocomplete: true },
+            { name: 'nouveau_nom', description: 'Nouveau nom',      type: 3, required: true, max_length: 50 },
+          ],
+        },
+        {
+          name: 'remove', description: 'Retirer un jeu personnalisé du catalogue', type: 1,
+          options: [{ name: 'jeu', description: 'Jeu personnalisé', type: 3, required: true, autocomplete: true }],
+        },
+        { name: 'list', description: 'Afficher les jeux personnalisés du serveur', type: 1 },
+      ],
+    },
+    {
+      name: 'profile',
+      description: 'Gérer votre profil de joueur (gametags, jeux, langues, fuseau horaire)',
+      options: [
+        {
+          name: 'set', description: 'Compléter ou modifier votre profil', type: 1,
+          options: [
+            ...Object.entries(profileLaunchers).map(([key, l]) => ({
+              name: key, description: `${l.label} (ex: ${l.example})`, type: 3, required: false, max_length: 32,
+            })),
+            { name: 'jeux',    description: 'Jeux préférés, séparés par des virgules',      type: 3, required: false },
+            { name: 'langues', description: 'Langues parlées, séparées par des virgules (ex: FR, EN)', type: 3, required: false },
+            { name: 'fuseau',  description: 'Fuseau horaire (ex: Europe/Paris, America/Montreal)',    type: 3, required: false },
+          ],
+        },
+        {
+          name: 'view', description: "Afficher votre profil ou celui d'un membre", type: 1,
+          options: [{ name: 'membre', description: 'Membre (optionnel)', type: 6, required: false }],
+        },
+        {
+          name: 'clear', description: 'Effacer tout ou partie de votre profil', type: 1,
+          options: [{
+            name: 'champ', description: 'Champ à effacer (tout le profil par défaut)', type: 3, required: false,
+            choices: [
+              ...Object.entries(profileLaunchers).map(([key, l]) => ({ name: l.label, value: key })),
+              { name: 'Jeux préférés', value: 'jeux' }, { name: 'Langues', value: 'langues' }, { name: 'Fuseau horaire', value: 'fuseau' },
+            ],
+          }],
+        },
+      ],
+    },
+    {
+      name: 'set_language',
+      description: 'Choisir la langue du bot sur ce serveur',
+      options: [
+        {
+          name: 'langue', description: 'Langue des messages publiés sur le serveur', type: 3, required: true,
+          choices: SUPPORTED_LOCALES.map(locale => ({ name: LOCALE_NAMES[locale], value: locale })),
+        },
+        { name: 'langue_membre', description: 'Répondre à chaque membre dans sa langue Discord si elle est prise en charge (oui par défaut)', type: 5, required: false },
+      ],
+    },
+    {
+      name: 'reputation',
+      description: 'Réputation des joueurs (félicitations, signalements, absences)',
+      options: [
+        {
+          name: 'view', description: "Afficher votre réputation ou celle d'un membre", type: 1,
+          options: [{ name: 'membre', description: 'Membre (optionnel)', type: 6, required: false }],
+        },
+        {
+          name: 'minimum', description: 'Exiger une réputation minimale pour rejoindre les sessions du serveur', type: 1,
+          options: [{ name: 'valeur', description: 'Réputation minimale (laisser vide pour retirer le minimum)', type: 4, required: false }],
+        },
+      ],
+    },
+    {
+      name: 'federation',
+      description: 'Gérer les échanges de sessions avec les autres serveurs',
+      options: [
+        {
+          name: 'set', description: "Activer l'envoi ou la réception et fixer les critères des partenaires", type: 1,
+          options: [
+            { name: 'envoi',       description: 'Publier les sessions de ce serveur chez les partenaires', type: 5, required: false },
+            { name: 'reception',   description: 'Recevoir les sessions des serveurs partenaires',        type: 5, required: false },
+            { name: 'membres_min', description: 'Nombre minimum de membres des serveurs partenaires (0 = aucun)', type: 4, required: false, min_value: 0 },
+            {
+              name: 'langue', description: 'Langue exigée des serveurs partenaires', type: 3, required: false,
+              choices: [...SUPPORTED_LOCALES.map(locale => ({ name: LOCALE_NAMES[locale], value: locale })), { name: 'Toutes', value: 'any' }],
+            },
+          ],
+        },
+        {
+          name: 'allow', description: "Ajouter un serveur à la liste d'autorisation", type: 1,
+          options: [{ name: 'serveur', description: 'Serveur partenaire (nom ou ID)', type: 3, required: true, autocomplete: true }],
+        },
+        {
+          name: 'deny', description: 'Ajouter un serveur à la liste de blocage', type: 1,
+          options: [{ name: 'serveur', description: 'Serveur partenaire (nom ou ID)', type: 3, required: true, autocomplete: true }],
+        },
+        {
+          name: 'unlist', description: "Retirer un serveur des listes d'autorisation et de blocage", type: 1,
+          options: [{ name: 'serveur', description: 'Serveur listé', type: 3, required: true, autocomplete: true }],
+        },
+      ],
+    },
+    {
+      name: 'subscribe',
+      description: "S'abonner aux nouvelles sessions d'un jeu (message privé à chaque session)",
+      options: [
+        { name: 'jeu',        description: 'Jeu',                          type: 3, required: true,  autocomplete: true },
+        { name: 'plateforme', description: 'Plate-forme (toutes si vide)', type: 3, required: false, choices: platformChoices },
+        { name: 'activite',   description: 'Activité (toutes si vide)',    type: 3, required: false, choices: activityChoices },
+      ],
+    },
+    {
+      name: 'unsubscribe',
+      description: "Se désabonner des sessions d'un jeu",
+      options: [
+        { name: 'abonnement', description: 'Abonnement à retirer', type: 3, required: true, autocomplete: true },
+      ],
+    },
+    {
+      name: 'notifications',
+      description: 'Gérer vos abonnements et vos notifications de sessions',
+      options: [
+        { name: 'view', description: 'Afficher vos abonnements, heures calmes et limite quotidienne', type: 1 },
+        {
+          name: 'quiet', description: 'Ne pas recevoir de notifications pendant une plage horaire', type: 1,
+          options: [
+            { name: 'debut', description: 'Début (ex : 23:00, laisser vide pour désactiver)', type: 3, required: false },
+            { name: 'fin',   description: 'Fin (ex : 08:00)',                                 type: 3, required: false },
+          ],
+        },
+        {
+          name: 'limit', description: 'Nombre maximum de notifications par 24 heures', type: 1,
+          options: [{ name: 'valeur', description: 'Notifications par 24 heures', type: 4, required: true, min_value: 1, max_value: 50 }],
+        },
+      ],
+    },
+    {
+      name: 'guild_config',
+      description: 'Sauvegarder ou restaurer la configuration LFG du serveur',
+      options: [
+        { name: 'export', description: 'Exporter toute la configuration du serveur dans un fichier JSON', type: 1 },
+        {
+          name: 'import', description: "Importer une configuration exportée (aperçu des changements avant d'appliquer)", type: 1,
+          options: [{ name: 'fichier', description: 'Fichier JSON produit par /guild_config export', type: 11, required: true }],
+        },
+      ],
+    },
+    {
+      name: 'calendar',
+      description: 'Exporter les sessions à venir dans un fichier calendrier (.ics)',
+      options: [
+        {
+          name: 'portee', description: 'Sessions à exporter (par défaut : les vôtres)', type: 3, required: false,
+          choices: [
+            { name: 'Mes sessions',          value: 'user' },
+            { name: 'Sessions du serveur',   value: 'guild' },
+          ],
+        },
+        { name: 'membre', description: "Exporter les sessions d'un autre membre", type: 6, required: false },
+      ],
+    },
+    {
+      name: 'recurring',
+      description: 'Sessions récurrentes : une session créée automatiquement à chaque occurrence',
+      options: [
+        {
+          name: 'create', description: 'Programmer une session récurrente dans ce salon', type: 1,
+          options: [
+            { name: 'jeu',         description: 'Jeu',                                       type: 3, required: true,  autocomplete: true },
+            { name: 'plateforme',  description: 'Plate-forme',                               type: 3, required: true,  choices: platformChoices },
+            { name: 'joueurs',     description: 'Nombre de joueurs',                         type: 4, required: true,  min_value: 1, max_value: 10 },
+            { name: 'activite',    description: 'Activité',                                  type: 3, required: true,  choices: activityChoices },
+            {
+              name: 'frequence', description: 'Fréquence', type: 3, required: true,
+              choices: [
+                { name: 'Tous les jours',                value: 'daily' },
+                { name: 'Certains jours de la semaine',  value: 'weekly' },
+                { name: 'Tous les N jours',              value: 'interval' },
+              ],
+            },
+            { name: 'heure',       description: 'Heure de début (ex : 21:00)',               type: 3, required: true },
+            { name: 'jours',       description: 'Jours de la semaine (ex : mardi, jeudi)',   type: 3, required: false },
+            { name: 'intervalle',  description: 'Nombre de jours entre deux sessions',       type: 4, required: false, min_value: 2, max_value: 30 },
+            { name: 'fuseau',      description: 'Fuseau horaire (celui de votre profil si vide)', type: 3, required: false },
+            { name: 'gametag',     description: 'Gametag (optionnel si renseigné dans /profile)', type: 3, required: false },
+            { name: 'description', description: 'Description (optionnel)',                   type: 3, required: false },
+            { name: 'twitch',      description: 'Pseudo Twitch (optionnel, ex: nuggan85)',   type: 3, required: false },
+            { name: 'visibilite',  description: 'Qui peut rejoindre (par défaut : publique)', type: 3, required: false, choices: visibilityChoices },
+          ],
+        },
+        { name: 'list', description: 'Afficher les sessions récurrentes', type: 1 },
+        {
+          name: 'pause', description: 'Suspendre une session récurrente', type: 1,
+          options: [{ name: 'planning', description: 'Session récurrente', type: 3, required: true, autocomplete: true }],
+        },
+        {
+          name: 'resume', description: 'Reprendre une session récurrente suspendue', type: 1,
+          options: [{ name: 'planning', description: 'Session récurrente', type: 3, required: true, autocomplete: true }],
+        },
+        {
+          name: 'skip', description: 'Sauter la prochaine occurrence', type: 1,
+          options: [{ name: 'planning', description: 'Session récurrente', type: 3, required: true, autocomplete: true }],
+        },
+        {
+          name: 'delete', description: 'Supprimer une session récurrente', type: 1,
+          options: [{ name: 'planning', description: 'Session récurrente', type: 3, required: true, autocomplete: true }],
+        },
+      ],
+    },
+    {
+      name: 'template',
+      description: 'Modèles de session : enregistrez les options de /lfg et relancez-les en une commande',
+      options: [
+        {
+          name: 'save', description: 'Enregistrer un modèle de session', type: 1,
+          options: [
+            { name: 'nom',         description: 'Nom du modèle',                           type: 3, required: true,  max_length: 50 },
+            { name: 'jeu',         description: 'Jeu',                                     type: 3, required: true,  autocomplete: true },
+            { name: 'plateforme',  description: 'Plate-forme',                             type: 3, required: true,  choices: platformChoices },
+            { name: 'joueurs',     description: 'Nombre de joueurs',                       type: 4, required: true,  min_value: 1, max_value: 10 },
+            { name: 'activite',    description: 'Activité',                                type: 3, required: true,  choices: activityChoices },
+            { name: 'description', description: 'Description (optionnel)',                 type: 3, required: false },
+            { name: 'twitch',      description: 'Pseudo Twitch (optionnel, ex: nuggan85)', type: 3, required: false },
+            { name: 'partage',     description: 'Modèle partagé avec tout le serveur',      type: 5, required: false },
+          ],
+        },
+        {
+          name: 'save_session', description: "Enregistrer les options d'une session existante comme modèle", type: 1,
+          options: [
+            { name: 'nom',     description: 'Nom du modèle',                      type: 3, required: true, max_length: 50 },
+            sessionIdOpt,
+            { name: 'partage', description: 'Modèle partagé avec tout le serveur', type: 5, required: false },
+          ],
+        },
+        {
+          name: 'launch', description: 'Créer une session à partir d\'un modèle', type: 1,
+          options: [
+            { name: 'nom',     description: 'Modèle',                                         type: 3, required: true,  autocomplete: true },
+            { name: 'gametag', description: 'Gametag (optionnel si renseigné dans /profile)', type: 3, required: false },
+            { name: 'debut',   description: 'Début planifié (optionnel, ex: 21:30, 25/12 21:30, +2h)', type: 3, required: false },
+          ],
+        },
+        { name: 'list', description: 'Afficher vos modèles et ceux du serveur', type: 1 },
+        {
+          name: 'delete', description: 'Supprimer un modèle', type: 1,
+          options: [{ name: 'nom', description: 'Modèle', type: 3, required: true, autocomplete: true }],
+        },
+      ],
+    },
+    {
+      name: 'queue',
+      description: "File d'attente de matchmaking : une session se forme dès qu'assez de joueurs attendent",
+      options: [
+        {
+          name: 'join', description: "Entrer dans la file d'attente d'un jeu", type: 1,
+          options: [
+            { name: 'jeu',        description: 'Jeu',                                        type: 3, required: true,  autocomplete: true },
+            { name: 'plateforme', description: 'Plate-forme',                                type: 3, required: true,  choices: platformChoices },
+            { name: 'activite',   description: 'Activité',                                   type: 3, required: true,  choices: activityChoices },
+            { name: 'joueurs',    description: 'Taille du groupe',                           type: 4, required: true,  min_value: 2, max_value: 10 },
+            { name: 'role',       description: 'Votre rôle dans la composition du jeu',      type: 3, required: false, autocomplete: true },
+            { name: 'rang',       description: 'Votre niveau, de 1 à 10 (groupes de niveau proche)', type: 4, required: false, min_value: 1, max_value: 10 },
+            { name: 'gametag',    description: 'Votre gametag (profil utilisé si vide)',     type: 3, required: false },
+            { name: 'duree',      description: "Minutes d'attente maximum (30 par défaut)",  type: 4, required: false, min_value: 5, max_value: QUEUE_TIMEOUT_MAX },
+          ],
+        },
+        { name: 'leave',  description: "Quitter la file d'attente",          type: 1 },
+        { name: 'status', description: "Voir votre place dans la file d'attente", type: 1 },
+      ],
+    },
+    {
+      name: 'game_role',
+      description: 'Associer un jeu à un rôle mentionné dans les annonces de sessions',
+      options: [
+        {
+          name: 'set', description: 'Mentionner un rôle à chaque nouvelle session du jeu', type: 1,
+          options: [
+            { name: 'jeu',  description: 'Jeu',               type: 3, required: true, autocomplete: true },
+            { name: 'role', description: 'Rôle à mentionner', type: 8, required: true },
+          ],
+        },
+        {
+          name: 'remove', description: "Ne plus mentionner de rôle pour ce jeu", type: 1,
+          options: [{ name: 'jeu', description: 'Jeu', type: 3, required: true, autocomplete: true }],
+        },
+        { name: 'list', description: 'Afficher les rôles associés aux jeux', type: 1 },
+      ],
+    },
+    {
+      name: 'permissions',
+      description: 'Associer des rôles Discord aux capacités du bot',
+      options: [
+        {
+          name: 'add', description: 'Accorder une capacité à un rôle', type: 1,
+          options: [
+            { name: 'capacite', description: 'Capacité du bot', type: 3, required: true, choices: capabilityChoices },
+            { name: 'role',     description: 'Rôle Discord',    type: 8, required: true },
+          ],
+        },
+        {
+          name: 'remove', description: "Retirer une capacité à un rôle", type: 1,
+          options: [
+            { name: 'capacite', description: 'Capacité du bot', type: 3, required: true, choices: capabilityChoices },
+            { name: 'role',     description: 'Rôle Discord',    type: 8, required: true },
+          ],
+        },
+        { name: 'view', description: 'Afficher les rôles associés à chaque capacité', type: 1 },
+        {
+          name: 'reset', description: 'Revenir aux permissions Discord par défaut', type: 1,
+          options: [{ name: 'capacite', description: 'Capacité à réinitialiser (toutes si vide)', type: 3, required: false, choices: capabilityChoices }],
+        },
+      ],
+    },
+  ];
+
+  try {
+    await rest.put(
+      Routes.applicationCommands(process.env.CLIENT_ID),
+      { body: localizeCommands(commands) },
+    );
+    console.log('✅ Commandes enregistrées.');
+  } catch (err) {
+    console.error('⚠️ Erreur enregistrement commandes:', err.message);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Autocomplete
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function handleAutocomplete(interaction) {
+  const { commandName, options, guild } = interaction;
+  const focused = options.getFocused(true);
+
+  if (!guild) return interaction.respond([]).catch(() => {});
+
+  if (focused.name === 'session_id') {
+    const input   = focused.value.toLowerCase();
+    const choices = [];
+    for (const [id, data] of lfgSessions) {
+      if (data.value.guildId !== guild.id) continue;
+      const { game, user } = data.value;
+      const label = `#${id} — ${game} (${user})`;
+      if (!input || id.includes(input) || label.toLowerCase().includes(input)) {
+        choices.push({ name: label.slice(0, 100), value: id });
+      }
+      if (choices.length >= 25) break;
+    }
+    return interaction.respond(choices);
+  }
+
+  if (focused.name === 'jeux' && commandName === 'lfg') {
+    return interaction.respond(searchGameCatalog(guild.id, focused.value, { allowedOnly: true }));
+  }
+
+  if (focused.name === 'jeu') {
+    return interaction.respond(searchGameCatalog(guild.id, focused.value, { onlyCustom: commandName === 'games' }));
+  }
+
+  if (focused.name === 'roles' && commandName === 'lfg') {
+    const input   = focused.value.trim();
+    const presets = [...(rolePresets[options.getString('jeux')] ?? []), '1 Tank, 1 Healer, 3 DPS', '1 IGL, 4 Support'];
+    const typed   = input ? parseRoleComposition(input) : null;
+    const choices = [...new Set([...(typed ? [formatRoleComposition(typed)] : []), ...presets])]
+      .filter(c => !input || typed || c.toLowerCase().includes(input.toLowerCase()))
+      .slice(0, 25)
+      .map(c => ({ name: c.slice(0, 100), value: c.slice(0, 100) }));
+    return interaction.respond(choices);
+  }
+
+  if (focused.name === 'mon_role' && commandName === 'lfg') {
+    const input = focused.value.toLowerCase();
+    const roles = parseRoleComposition(options.getString('roles') ?? '') ?? [];
+    return interaction.respond(roles
+      .filter(r => !input || r.name.toLowerCase().includes(input))
+      .map(r => ({ name: `${r.emoji} ${r.name}`, value: r.name })));
+  }
+
+  if (focused.name === 'planning' && commandName === 'recurring') {
+    const input   = focused.value.toLowerCase();
+    const locale  = getInteractionLocale(interaction);
+    const choices = getManageableSchedules(interaction.member)
+      .map(s => ({ name: `#${s.id} — ${s.game} · ${formatRecurrence(s, locale)}${s.paused ? ' ⏸️' : ''}`.slice(0, 100), value: String(s.id) }))
+      .filter(c => !input || c.name.toLowerCase().includes(input))
+      .slice(0, 25);
+    return interaction.respond(choices);
+  }
+
+  if (focused.name === 'nom' && commandName === 'template') {
+    const input   = focused.value.toLowerCase();
+    const locale  = getInteractionLocale(interaction);
+    const choices = getTemplates(guild.id, interaction.user.id)
+      .map(tpl => ({ name: `${tpl.userId ? '👤' : '👥'} ${tpl.name} — ${tpl.game}`.slice(0, 100), value: String(tpl.id) }))
+      .filter(c => !input || c.name.toLowerCase().includes(input))
+      .slice(0, 25);
+    return interaction.respond(choices.length || input ? choices : [{ name: t(locale, 'template.noneChoice'), value: '0' }]);
+  }
+
+  if (focused.name === 'role' && commandName === 'queue') {
+    const input = focused.value.toLowerCase();
+    const game  = resolveGame(guild.id, options.getString('jeu') ?? '');
+    const roles = game ? getQueueComposition(game, options.getInteger('joueurs')) ?? [] : [];
+    return interaction.respond(roles
+      .filter(r => !input || r.name.toLowerCase().includes(input))
+      .map(r => ({ name: `${r.emoji} ${r.name}`, value: r.name })));
+  }
+
+  if (focused.name === 'cible' && commandName === 'remove_lfg_channel') {
+    const input        = focused.value.toLowerCase();
+    const entries      = getWebhookEntriesForGuild(guild.id);
+    const defaultLabel = t(getInteractionLocale(interaction), 'channels.defaultChoice');
+    const choices = entries
+      .filter(e => {
+        const lbl = e.game === '*' ? defaultLabel.toLowerCase() : e.game.toLowerCase();
+        return !input || lbl.includes(input);
+      })
+      .slice(0, 25)
+      .map(e => ({ name: e.game === '*' ? defaultLabel : e.game, value: e.game }));
+    return interaction.respond(choices);
+  }
+
+  if (focused.name === 'member' && commandName === 'kick_member') {
+    const input   = focused.value.toLowerCase();
+    const sessionId = options.getString('session_id');
+    const session   = getGuildSession(sessionId, guild.id)?.value;
+    if (!session) return interaction.respond([]);
+    const choices = (lfgJoinedUsers.get(sessionId)?.value ?? [])
+      .filter(id => id !== session.userId)
+      .map(id => ({ name: (guild.members.cache.get(id)?.displayName ?? id).slice(0, 100), value: id }))
+      .filter(c => !input || c.name.toLowerCase().includes(input))
+      .slice(0, 25);
+    return interaction.respond(choices);
+  }
+
+  if (focused.name === 'abonnement' && commandName === 'unsubscribe') {
+    const input   = focused.value.toLowerCase();
+    const locale  = getInteractionLocale(interaction);
+    const choices = repo.getSubscriptions(interaction.user.id, guild.id)
+      .map(sub => ({ name: [sub.game, sub.platform, sub.activity && activityLabel(locale, sub.activity)].filter(Boolean).join(' · ').slice(0, 100), value: String(sub.id) }))
+      .filter(c => !input || c.name.toLowerCase().includes(input))
+      .slice(0, 24);
+    return interaction.respond([...choices, { name: t(locale, 'subscribe.allChoice'), value: 'all' }]);
+  }
+
+  if (focused.name === 'serveur' && commandName === 'federation') {
+    const input  = focused.value.toLowerCase();
+    const config = getGuildFederationConfig(guild.id);
+    const ids    = options.getSubcommand() === 'unlist'
+      ? [...config.allowlist, ...config.denylist]
+      : [...client.guilds.cache.keys()].filter(id => id !== guild.id);
+    const choices = ids
+      .map(id => ({ name: formatGuildName(id).slice(0, 100), value: id }))
+      .filter(c => !input || c.name.toLowerCase().includes(input))
+      .slice(0, 25);
+    return interaction.respond(choices);
+  }
+
+  return interaction.respond([]);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Core session creation helper (shared by /lfg and /duplicate_lfg)
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Creates the category, the voice/text/info channels and the cross-server announcements of a session.
+async function openSessionChannels({ guild, sessionId, userId, game, platform, activity, players, gametag, description, twitchUrl, startTime = null, labelKey, joinedUsers, roleSlots = null, visibility = 'public' }) {
+  const locale    = getGuildLocale(guild.id);
+  const bannedIds = getSessionBannedIds(sessionId, guild.id, userId);
+  // Channels created so far, deleted again if a later step fails so a retry starts from scratch
+  const created = [];
+  const create  = async options => {
+    const channel = await guild.channels.create(options);
+    created.push(channel);
+    return channel;
+  };
+  try {
+    const category = await create({
+      name: `🎮-${sessionId}-LFG`, type: ChannelType.GuildCategory,
+      permissionOverwrites: buildSessionOverwrites(guild, 'categoryId', [PermissionFlagsBits.ManageChannels], visibility, joinedUsers, bannedIds),
+    });
+
+    const textChannel = await create({
+      name: `📝-${sessionId}-${t(locale, 'channel.discussionName')}`, type: ChannelType.GuildText, parent: category.id,
+      permissionOverwrites: buildSessionOverwrites(guild, 'textChannelId', [PermissionFlagsBits.ManageChannels, PermissionFlagsBits.ManageMessages], visibility, joinedUsers, bannedIds),
+    });
+
+    await textChannel.send({
+      content: t(locale, 'channel.welcome', { id: sessionId, mention: `<@${userId}>` }),
+      allowedMentions: { parse: [] },
+    });
+
+    const voiceChannel = await create({
+      name: `🔊-${sessionId}-LFG`, type: ChannelType.GuildVoice, parent: category.id, userLimit: players + 1,
+      permissionOverwrites: buildSessionOverwrites(guild, 'voiceChannelId', [PermissionFlagsBits.ManageChannels], visibility, joinedUsers, bannedIds),
+    });
+
+    const infoTextChannel = await create({
+      name: `📢-${sessionId}-info`, type: ChannelType.GuildText, parent: category.id,
+      permissionOverwrites: buildSessionOverwrites(guild, 'infoTextChannelId', [PermissionFlagsBits.ManageChannels, PermissionFlagsBits.ManageMessages], visibility, joinedUsers, bannedIds),
+    });
+
+    const infoMessage = await infoTextChannel.send({
+      flags: MessageFlags.IsComponentsV2,
+      components: [buildSessionContainer({
+        sessionId, labelKey, locale, guildId: guild.id, guildName: guild.name, organizerMention: `<@${userId}>`,
+        game, platform, activity, joinedCount: joinedUsers.length, maxPlayers: players, gametag, description, twitchUrl, startTime, roleSlots, visibility,
+        participantsMention: joinedUsers.map(id => `<@${id}>`).join(', '),
+        includeJoinLeaveButtons: true, includeNavButtons: true, includeCloseButton: true,
+      })],
+      allowedMentions: { parse: [] },
+    });
+
+    try { await infoMessage.pin(); } catch {}
+
+    await infoTextChannel.send({
+      content: t(locale, 'channel.infoNotice', { id: sessionId }),
+      allowedMentions: { parse: [] },
+    });
+
+    return { category, textChannel, voiceChannel, infoTextChannel, infoMessage };
+  } catch (err) {
+    for (const channel of created.reverse()) await safeDeleteChannel(channel);
+    throw err;
+  }
+}
+
+// Session IDs are only 4 digits while planned and recurring sessions stay registered for days: draw again until
+// the ID is not taken by an open or planned session
+function generateSessionId() {
+  let sessionId;
+  do sessionId = Math.floor(1000 + Math.random() * 9000).toString();
+  while (lfgSessions.has(sessionId));
+  return sessionId;
+}
+
+// `participants` ([{ userId, role }]) are registered alongside the organizer from the start (matchmaking queue)
+async function createLFGSession({ interaction, guild, channel, user, game, platform, players, gametag, activity, description, twitchUrl, labelKey, startTime = null, roles = null, organizerRole = null, visibility = 'public', participants = [] }) {
+  const sessionId = generateSessionId();
+  if (roles) setParticipantRole(sessionId, user.id, organizerRole);
+
+  if (startTime && startTime - Date.now() > SCHEDULE_OPEN_LEAD) {
+    return createPlannedSession({ guild, channel, user, sessionId, game, platform, players, gametag, activity, description, twitchUrl, startTime, roles, visibility });
+  }
+
+  const joinedUsers = [user.id, ...participants.map(p => p.userId)];
+  if (roles) for (const p of participants) setParticipantRole(sessionId, p.userId, p.role);
+
+  const startIso  = startTime ? new Date(startTime).toISOString() : null;
+  const roleSlots = buildRoleSlots(roles, joinedUsers, lfgParticipantRoles.get(sessionId));
+  const { category, textChannel, voiceChannel, infoTextChannel, infoMessage } = await openSessionChannels({
+    guild, sessionId, userId: user.id, game, platform, activity, players, gametag, description, twitchUrl,
+    startTime: startIso, labelKey, joinedUsers, roleSlots, visibility,
+  });
+
+  let commandChannelMessage;
+  try {
+    commandChannelMessage = await channel.send({
+      flags: MessageFlags.IsComponentsV2,
+      components: [...buildGameRolePing(guild.id, game), buildSessionContainer({
+        sessionId, labelKey, locale: getGuildLocale(guild.id), guildId: guild.id, guildName: guild.name, organizerMention: `<@${user.id}>`,
+        game, platform, activity, joinedCount: joinedUsers.length, maxPlayers: players, gametag, description, twitchUrl, startTime: startIso, roleSlots, visibility,
+        includeJoinLeaveButtons: visibility === 'approval', includeNavButtons: true,
+      })],
+      // Only the game's role may ping: organizer-written text never mentions anyone
+      allowedMentions: { parse: [], roles: [getGameRoleId(guild.id, game)].filter(Boolean) },
+    });
+  } catch (err) {
+    // No session is stored yet: nothing else would ever delete these channels, and the queue retries the same group
+    for (const chan of [voiceChannel, infoTextChannel, textChannel, category]) await safeDeleteChannel(chan);
+    lfgParticipantRoles.delete(sessionId);
+    throw err;
+  }
+
+  const sessionData = {
+    userId: user.id, user: user.tag, game, platform, activity, gametag, description, twitchUrl,
+    date: new Date().toISOString(), players, categoryId: category.id,
+    voiceChannelId: voiceChannel.id, textChannelId: textChannel.id,
+    infoTextChannelId: infoTextChannel.id, infoMessageId: infoMessage.id,
+    commandChannelId: channel.id, commandChannelMessageId: commandChannelMessage.id,
+    timeoutId: null, guildId: guild.id, status: 'open', startTime: startIso, roles, visibility,
+  };
+
+  storeSession(sessionId, sessionData);
+  storeJoinedUsers(sessionId, joinedUsers);
+  recordStatEvent(sessionData, 'created');
+  await announceCrossServer(sessionId, guild);
+  if (startTime) scheduleSessionReminders(sessionId, startTime);
+  if (!voiceChannel.members.size) resetTimeout(sessionId, guild);
+  updateRichPresence();
+  notifySubscribers(sessionId, guild).catch(err => console.error('⚠️ Erreur notifications abonnés:', err));
+
+  return { sessionId, textChannel, infoTextChannel };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Scheduled sessions
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Planned sessions only get an announcement with RSVP buttons; channels are opened by the scheduler.
+async function createPlannedSession({ guild, channel, user, sessionId, game, platform, players, gametag, activity, description, twitchUrl, startTime, roles = null, visibility = 'public' }) {
+  const startIso = new Date(startTime).toISOString();
+
+  const announcement = await channel.send({
+    flags: MessageFlags.IsComponentsV2,
+    components: [...buildGameRolePing(guild.id, game), buildSessionContainer({
+      sessionId, labelKey: 'label.planned', locale: getGuildLocale(guild.id), guildId: guild.id, guildName: guild.name, organizerMention: `<@${user.id}>`,
+      game, platform, activity, joinedCount: 1, maxPlayers: players, gametag, description, twitchUrl,
+      startTime: startIso, isPlanned: true, participantsMention: `<@${user.id}>`,
+      roleSlots: buildRoleSlots(roles, [user.id], lfgParticipantRoles.get(sessionId)), visibility,
+      includeJoinLeaveButtons: true, includeNavButtons: false,
+    })],
+    allowedMentions: { parse: [], roles: [getGameRoleId(guild.id, game)].filter(Boolean) },
+  });
+
+  const sessionData = {
+    userId: user.id, user: user.tag, game, platform, activity, gametag, description, twitchUrl,
+    date: new Date().toISOString(), players, categoryId: null,
+    voiceChannelId: null, textChannelId: null, infoTextChannelId: null, infoMessageId: null,
+    commandChannelId: channel.id, commandChannelMessageId: announcement.id,
+    timeoutId: null, guildId: guild.id, status: 'planned', startTime: startIso, roles, visibility,
+  };
+
+  storeSession(sessionId, sessionData);
+  storeJoinedUsers(sessionId, [user.id]);
+  recordStatEvent(sessionData, 'created');
+  scheduleSessionReminders(sessionId, startTime);
+  updateRichPresence();
+  notifySubscribers(sessionId, guild).catch(err => console.error('⚠️ Erreur notifications abonnés:', err));
+
+  return { sessionId, startTime, isPlanned: true };
+}
+
+function scheduleSessionReminders(sessionId, startTime) {
+  for (const minutesBefore of SCHEDULE_REMINDERS) {
+    const remindAt = startTime - minutesBefore * 60_000;
+    if (remindAt <= Date.now()) continue;
+    scheduledReminders.set(`${sessionId}:${minutesBefore}`, { sessionId, minutesBefore, remindAt });
+    repo.saveReminder(sessionId, minutesBefore, remindAt);
+  }
+}
+
+async function openPlannedSession(sessionId) {
+  const sessionData = lfgSessions.get(sessionId);
+  if (!sessionData || sessionData.value.status !== 'planned') return;
+  const session = sessionData.value;
+  const guild   = client.guilds.cache.get(session.guildId);
+  if (!guild) return;
+
+  try {
+    const joinedUsers = lfgJoinedUsers.get(sessionId)?.value ?? [session.userId];
+    const { category, textChannel, voiceChannel, infoTextChannel, infoMessage } = await openSessionChannels({
+      guild, sessionId, userId: session.userId, game: session.game, platform: session.platform, activity: session.activity,
+      players: session.players, gametag: session.gametag, description: session.description, twitchUrl: session.twitchUrl ?? null,
+      startTime: session.startTime, labelKey: 'label.plannedOpened', joinedUsers,
+      roleSlots: getSessionRoleSlots(sessionId), visibility: session.visibility ?? 'public',
+    });
+
+    Object.assign(session, {
+      status: 'open', categoryId: category.id, voiceChannelId: voiceChannel.id, textChannelId: textChannel.id,
+      infoTextChannelId: infoTextChannel.id, infoMessageId: infoMessage.id,
+    });
+    storeSession(sessionId, session);
+    await announceCrossServer(sessionId, guild);
+    await refreshSessionMessages(sessionId, guild, 'label.plannedOpened');
+    resetTimeout(sessionId, guild);
+    plannedOpenFailures.delete(sessionId);
+    console.log(`✅ Session planifiée ${sessionId} ouverte.`);
+  } catch (err) {
+    console.error(`⚠️ Erreur ouverture session planifiée ${sessionId}:`, err.message);
+    if (session.status !== 'planned') return; // channels are up, only a follow-up message failed
+    // The scheduler retries on every tick: give up after a few failures instead of looping forever
+    const failures = (plannedOpenFailures.get(sessionId) ?? 0) + 1;
+    plannedOpenFailures.set(sessionId, failures);
+    if (failures >= SCHEDULE_RETRIES) {
+      plannedOpenFailures.delete(sessionId);
+      await deleteLFGSession(sessionId, guild, 'open_failed');
+    }
+  }
+}
+
+async function sendSessionReminder(sessionId, minutesBefore) {
+  const session = lfgSessions.get(sessionId)?.value;
+  if (!session) return;
+  const guild          = client.guilds.cache.get(session.guildId);
+  const commandChannel = guild?.channels.cache.get(session.commandChannelId);
+  const joinedUsers    = lfgJoinedUsers.get(sessionId)?.value ?? [];
+  if (!commandChannel?.isTextBased() || !joinedUsers.length) return;
+
+  const vc     = guild.channels.cache.get(session.voiceChannelId);
+  const locale = getGuildLocale(guild.id);
+  const lines  = [t(locale, 'reminder.notice', { id: sessionId, game: session.game, ts: toUnix(session.startTime) })];
+  if (vc) lines.push(t(locale, 'reminder.voice', { channel: `${vc}` }));
+  lines.push(joinedUsers.map(id => `<@${id}>`).join(' '));
+
+  try {
+    await commandChannel.send({
+      content: lines.join('\n'),
+      reply: session.commandChannelMessageId ? { messageReference: session.commandChannelMessageId, failIfNotExists: false } : undefined,
+      allowedMentions: { users: joinedUsers },
+    });
+    console.log(`✅ Rappel T-${minutesBefore} envoyé pour ${sessionId}.`);
+  } catch (err) {
+    console.error(`⚠️ Erreur rappel session ${sessionId}:`, err.message);
+  }
+}
+
+let _schedulerRunning = false;
+
+async function processScheduledSessions() {
+  if (_schedulerRunning) return;
+  _schedulerRunning = true;
+  try {
+    const now = Date.now();
+
+    for (const [sessionId, data] of lfgSessions) {
+      const s = data.value;
+      if (s.status === 'planned' && now >= new Date(s.startTime).getTime() - SCHEDULE_OPEN_LEAD) await openPlannedSession(sessionId);
+    }
+
+    // Several reminders can be due at once after a restart: only one ping per session and tick
+    const reminded = new Set();
+    for (const [key, reminder] of scheduledReminders) {
+      if (now < reminder.remindAt) continue;
+      scheduledReminders.delete(key);
+      repo.deleteReminder(reminder.sessionId, reminder.minutesBefore);
+      // Reminders missed while the bot was offline are dropped once the session has started
+      const session = lfgSessions.get(reminder.sessionId)?.value;
+      if (!session || now >= new Date(session.startTime).getTime() || reminded.has(reminder.sessionId)) continue;
+      reminded.add(reminder.sessionId);
+      await sendSessionReminder(reminder.sessionId, reminder.minutesBefore);
+    }
+
+    await processRecurringSessions(now);
+  } catch (err) {
+    console.error('⚠️ Erreur planificateur:', err.message);
+  } finally {
+    _schedulerRunning = false;
+  }
+}
+
+// Vérification des sessions planifiées toutes les 30 secondes
+setInterval(processScheduledSessions, 30_000);
+
+// ─── Recurring sessions ───────────────────────────────────────────────────────
+// A schedule announces each occurrence RECURRING_LEAD ahead as a planned session, which then opens like any other.
+
+// "mardi, jeudi" / "tue thu" → sorted Date#getDay() values, or null when a day is not recognised
+function parseWeekdays(input) {
+  const days = input.toLowerCase().split(/[\s,;/]+/).filter(Boolean).map(day => WEEKDAYS[day]);
+  return days.length && days.every(day => day !== undefined) ? [...new Set(days)].sort() : null;
+}
+
+// First occurrence strictly after `after`, walking calendar days in the schedule's time zone
+function getNextOccurrence({ frequency, weekdays, intervalDays, timeOfDay, timeZone, anchorDate }, after = Date.now()) {
+  const today  = getZonedParts(after, timeZone);
+  const days   = weekdays ? String(weekdays).split(',').map(Number) : [];
+  const anchor = anchorDate ? Date.parse(`${anchorDate}T00:00:00Z`) : null;
+  for (let offset = 0; offset <= 366; offset++) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    if (frequency === 'weekly' && !days.includes(date.getUTCDay())) continue;
+    if (frequency === 'interval' && anchor !== null && Math.round((date - anchor) / 86_400_000) % intervalDays !== 0) continue;
+    const ts = zonedTimeToTimestamp({
+      year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(),
+      hour: Math.floor(timeOfDay / 60), minute: timeOfDay % 60,
+    }, timeZone);
+    if (ts > after) return ts;
+  }
+  return null;
+}
+
+function formatRecurrence(schedule, locale = DEFAULT_LOCALE) {
+  const time = formatClockTime(schedule.timeOfDay);
+  if (schedule.frequency === 'daily') return t(locale, 'recurring.daily', { time });
+  if (schedule.frequency === 'interval') return t(locale, 'recurring.interval', { count: schedule.intervalDays, time });
+  const dayName = new Intl.DateTimeFormat(locale, { weekday: 'long', timeZone: 'UTC' });
+  // 4 January 1970 was a Sunday (getDay() = 0)
+  const days = String(schedule.weekdays).split(',').map(day => dayName.format(Date.UTC(1970, 0, 4 + Number(day))));
+  return t(locale, 'recurring.weekly', { days: days.join(', '), time });
+}
+
+function saveRecurringSession(schedule) {
+  recurringSessions.set(schedule.id, schedule);
+  repo.updateRecurringSession(schedule);
+}
+
+async function processRecurringSessions(now = Date.now()) {
+  for (const schedule of recurringSessions.values()) {
+    if (schedule.paused || now < schedule.nextRunAt - RECURRING_LEAD) continue;
+    const startTime = schedule.nextRunAt;
+    saveRecurringSession({ ...schedule, nextRunAt: getNextOccurrence(schedule, startTime) });
+    // Occurrences missed while the bot was offline are skipped
+    if (now >= startTime) {
+      console.warn(`⚠️ Occurrence du ${new Date(startTime).toISOString()} de la session récurrente ${schedule.id} manquée.`);
+      continue;
+    }
+    await openRecurringOccurrence(schedule, startTime);
+  }
+}
+
+async function openRecurringOccurrence(schedule, startTime) {
+  const guild   = client.guilds.cache.get(schedule.guildId);
+  const channel = guild?.channels.cache.get(schedule.channelId);
+  const member  = await guild?.members.fetch(schedule.userId).catch(() => null);
+  if (!channel?.isTextBased() || !member) {
+    return console.warn(`⚠️ Session récurrente ${schedule.id} ignorée : salon ou organisateur introuvable.`);
+  }
+  if (!isGameAllowedForGuild(guild.id, schedule.game)) {
+    return console.warn(`⚠️ Session récurrente ${schedule.id} ignorée : ${schedule.game} n'est plus accepté.`);
+  }
+
+  try {
+    const { sessionId } = await createLFGSession({
+      guild, channel, user: member.user, game: schedule.game, platform: schedule.platform, players: schedule.players,
+      gametag: schedule.gametag, activity: schedule.activity, twitchUrl: schedule.twitchUrl, visibility: schedule.visibility,
+      description: schedule.description ?? t(getGuildLocale(guild.id), 'lfg.noDescription'),
+      startTime, labelKey: 'label.recurring',
+    });
+    logAudit(guild, 'create', { targetId: schedule.userId, sessionId, details: { game: schedule.game, players: schedule.players, via: 'recurring', schedule: schedule.id } });
+    console.log(`🔁 Session ${sessionId} créée par la session récurrente ${schedule.id}.`);
+  } catch (err) {
+    console.error(`⚠️ Erreur session récurrente ${schedule.id}:`, err);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Command handlers
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function handleLFGCommand(interaction) {
+  const { options } = interaction;
+  return launchLFGSession(interaction, {
+    gameInput:    options.getString('jeux'),
+    platform:     options.getString('plateforme'),
+    players:      options.getInteger('joueurs'),
+    activity:     options.getString('activite'),
+    gametag:      options.getString('gametag'),
+    description:  options.getString('description'),
+    twitchPseudo: options.getString('twitch'),
+    startInput:   options.getString('debut'),
+    rolesInput:   options.getString('roles'),
+    myRoleInput:  options.getString('mon_role'),
+    visibility:   options.getString('visibilite') ?? 'public',
+  });
+}
+
+// Validates /lfg input and creates the session; /template launch goes through it with the template's values
+async function launchLFGSession(interaction, {
+  gameInput, platform, players, activity, gametag: gametagInput = null, description: descriptionInput = null, twitchPseudo = null,
+  startInput = null, rolesInput = null, myRoleInput = null, visibility = 'public', labelKey = 'label.new', auditDetails = {},
+}) {
+  const { guild, channel, user } = interaction;
+  const locale      = getInteractionLocale(interaction);
+  const game        = resolveGame(guild.id, gameInput);
+  const description = descriptionInput ?? t(getGuildLocale(guild.id), 'lfg.noDescription');
+  const profile     = getPlayerProfile(user.id);
+
+  if (!await requireCapability(interaction, 'create')) return;
+  if (!game) {
+    return interaction.reply({
+      content: t(locale, 'lfg.unknownGame', { game: gameInput }),
+      flags: [MessageFlags.Ephemeral],
+    });
+  }
+
+  const gametag = gametagInput ?? resolveProfileGametag(profile, game, platform)?.gametag;
+  if (!gametag) {
+    return interaction.reply({
+      content: t(locale, 'lfg.missingGametag', { game, platform }),
+      flags: [MessageFlags.Ephemeral],
+    });
+  }
+
+  let roles = null, organizerRole = null;
+  if (rolesInput) {
+    roles = parseRoleComposition(rolesInput);
+    if (!roles) {
+      return interaction.reply({
+        content: t(locale, 'lfg.invalidRoles', { max: MAX_ROLES }),
+        flags: [MessageFlags.Ephemeral],
+      });
+    }
+    organizerRole = myRoleInput ? findRole(roles, myRoleInput)?.name : defaultOrganizerRole(roles);
+    if (!organizerRole) {
+      return interaction.reply({
+        content: t(locale, 'lfg.unknownRole', { role: myRoleInput, roles: formatRoleComposition(roles) }),
+        flags: [MessageFlags.Ephemeral],
+      });
+    }
+  }
+  // With roles, the composition defines the number of slots
+  const slots = roles ? roles.reduce((acc, r) => acc + r.count, 0) : players;
+
+  let startTime = null;
+  if (startInput) {
+    startTime = parseStartTime(startInput, profile?.timeZone ?? SCHEDULE_TIMEZONE);
+    if (!startTime) {
+      return interaction.reply({
+        content: t(locale, 'lfg.invalidStart'),
+        flags: [MessageFlags.Ephemeral],
+      });
+    }
+    if (startTime <= Date.now() || startTime - Date.now() > SCHEDULE_MAX_AHEAD) {
+      return interaction.reply({
+        content: t(locale, 'lfg.startOutOfRange', { days: SCHEDULE_MAX_AHEAD / 86_400_000 }),
+        flags: [MessageFlags.Ephemeral],
+      });
+    }
+  }
+
+  const twitchUrl = twitchPseudo ? parseTwitchUrl(twitchPseudo) : null;
+  if (twitchPseudo && !twitchUrl) {
+    return interaction.reply({
+      content: t(locale, 'lfg.invalidTwitch'),
+      flags: [MessageFlags.Ephemeral],
+    });
+  }
+
+  if (!isGameAllowedForGuild(guild.id, game)) {
+    const filter = getGuildGameFilter(guild.id);
+    return interaction.reply({
+      content: t(locale, 'lfg.gameNotAllowed', { game, games: filter.map(g => `\`${g}\``).join(', ') }),
+      flags: [MessageFlags.Ephemeral],
+    });
+  }
+
+  if (!checkUserSessionCooldown(guild.id, user.id)) {
+    const { maxSessions, windowSeconds } = getGuildCooldownConfig(guild.id);
+    return interaction.reply({
+      content: t(locale, 'cooldown.reached', { count: maxSessions, minutes: Math.round(windowSeconds / 60) }),
+      flags: [MessageFlags.Ephemeral],
+    });
+  }
+
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+  try {
+    const { sessionId, textChannel, infoTextChannel, isPlanned } = await createLFGSession({
+      interaction, guild, channel, user,
+      game, platform, players: slots, gametag, activity, description, twitchUrl, startTime, roles, organizerRole, visibility,
+      labelKey,
+    });
+    logAudit(guild, 'create', { actorId: user.id, sessionId, details: { game, players: slots, visibility, start: isPlanned ? new Date(startTime).toISOString() : null, ...auditDetails } });
+    const roleNote = roles ? `\n${t(locale, 'lfg.yourRole', { roles: formatRoleComposition(roles), role: organizerRole })}` : '';
+    await interaction.followUp({
+      content: (isPlanned
+        ? t(locale, 'lfg.planned', { id: sessionId, ts: toUnix(startTime), minutes: SCHEDULE_OPEN_LEAD / 60_000 })
+        : t(locale, 'lfg.created', { id: sessionId, text: `${textChannel}`, info: `${infoTextChannel}` })) + roleNote,
+      flags: [MessageFlags.Ephemeral],
+    });
+  } catch (err) {
+    console.error('⚠️ Erreur création LFG:', err);
+    const msg = t(locale, 'lfg.error');
+    if (interaction.deferred || interaction.replied) await interaction.followUp({ content: msg, flags: [MessageFlags.Ephemeral] });
+    else await interaction.reply({ content: msg, flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+async function handleDuplicateLFGCommand(interaction) {
+  const { options, guild, channel, user } = interaction;
+  const locale     = getInteractionLocale(interaction);
+  const sourceId   = options.getString('session_id');
+  const sourceData = getGuildSession(sourceId, guild.id);
+
+  if (!sourceData) return interaction.reply({ content: t(locale, 'error.sessionNotFound', { id: sourceId }), flags: [MessageFlags.Ephemeral] });
+  if (!await requireCapability(interaction, 'create')) return;
+
+  if (!checkUserSessionCooldown(guild.id, user.id)) {
+    const { maxSessions, windowSeconds } = getGuildCooldownConfig(guild.id);
+    return interaction.reply({
+      content: t(locale, 'cooldown.reached', { count: maxSessions, minutes: Math.round(windowSeconds / 60) }),
+      flags: [MessageFlags.Ephemeral],
+    });
+  }
+
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+  try {
+    const s = sourceData.value;
+    const { sessionId, textChannel, infoTextChannel } = await createLFGSession({
+      interaction, guild, channel, user,
+      game: s.game, platform: s.platform, players: s.players,
+      gametag: s.gametag, activity: s.activity, description: s.description,
+      twitchUrl: s.twitchUrl ?? null, roles: s.roles ?? null, visibility: s.visibility ?? 'public',
+      organizerRole: s.roles ? lfgParticipantRoles.get(sourceId)?.[s.userId] ?? defaultOrganizerRole(s.roles) : null,
+      labelKey: 'label.duplicated',
+    });
+    logAudit(guild, 'duplicate', { actorId: user.id, sessionId, details: { source: sourceId, game: s.game } });
+    await interaction.followUp({
+      content: t(locale, 'duplicate.created', { id: sessionId, source: sourceId, text: `${textChannel}`, info: `${infoTextChannel}` }),
+      flags: [MessageFlags.Ephemeral],
+    });
+  } catch (err) {
+    console.error('⚠️ Erreur duplication LFG:', err);
+    const msg = t(locale, 'duplicate.error');
+    if (interaction.deferred || interaction.replied) await interaction.followUp({ content: msg, flags: [MessageFlags.Ephemeral] });
+    else await interaction.reply({ content: msg, flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+async function handleModifyLFGCommand(interaction) {
+  const { options, guild } = interaction;
+  const sessionId  = options.getString('session_id');
+  const newPlayers = options.getInteger('joueurs');
+  const newDesc    = options.getString('description');
+  const locale     = getInteractionLocale(interaction);
+
+  const sessionData = getGuildSession(sessionId, interaction.guildId);
+  if (!sessionData) return interaction.reply({ content: t(locale, 'error.sessionNotFound', { id: sessionId }), flags: [MessageFlags.Ephemeral] });
+  if (!await requireCapability(interaction, 'moderate', { session: sessionData.value })) return;
+  if (!newPlayers && !newDesc)
+    return interaction.reply({ content: t(locale, 'modify.nothing'), flags: [MessageFlags.Ephemeral] });
+  if (newPlayers && sessionData.value.roles)
+    return interaction.reply({ content: t(locale, 'modify.rolesFixed'), flags: [MessageFlags.Ephemeral] });
+
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+  try {
+    const session = { ...sessionData.value };
+    if (newPlayers) {
+      const vc = guild.channels.cache.get(session.voiceChannelId);
+      if (vc) await vc.edit({ userLimit: newPlayers + 1 });
+      session.players = newPlayers;
+    }
+    if (newDesc) session.description = newDesc;
+    storeSession(sessionId, session);
+    if (newPlayers) await promoteFromWaitlist(sessionId, guild);
+    await refreshSessionMessages(sessionId, guild, 'label.modified');
+    logAudit(guild, 'modify', { actorId: interaction.user.id, sessionId, details: { players: newPlayers, description: newDesc } });
+    await interaction.followUp({ content: t(locale, 'modify.done', { id: sessionId }), flags: [MessageFlags.Ephemeral] });
+    updateRichPresence();
+  } catch (err) {
+    console.error('⚠️ Erreur modification LFG:', err);
+    const msg = t(locale, 'modify.error');
+    if (interaction.deferred || interaction.replied) await interaction.followUp({ content: msg, flags: [MessageFlags.Ephemeral] });
+    else await interaction.reply({ content: msg, flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+async function handleCloseLFGCommand(interaction) {
+  return promptCloseSession(interaction, interaction.options.getString('session_id'));
+}
+
+// Shared by /close_lfg and the info container's close button: closing only happens once confirmed.
+async function promptCloseSession(interaction, sessionId) {
+  const locale      = getInteractionLocale(interaction);
+  const sessionData = getGuildSession(sessionId, interaction.guildId);
+  if (!sessionData) return interaction.reply({ content: t(locale, 'error.sessionNotFound', { id: sessionId }), flags: [MessageFlags.Ephemeral] });
+  if (!await requireCapability(interaction, 'moderate', { session: sessionData.value })) return;
+
+  return interaction.reply({
+    content: t(locale, 'close.confirm', { id: sessionId }),
+    components: [new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`closeconfirm_${sessionId}`).setLabel(t(locale, 'button.confirm')).setStyle(ButtonStyle.Danger),
+      new ButtonBuilder().setCustomId(`closecancel_${sessionId}`).setLabel(t(locale, 'button.cancel')).setStyle(ButtonStyle.Secondary),
+    )],
+    flags: [MessageFlags.Ephemeral],
+  });
+}
+
+async function handleCloseConfirmButton(interaction, sessionId) {
+  const locale      = getInteractionLocale(interaction);
+  const sessionData = getGuildSession(sessionId, interaction.guildId);
+  if (!sessionData) return interaction.update({ content: t(locale, 'error.sessionNotFound', { id: sessionId }), components: [] });
+  if (!hasCapability(interaction.member, 'moderate', { session: sessionData.value }))
+    return interaction.update({ content: t(locale, 'close.notAllowed'), components: [] });
+
+  try {
+    // Answer first: the confirmation may live in the info channel that is about to be deleted
+    await interaction.update({ content: t(locale, 'close.done', { id: sessionId }), components: [] });
+    await deleteLFGSession(sessionId, interaction.guild, 'manual', interaction.user.id);
+    updateRichPresence();
+  } catch (err) {
+    console.error('⚠️ Erreur fermeture LFG:', err);
+    await interaction.followUp({ content: t(locale, 'close.error'), flags: [MessageFlags.Ephemeral] }).catch(() => {});
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+async function handleTransferLFGCommand(interaction) {
+  const { options, guild } = interaction;
+  const locale       = getInteractionLocale(interaction);
+  const sessionId    = options.getString('session_id');
+  const targetMember = options.getMember('membre');
+  const sessionData  = getGuildSession(sessionId, interaction.guildId);
+  if (!sessionData) return interaction.reply({ content: t(locale, 'error.sessionNotFound', { id: sessionId }), flags: [MessageFlags.Ephemeral] });
+  if (!targetMember) return interaction.reply({ content: t(locale, 'error.memberNotFound'), flags: [MessageFlags.Ephemeral] });
+  const session = sessionData.value;
+  if (!await requireCapability(interaction, 'moderate', { session })) return;
+  if (targetMember.id === session.userId)
+    return interaction.reply({ content: t(locale, 'transfer.alreadyOrganizer', { tag: targetMember.user.tag }), flags: [MessageFlags.Ephemeral] });
+  if (!(lfgJoinedUsers.get(sessionId)?.value ?? []).includes(targetMember.id))
+    return interaction.reply({ content: t(locale, 'transfer.notParticipant', { tag: targetMember.user.tag }), flags: [MessageFlags.Ephemeral] });
+
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+  try {
+    await transferSessionOwnership(sessionId, guild, targetMember.id);
+    await interaction.followUp({ content: t(locale, 'transfer.done', { tag: targetMember.user.tag, id: sessionId }), flags: [MessageFlags.Ephemeral] });
+  } catch (err) {
+    console.error('⚠️ Erreur transfert LFG:', err);
+    await interaction.followUp({ content: t(locale, 'transfer.error'), flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+async function handleInviteLFGCommand(interaction) {
+  const { options, guild } = interaction;
+  const locale       = getInteractionLocale(interaction);
+  const sessionId    = options.getString('session_id');
+  const targetMember = options.getMember('membre');
+  const sessionData  = getGuildSession(sessionId, interaction.guildId);
+  if (!sessionData) return interaction.reply({ content: t(locale, 'error.sessionNotFound', { id: sessionId }), flags: [MessageFlags.Ephemeral] });
+  if (!targetMember) return interaction.reply({ content: t(locale, 'error.memberNotFound'), flags: [MessageFlags.Ephemeral] });
+  const session     = sessionData.value;
+  const joinedUsers = lfgJoinedUsers.get(sessionId)?.value ?? [];
+  if (!await requireCapability(interaction, 'moderate', { session })) return;
+  if (!isPrivateSession(session)) return interaction.reply({ content: t(locale, 'invite.publicSession'), flags: [MessageFlags.Ephemeral] });
+  if (joinedUsers.includes(targetMember.id))
+    return interaction.reply({ content: t(locale, 'invite.already', { tag: targetMember.user.tag }), flags: [MessageFlags.Ephemeral] });
+  if (isBannedFromSession(sessionId, targetMember.id))
+    return interaction.reply({ content: t(locale, 'invite.banned', { tag: targetMember.user.tag }), flags: [MessageFlags.Ephemeral] });
+  if (joinedUsers.length >= session.players) return interaction.reply({ content: t(locale, 'approval.full'), flags: [MessageFlags.Ephemeral] });
+
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+  try {
+    const guildLocale = getGuildLocale(guild.id);
+    const request     = removeJoinRequest(sessionId, targetMember.id);
+    if (request) {
+      await closeJoinRequestMessage(guild, request, t(guildLocale, 'approval.accepted', { mention: `<@${targetMember.id}>`, by: `<@${interaction.user.id}>`, id: sessionId }));
+    }
+    const role = await addSessionParticipant(sessionId, guild, targetMember.id, request?.role);
+    logAudit(guild, 'join', { actorId: interaction.user.id, targetId: targetMember.id, sessionId, details: { role: role?.name, via: 'invite' } });
+
+    const vc = guild.channels.cache.get(session.voiceChannelId);
+    try {
+      await targetMember.send({
+        content: t(guildLocale, 'invite.dm', { by: interaction.user.tag, id: sessionId, game: session.game, guild: guild.name })
+          + (vc ? `\n${t(guildLocale, 'waitlist.voiceLink', { url: `https://discord.com/channels/${guild.id}/${vc.id}` })}` : '')
+          + (role ? `\n${t(guildLocale, 'waitlist.assignedRole', { role: role.name })}` : ''),
+      });
+    } catch {}
+    await interaction.followUp({ content: t(locale, 'invite.done', { tag: targetMember.user.tag, id: sessionId }), flags: [MessageFlags.Ephemeral] });
+    updateRichPresence();
+  } catch (err) {
+    console.error('⚠️ Erreur invitation LFG:', err);
+    await interaction.followUp({ content: t(locale, 'invite.error'), flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+async function handleListMembersCommand(interaction) {
+  const sessionId = interaction.options.getString('session_id');
+  const page      = interaction.options.getInteger('page') ?? 1;
+  const locale    = getInteractionLocale(interaction);
+  const sessionData = getGuildSession(sessionId, interaction.guildId);
+  if (!sessionData) return interaction.reply({ content: t(locale, 'error.sessionNotFound', { id: sessionId }), flags: [MessageFlags.Ephemeral] });
+  // The list shows every participant's gametag: a private session keeps it to its own players and moderators
+  const session = sessionData.value;
+  if (isPrivateSession(session) && !(lfgJoinedUsers.get(sessionId)?.value ?? []).includes(interaction.user.id)
+      && !hasCapability(interaction.member, 'moderate', { session }))
+    return interaction.reply({ content: t(locale, 'members.private', { id: sessionId }), flags: [MessageFlags.Ephemeral] });
+
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+  try {
+    const vc         = interaction.guild.channels.cache.get(session.voiceChannelId);
+    const members    = vc?.members.map(m => m.user.tag) ?? [];
+    const joinedData = lfgJoinedUsers.get(sessionId)?.value ?? [];
+    const start      = (page - 1) * ITEMS_PER_PAGE;
+    const pageItems  = members.slice(start, start + ITEMS_PER_PAGE);
+    const pageJoined = joinedData.slice(start, start + ITEMS_PER_PAGE);
+    const totalPages = Math.max(1, Math.ceil(Math.max(members.length, joinedData.length) / ITEMS_PER_PAGE));
+
+    const thumbnail = new ThumbnailBuilder({ media: { url: interaction.guild.iconURL({ dynamic: true }) ?? 'https://i.imgur.com/Xo1BHdr.png' } });
+    const headerSection = new SectionBuilder()
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'members.title')))
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`\`🆔 Session #${sessionId}\``))
+      .setThumbnailAccessory(thumbnail);
+
+    const memberList = pageItems.length ? pageItems.map((tag, i) => `\`${start + i + 1}.\` ${tag}`).join('\n') : t(locale, 'members.noneInVoice');
+    // The organizer's gametag is the one given at creation; other participants come from their profile
+    const joinedList = pageJoined.length ? pageJoined.map((id, i) => {
+      const gametag = id === session.userId ? session.gametag : resolveProfileGametag(getPlayerProfile(id), session.game, session.platform)?.gametag;
+      const inVoice = vc?.members.has(id) ? ' · 🔊' : '';
+      return `\`${start + i + 1}.\` <@${id}> — ${gametag ? `🎯 \`${gametag}\`` : t(locale, 'members.noGametag')}${inVoice}`;
+    }).join('\n') : t(locale, 'members.noneJoined');
+
+    const container = new ContainerBuilder()
+      .addSectionComponents(headerSection)
+      .addSeparatorComponents(new SeparatorBuilder())
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`${t(locale, 'members.participants')}\n${joinedList}`))
+      .addSeparatorComponents(new SeparatorBuilder())
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`${t(locale, 'members.inVoice')}\n${memberList}`))
+      .addSeparatorComponents(new SeparatorBuilder())
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(
+        t(locale, 'members.summary', { joined: joinedData.length, players: session.players, voice: members.length })
+      ))
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# ${t(locale, 'common.page', { page, total: totalPages })}  ·  ${interaction.guild.name}  ·  /lfg  /stats  /history`))
+      .setAccentColor(0x1E90FF);
+
+    await interaction.followUp({ components: [container], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
+  } catch (err) {
+    console.error('⚠️ Erreur liste membres:', err);
+    await interaction.followUp({ content: t(locale, 'members.error'), flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+async function handleKickMemberCommand(interaction) {
+  const { options, guild, user } = interaction;
+  const locale      = getInteractionLocale(interaction);
+  const sessionId   = options.getString('session_id');
+  const targetId    = options.getString('member');
+  const sessionData = getGuildSession(sessionId, interaction.guildId);
+  if (!sessionData) return interaction.reply({ content: t(locale, 'error.sessionNotFound', { id: sessionId }), flags: [MessageFlags.Ephemeral] });
+  const session = sessionData.value;
+  if (!await requireCapability(interaction, 'moderate', { session })) return;
+  if (targetId === session.userId) return interaction.reply({ content: t(locale, 'kick.organizer'), flags: [MessageFlags.Ephemeral] });
+  // The slot is held by the registration, whether or not the player ever showed up in voice
+  if (!(lfgJoinedUsers.get(sessionId)?.value ?? []).includes(targetId))
+    return interaction.reply({ content: t(locale, 'kick.notParticipant', { id: sessionId }), flags: [MessageFlags.Ephemeral] });
+
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+  try {
+    const target = await client.users.fetch(targetId).catch(() => null);
+    const tag    = target?.tag ?? targetId;
+    await expelFromSession(sessionId, guild, targetId, user.id);
+    logAudit(guild, 'kick', { actorId: user.id, targetId, sessionId });
+    try {
+      await target?.send({ content: t(getGuildLocale(guild.id), 'kick.dm', { id: sessionId, game: session.game, guild: guild.name, by: user.tag }) });
+    } catch {}
+    await interaction.followUp({ content: t(locale, 'kick.done', { tag, id: sessionId }), flags: [MessageFlags.Ephemeral] });
+    updateRichPresence();
+  } catch (err) {
+    console.error('⚠️ Erreur kick membre:', err);
+    await interaction.followUp({ content: t(locale, 'kick.error'), flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+async function handleBanMemberCommand(interaction) {
+  const { options, guild, user, member } = interaction;
+  const locale      = getInteractionLocale(interaction);
+  const sessionId   = options.getString('session_id');
+  const target      = options.getUser('member');
+  const scope       = options.getString('portee') ?? 'session';
+  const serverBan   = options.getBoolean('serveur') ?? false;
+  const sessionData = getGuildSession(sessionId, interaction.guildId);
+  if (!sessionData) return interaction.reply({ content: t(locale, 'error.sessionNotFound', { id: sessionId }), flags: [MessageFlags.Ephemeral] });
+  if (!target) return interaction.reply({ content: t(locale, 'error.memberNotFound'), flags: [MessageFlags.Ephemeral] });
+  const session = sessionData.value;
+  if (!await requireCapability(interaction, 'moderate', { session })) return;
+  if (target.id === user.id) return interaction.reply({ content: t(locale, 'ban.self'), flags: [MessageFlags.Ephemeral] });
+  if (target.id === session.userId) return interaction.reply({ content: t(locale, 'ban.organizer'), flags: [MessageFlags.Ephemeral] });
+  // A real server ban stays a moderator action, never a side effect of organizing a session
+  if (serverBan && !member.permissions.has(PermissionFlagsBits.BanMembers))
+    return interaction.reply({ content: t(locale, 'ban.serverPermission'), flags: [MessageFlags.Ephemeral] });
+  // The bot bans with its own rank: hold the moderator to Discord's hierarchy rule themselves
+  if (serverBan && member.id !== guild.ownerId) {
+    const targetMember = await guild.members.fetch(target.id).catch(() => null);
+    if (targetMember && (targetMember.id === guild.ownerId || member.roles.highest.comparePositionTo(targetMember.roles.highest) <= 0))
+      return interaction.reply({ content: t(locale, 'ban.serverHierarchy', { tag: target.tag }), flags: [MessageFlags.Ephemeral] });
+  }
+
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+  try {
+    addSessionBan(sessionId, target.id, user.id);
+    if (scope === 'organizer') addOrganizerBan(guild.id, session.userId, target.id);
+
+    // An organizer-wide ban also applies to the organizer's other open sessions
+    const bannedFrom = scope === 'organizer'
+      ? [...lfgSessions].filter(([, d]) => d.value.guildId === guild.id && d.value.userId === session.userId).map(([id]) => id)
+      : [sessionId];
+    for (const id of bannedFrom) {
+      await expelFromSession(id, guild, target.id, user.id);
+      await setSessionBanOverwrites(lfgSessions.get(id).value, guild, target.id, true);
+    }
+    if (serverBan) await guild.members.ban(target.id, { reason: t(getGuildLocale(guild.id), 'ban.reason', { id: sessionId }) });
+    logAudit(guild, 'ban', { actorId: user.id, targetId: target.id, sessionId, details: { scope, server: serverBan || null } });
+
+    let content = t(locale, scope === 'organizer' ? 'ban.doneOrganizer' : 'ban.done', { tag: target.tag, id: sessionId });
+    if (serverBan) content += `\n${t(locale, 'ban.doneServer', { tag: target.tag })}`;
+    await interaction.followUp({ content, flags: [MessageFlags.Ephemeral] });
+    updateRichPresence();
+  } catch (err) {
+    console.error('⚠️ Erreur ban membre:', err);
+    await interaction.followUp({ content: t(locale, 'ban.error'), flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+async function handleUnbanMemberCommand(interaction) {
+  const { options, guild, user } = interaction;
+  const locale      = getInteractionLocale(interaction);
+  const sessionId   = options.getString('session_id');
+  const target      = options.getUser('member');
+  const sessionData = getGuildSession(sessionId, interaction.guildId);
+  if (!sessionData) return interaction.reply({ content: t(locale, 'error.sessionNotFound', { id: sessionId }), flags: [MessageFlags.Ephemeral] });
+  if (!target) return interaction.reply({ content: t(locale, 'error.memberNotFound'), flags: [MessageFlags.Ephemeral] });
+  const session = sessionData.value;
+  if (!await requireCapability(interaction, 'moderate', { session })) return;
+
+  try {
+    if (!removeSessionBans(sessionId, guild.id, session.userId, target.id))
+      return interaction.reply({ content: t(locale, 'unban.notBanned', { tag: target.tag, id: sessionId }), flags: [MessageFlags.Ephemeral] });
+    // Lifting an organizer-wide ban reopens the organizer's other sessions, unless banned from them directly
+    for (const [id, data] of lfgSessions) {
+      if (data.value.guildId !== guild.id || data.value.userId !== session.userId || isBannedFromSession(id, target.id)) continue;
+      await setSessionBanOverwrites(data.value, guild, target.id, false);
+    }
+    logAudit(guild, 'unban', { actorId: user.id, targetId: target.id, sessionId });
+    await interaction.reply({ content: t(locale, 'unban.done', { tag: target.tag, id: sessionId }), flags: [MessageFlags.Ephemeral] });
+  } catch (err) {
+    console.error('⚠️ Erreur unban membre:', err);
+    if (!interaction.replied) await interaction.reply({ content: t(locale, 'unban.error'), flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+async function handleStatsCommand(interaction) {
+  const { guild, options } = interaction;
+  const locale    = getInteractionLocale(interaction);
+  const gameInput = options.getString('jeu');
+  // Games removed from the catalog still have statistics under their old name
+  const game = gameInput ? resolveGame(guild.id, gameInput) ?? gameInput : null;
+
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+  try {
+    const stats = repo.getStats(guild.id, game);
+    const { maxSessions, windowSeconds } = getGuildCooldownConfig(guild.id);
+
+    let activeSessions = 0, activePlayers = 0;
+    for (const [id, data] of lfgSessions) {
+      if (data.value.guildId !== guild.id || (game && data.value.game !== game)) continue;
+      activeSessions++;
+      activePlayers += lfgJoinedUsers.get(id)?.value.length ?? 0;
+    }
+
+    const fillRate    = stats.offeredSlots ? `${Math.round((stats.filledSlots / stats.offeredSlots) * 100)} %` : '—';
+    const avgDuration = stats.sessionsEnded ? formatDuration(stats.totalDurationSeconds / stats.sessionsEnded) : '—';
+    const ranking     = (rows, emoji) => rows.length
+      ? rows.map((r, i) => `\`${i + 1}.\` ${emoji(r.name)} **${r.name}** — ${t(locale, 'stats.sessionCount', { count: r.sessions })}`).join('\n')
+      : t(locale, 'stats.noData');
+
+    const thumbnail = new ThumbnailBuilder({ media: { url: guild.iconURL({ dynamic: true }) ?? 'https://i.imgur.com/Xo1BHdr.png' } });
+    const headerSection = new SectionBuilder()
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(game ? t(locale, 'stats.titleGame', { game }) : t(locale, 'stats.title')))
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(guild.name))
+      .setThumbnailAccessory(thumbnail);
+
+    const container = new ContainerBuilder()
+      .addSectionComponents(headerSection)
+      .addSeparatorComponents(new SeparatorBuilder())
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'stats.sessions', { created: stats.sessionsCreated, ended: stats.sessionsEnded })))
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'stats.players', { joined: stats.playersJoined, left: stats.playersLeft })))
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'stats.averages', { fill: fillRate, duration: avgDuration })))
+      .addSeparatorComponents(new SeparatorBuilder())
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'stats.active', { count: activeSessions })))
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'stats.activePlayers', { count: activePlayers })));
+
+    if (!game) {
+      container
+        .addSeparatorComponents(new SeparatorBuilder())
+        .addTextDisplayComponents(new TextDisplayBuilder().setContent(`${t(locale, 'stats.topGames')}\n${ranking(stats.topGames, () => '🎮')}`));
+    }
+
+    container
+      .addSeparatorComponents(new SeparatorBuilder())
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`${t(locale, 'stats.topPlatforms')}\n${ranking(stats.topPlatforms, getPlatformEmoji)}`))
+      .addSeparatorComponents(new SeparatorBuilder())
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'stats.cooldown', { count: maxSessions, minutes: Math.round(windowSeconds / 60) })))
+      .addSeparatorComponents(new SeparatorBuilder())
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# ${guild.name}  ·  /lfg  /stats  /history`))
+      .setAccentColor(0x1E90FF);
+
+    await interaction.followUp({ components: [container], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
+  } catch (err) {
+    console.error('⚠️ Erreur stats:', err);
+    await interaction.followUp({ content: t(locale, 'stats.error'), flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+const historyPages = new Map(); // key: userId → { page, filters }
+
+function describeHistoryFilters({ game, userId, from, to }, locale) {
+  const parts = [];
+  if (game)   parts.push(`🎮 ${game}`);
+  if (userId) parts.push(`👤 <@${userId}>`);
+  if (from)   parts.push(t(locale, 'history.since', { ts: toUnix(from) }));
+  if (to)     parts.push(t(locale, 'history.until', { ts: toUnix(to - 1) }));
+  return parts.join('  ·  ');
+}
+
+async function sendHistoryEmbed(interaction, page, isUpdate = false) {
+  const filters    = historyPages.get(interaction.user.id)?.filters ?? {};
+  const { total }  = repo.queryArchive(interaction.guild.id, filters, 0, 0);
+  const totalPages = Math.max(1, Math.ceil(total / ITEMS_PER_PAGE));
+  const safePage   = Math.min(Math.max(1, page), totalPages);
+  const { rows }   = repo.queryArchive(interaction.guild.id, filters, ITEMS_PER_PAGE, (safePage - 1) * ITEMS_PER_PAGE);
+  historyPages.set(interaction.user.id, { page: safePage, filters });
+  const locale = getInteractionLocale(interaction);
+
+  const thumbnail = new ThumbnailBuilder({ media: { url: client.user.avatarURL({ dynamic: true }) ?? 'https://i.imgur.com/Xo1BHdr.png' } });
+  const headerSection = new SectionBuilder()
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'history.title')))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(interaction.guild.name))
+    .setThumbnailAccessory(thumbnail);
+
+  const historyLines = rows.length
+    ? rows.map(r => {
+      const participants = JSON.parse(r.participants);
+      return `\`#${r.sessionId}\` **${r.game}** · ${getPlatformEmoji(r.platform)} ${r.platform} · ${getActivityEmoji(r.activity)} ${activityLabel(locale, r.activity)}\n` +
+        `> 👑 ${r.user} · 👥 ${participants.length}/${r.players} · ⏱️ ${formatDuration(r.durationSeconds)} · ${END_REASONS.includes(r.endReason) ? t(locale, `endReason.${r.endReason}`) : r.endReason} · <t:${toUnix(r.endedAt)}:R>`;
+    }).join('\n')
+    : t(locale, 'history.empty');
+
+  const prevBtn = new ButtonBuilder().setCustomId(`history_prev_${interaction.user.id}`).setLabel(t(locale, 'nav.previous')).setStyle(ButtonStyle.Secondary).setDisabled(safePage <= 1);
+  const pageBtn = new ButtonBuilder().setCustomId('history_page_noop').setLabel(t(locale, 'common.page', { page: safePage, total: totalPages })).setStyle(ButtonStyle.Secondary).setDisabled(true);
+  const nextBtn = new ButtonBuilder().setCustomId(`history_next_${interaction.user.id}`).setLabel(t(locale, 'nav.next')).setStyle(ButtonStyle.Secondary).setDisabled(safePage >= totalPages);
+
+  const container = new ContainerBuilder().addSectionComponents(headerSection);
+
+  const filterLine = describeHistoryFilters(filters, locale);
+  if (filterLine) {
+    container
+      .addSeparatorComponents(new SeparatorBuilder())
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'history.filters', { filters: filterLine })));
+  }
+
+  container
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(historyLines))
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addActionRowComponents(new ActionRowBuilder().addComponents(prevBtn, pageBtn, nextBtn))
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# ${t(locale, 'history.total', { count: total })}  ·  ${interaction.guild.name}  ·  /lfg  /stats  /history`))
+    .setAccentColor(0x1E90FF);
+
+  const payload = { components: [container], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] };
+  if (isUpdate) await interaction.update(payload);
+  else await interaction.followUp(payload);
+}
+
+async function handleHistoryCommand(interaction) {
+  const { options, user, guild } = interaction;
+  const locale    = getInteractionLocale(interaction);
+  const gameInput = options.getString('jeu');
+  const fromInput = options.getString('depuis');
+  const toInput   = options.getString('jusqu_au');
+  const from      = fromInput ? parseDay(fromInput) : null;
+  const to        = toInput ? parseDay(toInput, { endOfDay: true }) : null; // inclusive end date
+
+  if ((fromInput && !from) || (toInput && !to))
+    return interaction.reply({ content: t(locale, 'history.invalidDate'), flags: [MessageFlags.Ephemeral] });
+  if (from && to && from >= to)
+    return interaction.reply({ content: t(locale, 'history.invalidRange'), flags: [MessageFlags.Ephemeral] });
+
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+  try {
+    const filters = { game: gameInput ? resolveGame(guild.id, gameInput) ?? gameInput : null, userId: options.getUser('membre')?.id ?? null, from, to };
+    historyPages.set(user.id, { page: 1, filters });
+    await sendHistoryEmbed(interaction, 1, false);
+  } catch (err) {
+    console.error('⚠️ Erreur historique:', err);
+    await interaction.followUp({ content: t(locale, 'history.error'), flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+async function handleSetLFGChannelCommand(interaction) {
+  const { options, guild } = interaction;
+  const locale = getInteractionLocale(interaction);
+  if (!await requireCapability(interaction, 'config', { defaultPermission: PermissionFlagsBits.ManageChannels })) return;
+
+  const channel   = options.getChannel('channel');
+  const gameInput = options.getString('jeu');
+  const game      = gameInput ? resolveGame(guild.id, gameInput) : '*';
+  if (!game) return interaction.reply({ content: t(locale, 'error.unknownGame', { game: gameInput }), flags: [MessageFlags.Ephemeral] });
+
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+  try {
+    repo.setWebhookChannel(guild.id, game, channel.id);
+    setWithTTL(webhookChannels, `${guild.id}:${game}`, channel.id, WEBHOOK_TTL);
+    logAudit(guild, 'config', { actorId: interaction.user.id, details: { setting: 'lfg_channel', game, channel: `#${channel.name}` } });
+    const label = game === '*' ? t(locale, 'channels.allGames') : `**${game}**`;
+    await interaction.followUp({ content: t(locale, 'channels.set', { channel: `${channel}`, target: label }), flags: [MessageFlags.Ephemeral] });
+  } catch (err) {
+    console.error('⚠️ Erreur set_lfg_channel:', err);
+    await interaction.followUp({ content: t(locale, 'channels.setError'), flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+async function handleRemoveLFGChannelCommand(interaction) {
+  const { options, guild } = interaction;
+  const locale = getInteractionLocale(interaction);
+  if (!await requireCapability(interaction, 'config', { defaultPermission: PermissionFlagsBits.ManageChannels })) return;
+
+  const game = options.getString('cible');
+  const key  = `${guild.id}:${game}`;
+
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+  try {
+    if (!repo.deleteWebhookChannel(guild.id, game)) {
+      return interaction.followUp({
+        content: game === '*' ? t(locale, 'channels.noDefault') : t(locale, 'channels.noneForGame', { game }),
+        flags: [MessageFlags.Ephemeral],
+      });
+    }
+    webhookChannels.delete(key);
+    logAudit(guild, 'config', { actorId: interaction.user.id, details: { setting: 'lfg_channel', game, channel: null, removed: true } });
+    const label = game === '*' ? t(locale, 'channels.theDefault') : `**${game}**`;
+    await interaction.followUp({ content: t(locale, 'channels.removed', { target: label }), flags: [MessageFlags.Ephemeral] });
+  } catch (err) {
+    console.error('⚠️ Erreur remove_lfg_channel:', err);
+    await interaction.followUp({ content: t(locale, 'channels.removeError'), flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+async function handleListLFGChannelsCommand(interaction) {
+  const { guild } = interaction;
+  const locale = getInteractionLocale(interaction);
+  if (!await requireCapability(interaction, 'config', { defaultPermission: PermissionFlagsBits.ManageChannels })) return;
+
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+  try {
+    const entries = getWebhookEntriesForGuild(guild.id);
+    const thumbnail = new ThumbnailBuilder({ media: { url: guild.iconURL({ dynamic: true }) ?? 'https://i.imgur.com/Xo1BHdr.png' } });
+    const headerSection = new SectionBuilder()
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'channels.title')))
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(guild.name))
+      .setThumbnailAccessory(thumbnail);
+
+    const container = new ContainerBuilder().addSectionComponents(headerSection);
+
+    if (entries.length === 0) {
+      container
+        .addSeparatorComponents(new SeparatorBuilder())
+        .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'channels.empty')));
+    } else {
+      const defaultEntry = entries.find(e => e.game === '*');
+      const gameEntries  = entries.filter(e => e.game !== '*').sort((a, b) => a.game.localeCompare(b.game));
+
+      container.addSeparatorComponents(new SeparatorBuilder());
+
+      const defCh = defaultEntry ? guild.channels.cache.get(defaultEntry.channelId) : null;
+      if (defaultEntry) {
+        const target = defCh ? `<#${defaultEntry.channelId}>` : t(locale, 'channels.missing', { id: defaultEntry.channelId });
+        container.addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'channels.default', { channel: target })));
+      } else {
+        container.addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'channels.defaultUnset')));
+      }
+
+      container.addSeparatorComponents(new SeparatorBuilder());
+      if (gameEntries.length > 0) {
+        container.addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'channels.perGame', { count: gameEntries.length })));
+        for (let i = 0; i < gameEntries.length; i += 10) {
+          const lines = gameEntries.slice(i, i + 10).map(e => {
+            const ch = guild.channels.cache.get(e.channelId);
+            return `• **${e.game}** → ${ch ? `<#${e.channelId}>` : t(locale, 'channels.missing', { id: e.channelId })}`;
+          }).join('\n');
+          container.addTextDisplayComponents(new TextDisplayBuilder().setContent(lines));
+        }
+      } else {
+        container.addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'channels.perGameNone')));
+      }
+
+      container
+        .addSeparatorComponents(new SeparatorBuilder())
+        .addTextDisplayComponents(new TextDisplayBuilder().setContent(
+          t(locale, 'channels.summary', { count: entries.length, games: gameEntries.length, defaults: defaultEntry ? 1 : 0 })
+        ));
+    }
+
+    const partners = getFederationPartners(guild);
+    container
+      .addSeparatorComponents(new SeparatorBuilder())
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`${t(locale, 'federation.title')}\n${describeFederation(guild, locale)}`))
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(
+        partners.length
+          ? t(locale, 'federation.partners', { count: partners.length, guilds: partners.map(g => `**${g.name}**`).join(', ') })
+          : t(locale, 'federation.noPartners')
+      ));
+
+    container
+      .addSeparatorComponents(new SeparatorBuilder())
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(
+        `💡 \`/set_lfg_channel\` · \`/remove_lfg_channel\` · \`/federation\``
+      ))
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# ${guild.name}  ·  /set_lfg_channel  /remove_lfg_channel  /config`))
+      .setAccentColor(0x1E90FF);
+
+    await interaction.followUp({ components: [container], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
+  } catch (err) {
+    console.error('⚠️ Erreur list_lfg_channels:', err);
+    await interaction.followUp({ content: t(locale, 'channels.listError'), flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+async function handleSetCooldownCommand(interaction) {
+  const { options, guild } = interaction;
+  const locale = getInteractionLocale(interaction);
+  if (!await requireCapability(interaction, 'config')) return;
+
+  const maxSessions   = options.getInteger('max_sessions');
+  const fenetreMin    = options.getInteger('fenetre');
+  const windowSeconds = fenetreMin * 60;
+
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+  try {
+    repo.setCooldown(guild.id, { maxSessions, windowSeconds });
+    setWithTTL(guildCooldowns, guild.id, { maxSessions, windowSeconds }, COOLDOWN_TTL);
+    logAudit(guild, 'config', { actorId: interaction.user.id, details: { setting: 'cooldown', maxSessions, windowMinutes: fenetreMin } });
+
+    const thumbnail = new ThumbnailBuilder({ media: { url: guild.iconURL({ dynamic: true }) ?? 'https://i.imgur.com/Xo1BHdr.png' } });
+    const headerSection = new SectionBuilder()
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'cooldown.title')))
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(guild.name))
+      .setThumbnailAccessory(thumbnail);
+
+    const container = new ContainerBuilder()
+      .addSectionComponents(headerSection)
+      .addSeparatorComponents(new SeparatorBuilder())
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'cooldown.applied')))
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'cooldown.maxSessions', { count: maxSessions })))
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'cooldown.window', { count: fenetreMin })))
+      .addSeparatorComponents(new SeparatorBuilder())
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# ${guild.name}  ·  /set_cooldown  /stats`))
+      .setAccentColor(0x1E90FF);
+
+    await interaction.followUp({ components: [container], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
+  } catch (err) {
+    console.error('⚠️ Erreur set_cooldown:', err);
+    await interaction.followUp({ content: t(locale, 'cooldown.error'), flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+async function handleSetLogChannelCommand(interaction) {
+  const { options, guild } = interaction;
+  const locale = getInteractionLocale(interaction);
+  if (!await requireCapability(interaction, 'config')) return;
+
+  const channel = options.getChannel('salon');
+  try {
+    repo.setAuditChannel(guild.id, channel?.id ?? null);
+    setWithTTL(auditChannels, guild.id, channel?.id ?? null, AUDIT_TTL);
+    logAudit(guild, 'config', { actorId: interaction.user.id, details: { setting: 'log_channel', channel: channel ? `#${channel.name}` : null, removed: channel ? null : true } });
+    await interaction.reply({
+      content: channel ? t(locale, 'audit.channelSet', { channel: `${channel}` }) : t(locale, 'audit.channelRemoved'),
+      flags: [MessageFlags.Ephemeral],
+    });
+  } catch (err) {
+    console.error('⚠️ Erreur set_log_channel:', err);
+    if (!interaction.replied) await interaction.reply({ content: t(locale, 'audit.error'), flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+async function handleAuditCommand(interaction) {
+  const { options, guild } = interaction;
+  const locale = getInteractionLocale(interaction);
+  if (!await requireCapability(interaction, 'config')) return;
+
+  const action    = options.getString('action');
+  const user      = options.getUser('membre');
+  const sessionId = options.getString('session');
+
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+  try {
+    const rows = repo.getAuditEntries(guild.id, { action, userId: user?.id ?? null, sessionId }, AUDIT_PAGE_SIZE);
+    const thumbnail = new ThumbnailBuilder({ media: { url: guild.iconURL({ dynamic: true }) ?? 'https://i.imgur.com/Xo1BHdr.png' } });
+    const headerSection = new SectionBuilder()
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'audit.title')))
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(guild.name))
+      .setThumbnailAccessory(thumbnail);
+
+    const container = new ContainerBuilder().addSectionComponents(headerSection).addSeparatorComponents(new SeparatorBuilder());
+    if (!rows.length) {
+      container.addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'audit.empty')));
+    } else {
+      for (let i = 0; i < rows.length; i += 5) {
+        const lines = rows.slice(i, i + 5).map(r => formatAuditEntry({ ...r, details: JSON.parse(r.details) }, locale)).join('\n');
+        container.addTextDisplayComponents(new TextDisplayBuilder().setContent(lines));
+      }
+    }
+    const channelId = getAuditChannelId(guild.id);
+    container
+      .addSeparatorComponents(new SeparatorBuilder())
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(
+        channelId ? t(locale, 'audit.channel', { channel: `<#${channelId}>` }) : t(locale, 'audit.noChannel')
+      ))
+      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# ${guild.name}  ·  /audit  /set_log_channel`))
+      .setAccentColor(0x1E90FF);
+
+    await interaction.followUp({ components: [container], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
+  } catch (err) {
+    console.error('⚠️ Erreur audit:', err);
+    await interaction.followUp({ content: t(locale, 'audit.error'), flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+function buildPermissionsContainer(guild, statusMessage, locale = DEFAULT_LOCALE) {
+  const mapping   = getGuildPermissions(guild.id);
+  const thumbnail = new ThumbnailBuilder({ media: { url: guild.iconURL({ dynamic: true }) ?? 'https://i.imgur.com/Xo1BHdr.png' } });
+  const headerSection = new SectionBuilder()
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'permissions.title')))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(guild.name))
+    .setThumbnailAccessory(thumbnail);
+
+  const container = new ContainerBuilder().addSectionComponents(headerSection);
+  if (statusMessage) container.addSeparatorComponents(new SeparatorBuilder()).addTextDisplayComponents(new TextDisplayBuilder().setContent(statusMessage));
+
+  const lines = Object.keys(CAPABILITIES).map(capability => {
+    const roleIds = mapping[capability] ?? [];
+    return `**${t(locale, `capability.${capability}`)}**\n`
+      + (roleIds.length ? roleIds.map(id => `<@&${id}>`).join(' ') : t(locale, `permissions.default.${capability}`));
+  });
+  container
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(lines.join('\n\n')))
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'permissions.hint')))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# ${guild.name}  ·  /permissions  /audit`))
+    .setAccentColor(0x1E90FF);
+
+  return container;
+}
+
+async function handlePermissionsCommand(interaction) {
+  const { options, guild } = interaction;
+  const locale = getInteractionLocale(interaction);
+  const subcommand = options.getSubcommand();
+  // Reading the mapping is a configuration task; changing it is reserved to server managers (see canManagePermissions)
+  if (subcommand === 'view') {
+    if (!await requireCapability(interaction, 'config')) return;
+  } else if (!canManagePermissions(interaction.member)) {
+    return interaction.reply({ content: t(locale, 'permissions.manageGuild'), flags: [MessageFlags.Ephemeral] });
+  }
+
+  const capability = options.getString('capacite');
+  const role       = options.getRole('role');
+  const label      = capability ? t(locale, `capability.${capability}`) : null;
+  try {
+    switch (subcommand) {
+      case 'add': {
+        if ((getGuildPermissions(guild.id)[capability] ?? []).includes(role.id))
+          return interaction.reply({ content: t(locale, 'permissions.already', { role: `${role}`, capability: label }), flags: [MessageFlags.Ephemeral] });
+        repo.addPermission(guild.id, capability, role.id);
+        guildPermissions.delete(guild.id);
+        logAudit(guild, 'config', { actorId: interaction.user.id, details: { setting: 'permissions', capability, added: `@${role.name}` } });
+        return interaction.reply({
+          components: [buildPermissionsContainer(guild, t(locale, 'permissions.added', { role: `${role}`, capability: label }), locale)],
+          flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral],
+        });
+      }
+      case 'remove': {
+        if (!repo.removePermission(guild.id, capability, role.id))
+          return interaction.reply({ content: t(locale, 'permissions.notMapped', { role: `${role}`, capability: label }), flags: [MessageFlags.Ephemeral] });
+        guildPermissions.delete(guild.id);
+        logAudit(guild, 'config', { actorId: interaction.user.id, details: { setting: 'permissions', capability, removed: `@${role.name}` } });
+        return interaction.reply({
+          components: [buildPermissionsContainer(guild, t(locale, 'permissions.removed', { role: `${role}`, capability: label }), locale)],
+          flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral],
+        });
+      }
+      case 'reset': {
+        repo.clearPermissions(guild.id, capability);
+        guildPermissions.delete(guild.id);
+        logAudit(guild, 'config', { actorId: interaction.user.id, details: { setting: 'permissions', capability, reset: true } });
+        return interaction.reply({
+          components: [buildPermissionsContainer(guild, capability ? t(locale, 'permissions.resetOne', { capability: label }) : t(locale, 'permissions.reset'), locale)],
+          flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral],
+        });
+      }
+      default:
+        return interaction.reply({ components: [buildPermissionsContainer(guild, null, locale)], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
+    }
+  } catch (err) {
+    console.error('⚠️ Erreur permissions:', err);
+    if (!interaction.replied) await interaction.reply({ content: t(locale, 'permissions.error'), flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+async function handleConfigCommand(interaction) {
+  const { options, guild } = interaction;
+  const locale = getInteractionLocale(interaction);
+  if (!await requireCapability(interaction, 'config')) return;
+
+  const action    = options.getString('action');
+  const gameInput = options.getString('jeu');
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+  try {
+    let currentFilter = [...getGuildGameFilter(guild.id)];
+    // A game no longer in the catalog can still be removed from the filter under its stored name
+    const game = gameInput ? resolveGame(guild.id, gameInput) ?? (action === 'remove' ? gameInput : null) : null;
+    if (gameInput && !game) return interaction.followUp({ content: t(locale, 'error.unknownGame', { game: gameInput }), flags: [MessageFlags.Ephemeral] });
+
+    switch (action) {
+      case 'add': {
+        if (!game) return interaction.followUp({ content: t(locale, 'config.gameToAdd'), flags: [MessageFlags.Ephemeral] });
+        if (currentFilter.includes(game)) return interaction.followUp({ content: t(locale, 'config.alreadyFiltered', { game }), flags: [MessageFlags.Ephemeral] });
+        currentFilter.push(game);
+        repo.setGameFilter(guild.id, currentFilter);
+        setWithTTL(guildGameFilters, guild.id, currentFilter, FILTER_TTL);
+        logAudit(guild, 'config', { actorId: interaction.user.id, details: { setting: 'game_filter', added: game } });
+        return interaction.followUp({ components: [buildConfigContainer(guild, currentFilter, t(locale, 'config.added', { game }), locale)], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
+      }
+      case 'remove': {
+        if (!game) return interaction.followUp({ content: t(locale, 'config.gameToRemove'), flags: [MessageFlags.Ephemeral] });
+        if (!currentFilter.includes(game)) return interaction.followUp({ content: t(locale, 'config.notFiltered', { game }), flags: [MessageFlags.Ephemeral] });
+        currentFilter = currentFilter.filter(g => g !== game);
+        repo.setGameFilter(guild.id, currentFilter);
+        setWithTTL(guildGameFilters, guild.id, currentFilter, FILTER_TTL);
+        logAudit(guild, 'config', { actorId: interaction.user.id, details: { setting: 'game_filter', removed: game } });
+        return interaction.followUp({ components: [buildConfigContainer(guild, currentFilter, t(locale, 'config.removed', { game }), locale)], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
+      }
+      case 'reset': {
+        repo.setGameFilter(guild.id, []);
+        setWithTTL(guildGameFilters, guild.id, [], FILTER_TTL);
+        logAudit(guild, 'config', { actorId: interaction.user.id, details: { setting: 'game_filter', reset: true } });
+        return interaction.followUp({ components: [buildConfigContainer(guild, [], t(locale, 'config.reset'), locale)], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
+      }
+      default:
+        return interaction.followUp({ components: [buildConfigContainer(guild, currentFilter, null, locale)], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
+    }
+  } catch (err) {
+    console.error('⚠️ Erreur config:', err);
+    await interaction.followUp({ content: t(locale, 'config.error'), flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+function buildConfigContainer(guild, filter, statusMessage, locale = DEFAULT_LOCALE) {
+  const thumbnail = new ThumbnailBuilder({ media: { url: guild.iconURL({ dynamic: true }) ?? 'https://i.imgur.com/Xo1BHdr.png' } });
+  const headerSection = new SectionBuilder()
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'config.title')))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(guild.name))
+    .setThumbnailAccessory(thumbnail);
+
+  const container = new ContainerBuilder().addSectionComponents(headerSection);
+  if (statusMessage) container.addSeparatorComponents(new SeparatorBuilder()).addTextDisplayComponents(new TextDisplayBuilder().setContent(statusMessage));
+
+  container
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(
+      filter.length === 0 ? t(locale, 'config.modeAll') : t(locale, 'config.modeFilter', { count: filter.length })
+    ))
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(
+      `${t(locale, 'config.allowedGames')}\n${filter.length === 0 ? t(locale, 'config.noFilter') : filter.map(g => `• ${g}`).join('\n')}`
+    ))
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'config.hint')))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# ${guild.name}  ·  /config  /lfg  /stats`))
+    .setAccentColor(0x1E90FF);
+
+  return container;
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+function parseGameImageUrl(input) {
+  const url = input.trim();
+  return /^https:\/\/\S+$/.test(url) && url.length <= 500 ? url : null;
+}
+
+async function handleGamesCommand(interaction) {
+  const { options, guild } = interaction;
+  const subcommand = options.getSubcommand();
+  const locale     = getInteractionLocale(interaction);
+  if (subcommand === 'list')
+    return interaction.reply({ components: [buildGamesContainer(guild, null, locale)], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
+  if (!await requireCapability(interaction, 'config')) return;
+
+  const customGames = getGuildCustomGames(guild.id);
+  const reply = (key, vars) => interaction.reply({ content: t(locale, key, vars), flags: [MessageFlags.Ephemeral] });
+  const done  = (key, vars) => {
+    guildCustomGames.delete(guild.id);
+    return interaction.reply({ components: [buildGamesContainer(guild, t(locale, key, vars), locale)], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
+  };
+  const isNone = (input) => ['aucun', 'aucune', 'none'].includes(input.toLowerCase());
+
+  try {
+    if (subcommand === 'add') {
+      const name     = options.getString('nom').trim().replace(/\s+/g, ' ');
+      const imageUrl = options.getString('image') ? parseGameImageUrl(options.getString('image')) : null;
+      const aliases  = parseGameAliases(options.getString('alias'));
+      if (name.length < 2 || name === '*') return reply('games.invalidName');
+      if (options.getString('image') && !imageUrl) return reply('games.invalidImage');
+      if (!aliases) return reply('games.tooManyAliases', { max: MAX_GAME_ALIASES });
+      if (customGames.length >= MAX_CUSTOM_GAMES) return reply('games.limit', { max: MAX_CUSTOM_GAMES });
+      const conflict = findGameNameConflict(guild.id, [name, ...aliases]);
+      if (conflict) return reply('games.nameConflict', { game: conflict });
+
+      repo.addCustomGame(guild.id, { name, imageUrl, aliases });
+      return done('games.added', { game: name });
+    }
+
+    const game = customGames.find(g => g.name === resolveGame(guild.id, options.getString('jeu')));
+    if (!game) return reply('games.notCustom', { game: options.getString('jeu') });
+
+    if (subcommand === 'edit') {
+      const imageInput = options.getString('image')?.trim();
+      const aliasInput = options.getString('alias')?.trim();
+      if (!imageInput && !aliasInput) return reply('games.nothingToEdit');
+
+      let { imageUrl, aliases } = game;
+      if (imageInput) {
+        imageUrl = isNone(imageInput) ? null : parseGameImageUrl(imageInput);
+        if (imageUrl === null && !isNone(imageInput)) return reply('games.invalidImage');
+      }
+      if (aliasInput) {
+        aliases = isNone(aliasInput) ? [] : parseGameAliases(aliasInput);
+        if (!aliases) return reply('games.tooManyAliases', { max: MAX_GAME_ALIASES });
+        const conflict = findGameNameConflict(guild.id, aliases, game.name);
+        if (conflict) return reply('games.aliasConflict', { game: conflict });
+      }
+
+      repo.updateCustomGame(guild.id, game.name, { imageUrl, aliases });
+      return done('games.edited', { game: game.name });
+    }
+
+    if (subcommand === 'rename') {
+      const newName = options.getString('nouveau_nom').trim().replace(/\s+/g, ' ');
+      if (newName.length < 2 || newName === '*') return reply('games.invalidName');
+      if (newName === game.name) return reply('games.sameName');
+      const conflict = findGameNameConflict(guild.id, [newName], game.name);
+      if (conflict) return reply('games.renameConflict', { game: conflict });
+
+      // The filter, announcement channels, subscriptions, game roles, open sessions and queue follow the new name; history keeps the old one
+      const filter = getGuildGameFilter(guild.id).map(g => (g === game.name ? newName : g));
+      // Queue buckets are keyed by game: their players and live displays move to the renamed key
+      const buckets = new Map([...lfgQueue.keys(), ...lfgQueueMessages.keys()]
+        .filter(bucket => bucket.startsWith(`${guild.id}|${game.name}|`))
+        .map(bucket => [bucket, [guild.id, newName, ...bucket.split('|').slice(2)].join('|')]));
+      repo.transaction(() => {
+        repo.renameGame(guild.id, game.name, newName);
+        repo.setGameFilter(guild.id, filter);
+        for (const [bucket, renamed] of buckets) if (lfgQueueMessages.has(bucket)) repo.renameQueueMessage(bucket, renamed);
+      });
+      setWithTTL(guildGameFilters, guild.id, filter, FILTER_TTL);
+      guildGameRoles.delete(guild.id);
+      webhookChannels.delete(`${guild.id}:${game.name}`);
+      webhookChannels.delete(`${guild.id}:${newName}`);
+      for (const [, data] of lfgSessions) {
+        if (data.value.guildId === guild.id && data.value.game === game.name) data.value.game = newName;
+      }
+      for (const schedule of recurringSessions.values()) {
+        if (schedule.guildId === guild.id && schedule.game === game.name) schedule.game = newName;
+      }
+      for (const [bucket, renamed] of buckets) {
+        if (lfgQueue.has(bucket)) lfgQueue.set(renamed, lfgQueue.get(bucket).map(e => ({ ...e, game: newName })));
+        if (lfgQueueMessages.has(bucket)) lfgQueueMessages.set(renamed, lfgQueueMessages.get(bucket));
+        lfgQueue.delete(bucket);
+        lfgQueueMessages.delete(bucket);
+      }
+      await done('games.renamed', { game: game.name, name: newName });
+      for (const renamed of buckets.values()) await updateQueueDisplay(guild, renamed);
+      return;
+    }
+
+    // remove — open sessions keep running under the old name
+    const filter = getGuildGameFilter(guild.id).filter(g => g !== game.name);
+    repo.transaction(() => {
+      repo.deleteCustomGame(guild.id, game.name);
+      repo.setGameFilter(guild.id, filter);
+      repo.deleteWebhookChannel(guild.id, game.name);
+    });
+    setWithTTL(guildGameFilters, guild.id, filter, FILTER_TTL);
+    webhookChannels.delete(`${guild.id}:${game.name}`);
+    return done('games.removed', { game: game.name });
+  } catch (err) {
+    console.error('⚠️ Erreur catalogue jeux:', err);
+    if (!interaction.replied) await reply('games.error');
+  }
+}
+
+function buildGamesContainer(guild, statusMessage, locale = DEFAULT_LOCALE) {
+  const games     = getGuildCustomGames(guild.id);
+  const thumbnail = new ThumbnailBuilder({ media: { url: guild.iconURL({ dynamic: true }) ?? 'https://i.imgur.com/Xo1BHdr.png' } });
+  const headerSection = new SectionBuilder()
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'games.title')))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(guild.name))
+    .setThumbnailAccessory(thumbnail);
+
+  const container = new ContainerBuilder().addSectionComponents(headerSection);
+  if (statusMessage) container.addSeparatorComponents(new SeparatorBuilder()).addTextDisplayComponents(new TextDisplayBuilder().setContent(statusMessage));
+
+  const lines = games.map(g =>
+    `• **${g.name}**${g.imageUrl ? ' 🖼️' : ''}${g.aliases.length ? ` — ${t(locale, 'games.aliases', { aliases: g.aliases.map(a => `\`${a}\``).join(', ') })}` : ''}`
+  );
+  const shown = lines.slice(0, 40);
+  if (lines.length > shown.length) shown.push(t(locale, 'games.more', { count: lines.length - shown.length }));
+
+  container
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(
+      t(locale, 'games.catalog', { builtIn: gameChoices.length, count: games.length })
+    ))
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(shown.length ? shown.join('\n') : t(locale, 'games.empty')))
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'games.hint')))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# ${guild.name}  ·  /games  /config  /lfg`))
+    .setAccentColor(0x1E90FF);
+
+  return container;
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+async function handleProfileCommand(interaction) {
+  const { options, user } = interaction;
+  const subcommand = options.getSubcommand();
+  const locale     = getInteractionLocale(interaction);
+
+  if (subcommand === 'view') {
+    const target  = options.getUser('membre') ?? user;
+    const profile = getPlayerProfile(target.id);
+    if (!profile) {
+      const hint = target.id === user.id ? `\n${t(locale, 'profile.setHint')}` : '';
+      return interaction.reply({ content: t(locale, 'profile.none', { name: target.username }) + hint, flags: [MessageFlags.Ephemeral] });
+    }
+    return interaction.reply({ components: [buildProfileContainer(target, profile, null, locale)], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
+  }
+
+  if (subcommand === 'clear') {
+    const field   = options.getString('champ');
+    const current = getPlayerProfile(user.id);
+    if (!current) return interaction.reply({ content: t(locale, 'profile.nothingToClear'), flags: [MessageFlags.Ephemeral] });
+    if (!field) {
+      savePlayerProfile(user.id, emptyProfile());
+      return interaction.reply({ content: t(locale, 'profile.cleared'), flags: [MessageFlags.Ephemeral] });
+    }
+    const profile = { ...current, gametags: { ...current.gametags } };
+    if (field === 'jeux') profile.games = [];
+    else if (field === 'langues') profile.languages = [];
+    else if (field === 'fuseau') profile.timeZone = null;
+    else delete profile.gametags[field];
+    const saved = savePlayerProfile(user.id, profile);
+    if (!saved) return interaction.reply({ content: t(locale, 'profile.cleared'), flags: [MessageFlags.Ephemeral] });
+    return interaction.reply({ components: [buildProfileContainer(user, saved, t(locale, 'profile.fieldCleared'), locale)], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
+  }
+
+  // set — only the options provided are changed
+  const current = getPlayerProfile(user.id) ?? emptyProfile();
+  const profile = { ...current, gametags: { ...current.gametags } };
+  let changed = false;
+
+  for (const [key, launcher] of Object.entries(profileLaunchers)) {
+    const value = options.getString(key)?.trim();
+    if (!value) continue;
+    if (!launcher.pattern.test(value)) {
+      return interaction.reply({
+        content: t(locale, 'profile.invalidGametag', { launcher: t(locale, `launcher.${key}`), example: launcher.example }),
+        flags: [MessageFlags.Ephemeral],
+      });
+    }
+    profile.gametags[key] = value;
+    changed = true;
+  }
+
+  const gamesInput = options.getString('jeux');
+  if (gamesInput) {
+    const games = parseListOption(gamesInput, { max: 10, maxLength: 50 });
+    if (!games) return interaction.reply({ content: t(locale, 'profile.tooManyGames'), flags: [MessageFlags.Ephemeral] });
+    // Known games are stored under their canonical name so they match /lfg
+    profile.games = games.map(g => resolveGame(null, g) ?? g);
+    changed = true;
+  }
+
+  const languagesInput = options.getString('langues');
+  if (languagesInput) {
+    const languages = parseListOption(languagesInput, { max: 5, maxLength: 20 });
+    if (!languages) return interaction.reply({ content: t(locale, 'profile.tooManyLanguages'), flags: [MessageFlags.Ephemeral] });
+    profile.languages = languages;
+    changed = true;
+  }
+
+  const timeZoneInput = options.getString('fuseau')?.trim();
+  if (timeZoneInput) {
+    if (!isValidTimeZone(timeZoneInput)) {
+      return interaction.reply({
+        content: t(locale, 'profile.invalidTimeZone'),
+        flags: [MessageFlags.Ephemeral],
+      });
+    }
+    // Keep the zone as named by the user (Intl would canonicalise e.g. Montreal to Toronto), only fixing its case
+    profile.timeZone = Intl.supportedValuesOf('timeZone').find(tz => tz.toLowerCase() === timeZoneInput.toLowerCase()) ?? timeZoneInput;
+    changed = true;
+  }
+
+  if (!changed) {
+    return interaction.reply({ content: t(locale, 'profile.nothingToSet'), flags: [MessageFlags.Ephemeral] });
+  }
+
+  try {
+    savePlayerProfile(user.id, profile);
+    await interaction.reply({ components: [buildProfileContainer(user, profile, t(locale, 'profile.updated'), locale)], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
+  } catch (err) {
+    console.error('⚠️ Erreur profil:', err);
+    if (!interaction.replied) await interaction.reply({ content: t(locale, 'profile.error'), flags: [MessageFlags.Ephemeral] });
+  }
+}
+
+function buildProfileContainer(user, profile, statusMessage, locale = DEFAULT_LOCALE) {
+  const thumbnail = new ThumbnailBuilder({ media: { url: user.displayAvatarURL({ dynamic: true }) } });
+  const headerSection = new SectionBuilder()
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'profile.title', { name: user.username })))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`<@${user.id}>`))
+    .setThumbnailAccessory(thumbnail);
+
+  const container = new ContainerBuilder().addSectionComponents(headerSection);
+  if (statusMessage) container.addSeparatorComponents(new SeparatorBuilder()).addTextDisplayComponents(new TextDisplayBuilder().setContent(statusMessage));
+
+  const gametagLines = Object.entries(profileLaunchers)
+    .filter(([key]) => profile.gametags[key])
+    .map(([key, l]) => `${l.emoji} ${t(locale, 'profile.gametagLine', { launcher: t(locale, `launcher.${key}`), gametag: profile.gametags[key] })}`);
+
+  container
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(
+      `${t(locale, 'profile.gametags')}\n${gametagLines.length ? gametagLines.join('\n') : t(locale, 'profile.noGametags')}`
+    ))
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent([
+      t(locale, 'profile.games', { games: profile.games.length ? profile.games.join(', ') : '_—_' }),
+      t(locale, 'profile.languages', { languages: profile.languages.length ? profile.languages.join(', ') : '_—_' }),
+      t(locale, 'profile.timeZone', { timeZone: profile.timeZone ?? '_—_' }),
+    ].join('\n')))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# /profile set  /profile clear  ·  ${t(locale, 'profile.footer')}`))
+    .setAccentColor(0x1E90FF);
 
-  const category = await guild.channels.create({
-    name: `🎮-${sessionId}-LFG`, type: ChannelType.GuildCategory,
-    permissionOverwrites: [
-      { id: guild.id,       allow: [PermissionFlagsBits.ViewChannel] },
-      { id: client.user.id, allow: [PermissionFlagsBits.ManageChannels] },
-    ],
-  });
+  return container;
+}
 
-  const textChannel = await guild.channels.create({
-    name: `📝-${sessionId}-discussion`, type: ChannelType.GuildText, parent: category.id,
-    permissionOverwrites: [
-      { id: guild.id,       allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages] },
-      { id: client.user.id, allow: [PermissionFlagsBits.ManageChannels, PermissionFlagsBits.ManageMessages] },
-    ],
-  });
+// ──────────────────────────────────────────────────────────────────────────────
 
-  await textChannel.send({
-    content: `👋 Bienvenue dans le salon de discussion de la session **#${sessionId}** !\n> Organisateur : <@${user.id}>`,
-    allowedMentions: { parse: [] },
-  });
+async function handleSubscribeCommand(interaction) {
+  const { options, guild, user } = interaction;
+  const locale    = getInteractionLocale(interaction);
+  const gameInput = options.getString('jeu');
+  const game      = resolveGame(guild.id, gameInput);
+  const platform  = options.getString('plateforme') ?? '';
+  const activity  = options.getString('activite') ?? '';
+  if (!game) return interaction.reply({ content: t(locale, 'error.unknownGame', { game: gameInput }), flags: [MessageFlags.Ephemeral] });
 
-  const voiceChannel = await guild.channels.create({
-    name: `🔊-${sessionId}-LFG`, type: ChannelType.GuildVoice, parent: category.id, userLimit: players + 1,
-    permissionOverwrites: [
-      { id: guild.id,       allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.Connect] },
-      { id: client.user.id, allow: [PermissionFlagsBits.ManageChannels] },
-    ],
-  });
+  try {
+    if (repo.countSubscriptions(user.id, guild.id) >= MAX_SUBSCRIPTIONS) return interaction.reply({ content: t(locale, 'subscribe.limit', { max: MAX_SUBSCRIPTIONS }), flags: [MessageFlags.Ephemeral] });
 
-  const infoTextChannel = await guild.channels.create({
-    name: `📢-${sessionId}-info`, type: ChannelType.GuildText, parent: category.id,
-    permissionOverwrites: [
-      { id: guild.id,       allow: [PermissionFlagsBits.ViewChannel] },
-      { id: client.user.id, allow: [PermissionFlagsBits.ManageChannels, PermissionFlagsBits.ManageMessages] },
-    ],
-  });
+    const subscription = formatSubscription({ game, platform, activity }, locale);
+    if (!repo.addSubscription(user.id, guild.id, { game, platform, activity })) return interaction.reply({ content: t(locale, 'subscribe.already', { subscription }), flags: [MessageFlags.Ephemeral] });
+    await interaction.reply({ content: t(locale, 'subscribe.done', { subscription }), flags: [MessageFlags.Ephemeral] });
+  } catch (err) {
+    console.error('⚠️ Erreur abonnement:', err);
+    if (!interaction.replied) await interaction.reply({ content: t(locale, 'subscribe.error'), flags: [MessageFlags.Ephemeral] });
+  }
+}
 
-  const commonOpts = {
-    sessionId, guildName: guild.name, organizerMention: `<@${user.id}>`,
-    game, platform, activity, joinedCount: 1, maxPlayers: players, gametag, description, twitchUrl,
-  };
+async function handleUnsubscribeCommand(interaction) {
+  const { options, guild, user } = interaction;
+  const locale = getInteractionLocale(interaction);
+  const value  = options.getString('abonnement');
 
-  const infoMessage = await infoTextChannel.send({
-    flags: MessageFlags.IsComponentsV2,
-    components: [buildSessionContainer({
-      ...commonOpts, label: sessionLabel,
-      participantsMention: `<@${user.id}>`,
-      includeJoinLeaveButtons: true, includeNavButtons: true,
-    })],
-    allowedMentions: { parse: [] },
-  });
+  try {
+    if (value === 'all') {
+      const count = repo.clearSubscriptions(user.id, guild.id);
+      return interaction.reply({ content: t(locale, 'subscribe.removedAll', { count }), flags: [MessageFlags.Ephemeral] });
+    }
+    const sub = repo.getSubscription(Number(value), user.id, guild.id);
+    if (!sub) return interaction.reply({ content: t(locale, 'subscribe.notFound'), flags: [MessageFlags.Ephemeral] });
+    repo.deleteSubscription(sub.id);
+    await interaction.reply({ content: t(locale, 'subscribe.removed', { subscription: formatSubscription(sub, locale) }), flags: [MessageFlags.Ephemeral] });
+  } catch (err) {
+    console.error('⚠️ Erreur désabonnement:', err);
+    if (!interaction.replied) await interaction.reply({ content: t(locale, 'subscribe.error'), flags: [MessageFlags.Ephemeral] });
+  }
+}
 
-  try { await infoMessage.pin(); } catch {}
+async function handleNotificationsCommand(interaction) {
+  const { options, guild, user } = interaction;
+  const locale     = getInteractionLocale(interaction);
+  const subcommand = options.getSubcommand();
+  const settings   = getNotificationSettings(user.id);
+  const save       = () => repo.setNotificationSettings(user.id, settings);
 
-  await infoTextChannel.send({
-    content: `📢 Salon d'information pour la session **#${sessionId}** — utilisez les boutons ci-dessus.`,
-    allowedMentions: { parse: [] },
-  });
+  try {
+    let statusMessage = null;
+    if (subcommand === 'quiet') {
+      const startInput = options.getString('debut'), endInput = options.getString('fin');
+      if (!startInput !== !endInput) return interaction.reply({ content: t(locale, 'notifications.quietBoth'), flags: [MessageFlags.Ephemeral] });
+      const quietStart = startInput ? parseClockTime(startInput) : null;
+      const quietEnd   = endInput ? parseClockTime(endInput) : null;
+      if (startInput && (quietStart === null || quietEnd === null))
+        return interaction.reply({ content: t(locale, 'notifications.invalidTime'), flags: [MessageFlags.Ephemeral] });
+      Object.assign(settings, { quietStart, quietEnd });
+      save();
+      statusMessage = startInput
+        ? t(locale, 'notifications.quietSet', { start: formatClockTime(quietStart), end: formatClockTime(quietEnd) })
+        : t(locale, 'notifications.quietRemoved');
+    } else if (subcommand === 'limit') {
+      settings.dailyCap = options.getInteger('valeur');
+      save();
+      statusMessage = t(locale, 'notifications.limitSet', { count: settings.dailyCap });
+    }
+    await interaction.reply({
+      components: [buildNotificationsContainer(guild, user, settings, statusMessage, locale)],
+      flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral],
+    });
+  } catch (err) {
+    console.error('⚠️ Erreur notifications:', err);
+    if (!interaction.replied) await interaction.reply({ content: t(locale, 'subscribe.error'), flags: [MessageFlags.Ephemeral] });
+  }
+}
 
-  const commandChannelMessage = await channel.send({
-    flags: MessageFlags.IsComponentsV2,
-    components: [buildSessionContainer({
-      ...commonOpts, label: sessionLabel,
-      includeJoinLeaveButtons: false, includeNavButtons: true,
-    })],
-    allowedMentions: { parse: [] },
-  });
+function buildNotificationsContainer(guild, user, settings, statusMessage, locale = DEFAULT_LOCALE) {
+  const subs     = repo.getSubscriptions(user.id, guild.id);
+  const since    = new Date(Date.now() - NOTIFICATION_CAP_WINDOW).toISOString();
+  const sent     = repo.countNotificationsSince(user.id, since);
+  const timeZone = getPlayerProfile(user.id)?.timeZone ?? SCHEDULE_TIMEZONE;
 
-  // Cross-server announcements
-  const seenGuildIds = new Set([...webhookChannels.keys()].map(k => k.split(':')[0]));
-  for (const gId of seenGuildIds) {
-    if (gId === guild.id) continue;
-    if (!isGameAllowedForGuild(gId, game)) continue;
-    const chId = getWebhookChannelId(gId, game);
-    if (!chId) continue;
-    try {
-      const tg = client.guilds.cache.get(gId);
-      const tc = tg?.channels.cache.get(chId);
-      if (!tc?.isTextBased()) continue;
-      const cc = buildCrossServerContainer({
-        sessionId, sourceGuildName: guild.name, sourceGuildId: guild.id,
-        voiceChannelId: voiceChannel.id, textChannelId: textChannel.id, infoTextChannelId: infoTextChannel.id,
-        organizerMention: `<@${user.id}>`, game, platform, activity,
-        joinedCount: 1, maxPlayers: players, gametag, description, twitchUrl,
-      });
-      const wh = await tc.createWebhook({ name: 'LFG Annonce', avatar: client.user.avatarURL() ?? undefined });
-      await wh.send({ components: [cc], flags: MessageFlags.IsComponentsV2, username: client.user.username, avatarURL: client.user.avatarURL() ?? undefined, allowedMentions: { parse: ['users'] } });
-      await wh.delete();
-    } catch (err) { console.error(`⚠️ Erreur annonce vers ${gId}:`, err.message); }
-  }
+  const thumbnail = new ThumbnailBuilder({ media: { url: user.displayAvatarURL({ dynamic: true }) } });
+  const headerSection = new SectionBuilder()
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'notifications.title')))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(guild.name))
+    .setThumbnailAccessory(thumbnail);
 
-  const sessionData = {
-    userId: user.id, user: user.tag, game, platform, activity, gametag, description, twitchUrl,
-    date: new Date().toISOString(), players, categoryId: category.id,
-    voiceChannelId: voiceChannel.id, textChannelId: textChannel.id,
-    infoTextChannelId: infoTextChannel.id, infoMessageId: infoMessage.id,
-    commandChannelId: channel.id, commandChannelMessageId: commandChannelMessage.id,
-    timeoutId: null, guildId: guild.id,
-  };
+  const container = new ContainerBuilder().addSectionComponents(headerSection);
+  if (statusMessage) container.addSeparatorComponents(new SeparatorBuilder()).addTextDisplayComponents(new TextDisplayBuilder().setContent(statusMessage));
 
-  setWithTTL(lfgSessions, sessionId, sessionData, CACHE_TTL);
-  setWithTTL(lfgJoinedUsers, sessionId, [user.id], CACHE_TTL);
-  lfgStats.totalSessions++;
-  lfgStats.totalPlayers += players;
-  await saveData();
-  if (!voiceChannel.members.size) resetTimeout(sessionId, guild);
-  updateRichPresence();
+  container
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(
+      `${t(locale, 'notifications.subscriptions', { count: subs.length })}\n`
+      + (subs.length ? subs.map(sub => `• ${formatSubscription(sub, locale)}`).join('\n') : t(locale, 'notifications.none'))
+    ))
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent([
+      settings.quietStart !== null && settings.quietEnd !== null
+        ? t(locale, 'notifications.quiet', { start: formatClockTime(settings.quietStart), end: formatClockTime(settings.quietEnd), timeZone })
+        : t(locale, 'notifications.noQuiet'),
+      t(locale, 'notifications.limit', { sent, count: settings.dailyCap }),
+    ].join('\n')))
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# ${guild.name}  ·  /subscribe  /unsubscribe  /notifications`))
+    .setAccentColor(0x1E90FF);
 
-  return { sessionId, textChannel, infoTextChannel };
+  return container;
 }
 
-// ─────────────────────────────────────────────────────────────────────────────
-// Command handlers
-// ─────────────────────────────────────────────────────────────────────────────
-
-async function handleLFGCommand(interaction) {
-  const { options, guild, channel, user } = interaction;
+// ──────────────────────────────────────────────────────────────────────────────
 
-  const game        = options.getString('jeux');
-  const platform    = options.getString('plateforme');
-  const players     = options.getInteger('joueurs');
-  const gametag     = options.getString('gametag');
-  const activity    = options.getString('activite');
-  const description = options.getString('description') ?? 'Pas de description';
-  const twitchPseudo = options.getString('twitch');
+async function handleGameRoleCommand(interaction) {
+  const { options, guild } = interaction;
+  const locale = getInteractionLocale(interaction);
+  if (!await requireCapability(interaction, 'config')) return;
 
-  let twitchUrl = null;
-  if (twitchPseudo) {
-    const clean = twitchPseudo.trim().replace(/^@/, '');
-    if (!/^[a-zA-Z0-9_]{1,25}$/.test(clean)) {
+  const subcommand = options.getSubcommand();
+  try {
+    if (subcommand === 'list') {
+      const rows = repo.getGameRoles(guild.id);
       return interaction.reply({
-        content: '❌ Pseudo Twitch invalide.\n✅ Format attendu : `nuggan85` (lettres, chiffres, underscores, 1-25 caractères)',
-        flags: [MessageFlags.Ephemeral],
+        content: rows.length
+          ? `${t(locale, 'gameRole.listTitle')}\n${rows.map(r => `• **${r.game}** → <@&${r.roleId}>`).join('\n')}`
+          : t(locale, 'gameRole.empty'),
+        flags: [MessageFlags.Ephemeral], allowedMentions: { parse: [] },
       });
     }
-    twitchUrl = `https://twitch.tv/${clean}`;
-  }
 
-  if (!isGameAllowedForGuild(guild.id, game)) {
-    const filter = getGuildGameFilter(guild.id);
-    return interaction.reply({
-      content: `❌ Ce serveur n'accepte pas **${game}**.\n📋 Jeux autorisés : ${filter.map(g => `\`${g}\``).join(', ')}`,
-      flags: [MessageFlags.Ephemeral],
+    const gameInput = options.getString('jeu');
+    // A game dropped from the catalog can still lose its role under its stored name
+    const game = resolveGame(guild.id, gameInput) ?? (subcommand === 'remove' ? gameInput : null);
+    if (!game) return interaction.reply({ content: t(locale, 'error.unknownGame', { game: gameInput }), flags: [MessageFlags.Ephemeral] });
+
+    if (subcommand === 'remove') {
+      if (!repo.deleteGameRole(guild.id, game)) return interaction.reply({ content: t(locale, 'gameRole.notSet', { game }), flags: [MessageFlags.Ephemeral] });
+      guildGameRoles.delete(guild.id);
+      logAudit(guild, 'config', { actorId: interaction.user.id, details: { setting: 'game_role', game, removed: true } });
+      return interaction.reply({ content: t(locale, 'gameRole.removed', { game }), flags: [MessageFlags.Ephemeral] });
+    }
+
+    const role = options.getRole('role');
+    if (role.id === guild.id || role.managed) return interaction.reply({ content: t(locale, 'gameRole.invalidRole'), flags: [MessageFlags.Ephemeral] });
+    repo.setGameRole(guild.id, game, role.id);
+    guildGameRoles.delete(guild.id);
+    logAudit(guild, 'config', { actorId: interaction.user.id, details: { setting: 'game_role', game, role: `@${role.name}` } });
+    // Discord drops the ping silently when the role is not mentionable and the bot cannot mention everyone
+    const pingable = role.mentionable || guild.members.me?.permissions.has(PermissionFlagsBits.MentionEveryone);
+    await interaction.reply({
+      content: t(locale, 'gameRole.set', { game, role: `${role}` }) + (pingable ? '' : `\n${t(locale, 'gameRole.notMentionable')}`),
+      flags: [MessageFlags.Ephemeral], allowedMentions: { parse: [] },
     });
+  } catch (err) {
+    console.error('⚠️ Erreur rôle de jeu:', err);
+    if (!interaction.replied) await interaction.reply({ content: t(locale, 'gameRole.error'), flags: [MessageFlags.Ephemeral] });
   }
+}
 
-  if (!checkUserSessionCooldown(guild.id, user.id)) {
-    const { maxSessions, windowSeconds } = getGuildCooldownConfig(guild.id);
-    return interaction.reply({
-      content: `❌ Limite de **${maxSessions} session(s)** par ${Math.round(windowSeconds / 60)} minute(s) atteinte.`,
-      flags: [MessageFlags.Ephemeral],
-    });
+// ──────────────────────────────────────────────────────────────────────────────
+
+async function handleCalendarCommand(interaction) {
+  const { options, guild, user } = interaction;
+  const locale = getInteractionLocale(interaction);
+  const member = options.getUser('membre');
+  const scope  = member ? 'user' : options.getString('portee') ?? 'user';
+  const target = member ?? user;
+
+  // A member's calendar covers the sessions they joined on every server; the server's lists what its members can see
+  const sessions = [...lfgSessions]
+    .map(([sessionId, data]) => [sessionId, data.value])
+    .filter(([sessionId, session]) => {
+      const joined  = lfgJoinedUsers.get(sessionId)?.value ?? [];
+      const visible = session.guildId === guild.id && ((session.visibility ?? 'public') !== 'invite' || joined.includes(user.id));
+      if (scope === 'user') return joined.includes(target.id) && (target.id === user.id || visible);
+      return visible;
+    })
+    .sort(([, a], [, b]) => new Date(a.startTime ?? a.date) - new Date(b.startTime ?? b.date));
+
+  if (!sessions.length) {
+    return interaction.reply({ content: t(locale, scope === 'guild' ? 'calendar.emptyGuild' : 'calendar.emptyUser', { user: target.username }), flags: [MessageFlags.Ephemeral] });
   }
 
-  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
   try {
-    const { sessionId, textChannel, infoTextChannel } = await createLFGSession({
-      interaction, guild, channel, user,
-      game, platform, players, gametag, activity, description, twitchUrl,
-      sessionLabel: 'Nouvelle session LFG',
+    const name = scope === 'guild' ? t(locale, 'calendar.guildName', { guild: guild.name }) : t(locale, 'calendar.userName', { user: target.username });
+    const file = new AttachmentBuilder(Buffer.from(buildSessionCalendar(sessions, { name, locale }), 'utf8'), {
+      name: scope === 'guild' ? `lfg-${guild.id}.ics` : `lfg-${target.id}.ics`,
     });
-    await interaction.followUp({
-      content: `✅ Session **#${sessionId}** créée !\n> 💬 ${textChannel} · 📢 ${infoTextChannel}`,
+    await interaction.reply({
+      content: t(locale, 'calendar.done', { count: sessions.length, name }),
+      files: [file],
       flags: [MessageFlags.Ephemeral],
     });
   } catch (err) {
-    console.error('⚠️ Erreur création LFG:', err);
-    const msg = '❌ Erreur lors de la création de la session.';
-    if (interaction.deferred || interaction.replied) await interaction.followUp({ content: msg, flags: [MessageFlags.Ephemeral] });
-    else await interaction.reply({ content: msg, flags: [MessageFlags.Ephemeral] });
+    console.error('⚠️ Erreur export calendrier:', err);
+    if (!interaction.replied) await interaction.reply({ content: t(locale, 'calendar.error'), flags: [MessageFlags.Ephemeral] });
   }
 }
 
 // ──────────────────────────────────────────────────────────────────────────────
 
-async function handleDuplicateLFGCommand(interaction) {
-  const { options, guild, channel, user } = interaction;
-  const sourceId   = options.getString('session_id');
-  const sourceData = lfgSessions.get(sourceId);
-
-  if (!sourceData) return interaction.reply({ content: `❌ Session **#${sourceId}** introuvable.`, flags: [MessageFlags.Ephemeral] });
+async function handleGuildConfigCommand(interaction) {
+  const { options, guild, user } = interaction;
+  const locale = getInteractionLocale(interaction);
+  if (!await requireCapability(interaction, 'config')) return;
 
-  if (!checkUserSessionCooldown(guild.id, user.id)) {
-    const { maxSessions, windowSeconds } = getGuildCooldownConfig(guild.id);
-    return interaction.reply({
-      content: `❌ Limite de **${maxSessions} session(s)** par ${Math.round(windowSeconds / 60)} minute(s) atteinte.`,
-      flags: [MessageFlags.Ephemeral],
-    });
+  if (options.getSubcommand() === 'export') {
+    try {
+      const file = new AttachmentBuilder(Buffer.from(JSON.stringify(exportGuildConfig(guild), null, 2), 'utf8'), { name: `lfg-config-${guild.id}.json` });
+      await interaction.reply({ content: t(locale, 'guildConfig.exported', { guild: guild.name }), files: [file], flags: [MessageFlags.Ephemeral] });
+    } catch (err) {
+      console.error('⚠️ Erreur export configuration:', err);
+      if (!interaction.replied) await interaction.reply({ content: t(locale, 'guildConfig.exportError'), flags: [MessageFlags.Ephemeral] });
+    }
+    return;
   }
 
+  // import
+  const attachment = options.getAttachment('fichier');
+  if (attachment.size > GUILD_CONFIG_MAX_SIZE) {
+    return interaction.reply({ content: t(locale, 'guildConfig.tooLarge', { size: GUILD_CONFIG_MAX_SIZE / 1024 }), flags: [MessageFlags.Ephemeral] });
+  }
   await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+  let data;
   try {
-    const s = sourceData.value;
-    const { sessionId, textChannel, infoTextChannel } = await createLFGSession({
-      interaction, guild, channel, user,
-      game: s.game, platform: s.platform, players: s.players,
-      gametag: s.gametag, activity: s.activity, description: s.description,
-      twitchUrl: s.twitchUrl ?? null,
-      sessionLabel: '🔁 Session dupliquée',
-    });
-    await interaction.followUp({
-      content: `✅ Session **#${sessionId}** créée *(dupliquée depuis #${sourceId})* !\n> 💬 ${textChannel} · 📢 ${infoTextChannel}`,
-      flags: [MessageFlags.Ephemeral],
-    });
+    const response = await fetch(attachment.url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    data = JSON.parse(await response.text());
   } catch (err) {
-    console.error('⚠️ Erreur duplication LFG:', err);
-    const msg = '❌ Erreur lors de la duplication de la session.';
-    if (interaction.deferred || interaction.replied) await interaction.followUp({ content: msg, flags: [MessageFlags.Ephemeral] });
-    else await interaction.reply({ content: msg, flags: [MessageFlags.Ephemeral] });
+    console.error('⚠️ Erreur lecture configuration importée:', err);
+    return interaction.editReply({ content: t(locale, 'guildConfig.unreadable') });
   }
-}
-
-// ──────────────────────────────────────────────────────────────────────────────
-
-async function handleModifyLFGCommand(interaction) {
-  const { options, member, guild } = interaction;
-  const sessionId  = options.getString('session_id');
-  const newPlayers = options.getInteger('joueurs');
-  const newDesc    = options.getString('description');
 
-  if (!member.permissions.has(PermissionFlagsBits.ManageChannels))
-    return interaction.reply({ content: '❌ Permission insuffisante.', flags: [MessageFlags.Ephemeral] });
-  if (!newPlayers && !newDesc)
-    return interaction.reply({ content: '❌ Fournissez au moins un champ à modifier.', flags: [MessageFlags.Ephemeral] });
+  const { config, errors, missing: found } = parseGuildConfig(data, guild);
+  if (errors.length) return interaction.editReply({ content: t(locale, 'guildConfig.invalid', { fields: errors.map(f => `\`${f}\``).join(', ') }) });
+  // Same rule as /permissions: the role mapping is left out unless the importer may manage the server
+  const skipPermissions = 'permissions' in config && !canManagePermissions(interaction.member);
+  if (skipPermissions) delete config.permissions;
+  const missing = skipPermissions ? found.filter(m => m.section !== 'permissions') : found;
+
+  const changes = diffGuildConfig(guild, config, locale);
+  const missingLines = missing.map(m => t(locale, m.section === 'gameRoles' || m.section === 'permissions' ? 'guildConfig.missingRole' : 'guildConfig.missingChannel', {
+    section: t(locale, `guildConfig.section.${m.section}`), id: m.id,
+    key: m.section === 'permissions' ? t(locale, `capability.${m.key}`) : m.key === '*' ? t(locale, 'channels.defaultChoice') : m.key ?? '—',
+  }));
+  const report = (missingLines.length ? `\n\n${t(locale, 'guildConfig.missing')}\n${missingLines.join('\n')}` : '')
+    + (skipPermissions ? `\n\n${t(locale, 'guildConfig.permissionsSkipped')}` : '');
+  if (!changes.length) return interaction.editReply({ content: `${t(locale, 'guildConfig.unchanged')}${report}` });
+
+  const token = interaction.id;
+  setWithTTL(pendingConfigImports, token, { guildId: guild.id, userId: user.id, config }, CONFIG_IMPORT_TTL);
+  let content = `${t(locale, 'guildConfig.preview', { guild: guild.name, source: data.guild?.name ?? '?' })}\n${changes.join('\n')}${report}`;
+  if (content.length > 2000) content = `${content.slice(0, 1997)}…`;
+
+  return interaction.editReply({
+    content,
+    components: [new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`cfgimport_${token}`).setLabel(t(locale, 'button.confirm')).setStyle(ButtonStyle.Danger),
+      new ButtonBuilder().setCustomId(`cfgcancel_${token}`).setLabel(t(locale, 'button.cancel')).setStyle(ButtonStyle.Secondary),
+    )],
+  });
+}
 
-  const sessionData = lfgSessions.get(sessionId);
-  if (!sessionData) return interaction.reply({ content: `❌ Session **#${sessionId}** introuvable.`, flags: [MessageFlags.Ephemeral] });
+async function handleConfigImportButton(interaction, token, confirmed) {
+  const locale  = getInteractionLocale(interaction);
+  const pending = pendingConfigImports.get(token)?.value;
+  if (!pending || pending.guildId !== interaction.guildId) return interaction.update({ content: t(locale, 'guildConfig.expired'), components: [] });
+  if (pending.userId !== interaction.user.id) return interaction.reply({ content: t(locale, 'guildConfig.notOwner'), flags: [MessageFlags.Ephemeral] });
+  pendingConfigImports.delete(token);
+  if (!confirmed) return interaction.update({ content: t(locale, 'guildConfig.cancelled'), components: [] });
+  if (!hasCapability(interaction.member, 'config') || ('permissions' in pending.config && !canManagePermissions(interaction.member)))
+    return interaction.update({ content: t(locale, 'guildConfig.notAllowed'), components: [] });
 
-  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
   try {
-    const session = { ...sessionData.value };
-    if (newPlayers) {
-      const vc = guild.channels.cache.get(session.voiceChannelId);
-      if (vc) await vc.edit({ userLimit: newPlayers + 1 });
-      lfgStats.totalPlayers = lfgStats.totalPlayers - session.players + newPlayers;
-      session.players = newPlayers;
-    }
-    if (newDesc) session.description = newDesc;
-    setWithTTL(lfgSessions, sessionId, session, CACHE_TTL);
-    await refreshSessionMessages(sessionId, guild, 'Session LFG modifiée');
-    await saveData();
-    await interaction.followUp({ content: `✅ Session **#${sessionId}** modifiée.`, flags: [MessageFlags.Ephemeral] });
-    updateRichPresence();
+    applyGuildConfig(interaction.guildId, pending.config);
+    const sections = GUILD_CONFIG_SECTIONS.filter(section => section in pending.config);
+    logAudit(interaction.guild, 'config', { actorId: interaction.user.id, details: { setting: 'import', sections: sections.join(', ') } });
+    await interaction.update({ content: t(locale, 'guildConfig.applied', { count: sections.length }), components: [] });
   } catch (err) {
-    console.error('⚠️ Erreur modification LFG:', err);
-    const msg = '❌ Erreur modification session.';
-    if (interaction.deferred || interaction.replied) await interaction.followUp({ content: msg, flags: [MessageFlags.Ephemeral] });
-    else await interaction.reply({ content: msg, flags: [MessageFlags.Ephemeral] });
+    console.error('⚠️ Erreur import configuration:', err);
+    await interaction.update({ content: t(locale, 'guildConfig.importError'), components: [] }).catch(() => {});
   }
 }
 
 // ──────────────────────────────────────────────────────────────────────────────
 
-async function handleListMembersCommand(interaction) {
-  const sessionId = interaction.options.getString('session_id');
-  const page      = interaction.options.getInteger('page') ?? 1;
-  const sessionData = lfgSessions.get(sessionId);
-  if (!sessionData) return interaction.reply({ content: `❌ Session **#${sessionId}** introuvable.`, flags: [MessageFlags.Ephemeral] });
+// Organizers manage their own schedules; members who may moderate any session manage all of the guild's
+function getManageableSchedules(member) {
+  return [...recurringSessions.values()]
+    .filter(s => s.guildId === member.guild.id && hasCapability(member, 'moderate', { session: s }))
+    .sort((a, b) => a.id - b.id);
+}
 
-  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
-  try {
-    const session    = sessionData.value;
-    const vc         = interaction.guild.channels.cache.get(session.voiceChannelId);
-    const members    = vc?.members.map(m => m.user.tag) ?? [];
-    const start      = (page - 1) * ITEMS_PER_PAGE;
-    const pageItems  = members.slice(start, start + ITEMS_PER_PAGE);
-    const totalPages = Math.max(1, Math.ceil(members.length / ITEMS_PER_PAGE));
-    const joinedData = lfgJoinedUsers.get(sessionId)?.value ?? [];
+async function handleRecurringCommand(interaction) {
+  const { options, guild } = interaction;
+  const locale     = getInteractionLocale(interaction);
+  const subcommand = options.getSubcommand();
 
-    const thumbnail = new ThumbnailBuilder({ media: { url: interaction.guild.iconURL({ dynamic: true }) ?? 'https://i.imgur.com/Xo1BHdr.png' } });
-    const headerSection = new SectionBuilder()
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`👥 **Membres de la session**`))
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`\`🆔 Session #${sessionId}\``))
-      .setThumbnailAccessory(thumbnail);
+  if (subcommand === 'create') return createRecurringSchedule(interaction);
 
-    const memberList = pageItems.length ? pageItems.map((tag, i) => `\`${start + i + 1}.\` ${tag}`).join('\n') : '_Aucun membre dans le salon vocal_';
+  if (subcommand === 'list') {
+    return interaction.reply({
+      components: [buildRecurringContainer(guild, getManageableSchedules(interaction.member), locale)],
+      flags: [MessageFlags.Ephemeral, MessageFlags.IsComponentsV2],
+      allowedMentions: { parse: [] },
+    });
+  }
 
-    const container = new ContainerBuilder()
-      .addSectionComponents(headerSection)
-      .addSeparatorComponents(new SeparatorBuilder())
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`🔊 **Dans le vocal :**\n${memberList}`))
-      .addSeparatorComponents(new SeparatorBuilder())
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`📋 **Inscrits :** ${joinedData.length}/${session.players}  ·  🔊 **En vocal :** ${members.length}`))
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# Page ${page}/${totalPages}  ·  ${interaction.guild.name}  ·  /lfg  /stats  /history`))
-      .setAccentColor(0x1E90FF);
+  const id       = options.getString('planning');
+  const schedule = recurringSessions.get(Number(id));
+  if (!schedule || schedule.guildId !== guild.id) return interaction.reply({ content: t(locale, 'recurring.notFound', { id }), flags: [MessageFlags.Ephemeral] });
+  if (!await requireCapability(interaction, 'moderate', { session: schedule })) return;
 
-    await interaction.followUp({ components: [container], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
+  try {
+    switch (subcommand) {
+      case 'pause': {
+        if (schedule.paused) return interaction.reply({ content: t(locale, 'recurring.alreadyPaused', { id }), flags: [MessageFlags.Ephemeral] });
+        saveRecurringSession({ ...schedule, paused: 1 });
+        return interaction.reply({ content: t(locale, 'recurring.paused', { id }), flags: [MessageFlags.Ephemeral] });
+      }
+      case 'resume': {
+        if (!schedule.paused) return interaction.reply({ content: t(locale, 'recurring.notPaused', { id }), flags: [MessageFlags.Ephemeral] });
+        // Occurrences that went by during the pause are not caught up
+        const nextRunAt = schedule.nextRunAt > Date.now() ? schedule.nextRunAt : getNextOccurrence(schedule);
+        saveRecurringSession({ ...schedule, paused: 0, nextRunAt });
+        return interaction.reply({ content: t(locale, 'recurring.resumed', { id, ts: toUnix(nextRunAt) }), flags: [MessageFlags.Ephemeral] });
+      }
+      case 'skip': {
+        const skipped   = schedule.nextRunAt;
+        const nextRunAt = getNextOccurrence(schedule, skipped);
+        saveRecurringSession({ ...schedule, nextRunAt });
+        return interaction.reply({ content: t(locale, 'recurring.skipped', { id, skipped: toUnix(skipped), ts: toUnix(nextRunAt) }), flags: [MessageFlags.Ephemeral] });
+      }
+      case 'delete': {
+        recurringSessions.delete(schedule.id);
+        repo.deleteRecurringSession(schedule.id);
+        return interaction.reply({ content: t(locale, 'recurring.deleted', { id }), flags: [MessageFlags.Ephemeral] });
+      }
+    }
   } catch (err) {
-    console.error('⚠️ Erreur liste membres:', err);
-    await interaction.followUp({ content: '❌ Erreur affichage membres.', flags: [MessageFlags.Ephemeral] });
+    console.error('⚠️ Erreur session récurrente:', err);
+    if (!interaction.replied) await interaction.reply({ content: t(locale, 'recurring.error'), flags: [MessageFlags.Ephemeral] });
   }
 }
 
-// ──────────────────────────────────────────────────────────────────────────────
+async function createRecurringSchedule(interaction) {
+  const { options, guild, channel, user } = interaction;
+  const locale    = getInteractionLocale(interaction);
+  const gameInput = options.getString('jeu');
+  const game      = resolveGame(guild.id, gameInput);
+  const platform  = options.getString('plateforme');
+  const frequency = options.getString('frequence');
+  const profile   = getPlayerProfile(user.id);
+
+  if (!await requireCapability(interaction, 'create')) return;
+  if (!game) return interaction.reply({ content: t(locale, 'lfg.unknownGame', { game: gameInput }), flags: [MessageFlags.Ephemeral] });
+  if (!isGameAllowedForGuild(guild.id, game)) {
+    const filter = getGuildGameFilter(guild.id);
+    return interaction.reply({ content: t(locale, 'lfg.gameNotAllowed', { game, games: filter.map(g => `\`${g}\``).join(', ') }), flags: [MessageFlags.Ephemeral] });
+  }
 
-async function handleKickMemberCommand(interaction) {
-  const { options, guild, user } = interaction;
-  const sessionId    = options.getString('session_id');
-  const targetMember = options.getMember('member');
-  const sessionData  = lfgSessions.get(sessionId);
-  if (!sessionData) return interaction.reply({ content: `❌ Session **#${sessionId}** introuvable.`, flags: [MessageFlags.Ephemeral] });
-  if (!targetMember) return interaction.reply({ content: '❌ Membre introuvable sur ce serveur.', flags: [MessageFlags.Ephemeral] });
-  const session = sessionData.value;
-  if (user.id !== session.userId) return interaction.reply({ content: '❌ Seuls les organisateurs peuvent retirer des membres.', flags: [MessageFlags.Ephemeral] });
+  const gametag = options.getString('gametag') ?? resolveProfileGametag(profile, game, platform)?.gametag;
+  if (!gametag) return interaction.reply({ content: t(locale, 'lfg.missingGametag', { game, platform }), flags: [MessageFlags.Ephemeral] });
+
+  const twitchPseudo = options.getString('twitch');
+  const twitchUrl    = twitchPseudo ? parseTwitchUrl(twitchPseudo) : null;
+  if (twitchPseudo && !twitchUrl) return interaction.reply({ content: t(locale, 'lfg.invalidTwitch'), flags: [MessageFlags.Ephemeral] });
+
+  const timeOfDay = parseClockTime(options.getString('heure'));
+  if (timeOfDay === null) return interaction.reply({ content: t(locale, 'recurring.invalidTime'), flags: [MessageFlags.Ephemeral] });
+
+  const timeZoneInput = options.getString('fuseau')?.trim();
+  if (timeZoneInput && !isValidTimeZone(timeZoneInput)) return interaction.reply({ content: t(locale, 'profile.invalidTimeZone'), flags: [MessageFlags.Ephemeral] });
+  const timeZone = timeZoneInput
+    ? Intl.supportedValuesOf('timeZone').find(tz => tz.toLowerCase() === timeZoneInput.toLowerCase()) ?? timeZoneInput
+    : profile?.timeZone ?? SCHEDULE_TIMEZONE;
+
+  let weekdays = null, intervalDays = null;
+  if (frequency === 'weekly') {
+    weekdays = parseWeekdays(options.getString('jours') ?? '');
+    if (!weekdays) return interaction.reply({ content: t(locale, 'recurring.invalidWeekdays'), flags: [MessageFlags.Ephemeral] });
+  }
+  if (frequency === 'interval') {
+    intervalDays = options.getInteger('intervalle');
+    if (!intervalDays) return interaction.reply({ content: t(locale, 'recurring.missingInterval'), flags: [MessageFlags.Ephemeral] });
+  }
+
+  const owned = [...recurringSessions.values()].filter(s => s.guildId === guild.id && s.userId === user.id).length;
+  if (owned >= MAX_RECURRING) return interaction.reply({ content: t(locale, 'recurring.limit', { max: MAX_RECURRING }), flags: [MessageFlags.Ephemeral] });
 
   try {
-    const vc = guild.channels.cache.get(session.voiceChannelId);
-    if (!vc || targetMember.voice.channelId !== vc.id) return interaction.reply({ content: `❌ ${targetMember.user.tag} n'est pas dans le salon vocal.`, flags: [MessageFlags.Ephemeral] });
-    await targetMember.voice.disconnect();
-    db.prepare('DELETE FROM lfgJoinedUsers WHERE sessionId = ? AND userId = ?').run(sessionId, targetMember.id);
-    const jud = lfgJoinedUsers.get(sessionId);
-    if (jud) setWithTTL(lfgJoinedUsers, sessionId, jud.value.filter(id => id !== targetMember.id), CACHE_TTL);
-    await saveData();
-    await interaction.reply({ content: `✅ **${targetMember.user.tag}** retiré de la session **#${sessionId}**.`, flags: [MessageFlags.Ephemeral] });
-    updateRichPresence();
+    const rule = { frequency, weekdays: weekdays?.join(',') ?? null, intervalDays, timeOfDay, timeZone };
+    // Every-N-days schedules count their days from the first occurrence
+    const nextRunAt  = getNextOccurrence({ ...rule, anchorDate: null });
+    const first      = getZonedParts(nextRunAt, timeZone);
+    const anchorDate = `${first.year}-${String(first.month).padStart(2, '0')}-${String(first.day).padStart(2, '0')}`;
+    const schedule   = {
+      guildId: guild.id, channelId: channel.id, userId: user.id, game, platform, players: options.getInteger('joueurs'),
+      activity: options.getString('activite'), gametag, description: options.getString('description'), twitchUrl,
+      visibility: options.getString('visibilite') ?? 'public', ...rule, anchorDate, paused: 0, createdAt: new Date().toISOString(),
+    };
+    const id = repo.addRecurringSession({ ...schedule, nextRunAt });
+    recurringSessions.set(id, { ...schedule, id, nextRunAt });
+
+    await interaction.reply({
+      content: t(locale, 'recurring.created', { id, game, recurrence: formatRecurrence(schedule, locale), timeZone, ts: toUnix(nextRunAt), hours: RECURRING_LEAD / 3_600_000 }),
+      flags: [MessageFlags.Ephemeral],
+    });
   } catch (err) {
-    console.error('⚠️ Erreur kick membre:', err);
-    const msg = '❌ Erreur retrait membre.';
-    if (interaction.replied || interaction.deferred) await interaction.followUp({ content: msg, flags: [MessageFlags.Ephemeral] });
-    else await interaction.reply({ content: msg, flags: [MessageFlags.Ephemeral] });
+    console.error('⚠️ Erreur création session récurrente:', err);
+    if (!interaction.replied) await interaction.reply({ content: t(locale, 'recurring.error'), flags: [MessageFlags.Ephemeral] });
   }
 }
 
-// ──────────────────────────────────────────────────────────────────────────────
+function buildRecurringContainer(guild, schedules, locale = DEFAULT_LOCALE) {
+  const thumbnail = new ThumbnailBuilder({ media: { url: guild.iconURL({ dynamic: true }) ?? 'https://i.imgur.com/Xo1BHdr.png' } });
+  const headerSection = new SectionBuilder()
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'recurring.title')))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(guild.name))
+    .setThumbnailAccessory(thumbnail);
 
-async function handleBanMemberCommand(interaction) {
-  const { options, guild, user } = interaction;
-  const sessionId    = options.getString('session_id');
-  const targetMember = options.getMember('member');
-  const sessionData  = lfgSessions.get(sessionId);
-  if (!sessionData) return interaction.reply({ content: `❌ Session **#${sessionId}** introuvable.`, flags: [MessageFlags.Ephemeral] });
-  if (!targetMember) return interaction.reply({ content: '❌ Membre introuvable sur ce serveur.', flags: [MessageFlags.Ephemeral] });
-  const session = sessionData.value;
-  if (user.id !== session.userId) return interaction.reply({ content: '❌ Seuls les organisateurs peuvent bannir des membres.', flags: [MessageFlags.Ephemeral] });
+  const lines = schedules.map(s => [
+    `**#${s.id}** — **${s.game}**  ·  ${getPlatformEmoji(s.platform)} ${s.platform}  ·  ${getActivityEmoji(s.activity)} ${activityLabel(locale, s.activity)}  ·  <@${s.userId}>`,
+    `-# ${formatRecurrence(s, locale)} (${s.timeZone})  ·  `
+      + (s.paused ? t(locale, 'recurring.pausedTag') : t(locale, 'recurring.next', { ts: toUnix(s.nextRunAt) })),
+  ].join('\n'));
 
-  try {
-    const vc = guild.channels.cache.get(session.voiceChannelId);
-    if (!vc || targetMember.voice.channelId !== vc.id) return interaction.reply({ content: `❌ ${targetMember.user.tag} n'est pas dans le salon vocal.`, flags: [MessageFlags.Ephemeral] });
-    await targetMember.voice.disconnect();
-    await guild.members.ban(targetMember, { reason: `Banni de la session LFG ${sessionId}` });
-    db.prepare('DELETE FROM lfgJoinedUsers WHERE sessionId = ? AND userId = ?').run(sessionId, targetMember.id);
-    const jud = lfgJoinedUsers.get(sessionId);
-    if (jud) setWithTTL(lfgJoinedUsers, sessionId, jud.value.filter(id => id !== targetMember.id), CACHE_TTL);
-    await saveData();
-    await interaction.reply({ content: `✅ **${targetMember.user.tag}** banni de la session **#${sessionId}**.`, flags: [MessageFlags.Ephemeral] });
-    updateRichPresence();
-  } catch (err) {
-    console.error('⚠️ Erreur ban membre:', err);
-    const msg = '❌ Erreur bannissement membre.';
-    if (interaction.replied || interaction.deferred) await interaction.followUp({ content: msg, flags: [MessageFlags.Ephemeral] });
-    else await interaction.reply({ content: msg, flags: [MessageFlags.Ephemeral] });
-  }
+  return new ContainerBuilder()
+    .addSectionComponents(headerSection)
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(lines.length ? lines.join('\n\n') : t(locale, 'recurring.empty')))
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# ${guild.name}  ·  /recurring create  /recurring pause  /recurring skip  /recurring delete`))
+    .setAccentColor(0x1E90FF);
 }
 
 // ──────────────────────────────────────────────────────────────────────────────
 
-async function handleStatsCommand(interaction) {
-  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+async function handleTemplateCommand(interaction) {
+  const { options, guild, user } = interaction;
+  const locale     = getInteractionLocale(interaction);
+  const subcommand = options.getSubcommand();
+
   try {
-    const activePlayers = Array.from(lfgJoinedUsers.values()).reduce((acc, d) => acc + (d.value?.length ?? 0), 0);
-    const { maxSessions, windowSeconds } = getGuildCooldownConfig(interaction.guild.id);
+    if (subcommand === 'list') {
+      const templates = getTemplates(guild.id, user.id);
+      return interaction.reply({
+        components: [buildTemplatesContainer(guild, templates, locale)],
+        flags: [MessageFlags.Ephemeral, MessageFlags.IsComponentsV2],
+      });
+    }
 
-    const thumbnail = new ThumbnailBuilder({ media: { url: interaction.guild.iconURL({ dynamic: true }) ?? 'https://i.imgur.com/Xo1BHdr.png' } });
-    const headerSection = new SectionBuilder()
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`📊 **Statistiques LFG**`))
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(interaction.guild.name))
-      .setThumbnailAccessory(thumbnail);
+    if (subcommand === 'launch') {
+      const tpl = findTemplate(guild.id, user.id, options.getString('nom'));
+      if (!tpl) return interaction.reply({ content: t(locale, 'template.notFound', { name: options.getString('nom') }), flags: [MessageFlags.Ephemeral] });
+      return launchLFGSession(interaction, {
+        gameInput: tpl.game, platform: tpl.platform, players: tpl.players, activity: tpl.activity,
+        gametag: options.getString('gametag'), description: tpl.description, twitchPseudo: tpl.twitch, startInput: options.getString('debut'),
+        labelKey: 'label.template', auditDetails: { template: tpl.name },
+      });
+    }
 
-    const container = new ContainerBuilder()
-      .addSectionComponents(headerSection)
-      .addSeparatorComponents(new SeparatorBuilder())
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`🗂️ **Sessions créées :** ${lfgStats.totalSessions}`))
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`👥 **Joueurs totaux :** ${lfgStats.totalPlayers}`))
-      .addSeparatorComponents(new SeparatorBuilder())
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`🟢 **Sessions actives :** ${lfgSessions.size}`))
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`🎮 **Joueurs en session :** ${activePlayers}`))
-      .addSeparatorComponents(new SeparatorBuilder())
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`⏱️ **Cooldown :** ${maxSessions} session(s) par ${Math.round(windowSeconds / 60)} min`))
-      .addSeparatorComponents(new SeparatorBuilder())
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# ${interaction.guild.name}  ·  /lfg  /stats  /history`))
-      .setAccentColor(0x1E90FF);
+    if (subcommand === 'delete') {
+      const tpl = findTemplate(guild.id, user.id, options.getString('nom'));
+      if (!tpl) return interaction.reply({ content: t(locale, 'template.notFound', { name: options.getString('nom') }), flags: [MessageFlags.Ephemeral] });
+      if (!tpl.userId && !await requireCapability(interaction, 'config')) return;
+      repo.deleteTemplate(tpl.id);
+      if (!tpl.userId) logAudit(guild, 'config', { actorId: user.id, details: { setting: 'template', template: tpl.name, removed: true } });
+      return interaction.reply({ content: t(locale, 'template.deleted', { name: tpl.name }), flags: [MessageFlags.Ephemeral] });
+    }
 
-    await interaction.followUp({ components: [container], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
+    // save / save_session
+    const name   = options.getString('nom').trim();
+    const shared = options.getBoolean('partage') ?? false;
+    if (shared && !await requireCapability(interaction, 'config')) return;
+
+    let values;
+    if (subcommand === 'save_session') {
+      const sessionId = options.getString('session_id');
+      const session   = getGuildSession(sessionId, guild.id)?.value;
+      if (!session) return interaction.reply({ content: t(locale, 'error.sessionNotFound', { id: sessionId }), flags: [MessageFlags.Ephemeral] });
+      // The placeholder shown for sessions without description is not worth saving
+      const description = session.description === t(getGuildLocale(guild.id), 'lfg.noDescription') ? null : session.description;
+      values = {
+        game: session.game, platform: session.platform, players: session.players, activity: session.activity,
+        description, twitch: session.twitchUrl?.replace('https://twitch.tv/', '') ?? null,
+      };
+    } else {
+      const gameInput = options.getString('jeu');
+      const game      = resolveGame(guild.id, gameInput);
+      if (!game) return interaction.reply({ content: t(locale, 'error.unknownGame', { game: gameInput }), flags: [MessageFlags.Ephemeral] });
+      const twitch = options.getString('twitch');
+      if (twitch && !parseTwitchUrl(twitch)) return interaction.reply({ content: t(locale, 'lfg.invalidTwitch'), flags: [MessageFlags.Ephemeral] });
+      values = {
+        game, platform: options.getString('plateforme'), players: options.getInteger('joueurs'), activity: options.getString('activite'),
+        description: options.getString('description'), twitch: twitch?.trim().replace(/^@/, '') ?? null,
+      };
+    }
+
+    const ownerId  = shared ? '' : user.id;
+    const existing = repo.findTemplateId(guild.id, ownerId, name);
+    if (!existing && repo.countTemplates(guild.id, ownerId) >= MAX_TEMPLATES) return interaction.reply({ content: t(locale, 'template.limit', { max: MAX_TEMPLATES }), flags: [MessageFlags.Ephemeral] });
+
+    // Saving under an existing name replaces that template
+    repo.transaction(() => {
+      if (existing) repo.deleteTemplate(existing);
+      repo.addTemplate({ guildId: guild.id, userId: ownerId, name, ...values, createdBy: user.id });
+    });
+    if (shared) logAudit(guild, 'config', { actorId: user.id, details: { setting: 'template', template: name, game: values.game } });
+
+    await interaction.reply({
+      content: t(locale, existing ? 'template.updated' : 'template.saved', { name, scope: t(locale, shared ? 'template.shared' : 'template.personal') })
+        + `\n> ${formatTemplate({ name, ...values }, locale)}`,
+      flags: [MessageFlags.Ephemeral],
+    });
   } catch (err) {
-    console.error('⚠️ Erreur stats:', err);
-    await interaction.followUp({ content: '❌ Erreur affichage stats.', flags: [MessageFlags.Ephemeral] });
+    console.error('⚠️ Erreur modèles de session:', err);
+    if (!interaction.replied && !interaction.deferred) await interaction.reply({ content: t(locale, 'template.error'), flags: [MessageFlags.Ephemeral] });
   }
 }
 
-// ──────────────────────────────────────────────────────────────────────────────
-
-const historyPages = new Map();
+function buildTemplatesContainer(guild, templates, locale = DEFAULT_LOCALE) {
+  const personal = templates.filter(tpl => tpl.userId);
+  const shared   = templates.filter(tpl => !tpl.userId);
+  const section  = (title, list) => `${title}\n${list.length ? list.map(tpl => `• ${formatTemplate(tpl, locale)}`).join('\n') : t(locale, 'template.empty')}`;
 
-async function sendHistoryEmbed(interaction, page, isUpdate = false) {
-  const sessions   = Array.from(lfgSessions.entries()).map(([id, d]) => ({ id, ...d.value }));
-  const totalPages = Math.max(1, Math.ceil(sessions.length / ITEMS_PER_PAGE));
-  const safePage   = Math.min(Math.max(1, page), totalPages);
-  const start      = (safePage - 1) * ITEMS_PER_PAGE;
-  const pageItems  = sessions.slice(start, start + ITEMS_PER_PAGE);
-
-  const thumbnail = new ThumbnailBuilder({ media: { url: client.user.avatarURL({ dynamic: true }) ?? 'https://i.imgur.com/Xo1BHdr.png' } });
+  const thumbnail = new ThumbnailBuilder({ media: { url: guild.iconURL({ dynamic: true }) ?? 'https://i.imgur.com/Xo1BHdr.png' } });
   const headerSection = new SectionBuilder()
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`📜 **Historique des sessions**`))
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(interaction.guild.name))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'template.title')))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(guild.name))
     .setThumbnailAccessory(thumbnail);
 
-  const historyLines = pageItems.length
-    ? pageItems.map(({ id, game, user, date }) => `\`#${id}\` **${game}** · ${user} · <t:${Math.floor(new Date(date).getTime() / 1000)}:R>`).join('\n')
-    : "_Aucune session dans l'historique._";
-
-  const prevBtn = new ButtonBuilder().setCustomId(`history_prev_${interaction.user.id}`).setLabel('◀ Retour').setStyle(ButtonStyle.Secondary).setDisabled(safePage <= 1);
-  const pageBtn = new ButtonBuilder().setCustomId('history_page_noop').setLabel(`Page ${safePage} / ${totalPages}`).setStyle(ButtonStyle.Secondary).setDisabled(true);
-  const nextBtn = new ButtonBuilder().setCustomId(`history_next_${interaction.user.id}`).setLabel('Suivant ▶').setStyle(ButtonStyle.Secondary).setDisabled(safePage >= totalPages);
-
-  const container = new ContainerBuilder()
+  return new ContainerBuilder()
     .addSectionComponents(headerSection)
     .addSeparatorComponents(new SeparatorBuilder())
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(historyLines))
-    .addSeparatorComponents(new SeparatorBuilder())
-    .addActionRowComponents(new ActionRowBuilder().addComponents(prevBtn, pageBtn, nextBtn))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(section(t(locale, 'template.personalTitle'), personal)))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(section(t(locale, 'template.sharedTitle'), shared)))
     .addSeparatorComponents(new SeparatorBuilder())
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# ${sessions.length} session(s) au total  ·  ${interaction.guild.name}  ·  /lfg  /stats  /history`))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# ${guild.name}  ·  /template save  /template launch  /template delete`))
     .setAccentColor(0x1E90FF);
-
-  const payload = { components: [container], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] };
-  if (isUpdate) await interaction.update(payload);
-  else await interaction.followUp(payload);
 }
 
-async function handleHistoryCommand(interaction) {
+// ──────────────────────────────────────────────────────────────────────────────
+
+async function handleQueueCommand(interaction) {
+  const { options, guild, channel, user } = interaction;
+  const locale     = getInteractionLocale(interaction);
+  const subcommand = options.getSubcommand();
+
+  if (subcommand === 'leave') return leaveQueue(interaction, guild);
+
+  if (subcommand === 'status') {
+    const queued = findQueueEntry(guild.id, user.id);
+    if (!queued) return interaction.reply({ content: t(locale, 'queue.notQueued'), flags: [MessageFlags.Ephemeral] });
+    const { bucket, entry } = queued;
+    return interaction.reply({
+      content: t(locale, 'queue.status', {
+        game: entry.game, platform: entry.platform, activity: activityLabel(locale, entry.activity),
+        position: lfgQueue.get(bucket).indexOf(entry) + 1, count: lfgQueue.get(bucket).length, players: entry.players, ts: toUnix(entry.expiresAt),
+      }),
+      flags: [MessageFlags.Ephemeral],
+    });
+  }
+
+  const gameInput = options.getString('jeu');
+  const game      = resolveGame(guild.id, gameInput);
+  const platform  = options.getString('plateforme');
+  const activity  = options.getString('activite');
+  const players   = options.getInteger('joueurs');
+  const roleInput = options.getString('role');
+  const minutes   = options.getInteger('duree') ?? QUEUE_TIMEOUT;
+
+  if (!await requireCapability(interaction, 'create')) return;
+  if (!game) return interaction.reply({ content: t(locale, 'lfg.unknownGame', { game: gameInput }), flags: [MessageFlags.Ephemeral] });
+  if (!isGameAllowedForGuild(guild.id, game)) {
+    const filter = getGuildGameFilter(guild.id);
+    return interaction.reply({ content: t(locale, 'lfg.gameNotAllowed', { game, games: filter.map(g => `\`${g}\``).join(', ') }), flags: [MessageFlags.Ephemeral] });
+  }
+
+  const gametag = options.getString('gametag') ?? resolveProfileGametag(getPlayerProfile(user.id), game, platform)?.gametag;
+  if (!gametag) return interaction.reply({ content: t(locale, 'lfg.missingGametag', { game, platform }), flags: [MessageFlags.Ephemeral] });
+
+  const lowReputation = checkReputationRequirement(guild.id, user.id);
+  if (lowReputation) return interaction.reply({ content: t(locale, 'reputation.tooLow', lowReputation), flags: [MessageFlags.Ephemeral] });
+  if (findQueueEntry(guild.id, user.id)) return interaction.reply({ content: t(locale, 'queue.already'), flags: [MessageFlags.Ephemeral] });
+
+  let role = null;
+  if (roleInput) {
+    const composition = getQueueComposition(game, players);
+    if (!composition) return interaction.reply({ content: t(locale, 'queue.noComposition', { game, players }), flags: [MessageFlags.Ephemeral] });
+    role = findRole(composition, roleInput)?.name;
+    if (!role) return interaction.reply({ content: t(locale, 'lfg.unknownRole', { role: roleInput, roles: formatRoleComposition(composition) }), flags: [MessageFlags.Ephemeral] });
+  }
+
   await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
   try {
-    historyPages.set(interaction.user.id, 1);
-    await sendHistoryEmbed(interaction, 1, false);
+    const now   = Date.now();
+    const entry = {
+      guildId: guild.id, userId: user.id, game, platform, activity, players, role, rank: options.getInteger('rang'), gametag,
+      channelId: channel.id, queuedAt: new Date(now).toISOString(), expiresAt: new Date(now + minutes * 60_000).toISOString(),
+    };
+    const bucket = queueBucket(entry);
+    requeueEntries(bucket, [entry]);
+    await processQueueBucket(guild, bucket);
+
+    const waiting = lfgQueue.get(bucket)?.length ?? 0;
+    await interaction.followUp({
+      content: findQueueEntry(guild.id, user.id)
+        ? t(locale, 'queue.joined', { game, count: waiting, players, ts: toUnix(entry.expiresAt) })
+        : t(locale, 'queue.matchedNow'),
+      flags: [MessageFlags.Ephemeral],
+    });
   } catch (err) {
-    console.error('⚠️ Erreur historique:', err);
-    await interaction.followUp({ content: '❌ Erreur affichage historique.', flags: [MessageFlags.Ephemeral] });
+    console.error("⚠️ Erreur file d'attente:", err);
+    await interaction.followUp({ content: t(locale, 'queue.error'), flags: [MessageFlags.Ephemeral] });
   }
 }
 
-// ──────────────────────────────────────────────────────────────────────────────
+// Shared by /queue leave and the leave button of the live queue display
+async function leaveQueue(interaction, guild) {
+  const locale = getInteractionLocale(interaction);
+  const queued = guild && findQueueEntry(guild.id, interaction.user.id);
+  if (!queued) return interaction.reply({ content: t(locale, 'queue.notQueued'), flags: [MessageFlags.Ephemeral] });
 
-async function handleSetLFGChannelCommand(interaction) {
-  const { options, guild, member } = interaction;
-  if (!member.permissions.has(PermissionFlagsBits.ManageChannels))
-    return interaction.reply({ content: '❌ Permission insuffisante.', flags: [MessageFlags.Ephemeral] });
+  removeQueueEntries(queued.bucket, [interaction.user.id]);
+  await interaction.reply({ content: t(locale, 'queue.left', { game: queued.entry.game }), flags: [MessageFlags.Ephemeral] });
+  await updateQueueDisplay(guild, queued.bucket);
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
 
-  const channel = options.getChannel('channel');
-  const game    = options.getString('jeu') ?? '*';
+async function handleSetLanguageCommand(interaction) {
+  const { options, guild } = interaction;
+  if (!await requireCapability(interaction, 'config')) return;
 
-  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+  const language         = options.getString('langue');
+  const followUserLocale = options.getBoolean('langue_membre') ?? true;
   try {
-    setWithTTL(webhookChannels, `${guild.id}:${game}`, channel.id, WEBHOOK_TTL);
-    db.prepare('INSERT OR REPLACE INTO webhookChannels (guildId, game, channelId) VALUES (?, ?, ?)').run(guild.id, game, channel.id);
-    const label = game === '*' ? '**tous les jeux** *(salon par défaut)*' : `**${game}**`;
-    await interaction.followUp({ content: `✅ Salon ${channel} défini pour ${label}.`, flags: [MessageFlags.Ephemeral] });
+    repo.setLanguage(guild.id, { language, followUserLocale });
+    setWithTTL(guildLanguages, guild.id, { language, followUserLocale }, LANGUAGE_TTL);
+    // Confirmed in the new language so the admin sees the result right away
+    const locale = getInteractionLocale(interaction);
+    await interaction.reply({
+      content: `${t(locale, 'language.set', { language: LOCALE_NAMES[language] })}\n${t(locale, followUserLocale ? 'language.followUser' : 'language.guildOnly')}`,
+      flags: [MessageFlags.Ephemeral],
+    });
   } catch (err) {
-    console.error('⚠️ Erreur set_lfg_channel:', err);
-    await interaction.followUp({ content: '❌ Erreur définition salon.', flags: [MessageFlags.Ephemeral] });
+    console.error('⚠️ Erreur set_language:', err);
+    if (!interaction.replied) await interaction.reply({ content: t(getInteractionLocale(interaction), 'language.error'), flags: [MessageFlags.Ephemeral] });
   }
 }
 
 // ──────────────────────────────────────────────────────────────────────────────
 
-async function handleRemoveLFGChannelCommand(interaction) {
-  const { options, guild, member } = interaction;
-  if (!member.permissions.has(PermissionFlagsBits.ManageChannels))
-    return interaction.reply({ content: '❌ Permission insuffisante.', flags: [MessageFlags.Ephemeral] });
-
-  const game = options.getString('cible');
-  const key  = `${guild.id}:${game}`;
+async function handleReputationCommand(interaction) {
+  const { options, guild } = interaction;
+  const locale = getInteractionLocale(interaction);
 
-  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
-  try {
-    const inCache = webhookChannels.has(key);
-    const inDB    = db.prepare('SELECT channelId FROM webhookChannels WHERE guildId = ? AND game = ?').get(guild.id, game);
-    if (!inCache && !inDB) {
-      return interaction.followUp({
-        content: `❌ Aucun salon configuré pour **${game === '*' ? 'le défaut' : game}**.`,
+  if (options.getSubcommand() === 'minimum') {
+    if (!await requireCapability(interaction, 'config')) return;
+    const minimum = options.getInteger('valeur');
+    try {
+      repo.setMinReputation(guild.id, minimum);
+      setWithTTL(guildReputation, guild.id, minimum, REPUTATION_TTL);
+      return interaction.reply({
+        content: minimum === null ? t(locale, 'reputation.minimumCleared') : t(locale, 'reputation.minimumSet', { minimum }),
         flags: [MessageFlags.Ephemeral],
       });
+    } catch (err) {
+      console.error('⚠️ Erreur réputation minimum:', err);
+      return interaction.reply({ content: t(locale, 'reputation.error'), flags: [MessageFlags.Ephemeral] });
     }
-    webhookChannels.delete(key);
-    db.prepare('DELETE FROM webhookChannels WHERE guildId = ? AND game = ?').run(guild.id, game);
-    const label = game === '*' ? '**le salon par défaut**' : `**${game}**`;
-    await interaction.followUp({ content: `✅ Configuration supprimée pour ${label}.`, flags: [MessageFlags.Ephemeral] });
-  } catch (err) {
-    console.error('⚠️ Erreur remove_lfg_channel:', err);
-    await interaction.followUp({ content: '❌ Erreur suppression salon.', flags: [MessageFlags.Ephemeral] });
   }
+
+  const target     = options.getUser('membre') ?? interaction.user;
+  const reputation = getReputation(target.id);
+  const minimum    = getGuildMinReputation(guild.id);
+  const thumbnail  = new ThumbnailBuilder({ media: { url: target.displayAvatarURL({ dynamic: true }) } });
+  const headerSection = new SectionBuilder()
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'reputation.title', { name: target.username })))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`<@${target.id}>`))
+    .setThumbnailAccessory(thumbnail);
+
+  const container = new ContainerBuilder()
+    .addSectionComponents(headerSection)
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'reputation.score', { score: reputation.score })))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(t(locale, 'reputation.details', { commend: reputation.commend, report: reputation.report, noShow: reputation.no_show })))
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(
+      minimum === null ? t(locale, 'reputation.noMinimum') : t(locale, 'reputation.minimum', { minimum })
+    ))
+    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# ${guild.name}  ·  /reputation view  /reputation minimum`))
+    .setAccentColor(reputation.score < 0 ? 0xE74C3C : 0x1E90FF);
+
+  return interaction.reply({ components: [container], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
 }
 
 // ──────────────────────────────────────────────────────────────────────────────
 
-async function handleListLFGChannelsCommand(interaction) {
-  const { guild, member } = interaction;
-  if (!member.permissions.has(PermissionFlagsBits.ManageChannels))
-    return interaction.reply({ content: '❌ Permission insuffisante.', flags: [MessageFlags.Ephemeral] });
-
-  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
-  try {
-    const entries = getWebhookEntriesForGuild(guild.id);
-    const thumbnail = new ThumbnailBuilder({ media: { url: guild.iconURL({ dynamic: true }) ?? 'https://i.imgur.com/Xo1BHdr.png' } });
-    const headerSection = new SectionBuilder()
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`📡 **Salons LFG — Configuration cross-serveur**`))
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(guild.name))
-      .setThumbnailAccessory(thumbnail);
+function describeFederation(guild, locale) {
+  const config = getGuildFederationConfig(guild.id);
+  const status = (enabled) => t(locale, enabled ? 'federation.on' : 'federation.off');
+  const list   = (ids, emptyKey) => ids.length ? ids.map(id => `\`${formatGuildName(id)}\``).join(', ') : t(locale, emptyKey);
+  const criteria = [
+    config.minMembers > 0 ? t(locale, 'federation.minMembers', { count: config.minMembers }) : null,
+    config.language ? t(locale, 'federation.language', { language: LOCALE_NAMES[config.language] }) : null,
+  ].filter(Boolean);
+  return [
+    t(locale, 'federation.send', { status: status(config.sendEnabled) }),
+    t(locale, 'federation.receive', { status: status(config.receiveEnabled) }),
+    t(locale, 'federation.allowlist', { guilds: list(config.allowlist, 'federation.allowAll') }),
+    t(locale, 'federation.denylist', { guilds: list(config.denylist, 'federation.none') }),
+    t(locale, 'federation.criteria', { criteria: criteria.length ? criteria.join(' · ') : t(locale, 'federation.none') }),
+  ].join('\n');
+}
 
-    const container = new ContainerBuilder().addSectionComponents(headerSection);
+async function handleFederationCommand(interaction) {
+  const { options, guild } = interaction;
+  const locale = getInteractionLocale(interaction);
+  if (!await requireCapability(interaction, 'config')) return;
 
-    if (entries.length === 0) {
-      container
-        .addSeparatorComponents(new SeparatorBuilder())
-        .addTextDisplayComponents(new TextDisplayBuilder().setContent(
-          `_Aucun salon configuré._\n\n` +
-          `• \`/set_lfg_channel #salon\` — salon par défaut\n` +
-          `• \`/set_lfg_channel #salon jeu:Valorant\` — salon par jeu`
-        ));
+  const subcommand = options.getSubcommand();
+  const config     = { ...getGuildFederationConfig(guild.id) };
+  try {
+    let notice;
+    if (subcommand === 'set') {
+      const send     = options.getBoolean('envoi');
+      const receive  = options.getBoolean('reception');
+      const minimum  = options.getInteger('membres_min');
+      const language = options.getString('langue');
+      if (send !== null)     config.sendEnabled    = send;
+      if (receive !== null)  config.receiveEnabled = receive;
+      if (minimum !== null)  config.minMembers     = minimum;
+      if (language !== null) config.language       = language === 'any' ? null : language;
+      notice = t(locale, 'federation.updated');
     } else {
-      const defaultEntry = entries.find(e => e.game === '*');
-      const gameEntries  = entries.filter(e => e.game !== '*').sort((a, b) => a.game.localeCompare(b.game));
+      const partnerId = options.getString('serveur').trim();
+      if (!/^\d{17,20}$/.test(partnerId))
+        return interaction.reply({ content: t(locale, 'federation.invalidGuild'), flags: [MessageFlags.Ephemeral] });
+      if (partnerId === guild.id)
+        return interaction.reply({ content: t(locale, 'federation.self'), flags: [MessageFlags.Ephemeral] });
+
+      // A guild sits on at most one list: allowing it lifts a block and vice versa
+      config.allowlist = config.allowlist.filter(id => id !== partnerId);
+      config.denylist  = config.denylist.filter(id => id !== partnerId);
+      if (subcommand === 'allow') config.allowlist.push(partnerId);
+      if (subcommand === 'deny')  config.denylist.push(partnerId);
+      notice = t(locale, { allow: 'federation.allowed', deny: 'federation.denied', unlist: 'federation.unlisted' }[subcommand], { guild: formatGuildName(partnerId) });
+    }
+    saveGuildFederationConfig(guild.id, config);
+    await interaction.reply({ content: `${notice}\n\n${describeFederation(guild, locale)}`, flags: [MessageFlags.Ephemeral] });
+  } catch (err) {
+    console.error('⚠️ Erreur federation:', err);
+    if (!interaction.replied) await interaction.reply({ content: t(locale, 'federation.error'), flags: [MessageFlags.Ephemeral] });
+  }
+}
 
-      container.addSeparatorComponents(new SeparatorBuilder());
+// ─────────────────────────────────────────────────────────────────────────────
+// Button handlers
+// ─────────────────────────────────────────────────────────────────────────────
 
-      const defCh = defaultEntry ? guild.channels.cache.get(defaultEntry.channelId) : null;
-      if (defaultEntry) {
-        container.addTextDisplayComponents(new TextDisplayBuilder().setContent(
-          `🌐 **Salon par défaut** *(tous les jeux non configurés)*\n> ${defCh ? `<#${defaultEntry.channelId}>` : `\`${defaultEntry.channelId}\` *(introuvable)*`}`
-        ));
-      } else {
-        container.addTextDisplayComponents(new TextDisplayBuilder().setContent(
-          `🌐 **Salon par défaut** — _non configuré_\n> Les jeux sans salon spécifique ne seront pas annoncés.`
-        ));
-      }
+async function handleJoinButton(interaction, sessionId, roleIndex = null, guild = interaction.guild) {
+  const locale      = getInteractionLocale(interaction);
+  const sessionData = lfgSessions.get(sessionId);
+  if (!sessionData) return interaction.reply({ content: t(locale, 'error.sessionNotFound', { id: sessionId }), flags: [MessageFlags.Ephemeral] });
+  if (isBannedFromSession(sessionId, interaction.user.id)) return interaction.reply({ content: t(locale, 'ban.blocked'), flags: [MessageFlags.Ephemeral] });
+  const lowReputation = checkReputationRequirement(sessionData.value.guildId, interaction.user.id);
+  if (lowReputation) return interaction.reply({ content: t(locale, 'reputation.tooLow', lowReputation), flags: [MessageFlags.Ephemeral] });
 
-      container.addSeparatorComponents(new SeparatorBuilder());
-      if (gameEntries.length > 0) {
-        container.addTextDisplayComponents(new TextDisplayBuilder().setContent(`🎮 **Salons par jeu** *(${gameEntries.length} configuré${gameEntries.length > 1 ? 's' : ''})*`));
-        for (let i = 0; i < gameEntries.length; i += 10) {
-          const lines = gameEntries.slice(i, i + 10).map(e => {
-            const ch = guild.channels.cache.get(e.channelId);
-            return `• **${e.game}** → ${ch ? `<#${e.channelId}>` : `\`${e.channelId}\` *(introuvable)*`}`;
-          }).join('\n');
-          container.addTextDisplayComponents(new TextDisplayBuilder().setContent(lines));
-        }
-      } else {
-        container.addTextDisplayComponents(new TextDisplayBuilder().setContent(
-          `🎮 **Salons par jeu** — _aucun salon spécifique_\n> Toutes les annonces utilisent le salon par défaut.`
-        ));
-      }
+  const session     = sessionData.value;
+  const jud         = lfgJoinedUsers.get(sessionId);
+  const joinedUsers = jud ? [...jud.value] : [];
+  const roleSlots   = getSessionRoleSlots(sessionId);
+  const role        = roleSlots && roleIndex !== null ? roleSlots[roleIndex] : null;
 
-      container
-        .addSeparatorComponents(new SeparatorBuilder())
-        .addTextDisplayComponents(new TextDisplayBuilder().setContent(
-          `📋 **Récapitulatif :** ${entries.length} salon${entries.length > 1 ? 's' : ''} configuré${entries.length > 1 ? 's' : ''} ` +
-          `(${gameEntries.length} par jeu + ${defaultEntry ? '1' : '0'} par défaut)`
-        ));
+  if (roleSlots && !role) return interaction.reply({ content: t(locale, 'join.pickRole'), flags: [MessageFlags.Ephemeral] });
+  if (role?.members.includes(interaction.user.id)) return interaction.reply({ content: t(locale, 'join.sameRole', { role: role.name }), flags: [MessageFlags.Ephemeral] });
+  if (role && role.members.length >= role.count) return interaction.reply({ content: t(locale, 'join.roleFull', { role: role.name }), flags: [MessageFlags.Ephemeral] });
+
+  // Already registered on a role session: the click switches roles
+  if (role && joinedUsers.includes(interaction.user.id)) {
+    try {
+      setParticipantRole(sessionId, interaction.user.id, role.name);
+      repo.setParticipantRole(sessionId, interaction.user.id, role.name);
+      await interaction.reply({ content: t(locale, 'join.roleSwitched', { role: `${role.emoji} ${role.name}`, id: sessionId }), flags: [MessageFlags.Ephemeral] });
+      await refreshSessionMessages(sessionId, guild, 'label.new');
+    } catch (err) {
+      console.error('⚠️ Erreur changement de rôle LFG:', err);
+      const msg = t(locale, 'join.error');
+      if (interaction.replied || interaction.deferred) await interaction.followUp({ content: msg, flags: [MessageFlags.Ephemeral] }).catch(() => {});
+      else await interaction.reply({ content: msg, flags: [MessageFlags.Ephemeral] }).catch(() => {});
     }
+    return;
+  }
 
-    container
-      .addSeparatorComponents(new SeparatorBuilder())
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(
-        `💡 \`/set_lfg_channel\` · \`/remove_lfg_channel\` · \`/list_lfg_channels\``
-      ))
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# ${guild.name}  ·  /set_lfg_channel  /remove_lfg_channel  /config`))
-      .setAccentColor(0x1E90FF);
+  if (joinedUsers.includes(interaction.user.id)) return interaction.reply({ content: t(locale, 'join.already'), flags: [MessageFlags.Ephemeral] });
+  if (session.visibility === 'invite') return interaction.reply({ content: t(locale, 'visibility.inviteOnly'), flags: [MessageFlags.Ephemeral] });
+  if (joinedUsers.length >= session.players) {
+    return interaction.reply({
+      content: isPrivateSession(session) ? t(locale, 'approval.full') : t(locale, 'join.full', { button: t(locale, 'button.waitlist') }),
+      flags: [MessageFlags.Ephemeral],
+    });
+  }
+  if (session.visibility === 'approval') return handleJoinRequest(interaction, sessionId, role, guild);
 
-    await interaction.followUp({ components: [container], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
+  const isPlanned = session.status === 'planned';
+  const vc        = guild.channels.cache.get(session.voiceChannelId);
+  if (!vc && !isPlanned) return interaction.reply({ content: t(locale, 'error.voiceNotFound'), flags: [MessageFlags.Ephemeral] });
+
+  try {
+    addJoinedUser(sessionId, interaction.user.id, role?.name);
+    recordStatEvent(session, 'joined');
+    logAudit(guild, 'join', { actorId: interaction.user.id, sessionId, details: { role: role?.name, from: guild.id === interaction.guildId ? null : interaction.guild?.name } });
+    const roleNote = role ? t(locale, 'join.asRole', { role: `${role.emoji} ${role.name}` }) : '';
+    await interaction.reply({
+      content: isPlanned
+        ? t(locale, 'join.plannedDone', { role: roleNote, id: sessionId, ts: toUnix(session.startTime) })
+        : t(locale, 'join.done', {
+          role: roleNote, id: sessionId,
+          // Channel mentions don't resolve outside their guild: remote joins get a link instead
+          channel: guild.id === interaction.guildId ? `${vc}` : `**[${vc.name}](https://discord.com/channels/${guild.id}/${vc.id})**`,
+        }),
+      flags: [MessageFlags.Ephemeral],
+    });
+    // Answered first: editing the announcements can outlast the interaction's 3-second deadline
+    await refreshSessionMessages(sessionId, guild, 'label.new');
+    updateRichPresence();
   } catch (err) {
-    console.error('⚠️ Erreur list_lfg_channels:', err);
-    await interaction.followUp({ content: '❌ Erreur affichage configuration.', flags: [MessageFlags.Ephemeral] });
+    console.error('⚠️ Erreur rejoindre LFG:', err);
+    const msg = t(locale, 'join.error');
+    if (interaction.replied || interaction.deferred) await interaction.followUp({ content: msg, flags: [MessageFlags.Ephemeral] });
+    else await interaction.reply({ content: msg, flags: [MessageFlags.Ephemeral] });
   }
 }
 
-// ──────────────────────────────────────────────────────────────────────────────
-
-async function handleSetCooldownCommand(interaction) {
-  const { options, guild, member } = interaction;
-  if (!member.permissions.has(PermissionFlagsBits.ManageGuild))
-    return interaction.reply({ content: '❌ Permission **Gérer le serveur** requise.', flags: [MessageFlags.Ephemeral] });
+// Join from another guild's announcement: the user must already be a member of the source guild
+async function handleCrossJoinButton(interaction, sessionId) {
+  const locale  = getInteractionLocale(interaction);
+  const session = lfgSessions.get(sessionId)?.value;
+  if (!session) return interaction.reply({ content: t(locale, 'cross.expired'), flags: [MessageFlags.Ephemeral] });
 
-  const maxSessions   = options.getInteger('max_sessions');
-  const fenetreMin    = options.getInteger('fenetre');
-  const windowSeconds = fenetreMin * 60;
+  const sourceGuild = client.guilds.cache.get(session.guildId);
+  const member      = await sourceGuild?.members.fetch(interaction.user.id).catch(() => null);
+  if (!member) return interaction.reply({ content: t(locale, 'cross.notMember', { guild: sourceGuild?.name ?? session.guildId }), flags: [MessageFlags.Ephemeral] });
 
-  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
-  try {
-    setWithTTL(guildCooldowns, guild.id, { maxSessions, windowSeconds }, COOLDOWN_TTL);
-    db.prepare('INSERT OR REPLACE INTO guildCooldowns (guildId, maxSessions, windowSeconds) VALUES (?, ?, ?)').run(guild.id, maxSessions, windowSeconds);
+  // The announcement has a single join button: role sessions take the first role with a free slot
+  const roleSlots = getSessionRoleSlots(sessionId);
+  const roleIndex = roleSlots ? Math.max(0, roleSlots.findIndex(r => r.members.length < r.count)) : null;
+  return handleJoinButton(interaction, sessionId, roleIndex, sourceGuild);
+}
 
-    const thumbnail = new ThumbnailBuilder({ media: { url: guild.iconURL({ dynamic: true }) ?? 'https://i.imgur.com/Xo1BHdr.png' } });
-    const headerSection = new SectionBuilder()
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`⏱️ **Cooldown LFG configuré**`))
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(guild.name))
-      .setThumbnailAccessory(thumbnail);
+// Approval sessions: a join click posts a request the organizer accepts or denies
+async function handleJoinRequest(interaction, sessionId, role, guild = interaction.guild) {
+  const { user } = interaction;
+  const locale  = getInteractionLocale(interaction);
+  const session = lfgSessions.get(sessionId).value;
+  if (lfgJoinRequests.get(sessionId)?.[user.id]) return interaction.reply({ content: t(locale, 'approval.alreadyRequested'), flags: [MessageFlags.Ephemeral] });
 
-    const container = new ContainerBuilder()
-      .addSectionComponents(headerSection)
-      .addSeparatorComponents(new SeparatorBuilder())
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`✅ Nouveau cooldown appliqué :`))
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`• **${maxSessions}** session(s) maximum par utilisateur`))
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`• Fenêtre de **${fenetreMin}** minute(s)`))
-      .addSeparatorComponents(new SeparatorBuilder())
-      .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# ${guild.name}  ·  /set_cooldown  /stats`))
-      .setAccentColor(0x1E90FF);
+  // Planned sessions have no discussion channel yet: the request goes under the announcement
+  const channel = guild.channels.cache.get(session.textChannelId) ?? guild.channels.cache.get(session.commandChannelId);
+  if (!channel) return interaction.reply({ content: t(locale, 'error.textNotFound'), flags: [MessageFlags.Ephemeral] });
 
-    await interaction.followUp({ components: [container], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
+  try {
+    const guildLocale = getGuildLocale(guild.id);
+    const msg = await channel.send({
+      content: t(guildLocale, 'approval.request', {
+        organizer: `<@${session.userId}>`, mention: `<@${user.id}>`, id: sessionId,
+        role: role ? t(guildLocale, 'join.asRole', { role: `${role.emoji} ${role.name}` }) : '',
+      }),
+      components: [new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`accept_${sessionId}_${user.id}`).setLabel(t(guildLocale, 'button.accept')).setStyle(ButtonStyle.Success),
+        new ButtonBuilder().setCustomId(`deny_${sessionId}_${user.id}`).setLabel(t(guildLocale, 'button.deny')).setStyle(ButtonStyle.Danger),
+      )],
+      allowedMentions: { users: [session.userId] },
+    });
+    const request = { role: role?.name ?? null, channelId: channel.id, messageId: msg.id };
+    lfgJoinRequests.set(sessionId, { ...(lfgJoinRequests.get(sessionId) ?? {}), [user.id]: request });
+    repo.saveJoinRequest(sessionId, user.id, request);
+    await interaction.reply({ content: t(locale, 'approval.requested', { id: sessionId }), flags: [MessageFlags.Ephemeral] });
   } catch (err) {
-    console.error('⚠️ Erreur set_cooldown:', err);
-    await interaction.followUp({ content: '❌ Erreur configuration cooldown.', flags: [MessageFlags.Ephemeral] });
+    console.error('⚠️ Erreur demande LFG:', err);
+    const msg = t(locale, 'approval.error');
+    if (interaction.replied || interaction.deferred) await interaction.followUp({ content: msg, flags: [MessageFlags.Ephemeral] });
+    else await interaction.reply({ content: msg, flags: [MessageFlags.Ephemeral] });
   }
 }
 
-// ──────────────────────────────────────────────────────────────────────────────
+async function handleJoinDecisionButton(interaction, sessionId, userId, accepted) {
+  const { guild } = interaction;
+  const locale      = getInteractionLocale(interaction);
+  const sessionData = lfgSessions.get(sessionId);
+  if (!sessionData) return interaction.update({ content: t(locale, 'error.sessionNotFound', { id: sessionId }), components: [] });
 
-async function handleConfigCommand(interaction) {
-  const { options, member, guild } = interaction;
-  if (!member.permissions.has(PermissionFlagsBits.ManageGuild))
-    return interaction.reply({ content: '❌ Permission **Gérer le serveur** requise.', flags: [MessageFlags.Ephemeral] });
+  const session = sessionData.value;
+  if (!hasCapability(interaction.member, 'moderate', { session })) return interaction.reply({ content: t(locale, 'approval.notAllowed'), flags: [MessageFlags.Ephemeral] });
+  if (!lfgJoinRequests.get(sessionId)?.[userId]) return interaction.update({ content: t(locale, 'approval.noRequest'), components: [] });
 
-  const action = options.getString('action');
-  const game   = options.getString('jeu');
-  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+  const joinedUsers = lfgJoinedUsers.get(sessionId)?.value ?? [];
+  if (accepted && joinedUsers.length >= session.players) return interaction.reply({ content: t(locale, 'approval.full'), flags: [MessageFlags.Ephemeral] });
 
   try {
-    let currentFilter = [...getGuildGameFilter(guild.id)];
+    const request     = removeJoinRequest(sessionId, userId);
+    const guildLocale = getGuildLocale(guild.id);
+    const member      = await guild.members.fetch(userId).catch(() => null);
+    const role        = accepted && member && !joinedUsers.includes(userId) ? await addSessionParticipant(sessionId, guild, userId, request.role) : null;
+    if (accepted && member) logAudit(guild, 'join', { actorId: interaction.user.id, targetId: userId, sessionId, details: { role: role?.name, via: 'approval' } });
+
+    await interaction.update({
+      content: t(guildLocale, accepted && member ? 'approval.accepted' : 'approval.denied', { mention: `<@${userId}>`, by: `<@${interaction.user.id}>`, id: sessionId }),
+      components: [],
+      allowedMentions: { parse: [] },
+    });
 
-    switch (action) {
-      case 'add': {
-        if (!game) return interaction.followUp({ content: '❌ Spécifiez un jeu à ajouter.', flags: [MessageFlags.Ephemeral] });
-        if (currentFilter.includes(game)) return interaction.followUp({ content: `⚠️ **${game}** est déjà dans le filtre.`, flags: [MessageFlags.Ephemeral] });
-        currentFilter.push(game);
-        setWithTTL(guildGameFilters, guild.id, currentFilter, FILTER_TTL);
-        db.prepare('INSERT OR REPLACE INTO guildGameFilters (guildId, games) VALUES (?, ?)').run(guild.id, JSON.stringify(currentFilter));
-        return interaction.followUp({ components: [buildConfigContainer(guild, currentFilter, `✅ **${game}** ajouté.`)], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
-      }
-      case 'remove': {
-        if (!game) return interaction.followUp({ content: '❌ Spécifiez un jeu à retirer.', flags: [MessageFlags.Ephemeral] });
-        if (!currentFilter.includes(game)) return interaction.followUp({ content: `⚠️ **${game}** n'est pas dans le filtre.`, flags: [MessageFlags.Ephemeral] });
-        currentFilter = currentFilter.filter(g => g !== game);
-        setWithTTL(guildGameFilters, guild.id, currentFilter, FILTER_TTL);
-        db.prepare('INSERT OR REPLACE INTO guildGameFilters (guildId, games) VALUES (?, ?)').run(guild.id, JSON.stringify(currentFilter));
-        return interaction.followUp({ components: [buildConfigContainer(guild, currentFilter, `✅ **${game}** retiré.`)], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
-      }
-      case 'reset': {
-        setWithTTL(guildGameFilters, guild.id, [], FILTER_TTL);
-        db.prepare('INSERT OR REPLACE INTO guildGameFilters (guildId, games) VALUES (?, ?)').run(guild.id, '[]');
-        return interaction.followUp({ components: [buildConfigContainer(guild, [], '✅ Filtre réinitialisé — tous les jeux acceptés.')], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
-      }
-      default:
-        return interaction.followUp({ components: [buildConfigContainer(guild, currentFilter, null)], flags: [MessageFlags.IsComponentsV2, MessageFlags.Ephemeral] });
-    }
+    const vc     = guild.channels.cache.get(session.voiceChannelId);
+    const notice = accepted
+      ? t(guildLocale, 'approval.acceptedDm', { id: sessionId, game: session.game, guild: guild.name })
+        + (vc ? `\n${t(guildLocale, 'waitlist.voiceLink', { url: `https://discord.com/channels/${guild.id}/${vc.id}` })}` : '')
+        + (role ? `\n${t(guildLocale, 'waitlist.assignedRole', { role: role.name })}` : '')
+      : t(guildLocale, 'approval.deniedDm', { id: sessionId, game: session.game, guild: guild.name });
+    try { await member?.send({ content: notice }); } catch {}
+    if (accepted) updateRichPresence();
   } catch (err) {
-    console.error('⚠️ Erreur config:', err);
-    await interaction.followUp({ content: '❌ Erreur configuration.', flags: [MessageFlags.Ephemeral] });
+    console.error('⚠️ Erreur décision demande LFG:', err);
+    const msg = t(locale, 'approval.error');
+    if (interaction.replied || interaction.deferred) await interaction.followUp({ content: msg, flags: [MessageFlags.Ephemeral] });
+    else await interaction.reply({ content: msg, flags: [MessageFlags.Ephemeral] });
   }
 }
 
-function buildConfigContainer(guild, filter, statusMessage) {
-  const thumbnail = new ThumbnailBuilder({ media: { url: guild.iconURL({ dynamic: true }) ?? 'https://i.imgur.com/Xo1BHdr.png' } });
-  const headerSection = new SectionBuilder()
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`⚙️ **Configuration LFG**`))
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(guild.name))
-    .setThumbnailAccessory(thumbnail);
-
-  const container = new ContainerBuilder().addSectionComponents(headerSection);
-  if (statusMessage) container.addSeparatorComponents(new SeparatorBuilder()).addTextDisplayComponents(new TextDisplayBuilder().setContent(statusMessage));
-
-  container
-    .addSeparatorComponents(new SeparatorBuilder())
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(
-      filter.length === 0 ? '🌐 **Mode :** Tous les jeux acceptés *(aucun filtre)*' : `🔒 **Mode :** Filtre actif — **${filter.length}** jeu(x) autorisé(s)`
-    ))
-    .addSeparatorComponents(new SeparatorBuilder())
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`📋 **Jeux autorisés :**\n${filter.length === 0 ? '_Aucun filtre. Toutes les sessions sont acceptées._' : filter.map(g => `• ${g}`).join('\n')}`))
-    .addSeparatorComponents(new SeparatorBuilder())
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(
-      '💡 `/config action:Ajouter jeu:X` · `/config action:Retirer jeu:X` · `/config action:Réinitialiser`'
-    ))
-    .addTextDisplayComponents(new TextDisplayBuilder().setContent(`-# ${guild.name}  ·  /config  /lfg  /stats`))
-    .setAccentColor(0x1E90FF);
-
-  return container;
-}
-
-// ─────────────────────────────────────────────────────────────────────────────
-// Button handlers
-// ─────────────────────────────────────────────────────────────────────────────
-
-async function handleJoinButton(interaction, sessionId) {
+async function handleWaitlistButton(interaction, sessionId) {
+  const locale      = getInteractionLocale(interaction);
   const sessionData = lfgSessions.get(sessionId);
-  if (!sessionData) return interaction.reply({ content: `❌ Session **#${sessionId}** introuvable.`, flags: [MessageFlags.Ephemeral] });
+  if (!sessionData) return interaction.reply({ content: t(locale, 'error.sessionNotFound', { id: sessionId }), flags: [MessageFlags.Ephemeral] });
+  if (isBannedFromSession(sessionId, interaction.user.id)) return interaction.reply({ content: t(locale, 'ban.blocked'), flags: [MessageFlags.Ephemeral] });
+  const lowReputation = checkReputationRequirement(sessionData.value.guildId, interaction.user.id);
+  if (lowReputation) return interaction.reply({ content: t(locale, 'reputation.tooLow', lowReputation), flags: [MessageFlags.Ephemeral] });
 
   const session     = sessionData.value;
-  const jud         = lfgJoinedUsers.get(sessionId);
-  const joinedUsers = jud ? [...jud.value] : [];
-
-  if (joinedUsers.includes(interaction.user.id)) return interaction.reply({ content: '❌ Vous avez déjà rejoint cette session.', flags: [MessageFlags.Ephemeral] });
-  if (joinedUsers.length >= session.players) return interaction.reply({ content: '❌ Cette session est complète.', flags: [MessageFlags.Ephemeral] });
+  const joinedUsers = lfgJoinedUsers.get(sessionId)?.value ?? [];
+  const queue       = lfgWaitlists.get(sessionId) ?? [];
+  if (isPrivateSession(session)) return interaction.reply({ content: t(locale, 'approval.noWaitlist'), flags: [MessageFlags.Ephemeral] });
 
-  const vc = interaction.guild.channels.cache.get(session.voiceChannelId);
-  if (!vc) return interaction.reply({ content: '❌ Salon vocal introuvable.', flags: [MessageFlags.Ephemeral] });
+  if (joinedUsers.includes(interaction.user.id)) return interaction.reply({ content: t(locale, 'join.already'), flags: [MessageFlags.Ephemeral] });
+  if (queue.includes(interaction.user.id)) {
+    return interaction.reply({ content: t(locale, 'waitlist.alreadyQueued', { position: queue.indexOf(interaction.user.id) + 1 }), flags: [MessageFlags.Ephemeral] });
+  }
+  if (joinedUsers.length < session.players) return interaction.reply({ content: t(locale, 'waitlist.slotFree', { button: t(locale, 'button.join') }), flags: [MessageFlags.Ephemeral] });
 
   try {
-    joinedUsers.push(interaction.user.id);
-    setWithTTL(lfgJoinedUsers, sessionId, joinedUsers, CACHE_TTL);
-    db.prepare('INSERT OR REPLACE INTO lfgJoinedUsers (sessionId, userId) VALUES (?, ?)').run(sessionId, interaction.user.id);
-    await saveData();
-    await refreshSessionMessages(sessionId, interaction.guild, 'Nouvelle session LFG');
-    await interaction.reply({ content: `✅ Session **#${sessionId}** rejointe ! Rejoignez : ${vc}`, flags: [MessageFlags.Ephemeral] });
-    updateRichPresence();
+    lfgWaitlists.set(sessionId, [...queue, interaction.user.id]);
+    repo.addToWaitlist(sessionId, interaction.user.id);
+    await interaction.reply({
+      content: t(locale, 'waitlist.queued', { position: queue.length + 1, id: sessionId }),
+      flags: [MessageFlags.Ephemeral],
+    });
+    await refreshSessionMessages(sessionId, interaction.guild, 'label.new');
   } catch (err) {
-    console.error('⚠️ Erreur rejoindre LFG:', err);
-    const msg = '❌ Erreur lors de la tentative de rejoindre la session.';
+    console.error("⚠️ Erreur liste d'attente:", err);
+    const msg = t(locale, 'waitlist.error');
     if (interaction.replied || interaction.deferred) await interaction.followUp({ content: msg, flags: [MessageFlags.Ephemeral] });
     else await interaction.reply({ content: msg, flags: [MessageFlags.Ephemeral] });
   }
 }
 
 async function handleLeaveButton(interaction, sessionId) {
+  const locale      = getInteractionLocale(interaction);
   const sessionData = lfgSessions.get(sessionId);
-  if (!sessionData) return interaction.reply({ content: `❌ Session **#${sessionId}** introuvable.`, flags: [MessageFlags.Ephemeral] });
+  if (!sessionData) return interaction.reply({ content: t(locale, 'error.sessionNotFound', { id: sessionId }), flags: [MessageFlags.Ephemeral] });
 
   const session     = sessionData.value;
   const jud         = lfgJoinedUsers.get(sessionId);
   const joinedUsers = jud ? [...jud.value] : [];
 
-  if (!joinedUsers.includes(interaction.user.id)) return interaction.reply({ content: "❌ Vous n'êtes pas inscrit à cette session.", flags: [MessageFlags.Ephemeral] });
-  if (interaction.user.id === session.userId) return interaction.reply({ content: "❌ L'organisateur ne peut pas se retirer. Supprimez la session si nécessaire.", flags: [MessageFlags.Ephemeral] });
+  if (!joinedUsers.includes(interaction.user.id)) {
+    try {
+      if (removeFromWaitlist(sessionId, interaction.user.id)) {
+        await interaction.reply({ content: t(locale, 'waitlist.left', { id: sessionId }), flags: [MessageFlags.Ephemeral] });
+        return await refreshSessionMessages(sessionId, interaction.guild, 'label.new');
+      }
+      const request = removeJoinRequest(sessionId, interaction.user.id);
+      if (request) {
+        await interaction.reply({ content: t(locale, 'approval.cancelled', { id: sessionId }), flags: [MessageFlags.Ephemeral] });
+        return await closeJoinRequestMessage(interaction.guild, request, t(getGuildLocale(interaction.guild.id), 'approval.withdrawn', { mention: `<@${interaction.user.id}>`, id: sessionId }));
+      }
+      return await interaction.reply({ content: t(locale, 'leave.notJoined'), flags: [MessageFlags.Ephemeral] });
+    } catch (err) {
+      console.error("⚠️ Erreur retrait liste d'attente:", err);
+      const msg = t(locale, 'leave.error');
+      if (interaction.replied || interaction.deferred) await interaction.followUp({ content: msg, flags: [MessageFlags.Ephemeral] }).catch(() => {});
+      else await interaction.reply({ content: msg, flags: [MessageFlags.Ephemeral] }).catch(() => {});
+      return;
+    }
+  }
+  if (interaction.user.id === session.userId) return interaction.reply({ content: t(locale, 'leave.organizer'), flags: [MessageFlags.Ephemeral] });
 
   try {
-    const updated = joinedUsers.filter(id => id !== interaction.user.id);
-    setWithTTL(lfgJoinedUsers, sessionId, updated, CACHE_TTL);
-    db.prepare('DELETE FROM lfgJoinedUsers WHERE sessionId = ? AND userId = ?').run(sessionId, interaction.user.id);
+    removeJoinedUser(sessionId, interaction.user.id);
+    recordStatEvent(session, 'left');
+    logAudit(interaction.guild, 'leave', { actorId: interaction.user.id, sessionId });
+    await interaction.reply({ content: t(locale, 'leave.done', { id: sessionId }), flags: [MessageFlags.Ephemeral] });
 
     // Disconnect from voice if in the session's channel
     const member = interaction.guild.members.cache.get(interaction.user.id);
     const vc     = interaction.guild.channels.cache.get(session.voiceChannelId);
     if (member?.voice.channelId === vc?.id) { try { await member.voice.disconnect(); } catch {} }
+    await setSessionAccess(session, interaction.guild, interaction.user.id, false);
 
-    await saveData();
-    await refreshSessionMessages(sessionId, interaction.guild, 'Nouvelle session LFG');
-    await interaction.reply({ content: `✅ Vous vous êtes retiré de la session **#${sessionId}**.`, flags: [MessageFlags.Ephemeral] });
+    await promoteFromWaitlist(sessionId, interaction.guild);
+    await refreshSessionMessages(sessionId, interaction.guild, 'label.new');
     updateRichPresence();
   } catch (err) {
     console.error('⚠️ Erreur retrait LFG:', err);
-    const msg = '❌ Erreur lors du retrait de la session.';
+    const msg = t(locale, 'leave.error');
     if (interaction.replied || interaction.deferred) await interaction.followUp({ content: msg, flags: [MessageFlags.Ephemeral] });
     else await interaction.reply({ content: msg, flags: [MessageFlags.Ephemeral] });
   }
@@ -1523,11 +5918,12 @@ async function handleLeaveButton(interaction, sessionId) {
 
 client.on(Events.InteractionCreate, async (interaction) => {
   if (interaction.isAutocomplete()) return handleAutocomplete(interaction);
-  if (!interaction.isCommand() && !interaction.isButton()) return;
+  if (!interaction.isCommand() && !interaction.isButton() && !interaction.isStringSelectMenu()) return;
 
+  const locale = getInteractionLocale(interaction);
   if (!checkRateLimit(interaction.user.id)) {
     if (!interaction.replied && !interaction.deferred)
-      return interaction.reply({ content: '❌ Limite de débit atteinte. Attendez un moment.', flags: [MessageFlags.Ephemeral] });
+      return interaction.reply({ content: t(locale, 'error.rateLimit'), flags: [MessageFlags.Ephemeral] });
     return;
   }
 
@@ -1536,23 +5932,51 @@ client.on(Events.InteractionCreate, async (interaction) => {
       case 'lfg':                return handleLFGCommand(interaction);
       case 'duplicate_lfg':      return handleDuplicateLFGCommand(interaction);
       case 'modify_lfg':         return handleModifyLFGCommand(interaction);
+      case 'close_lfg':          return handleCloseLFGCommand(interaction);
+      case 'invite_lfg':         return handleInviteLFGCommand(interaction);
+      case 'transfer_lfg':       return handleTransferLFGCommand(interaction);
       case 'list_members':       return handleListMembersCommand(interaction);
       case 'kick_member':        return handleKickMemberCommand(interaction);
       case 'ban_member':         return handleBanMemberCommand(interaction);
+      case 'unban_member':       return handleUnbanMemberCommand(interaction);
       case 'stats':              return handleStatsCommand(interaction);
       case 'history':            return handleHistoryCommand(interaction);
       case 'set_lfg_channel':    return handleSetLFGChannelCommand(interaction);
       case 'remove_lfg_channel': return handleRemoveLFGChannelCommand(interaction);
       case 'list_lfg_channels':  return handleListLFGChannelsCommand(interaction);
+      case 'set_log_channel':    return handleSetLogChannelCommand(interaction);
+      case 'audit':              return handleAuditCommand(interaction);
       case 'set_cooldown':       return handleSetCooldownCommand(interaction);
       case 'config':             return handleConfigCommand(interaction);
+      case 'games':              return handleGamesCommand(interaction);
+      case 'profile':            return handleProfileCommand(interaction);
+      case 'set_language':       return handleSetLanguageCommand(interaction);
+      case 'federation':         return handleFederationCommand(interaction);
+      case 'reputation':         return handleReputationCommand(interaction);
+      case 'permissions':        return handlePermissionsCommand(interaction);
+      case 'subscribe':          return handleSubscribeCommand(interaction);
+      case 'unsubscribe':        return handleUnsubscribeCommand(interaction);
+      case 'notifications':      return handleNotificationsCommand(interaction);
+      case 'game_role':          return handleGameRoleCommand(interaction);
+      case 'calendar':           return handleCalendarCommand(interaction);
+      case 'guild_config':       return handleGuildConfigCommand(interaction);
+      case 'recurring':          return handleRecurringCommand(interaction);
+      case 'template':           return handleTemplateCommand(interaction);
+      case 'queue':              return handleQueueCommand(interaction);
       default:
         if (!interaction.replied && !interaction.deferred)
-          await interaction.reply({ content: '❌ Commande inconnue.', flags: [MessageFlags.Ephemeral] });
+          await interaction.reply({ content: t(locale, 'error.unknownCommand'), flags: [MessageFlags.Ephemeral] });
     }
     return;
   }
 
+  if (interaction.isStringSelectMenu()) {
+    // Post-session feedback, sent by DM
+    const [kind, archiveId, sessionId] = interaction.customId.split('_');
+    if (kind === 'commend' || kind === 'report') return handleFeedbackSelect(interaction, kind, archiveId, sessionId);
+    return;
+  }
+
   if (interaction.isButton()) {
     // Cross-server nav
     if (interaction.customId.startsWith('xvocal_') || interaction.customId.startsWith('xtexte_') || interaction.customId.startsWith('xinfo_')) {
@@ -1560,23 +5984,22 @@ client.on(Events.InteractionCreate, async (interaction) => {
       const xtype   = parts[0], guildId = parts[1], channelId = parts[2];
       const sg      = client.guilds.cache.get(guildId);
       const sc      = sg?.channels.cache.get(channelId);
-      if (!sg || !sc) return interaction.reply({ content: `❌ Session introuvable ou expirée.`, flags: [MessageFlags.Ephemeral] });
-      const labelMap = { xvocal: { emoji: '🔊', label: 'Rejoignez le vocal' }, xtexte: { emoji: '💬', label: 'Salon discussion' }, xinfo: { emoji: '📢', label: "Salon d'information" } };
-      const { emoji, label } = labelMap[xtype] ?? { emoji: '🔗', label: 'Salon' };
-      return interaction.reply({ content: `${emoji} ${label} → **[${sc.name}](https://discord.com/channels/${guildId}/${channelId})**`, flags: [MessageFlags.Ephemeral] });
+      if (!sg || !sc) return interaction.reply({ content: t(locale, 'cross.expired'), flags: [MessageFlags.Ephemeral] });
+      const labelMap = { xvocal: { emoji: '🔊', key: 'cross.voice' }, xtexte: { emoji: '💬', key: 'cross.text' }, xinfo: { emoji: '📢', key: 'cross.info' } };
+      const { emoji, key } = labelMap[xtype] ?? { emoji: '🔗', key: 'cross.channel' };
+      return interaction.reply({ content: `${emoji} ${t(locale, key)} → **[${sc.name}](https://discord.com/channels/${guildId}/${channelId})**`, flags: [MessageFlags.Ephemeral] });
     }
 
     // History pagination
     if (interaction.customId.startsWith('history_prev_') || interaction.customId.startsWith('history_next_')) {
       const parts     = interaction.customId.split('_');
       const direction = parts[1], ownerId = parts[2];
-      if (interaction.user.id !== ownerId) return interaction.reply({ content: '❌ Cet historique ne vous appartient pas.', flags: [MessageFlags.Ephemeral] });
-      const currentPage = historyPages.get(ownerId) ?? 1;
+      if (interaction.user.id !== ownerId) return interaction.reply({ content: t(locale, 'history.notOwner'), flags: [MessageFlags.Ephemeral] });
+      const currentPage = historyPages.get(ownerId)?.page ?? 1;
       const newPage     = direction === 'prev' ? currentPage - 1 : currentPage + 1;
-      historyPages.set(ownerId, newPage);
       try { await sendHistoryEmbed(interaction, newPage, true); } catch (err) {
         console.error('⚠️ Erreur pagination historique:', err);
-        if (!interaction.replied && !interaction.deferred) await interaction.reply({ content: '❌ Erreur pagination.', flags: [MessageFlags.Ephemeral] });
+        if (!interaction.replied && !interaction.deferred) await interaction.reply({ content: t(locale, 'history.pageError'), flags: [MessageFlags.Ephemeral] });
       }
       return;
     }
@@ -1588,13 +6011,28 @@ client.on(Events.InteractionCreate, async (interaction) => {
     const type          = interaction.customId.slice(0, underscoreIdx);
     const sessionId     = interaction.customId.slice(underscoreIdx + 1);
 
-    if (type === 'join')  return handleJoinButton(interaction, sessionId);
-    if (type === 'leave') return handleLeaveButton(interaction, sessionId);
+    if (type === 'join')         return handleJoinButton(interaction, sessionId);
+    if (type === 'leave')        return handleLeaveButton(interaction, sessionId);
+    if (type === 'waitlist')     return handleWaitlistButton(interaction, sessionId);
+    if (type === 'xjoin')        return handleCrossJoinButton(interaction, sessionId);
+    if (type === 'close')        return promptCloseSession(interaction, sessionId);
+    if (type === 'closeconfirm') return handleCloseConfirmButton(interaction, sessionId);
+    if (type === 'queueleave')   return leaveQueue(interaction, client.guilds.cache.get(sessionId));
+    if (type === 'closecancel')  return interaction.update({ content: t(locale, 'close.cancelled', { id: sessionId }), components: [] });
+    if (type === 'cfgimport' || type === 'cfgcancel') return handleConfigImportButton(interaction, sessionId, type === 'cfgimport');
+    if (type === 'role') {
+      const [roleSessionId, roleIndex] = sessionId.split('_');
+      return handleJoinButton(interaction, roleSessionId, Number(roleIndex));
+    }
+    if (type === 'accept' || type === 'deny') {
+      const [requestSessionId, requestUserId] = sessionId.split('_');
+      return handleJoinDecisionButton(interaction, requestSessionId, requestUserId, type === 'accept');
+    }
 
     const sessionData = lfgSessions.get(sessionId);
     if (!sessionData) {
       if (!interaction.replied && !interaction.deferred)
-        return interaction.reply({ content: `❌ Session **#${sessionId}** introuvable. Elle a peut-être expiré.`, flags: [MessageFlags.Ephemeral] });
+        return interaction.reply({ content: t(locale, 'error.sessionExpired', { id: sessionId }), flags: [MessageFlags.Ephemeral] });
       return;
     }
     const session = sessionData.value;
@@ -1602,18 +6040,18 @@ client.on(Events.InteractionCreate, async (interaction) => {
     switch (type) {
       case 'vocal': {
         const vc = client.guilds.cache.get(session.guildId)?.channels.cache.get(session.voiceChannelId);
-        return interaction.reply({ content: vc ? `🔊 Vocal → **[${vc.name}](https://discord.com/channels/${session.guildId}/${vc.id})**` : '❌ Salon vocal introuvable.', flags: [MessageFlags.Ephemeral] });
+        return interaction.reply({ content: vc ? `${t(locale, 'button.voice')} → **[${vc.name}](https://discord.com/channels/${session.guildId}/${vc.id})**` : t(locale, 'error.voiceNotFound'), flags: [MessageFlags.Ephemeral] });
       }
       case 'texte': {
         const tc = client.guilds.cache.get(session.guildId)?.channels.cache.get(session.textChannelId);
-        return interaction.reply({ content: tc ? `💬 Discussion → **[${tc.name}](https://discord.com/channels/${session.guildId}/${tc.id})**` : '❌ Salon discussion introuvable.', flags: [MessageFlags.Ephemeral] });
+        return interaction.reply({ content: tc ? `${t(locale, 'button.text')} → **[${tc.name}](https://discord.com/channels/${session.guildId}/${tc.id})**` : t(locale, 'error.textNotFound'), flags: [MessageFlags.Ephemeral] });
       }
       case 'info': {
         const ic = client.guilds.cache.get(session.guildId)?.channels.cache.get(session.infoTextChannelId);
-        return interaction.reply({ content: ic ? `📢 Infos → **[${ic.name}](https://discord.com/channels/${session.guildId}/${ic.id})**` : "❌ Salon d'information introuvable.", flags: [MessageFlags.Ephemeral] });
+        return interaction.reply({ content: ic ? `${t(locale, 'button.info')} → **[${ic.name}](https://discord.com/channels/${session.guildId}/${ic.id})**` : t(locale, 'error.infoNotFound'), flags: [MessageFlags.Ephemeral] });
       }
       default:
-        return interaction.reply({ content: '❌ Bouton inconnu.', flags: [MessageFlags.Ephemeral] });
+        return interaction.reply({ content: t(locale, 'error.unknownButton'), flags: [MessageFlags.Ephemeral] });
     }
   }
 });
@@ -1621,10 +6059,16 @@ client.on(Events.InteractionCreate, async (interaction) => {
 client.on(Events.VoiceStateUpdate, async (oldState, newState) => {
   const guildId = newState.guild.id;
   const entry = Array.from(lfgSessions.entries()).find(([, d]) =>
-    d.value.guildId === guildId &&
+    d.value.guildId === guildId && d.value.voiceChannelId &&
     (d.value.voiceChannelId === oldState.channelId || d.value.voiceChannelId === newState.channelId)
   );
-  if (entry) resetTimeout(entry[0], newState.guild);
+  if (!entry) return;
+  resetTimeout(entry[0], newState.guild);
+  if (newState.channelId === entry[1].value.voiceChannelId) recordVoiceAttendance(entry[0], newState.id);
+});
+
+client.on(Events.GuildMemberRemove, async (member) => {
+  try { await handleOrganizerLeft(member); } catch (err) { console.error('⚠️ Erreur départ organisateur:', err); }
 });
 
 client.once(Events.ClientReady, async () => {
@@ -1635,11 +6079,13 @@ client.once(Events.ClientReady, async () => {
     const session = data.value;
     const guild   = client.guilds.cache.get(session.guildId);
     if (!guild) { console.log(`⚠️ Serveur ${session.guildId} introuvable, suppression ${sessionId}`); lfgSessions.delete(sessionId); lfgJoinedUsers.delete(sessionId); continue; }
+    if (session.status === 'planned') continue;
     const vc = guild.channels.cache.get(session.voiceChannelId);
-    if (!vc) { console.log(`⚠️ Canal vocal introuvable pour ${sessionId}, suppression`); await deleteLFGSession(sessionId, guild); continue; }
+    if (!vc) { console.log(`⚠️ Canal vocal introuvable pour ${sessionId}, suppression`); await deleteLFGSession(sessionId, guild, 'channel_missing'); continue; }
     if (!vc.members.size) resetTimeout(sessionId, guild);
   }
 
+  await processScheduledSessions();
   await registerCommands();
   updateRichPresence();
 });
@@ -1662,19 +6108,30 @@ setInterval(async () => {
   }
 
   for (const [sessionId, data] of lfgSessions) {
-    if ((data.expiresAt && now > data.expiresAt) || (now - new Date(data.value.date).getTime() > SESSION_EXPIRY)) {
+    const startedAt = new Date(data.value.startTime ?? data.value.date).getTime();
+    // Planned sessions normally open before their start; one still planned long after it never will
+    const maxAge = data.value.status === 'planned' ? SCHEDULE_STALE : SESSION_EXPIRY;
+    if (now - startedAt > maxAge) {
       const guild = client.guilds.cache.get(data.value.guildId);
-      if (guild) await deleteLFGSession(sessionId, guild);
+      if (guild) await deleteLFGSession(sessionId, guild, 'expired');
     }
   }
 
-  for (const [key, data] of lfgJoinedUsers) {
-    if (data.expiresAt && now > data.expiresAt) { lfgJoinedUsers.delete(key); db.prepare('DELETE FROM lfgJoinedUsers WHERE sessionId = ?').run(key); }
-  }
-
   for (const [key, data] of webhookChannels)  { if (data.expiresAt && now > data.expiresAt) webhookChannels.delete(key); }
+  for (const [key, data] of announcementWebhooks) { if (data.expiresAt && now > data.expiresAt) announcementWebhooks.delete(key); }
   for (const [key, data] of guildGameFilters) { if (data.expiresAt && now > data.expiresAt) guildGameFilters.delete(key); }
   for (const [key, data] of guildCooldowns)   { if (data.expiresAt && now > data.expiresAt) guildCooldowns.delete(key); }
+  for (const [key, data] of playerProfiles)   { if (data.expiresAt && now > data.expiresAt) playerProfiles.delete(key); }
+  for (const [key, data] of guildCustomGames) { if (data.expiresAt && now > data.expiresAt) guildCustomGames.delete(key); }
+  for (const [key, data] of guildLanguages)   { if (data.expiresAt && now > data.expiresAt) guildLanguages.delete(key); }
+  for (const [key, data] of guildFederation)  { if (data.expiresAt && now > data.expiresAt) guildFederation.delete(key); }
+  for (const [key, data] of guildReputation)  { if (data.expiresAt && now > data.expiresAt) guildReputation.delete(key); }
+  for (const [key, data] of auditChannels)    { if (data.expiresAt && now > data.expiresAt) auditChannels.delete(key); }
+  for (const [key, data] of guildPermissions) { if (data.expiresAt && now > data.expiresAt) guildPermissions.delete(key); }
+  for (const [key, data] of guildGameRoles)   { if (data.expiresAt && now > data.expiresAt) guildGameRoles.delete(key); }
+  for (const [key, data] of pendingConfigImports) { if (data.expiresAt && now > data.expiresAt) pendingConfigImports.delete(key); }
+  await expireQueueEntries();
+  repo.purgeNotifications(new Date(now - NOTIFICATION_CAP_WINDOW).toISOString());
 }, 60_000);
 
 // ─── Graceful shutdown ────────────────────────────────────────────────────────
@@ -1682,8 +6139,7 @@ let _shuttingDown = false;
 async function shutdown(code = 0) {
   if (_shuttingDown) return;
   _shuttingDown = true;
-  console.log('🛑 Arrêt en cours, sauvegarde des données…');
-  try { await saveData(); } catch {}
+  console.log('🛑 Arrêt en cours…');
   try { db.close(); } catch {}
   try { client.destroy(); } catch {}
   process.exit(code);
@@ -0,0 +1,648 @@
+'use strict';
+
+// ─── Repository ───────────────────────────────────────────────────────────────
+// SQLite is the source of truth for sessions and every guild and user setting. Once the schema is migrated, all
+// queries go through here, on statements prepared once: optional filters are written `(@x IS NULL OR …)` rather than
+// assembled per call. Each write touches only the rows it changes; the bot's Maps only cache these rows.
+
+const SESSION_COLUMNS = [
+  'id', 'userId', 'user', 'game', 'platform', 'activity', 'gametag', 'description', 'date', 'players',
+  'categoryId', 'voiceChannelId', 'textChannelId', 'infoTextChannelId', 'infoMessageId', 'commandChannelId',
+  'commandChannelMessageId', 'guildId', 'status', 'startTime', 'roles', 'visibility', 'twitchUrl',
+];
+
+// Tables holding per-session state, cleared with the session
+const SESSION_TABLES = ['lfgReminders', 'lfgWaitlist', 'lfgJoinRequests', 'lfgCrossPosts', 'lfgSessionBans', 'lfgVoiceAttendance'];
+
+// Everything that names a game follows a rename, except the archive. OR REPLACE drops the rows the rename would duplicate.
+const GAME_RENAMES = [
+  'UPDATE guildGames SET name = ? WHERE guildId = ? AND name = ?',
+  'UPDATE webhookChannels SET game = ? WHERE guildId = ? AND game = ?',
+  'UPDATE lfgSessions SET game = ? WHERE guildId = ? AND game = ?',
+  'UPDATE OR REPLACE gameSubscriptions SET game = ? WHERE guildId = ? AND game = ?',
+  'UPDATE OR REPLACE guildGameRoles SET game = ? WHERE guildId = ? AND game = ?',
+  'UPDATE sessionTemplates SET game = ? WHERE guildId = ? AND game = ?',
+  'UPDATE recurringSessions SET game = ? WHERE guildId = ? AND game = ?',
+  'UPDATE lfgQueue SET game = ? WHERE guildId = ? AND game = ?',
+];
+
+// /history filters; a null parameter leaves its filter out
+const ARCHIVE_FILTER = `guildId = @guildId AND (@game IS NULL OR game = @game)
+  AND (@userId IS NULL OR userId = @userId OR EXISTS (SELECT 1 FROM json_each(participants) WHERE value = @userId))
+  AND (@from IS NULL OR endedAt >= @from) AND (@to IS NULL OR endedAt < @to)`;
+
+// Row → session object as the bot uses it (roles parsed, no timer yet)
+function toSession(row) {
+  return { ...row, roles: row.roles ? JSON.parse(row.roles) : null, timeoutId: null };
+}
+
+export function createRepository(db) {
+  const now = () => new Date().toISOString();
+
+  const statements = {
+    allSessions:   db.prepare('SELECT * FROM lfgSessions'),
+    // An upsert, not INSERT OR REPLACE: replacing the row would cascade-delete its participants
+    saveSession:   db.prepare(`INSERT INTO lfgSessions (${SESSION_COLUMNS.join(', ')})
+                               VALUES (${SESSION_COLUMNS.map(c => `@${c}`).join(', ')})
+                               ON CONFLICT (id) DO UPDATE SET ${SESSION_COLUMNS.slice(1).map(c => `${c} = excluded.${c}`).join(', ')}`),
+    deleteSession: db.prepare('DELETE FROM lfgSessions WHERE id = ?'),
+    clearSessionTables: SESSION_TABLES.map(table => db.prepare(`DELETE FROM ${table} WHERE sessionId = ?`)),
+
+    allParticipants:   db.prepare('SELECT sessionId, userId, role FROM lfgJoinedUsers ORDER BY rowid'),
+    addParticipant:    db.prepare('INSERT OR REPLACE INTO lfgJoinedUsers (sessionId, userId, role) VALUES (?, ?, ?)'),
+    removeParticipant: db.prepare('DELETE FROM lfgJoinedUsers WHERE sessionId = ? AND userId = ?'),
+    clearParticipants: db.prepare('DELETE FROM lfgJoinedUsers WHERE sessionId = ?'),
+    setRole:           db.prepare('UPDATE lfgJoinedUsers SET role = ? WHERE sessionId = ? AND userId = ?'),
+
+    archiveSession: db.prepare(`INSERT INTO lfgArchive (sessionId, guildId, userId, user, game, platform, activity, players, participants, createdAt, endedAt, durationSeconds, endReason)
+                                VALUES (@sessionId, @guildId, @userId, @user, @game, @platform, @activity, @players, @participants, @createdAt, @endedAt, @durationSeconds, @endReason)`),
+    archivedSession: db.prepare('SELECT guildId, participants, endedAt FROM lfgArchive WHERE id = ? AND sessionId = ?'),
+    archiveCount:    db.prepare(`SELECT COUNT(*) AS total FROM lfgArchive WHERE ${ARCHIVE_FILTER}`),
+    archivePage:     db.prepare(`SELECT * FROM lfgArchive WHERE ${ARCHIVE_FILTER} ORDER BY endedAt DESC LIMIT @limit OFFSET @offset`),
+
+    recordStat: db.prepare(`
+      INSERT INTO lfgGuildStats (guildId, game, platform, sessionsCreated, sessionsEnded, playersJoined, playersLeft, filledSlots, offeredSlots, totalDurationSeconds)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (guildId, game, platform) DO UPDATE SET
+        sessionsCreated      = sessionsCreated      + excluded.sessionsCreated,
+        sessionsEnded        = sessionsEnded        + excluded.sessionsEnded,
+        playersJoined        = playersJoined        + excluded.playersJoined,
+        playersLeft          = playersLeft          + excluded.playersLeft,
+        filledSlots          = filledSlots          + excluded.filledSlots,
+        offeredSlots         = offeredSlots         + excluded.offeredSlots,
+        totalDurationSeconds = totalDurationSeconds + excluded.totalDurationSeconds
+    `),
+    statTotals: db.prepare(`
+      SELECT COALESCE(SUM(sessionsCreated), 0) AS sessionsCreated, COALESCE(SUM(sessionsEnded), 0) AS sessionsEnded,
+             COALESCE(SUM(playersJoined), 0)   AS playersJoined,   COALESCE(SUM(playersLeft), 0)   AS playersLeft,
+             COALESCE(SUM(filledSlots), 0)     AS filledSlots,     COALESCE(SUM(offeredSlots), 0)  AS offeredSlots,
+             COALESCE(SUM(totalDurationSeconds), 0) AS totalDurationSeconds
+      FROM lfgGuildStats WHERE guildId = @guildId AND (@game IS NULL OR game = @game)
+    `),
+    topGames: db.prepare(`
+      SELECT game AS name, SUM(sessionsCreated) AS sessions FROM lfgGuildStats
+      WHERE guildId = ? GROUP BY game ORDER BY sessions DESC, game LIMIT 5
+    `),
+    topPlatforms: db.prepare(`
+      SELECT platform AS name, SUM(sessionsCreated) AS sessions FROM lfgGuildStats
+      WHERE guildId = @guildId AND (@game IS NULL OR game = @game) GROUP BY platform ORDER BY sessions DESC, platform LIMIT 5
+    `),
+
+    allWaitlists:       db.prepare('SELECT sessionId, userId FROM lfgWaitlist ORDER BY queuedAt, rowid'),
+    addToWaitlist:      db.prepare('INSERT OR REPLACE INTO lfgWaitlist (sessionId, userId, queuedAt) VALUES (?, ?, ?)'),
+    removeFromWaitlist: db.prepare('DELETE FROM lfgWaitlist WHERE sessionId = ? AND userId = ?'),
+
+    allJoinRequests:   db.prepare('SELECT sessionId, userId, role, channelId, messageId FROM lfgJoinRequests'),
+    saveJoinRequest:   db.prepare('INSERT OR REPLACE INTO lfgJoinRequests (sessionId, userId, role, channelId, messageId, requestedAt) VALUES (?, ?, ?, ?, ?, ?)'),
+    deleteJoinRequest: db.prepare('DELETE FROM lfgJoinRequests WHERE sessionId = ? AND userId = ?'),
+
+    allCrossPosts: db.prepare('SELECT sessionId, guildId, channelId, messageId FROM lfgCrossPosts'),
+    saveCrossPost: db.prepare('INSERT OR REPLACE INTO lfgCrossPosts (sessionId, guildId, channelId, messageId) VALUES (?, ?, ?, ?)'),
+
+    allSessionBans:     db.prepare('SELECT sessionId, userId FROM lfgSessionBans'),
+    addSessionBan:      db.prepare('INSERT OR REPLACE INTO lfgSessionBans (sessionId, userId, bannedBy, bannedAt) VALUES (?, ?, ?, ?)'),
+    removeSessionBan:   db.prepare('DELETE FROM lfgSessionBans WHERE sessionId = ? AND userId = ?'),
+    allOrganizerBans:   db.prepare('SELECT guildId, organizerId, userId FROM organizerBans'),
+    addOrganizerBan:    db.prepare('INSERT OR REPLACE INTO organizerBans (guildId, organizerId, userId, bannedAt) VALUES (?, ?, ?, ?)'),
+    removeOrganizerBan: db.prepare('DELETE FROM organizerBans WHERE guildId = ? AND organizerId = ? AND userId = ?'),
+
+    allAttendance: db.prepare('SELECT sessionId, userId FROM lfgVoiceAttendance'),
+    addAttendance: db.prepare('INSERT OR IGNORE INTO lfgVoiceAttendance (sessionId, userId) VALUES (?, ?)'),
+
+    allReminders:   db.prepare('SELECT sessionId, minutesBefore, remindAt FROM lfgReminders'),
+    saveReminder:   db.prepare('INSERT OR REPLACE INTO lfgReminders (sessionId, minutesBefore, remindAt) VALUES (?, ?, ?)'),
+    deleteReminder: db.prepare('DELETE FROM lfgReminders WHERE sessionId = ? AND minutesBefore = ?'),
+
+    reputationCounts: db.prepare('SELECT kind, COUNT(*) AS n FROM reputationEvents WHERE userId = ? GROUP BY kind'),
+    addNoShow:        db.prepare(`INSERT OR IGNORE INTO reputationEvents (archiveId, sessionId, guildId, userId, fromUserId, kind, createdAt) VALUES (?, ?, ?, ?, '', 'no_show', ?)`),
+    // One vote per player and session: a later commend or report replaces the previous one
+    saveVote:         db.prepare('INSERT OR REPLACE INTO reputationEvents (archiveId, sessionId, guildId, userId, fromUserId, kind, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?)'),
+    minReputation:    db.prepare('SELECT minReputation FROM guildReputation WHERE guildId = ?'),
+    setMinReputation: db.prepare('INSERT OR REPLACE INTO guildReputation (guildId, minReputation) VALUES (?, ?)'),
+
+    auditChannel:       db.prepare('SELECT channelId FROM guildAuditChannels WHERE guildId = ?'),
+    setAuditChannel:    db.prepare('INSERT OR REPLACE INTO guildAuditChannels (guildId, channelId) VALUES (?, ?)'),
+    deleteAuditChannel: db.prepare('DELETE FROM guildAuditChannels WHERE guildId = ?'),
+    addAuditEntry:      db.prepare('INSERT INTO auditLog (guildId, action, actorId, targetId, sessionId, details, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?)'),
+    auditEntries:       db.prepare(`SELECT * FROM auditLog
+                                    WHERE guildId = @guildId AND (@action IS NULL OR action = @action)
+                                      AND (@userId IS NULL OR actorId = @userId OR targetId = @userId) AND (@sessionId IS NULL OR sessionId = @sessionId)
+                                    ORDER BY id DESC LIMIT @limit`),
+
+    language:    db.prepare('SELECT language, followUserLocale FROM guildLanguages WHERE guildId = ?'),
+    setLanguage: db.prepare('INSERT OR REPLACE INTO guildLanguages (guildId, language, followUserLocale) VALUES (?, ?, ?)'),
+
+    federation:    db.prepare('SELECT * FROM guildFederation WHERE guildId = ?'),
+    setFederation: db.prepare(`INSERT OR REPLACE INTO guildFederation (guildId, sendEnabled, receiveEnabled, allowlist, denylist, minMembers, language)
+                               VALUES (?, ?, ?, ?, ?, ?, ?)`),
+
+    customGames:      db.prepare('SELECT name, imageUrl, aliases FROM guildGames WHERE guildId = ? ORDER BY name COLLATE NOCASE'),
+    addCustomGame:    db.prepare('INSERT INTO guildGames (guildId, name, imageUrl, aliases, createdAt) VALUES (?, ?, ?, ?, ?)'),
+    updateCustomGame: db.prepare('UPDATE guildGames SET imageUrl = ?, aliases = ? WHERE guildId = ? AND name = ?'),
+    deleteCustomGame: db.prepare('DELETE FROM guildGames WHERE guildId = ? AND name = ?'),
+    clearCustomGames: db.prepare('DELETE FROM guildGames WHERE guildId = ?'),
+    renameGame:       GAME_RENAMES.map(sql => db.prepare(sql)),
+
+    webhookChannel:       db.prepare('SELECT channelId FROM webhookChannels WHERE guildId = ? AND game = ?'),
+    webhookChannels:      db.prepare('SELECT game, channelId FROM webhookChannels WHERE guildId = ?'),
+    webhookGuilds:        db.prepare('SELECT DISTINCT guildId FROM webhookChannels'),
+    setWebhookChannel:    db.prepare('INSERT OR REPLACE INTO webhookChannels (guildId, game, channelId) VALUES (?, ?, ?)'),
+    deleteWebhookChannel: db.prepare('DELETE FROM webhookChannels WHERE guildId = ? AND game = ?'),
+    clearWebhookChannels: db.prepare('DELETE FROM webhookChannels WHERE guildId = ?'),
+
+    gameFilter:    db.prepare('SELECT games FROM guildGameFilters WHERE guildId = ?'),
+    setGameFilter: db.prepare('INSERT OR REPLACE INTO guildGameFilters (guildId, games) VALUES (?, ?)'),
+
+    cooldown:    db.prepare('SELECT maxSessions, windowSeconds FROM guildCooldowns WHERE guildId = ?'),
+    setCooldown: db.prepare('INSERT OR REPLACE INTO guildCooldowns (guildId, maxSessions, windowSeconds) VALUES (?, ?, ?)'),
+
+    gameRoles:      db.prepare('SELECT game, roleId FROM guildGameRoles WHERE guildId = ? ORDER BY game'),
+    setGameRole:    db.prepare('INSERT OR REPLACE INTO guildGameRoles (guildId, game, roleId) VALUES (?, ?, ?)'),
+    deleteGameRole: db.prepare('DELETE FROM guildGameRoles WHERE guildId = ? AND game = ?'),
+    clearGameRoles: db.prepare('DELETE FROM guildGameRoles WHERE guildId = ?'),
+
+    permissions:      db.prepare('SELECT capability, roleId FROM guildPermissions WHERE guildId = ?'),
+    addPermission:    db.prepare('INSERT OR IGNORE INTO guildPermissions (guildId, capability, roleId) VALUES (?, ?, ?)'),
+    removePermission: db.prepare('DELETE FROM guildPermissions WHERE guildId = ? AND capability = ? AND roleId = ?'),
+    clearCapability:  db.prepare('DELETE FROM guildPermissions WHERE guildId = ? AND capability = ?'),
+    clearPermissions: db.prepare('DELETE FROM guildPermissions WHERE guildId = ?'),
+
+    subscriptions:      db.prepare('SELECT * FROM gameSubscriptions WHERE userId = ? AND guildId = ? ORDER BY game, id'),
+    subscription:       db.prepare('SELECT * FROM gameSubscriptions WHERE id = ? AND userId = ? AND guildId = ?'),
+    countSubscriptions: db.prepare('SELECT COUNT(*) AS count FROM gameSubscriptions WHERE userId = ? AND guildId = ?'),
+    addSubscription:    db.prepare('INSERT OR IGNORE INTO gameSubscriptions (userId, guildId, game, platform, activity, createdAt) VALUES (?, ?, ?, ?, ?, ?)'),
+    deleteSubscription: db.prepare('DELETE FROM gameSubscriptions WHERE id = ?'),
+    clearSubscriptions: db.prepare('DELETE FROM gameSubscriptions WHERE userId = ? AND guildId = ?'),
+    subscribers:        db.prepare(`SELECT DISTINCT userId FROM gameSubscriptions
+                                    WHERE guildId = ? AND game = ? AND platform IN ('', ?) AND activity IN ('', ?) AND userId != ?`),
+
+    notificationSettings:    db.prepare('SELECT quietStart, quietEnd, dailyCap FROM notificationSettings WHERE userId = ?'),
+    setNotificationSettings: db.prepare('INSERT OR REPLACE INTO notificationSettings (userId, quietStart, quietEnd, dailyCap) VALUES (?, ?, ?, ?)'),
+    countNotifications:      db.prepare('SELECT COUNT(*) AS count FROM subscriptionNotifications WHERE userId = ? AND sentAt >= ?'),
+    addNotification:         db.prepare('INSERT OR REPLACE INTO subscriptionNotifications (userId, sessionId, sentAt) VALUES (?, ?, ?)'),
+    purgeNotifications:      db.prepare('DELETE FROM subscriptionNotifications WHERE sentAt < ?'),
+
+    templates:      db.prepare("SELECT * FROM sessionTemplates WHERE guildId = ? AND userId IN (?, '') ORDER BY userId = '', name"),
+    templateByName: db.prepare('SELECT id FROM sessionTemplates WHERE guildId = ? AND userId = ? AND name = ? COLLATE NOCASE'),
+    countTemplates: db.prepare('SELECT COUNT(*) AS count FROM sessionTemplates WHERE guildId = ? AND userId = ?'),
+    addTemplate:    db.prepare(`INSERT INTO sessionTemplates (guildId, userId, name, game, platform, players, activity, description, twitch, createdBy, createdAt)
+                                VALUES (@guildId, @userId, @name, @game, @platform, @players, @activity, @description, @twitch, @createdBy, @createdAt)`),
+    deleteTemplate: db.prepare('DELETE FROM sessionTemplates WHERE id = ?'),
+
+    profile:       db.prepare('SELECT gametags, games, languages, timeZone FROM playerProfiles WHERE userId = ?'),
+    saveProfile:   db.prepare('INSERT OR REPLACE INTO playerProfiles (userId, gametags, games, languages, timeZone, updatedAt) VALUES (?, ?, ?, ?, ?, ?)'),
+    deleteProfile: db.prepare('DELETE FROM playerProfiles WHERE userId = ?'),
+
+    queueEntries:       db.prepare('SELECT * FROM lfgQueue ORDER BY queuedAt'),
+    saveQueueEntry:     db.prepare(`INSERT OR REPLACE INTO lfgQueue (guildId, userId, game, platform, activity, players, role, rank, gametag, channelId, queuedAt, expiresAt)
+                                    VALUES (@guildId, @userId, @game, @platform, @activity, @players, @role, @rank, @gametag, @channelId, @queuedAt, @expiresAt)`),
+    deleteQueueEntry:   db.prepare('DELETE FROM lfgQueue WHERE guildId = ? AND userId = ?'),
+    queueMessages:      db.prepare('SELECT bucket, channelId, messageId FROM lfgQueueMessages'),
+    setQueueMessage:    db.prepare('INSERT OR REPLACE INTO lfgQueueMessages (bucket, channelId, messageId) VALUES (?, ?, ?)'),
+    deleteQueueMessage: db.prepare('DELETE FROM lfgQueueMessages WHERE bucket = ?'),
+    renameQueueMessage: db.prepare('UPDATE lfgQueueMessages SET bucket = ? WHERE bucket = ?'),
+
+    recurringSessions:      db.prepare('SELECT * FROM recurringSessions'),
+    addRecurringSession:    db.prepare(`INSERT INTO recurringSessions
+      (guildId, channelId, userId, game, platform, players, activity, gametag, description, twitchUrl, visibility,
+       frequency, weekdays, intervalDays, timeOfDay, timeZone, anchorDate, nextRunAt, paused, createdAt)
+      VALUES (@guildId, @channelId, @userId, @game, @platform, @players, @activity, @gametag, @description, @twitchUrl, @visibility,
+       @frequency, @weekdays, @intervalDays, @timeOfDay, @timeZone, @anchorDate, @nextRunAtIso, @paused, @createdAt)`),
+    updateRecurringSession: db.prepare('UPDATE recurringSessions SET nextRunAt = ?, paused = ? WHERE id = ?'),
+    deleteRecurringSession: db.prepare('DELETE FROM recurringSessions WHERE id = ?'),
+  };
+
+  return {
+    // Runs `fn` in one SQLite transaction; repository calls made inside it join the transaction
+    transaction(fn) {
+      return db.transaction(fn)();
+    },
+
+    // ── Sessions ──
+    getSessions() {
+      return statements.allSessions.all().map(toSession);
+    },
+    saveSession(sessionId, session) {
+      const row = Object.fromEntries(SESSION_COLUMNS.map(c => [c, session[c] ?? null]));
+      statements.saveSession.run({
+        ...row, id: sessionId, status: session.status ?? 'open', visibility: session.visibility ?? 'public',
+        roles: session.roles ? JSON.stringify(session.roles) : null,
+      });
+    },
+    // Participants go with the session (ON DELETE CASCADE); its waitlist, requests, posts, bans, attendance and reminders are cleared here
+    deleteSession(sessionId) {
+      db.transaction(() => {
+        statements.deleteSession.run(sessionId);
+        for (const statement of statements.clearSessionTables) statement.run(sessionId);
+      })();
+    },
+
+    // ── Participants ──
+    getParticipants() {
+      return statements.allParticipants.all();
+    },
+    addParticipant(sessionId, userId, role = null) {
+      statements.addParticipant.run(sessionId, userId, role);
+    },
+    removeParticipant(sessionId, userId) {
+      statements.removeParticipant.run(sessionId, userId);
+    },
+    // Rewrites one session's participant rows, for changes that reorder or replace the whole list
+    replaceParticipants(sessionId, userIds, roles = {}) {
+      db.transaction(() => {
+        statements.clearParticipants.run(sessionId);
+        for (const userId of userIds) statements.addParticipant.run(sessionId, userId, roles[userId] ?? null);
+      })();
+    },
+    setParticipantRole(sessionId, userId, role) {
+      statements.setRole.run(role, sessionId, userId);
+    },
+
+    // ── Archive ──
+    // Returns the archive row ID, which identifies the session for good once its own ID is free again
+    archiveSession(sessionId, session, { participants, endedAt, durationSeconds, reason }) {
+      return Number(statements.archiveSession.run({
+        sessionId, guildId: session.guildId, userId: session.userId, user: session.user, game: session.game, platform: session.platform,
+        activity: session.activity, players: session.players, participants: JSON.stringify(participants), createdAt: session.date,
+        endedAt, durationSeconds, endReason: reason,
+      }).lastInsertRowid);
+    },
+    getArchivedSession(archiveId, sessionId) {
+      const row = statements.archivedSession.get(archiveId, sessionId);
+      return row ? { ...row, participants: JSON.parse(row.participants) } : null;
+    },
+    queryArchive(guildId, { game = null, userId = null, from = null, to = null }, limit, offset) {
+      const params = {
+        guildId, game, userId,
+        from: from ? new Date(from).toISOString() : null,
+        to:   to ? new Date(to).toISOString() : null,
+      };
+      return {
+        total: statements.archiveCount.get(params).total,
+        rows:  statements.archivePage.all({ ...params, limit, offset }),
+      };
+    },
+
+    // ── Statistics ──
+    recordStat(guildId, game, platform, deltas) {
+      statements.recordStat.run(guildId, game, platform, ...deltas);
+    },
+    getStats(guildId, game = null) {
+      return {
+        ...statements.statTotals.get({ guildId, game }),
+        topGames:     game ? [] : statements.topGames.all(guildId),
+        topPlatforms: statements.topPlatforms.all({ guildId, game }),
+      };
+    },
+
+    // ── Waitlists ──
+    getWaitlists() {
+      return statements.allWaitlists.all();
+    },
+    addToWaitlist(sessionId, userId) {
+      statements.addToWaitlist.run(sessionId, userId, now());
+    },
+    removeFromWaitlist(sessionId, userId) {
+      statements.removeFromWaitlist.run(sessionId, userId);
+    },
+
+    // ── Join requests ──
+    getJoinRequests() {
+      return statements.allJoinRequests.all();
+    },
+    saveJoinRequest(sessionId, userId, { role, channelId, messageId }) {
+      statements.saveJoinRequest.run(sessionId, userId, role, channelId, messageId, now());
+    },
+    deleteJoinRequest(sessionId, userId) {
+      statements.deleteJoinRequest.run(sessionId, userId);
+    },
+
+    // ── Cross-server posts ──
+    getCrossPosts() {
+      return statements.allCrossPosts.all();
+    },
+    saveCrossPosts(sessionId, posts) {
+      db.transaction(() => {
+        for (const post of posts) statements.saveCrossPost.run(sessionId, post.guildId, post.channelId, post.messageId);
+      })();
+    },
+
+    // ── Bans ──
+    getSessionBans() {
+      return statements.allSessionBans.all();
+    },
+    addSessionBan(sessionId, userId, bannedBy) {
+      statements.addSessionBan.run(sessionId, userId, bannedBy, now());
+    },
+    getOrganizerBans() {
+      return statements.allOrganizerBans.all();
+    },
+    addOrganizerBan(guildId, organizerId, userId) {
+      statements.addOrganizerBan.run(guildId, organizerId, userId, now());
+    },
+    // Lifts both the session ban and the organizer-wide ban
+    removeBans(sessionId, guildId, organizerId, userId) {
+      db.transaction(() => {
+        statements.removeSessionBan.run(sessionId, userId);
+        statements.removeOrganizerBan.run(guildId, organizerId, userId);
+      })();
+    },
+
+    // ── Voice attendance ──
+    getVoiceAttendance() {
+      return statements.allAttendance.all();
+    },
+    addVoiceAttendance(sessionId, userId) {
+      statements.addAttendance.run(sessionId, userId);
+    },
+
+    // ── Reminders ──
+    getReminders() {
+      return statements.allReminders.all();
+    },
+    saveReminder(sessionId, minutesBefore, remindAt) {
+      statements.saveReminder.run(sessionId, minutesBefore, new Date(remindAt).toISOString());
+    },
+    deleteReminder(sessionId, minutesBefore) {
+      statements.deleteReminder.run(sessionId, minutesBefore);
+    },
+
+    // ── Reputation ──
+    getReputationCounts(userId) {
+      return statements.reputationCounts.all(userId);
+    },
+    addNoShows(archiveId, sessionId, guildId, userIds) {
+      for (const userId of userIds) statements.addNoShow.run(archiveId, sessionId, guildId, userId, now());
+    },
+    saveVotes(archiveId, sessionId, guildId, fromUserId, kind, userIds) {
+      db.transaction(() => {
+        for (const userId of userIds) statements.saveVote.run(archiveId, sessionId, guildId, userId, fromUserId, kind, now());
+      })();
+    },
+    getMinReputation(guildId) {
+      return statements.minReputation.get(guildId)?.minReputation ?? null;
+    },
+    setMinReputation(guildId, minimum) {
+      statements.setMinReputation.run(guildId, minimum);
+    },
+
+    // ── Audit log ──
+    getAuditChannel(guildId) {
+      return statements.auditChannel.get(guildId)?.channelId ?? null;
+    },
+    setAuditChannel(guildId, channelId) {
+      if (channelId) statements.setAuditChannel.run(guildId, channelId);
+      else statements.deleteAuditChannel.run(guildId);
+    },
+    addAuditEntry(guildId, { action, actorId, targetId, sessionId, details, createdAt }) {
+      statements.addAuditEntry.run(guildId, action, actorId, targetId, sessionId, JSON.stringify(details), createdAt);
+    },
+    getAuditEntries(guildId, { action = null, userId = null, sessionId = null }, limit) {
+      return statements.auditEntries.all({ guildId, action, userId, sessionId, limit });
+    },
+
+    // ── Languages ──
+    getLanguage(guildId) {
+      const row = statements.language.get(guildId);
+      return row ? { language: row.language, followUserLocale: !!row.followUserLocale } : null;
+    },
+    setLanguage(guildId, { language, followUserLocale }) {
+      statements.setLanguage.run(guildId, language, followUserLocale ? 1 : 0);
+    },
+
+    // ── Federation ──
+    getFederation(guildId) {
+      const row = statements.federation.get(guildId);
+      return row ? { ...row, allowlist: JSON.parse(row.allowlist), denylist: JSON.parse(row.denylist) } : null;
+    },
+    setFederation(guildId, config) {
+      statements.setFederation.run(
+        guildId, config.sendEnabled ? 1 : 0, config.receiveEnabled ? 1 : 0,
+        JSON.stringify(config.allowlist), JSON.stringify(config.denylist), config.minMembers, config.language,
+      );
+    },
+
+    // ── Custom games ──
+    getCustomGames(guildId) {
+      return statements.customGames.all(guildId).map(row => ({ name: row.name, imageUrl: row.imageUrl, aliases: JSON.parse(row.aliases) }));
+    },
+    addCustomGame(guildId, { name, imageUrl, aliases }) {
+      statements.addCustomGame.run(guildId, name, imageUrl ?? null, JSON.stringify(aliases), now());
+    },
+    updateCustomGame(guildId, name, { imageUrl, aliases }) {
+      statements.updateCustomGame.run(imageUrl, JSON.stringify(aliases), guildId, name);
+    },
+    deleteCustomGame(guildId, name) {
+      statements.deleteCustomGame.run(guildId, name);
+    },
+    replaceCustomGames(guildId, games) {
+      db.transaction(() => {
+        statements.clearCustomGames.run(guildId);
+        for (const game of games) statements.addCustomGame.run(guildId, game.name, game.imageUrl ?? null, JSON.stringify(game.aliases), now());
+      })();
+    },
+    // The catalog entry, announcement channels, sessions, subscriptions, game roles, templates and schedules follow the new name
+    renameGame(guildId, oldName, newName) {
+      db.transaction(() => {
+        for (const statement of statements.renameGame) statement.run(newName, guildId, oldName);
+      })();
+    },
+
+    // ── Announcement channels ──
+    getWebhookChannel(guildId, game) {
+      return statements.webhookChannel.get(guildId, game)?.channelId ?? null;
+    },
+    getWebhookChannels(guildId) {
+      return statements.webhookChannels.all(guildId);
+    },
+    getWebhookGuildIds() {
+      return statements.webhookGuilds.all().map(r => r.guildId);
+    },
+    setWebhookChannel(guildId, game, channelId) {
+      statements.setWebhookChannel.run(guildId, game, channelId);
+    },
+    deleteWebhookChannel(guildId, game) {
+      return statements.deleteWebhookChannel.run(guildId, game).changes > 0;
+    },
+    replaceWebhookChannels(guildId, channels) {
+      db.transaction(() => {
+        statements.clearWebhookChannels.run(guildId);
+        for (const [game, channelId] of Object.entries(channels)) statements.setWebhookChannel.run(guildId, game, channelId);
+      })();
+    },
+
+    // ── Game filters ──
+    getGameFilter(guildId) {
+      const row = statements.gameFilter.get(guildId);
+      return row ? JSON.parse(row.games) : [];
+    },
+    setGameFilter(guildId, games) {
+      statements.setGameFilter.run(guildId, JSON.stringify(games));
+    },
+
+    // ── Cooldowns ──
+    getCooldown(guildId) {
+      return statements.cooldown.get(guildId) ?? null;
+    },
+    setCooldown(guildId, { maxSessions, windowSeconds }) {
+      statements.setCooldown.run(guildId, maxSessions, windowSeconds);
+    },
+
+    // ── Game roles ──
+    getGameRoles(guildId) {
+      return statements.gameRoles.all(guildId);
+    },
+    setGameRole(guildId, game, roleId) {
+      statements.setGameRole.run(guildId, game, roleId);
+    },
+    deleteGameRole(guildId, game) {
+      return statements.deleteGameRole.run(guildId, game).changes > 0;
+    },
+    replaceGameRoles(guildId, roles) {
+      db.transaction(() => {
+        statements.clearGameRoles.run(guildId);
+        for (const [game, roleId] of Object.entries(roles)) statements.setGameRole.run(guildId, game, roleId);
+      })();
+    },
+
+    // ── Permissions ──
+    getPermissions(guildId) {
+      return statements.permissions.all(guildId);
+    },
+    addPermission(guildId, capability, roleId) {
+      statements.addPermission.run(guildId, capability, roleId);
+    },
+    removePermission(guildId, capability, roleId) {
+      return statements.removePermission.run(guildId, capability, roleId).changes > 0;
+    },
+    // One capability, or all of them without one
+    clearPermissions(guildId, capability = null) {
+      if (capability) statements.clearCapability.run(guildId, capability);
+      else statements.clearPermissions.run(guildId);
+    },
+    replacePermissions(guildId, mapping) {
+      db.transaction(() => {
+        statements.clearPermissions.run(guildId);
+        for (const [capability, roleIds] of Object.entries(mapping)) {
+          for (const roleId of roleIds) statements.addPermission.run(guildId, capability, roleId);
+        }
+      })();
+    },
+
+    // ── Subscriptions ──
+    getSubscriptions(userId, guildId) {
+      return statements.subscriptions.all(userId, guildId);
+    },
+    getSubscription(id, userId, guildId) {
+      return statements.subscription.get(id, userId, guildId) ?? null;
+    },
+    countSubscriptions(userId, guildId) {
+      return statements.countSubscriptions.get(userId, guildId).count;
+    },
+    // Returns false when the same subscription already exists
+    addSubscription(userId, guildId, { game, platform, activity }) {
+      return statements.addSubscription.run(userId, guildId, game, platform, activity, now()).changes > 0;
+    },
+    deleteSubscription(id) {
+      statements.deleteSubscription.run(id);
+    },
+    // Returns how many subscriptions were removed
+    clearSubscriptions(userId, guildId) {
+      return statements.clearSubscriptions.run(userId, guildId).changes;
+    },
+    // Subscribers whose filters match the session, its organizer aside
+    getSubscriberIds(guildId, { game, platform, activity, userId }) {
+      return statements.subscribers.all(guildId, game, platform, activity, userId).map(r => r.userId);
+    },
+
+    // ── Notifications ──
+    getNotificationSettings(userId) {
+      return statements.notificationSettings.get(userId) ?? null;
+    },
+    setNotificationSettings(userId, { quietStart, quietEnd, dailyCap }) {
+      statements.setNotificationSettings.run(userId, quietStart, quietEnd, dailyCap);
+    },
+    countNotificationsSince(userId, since) {
+      return statements.countNotifications.get(userId, since).count;
+    },
+    addNotification(userId, sessionId) {
+      statements.addNotification.run(userId, sessionId, now());
+    },
+    purgeNotifications(before) {
+      statements.purgeNotifications.run(before);
+    },
+
+    // ── Templates ──
+    getTemplates(guildId, userId) {
+      return statements.templates.all(guildId, userId);
+    },
+    findTemplateId(guildId, ownerId, name) {
+      return statements.templateByName.get(guildId, ownerId, name)?.id ?? null;
+    },
+    countTemplates(guildId, ownerId) {
+      return statements.countTemplates.get(guildId, ownerId).count;
+    },
+    addTemplate(template) {
+      statements.addTemplate.run({ ...template, createdAt: now() });
+    },
+    deleteTemplate(id) {
+      statements.deleteTemplate.run(id);
+    },
+
+    // ── Player profiles ──
+    getProfile(userId) {
+      const row = statements.profile.get(userId);
+      return row
+        ? { gametags: JSON.parse(row.gametags), games: JSON.parse(row.games), languages: JSON.parse(row.languages), timeZone: row.timeZone }
+        : null;
+    },
+    saveProfile(userId, profile) {
+      statements.saveProfile.run(userId, JSON.stringify(profile.gametags), JSON.stringify(profile.games), JSON.stringify(profile.languages), profile.timeZone, now());
+    },
+    deleteProfile(userId) {
+      statements.deleteProfile.run(userId);
+    },
+
+    // ── Matchmaking queue ──
+    getQueueEntries() {
+      return statements.queueEntries.all();
+    },
+    saveQueueEntries(entries) {
+      db.transaction(() => {
+        for (const entry of entries) statements.saveQueueEntry.run(entry);
+      })();
+    },
+    deleteQueueEntries(guildId, userIds) {
+      db.transaction(() => {
+        for (const userId of userIds) statements.deleteQueueEntry.run(guildId, userId);
+      })();
+    },
+    getQueueMessages() {
+      return statements.queueMessages.all();
+    },
+    setQueueMessage(bucket, channelId, messageId) {
+      statements.setQueueMessage.run(bucket, channelId, messageId);
+    },
+    deleteQueueMessage(bucket) {
+      statements.deleteQueueMessage.run(bucket);
+    },
+    renameQueueMessage(oldBucket, newBucket) {
+      statements.renameQueueMessage.run(newBucket, oldBucket);
+    },
+
+    // ── Recurring sessions ──
+    getRecurringSessions() {
+      return statements.recurringSessions.all();
+    },
+    // Returns the new schedule's ID
+    addRecurringSession(schedule) {
+      return Number(statements.addRecurringSession.run({ ...schedule, nextRunAtIso: new Date(schedule.nextRunAt).toISOString() }).lastInsertRowid);
+    },
+    updateRecurringSession({ id, nextRunAt, paused }) {
+      statements.updateRecurringSession.run(new Date(nextRunAt).toISOString(), paused ? 1 : 0, id);
+    },
+    deleteRecurringSession(id) {
+      statements.deleteRecurringSession.run(id);
+    },
+  };
+}